@@ -0,0 +1,235 @@
+/**
+ * security.js — Settings and guards for running the API as a shared service
+ *
+ * Everything is read from the environment so keys never end up in a
+ * config file:
+ *
+ *   IMAGE_HUMANIZER_API_KEYS          Comma-separated keys. When set, every
+ *                                     /api/* request except the spec needs
+ *                                     one, as "Authorization: Bearer <key>"
+ *                                     or "X-API-Key: <key>"
+ *   IMAGE_HUMANIZER_CORS_ORIGINS      Comma-separated origins allowed to call
+ *                                     from a browser ("*" for any). Default: none
+ *   IMAGE_HUMANIZER_MAX_BODY          Largest request body in bytes (100000)
+ *   IMAGE_HUMANIZER_MAX_PROMPT        Longest prompt in characters (2000)
+ *   IMAGE_HUMANIZER_RATE_LIMIT        Requests per minute per key, or per IP
+ *                                     without auth; rejected keys count
+ *                                     against the IP (60, 0 = off)
+ *   IMAGE_HUMANIZER_RATE_BURST        Requests allowed at once (the limit)
+ *   IMAGE_HUMANIZER_SHUTDOWN_TIMEOUT  Milliseconds to let requests finish on
+ *                                     SIGTERM before exiting (10000)
+ */
+
+import { createHash, randomUUID, timingSafeEqual } from 'crypto';
+
+export const SERVER_DEFAULTS = {
+  apiKeys: [],
+  corsOrigins: [],
+  maxBodyBytes: 100000,
+  maxPromptLength: 2000,
+  rateLimit: 60,
+  rateBurst: undefined,
+  shutdownTimeout: 10000,
+};
+
+// Buckets kept before full ones are dropped
+const MAX_BUCKETS = 10000;
+
+export class HttpError extends Error {
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+function list(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function count(env, name, fallback) {
+  const value = env[name];
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`${name} must be a whole number, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Read server settings from the environment
+ */
+export function loadServerSettings(env = process.env) {
+  const rateLimit = count(env, 'IMAGE_HUMANIZER_RATE_LIMIT', SERVER_DEFAULTS.rateLimit);
+  return {
+    apiKeys: list(env.IMAGE_HUMANIZER_API_KEYS),
+    corsOrigins: list(env.IMAGE_HUMANIZER_CORS_ORIGINS),
+    maxBodyBytes: count(env, 'IMAGE_HUMANIZER_MAX_BODY', SERVER_DEFAULTS.maxBodyBytes),
+    maxPromptLength: count(env, 'IMAGE_HUMANIZER_MAX_PROMPT', SERVER_DEFAULTS.maxPromptLength),
+    rateLimit,
+    rateBurst: count(env, 'IMAGE_HUMANIZER_RATE_BURST', rateLimit),
+    shutdownTimeout: count(env, 'IMAGE_HUMANIZER_SHUTDOWN_TIMEOUT', SERVER_DEFAULTS.shutdownTimeout),
+  };
+}
+
+/**
+ * Short, stable id for a key, safe to log
+ */
+export function keyId(key) {
+  return `key_${createHash('sha256').update(key).digest('hex').slice(0, 8)}`;
+}
+
+/**
+ * Check a request's credentials against the allowed keys
+ *
+ * Returns the matching key, or null when none is allowed. Throws a 401
+ * HttpError when keys are configured and the request has no valid one.
+ */
+export function authenticate(req, apiKeys) {
+  if (!apiKeys.length) return null;
+
+  const header = req.headers.authorization || '';
+  const bearer = /^Bearer\s+(.+)$/i.exec(header);
+  const given = bearer ? bearer[1].trim() : req.headers['x-api-key'];
+  const challenge = { 'WWW-Authenticate': 'Bearer realm="image-humanizer"' };
+  if (!given) throw new HttpError(401, 'API key required', challenge);
+
+  // Compare digests so the check takes the same time whatever the key
+  const digest = createHash('sha256').update(String(given)).digest();
+  const match = apiKeys.find(key => timingSafeEqual(digest, createHash('sha256').update(key).digest()));
+  if (!match) throw new HttpError(401, 'Invalid API key', challenge);
+  return match;
+}
+
+/**
+ * CORS headers for a request's Origin, or none when it isn't allowed
+ */
+export function corsHeaders(origin, allowed) {
+  if (!origin || !allowed.length) return {};
+  const any = allowed.includes('*');
+  if (!any && !allowed.includes(origin)) return {};
+  return {
+    'Access-Control-Allow-Origin': any ? '*' : origin,
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key, X-Request-Id',
+    'Access-Control-Expose-Headers': 'X-Request-Id, Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining',
+    ...(any ? {} : { Vary: 'Origin' }),
+  };
+}
+
+/**
+ * Token-bucket rate limiter
+ *
+ * Each key gets `burst` tokens, refilled at `perMinute` a minute. take()
+ * spends one and says how long to wait when there are none left.
+ */
+export function createRateLimiter({ perMinute, burst = perMinute, now = Date.now }) {
+  const buckets = new Map();
+  const refillPerMs = perMinute / 60000;
+
+  function level(bucket, time) {
+    return Math.min(burst, bucket.tokens + (time - bucket.updated) * refillPerMs);
+  }
+
+  // Full buckets hold nothing worth keeping
+  function prune(time) {
+    for (const [key, bucket] of buckets) {
+      if (level(bucket, time) >= burst) buckets.delete(key);
+    }
+  }
+
+  return {
+    limit: burst,
+    take(key) {
+      if (!perMinute) return { allowed: true, remaining: Infinity, retryAfter: 0 };
+      const time = now();
+      if (!buckets.has(key) && buckets.size >= MAX_BUCKETS) prune(time);
+
+      const bucket = buckets.get(key) || { tokens: burst, updated: time };
+      bucket.tokens = level(bucket, time);
+      bucket.updated = time;
+      buckets.set(key, bucket);
+
+      if (bucket.tokens < 1) {
+        const retryAfter = Math.ceil((1 - bucket.tokens) / refillPerMs / 1000);
+        return { allowed: false, remaining: 0, retryAfter };
+      }
+      bucket.tokens -= 1;
+      return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+    },
+  };
+}
+
+/**
+ * The caller's request id if it looks like one, else a new one
+ */
+export function requestId(req) {
+  const given = req.headers['x-request-id'];
+  return typeof given === 'string' && /^[\w.:-]{1,128}$/.test(given) ? given : randomUUID();
+}
+
+/**
+ * Read and parse a JSON object body, refusing anything over `maxBytes`
+ */
+export function readJsonBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => new HttpError(413, `Request body is over ${maxBytes} bytes`);
+    if (Number(req.headers['content-length']) > maxBytes) {
+      req.resume();
+      return reject(tooLarge());
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        req.removeAllListeners('data');
+        req.resume();
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > maxBytes) return;
+      const data = Buffer.concat(chunks).toString('utf-8');
+      let body;
+      try {
+        body = data ? JSON.parse(data) : {};
+      } catch {
+        return reject(new HttpError(400, 'Invalid JSON'));
+      }
+      // Routes read fields off the body, so null, arrays and scalars are refused here
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return reject(new HttpError(400, 'Request body must be a JSON object'));
+      }
+      resolve(body);
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Write one structured log line (errors go to stderr)
+ */
+export function log(level, msg, fields = {}) {
+  const line = JSON.stringify({ time: new Date().toISOString(), level, msg, ...fields });
+  if (level === 'error') console.error(line);
+  else console.log(line);
+}
+
+export default {
+  SERVER_DEFAULTS,
+  HttpError,
+  loadServerSettings,
+  keyId,
+  authenticate,
+  corsHeaders,
+  createRateLimiter,
+  requestId,
+  readJsonBody,
+  log,
+};
@@ -3,126 +3,154 @@
  * Image Humanizer HTTP API Server
  * 
  * Simple HTTP server for OpenAI Actions and custom integrations.
+ * Auth, CORS, limits and rate limiting are set from the environment
+ * (see security.js).
  */
 
 import { createServer } from 'http';
-import { transformPrompt, analyzePrompt, getSuggestions } from '../src/index.js';
 import {
-  CAMERAS,
-  LENSES,
-  LIGHTING,
-  IMPERFECTIONS,
-  HUMAN_DETAILS,
-  COMPOSITION,
-} from '../src/modifiers.js';
-import { readFileSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
+  OPERATIONS,
+  SchemaError,
+  runOperation,
+  loadRulePacks,
+  resolveConfig,
+} from '../src/index.js';
+import { buildOpenApiSpec } from '../src/openapi.js';
+import {
+  HttpError,
+  loadServerSettings,
+  keyId,
+  authenticate,
+  corsHeaders,
+  createRateLimiter,
+  requestId,
+  readJsonBody,
+  log,
+} from './security.js';
 
 const PORT = process.env.PORT || 3001;
 
+const settings = loadServerSettings();
+const limiter = createRateLimiter({ perMinute: settings.rateLimit, burst: settings.rateBurst });
+
+// Open to load balancers and Actions importers without a key
+const PUBLIC_PATHS = ['/health', '/api/openapi'];
+
+// Set on SIGTERM; responses then ask clients to close the connection
+let shuttingDown = false;
+
+// Defaults from the project config file (IMAGE_HUMANIZER_CONFIG, else searched from cwd)
+const { settings: config, path: configPath } = await resolveConfig({ path: process.env.IMAGE_HUMANIZER_CONFIG });
+
+// Custom rule packs: the config file's plus IMAGE_HUMANIZER_RULES (comma-separated paths)
+const rules = await loadRulePacks([
+  ...config.rules,
+  ...(process.env.IMAGE_HUMANIZER_RULES || '').split(','),
+]);
+
 function parseBody(req) {
-  return new Promise((resolve, reject) => {
-    let data = '';
-    req.on('data', chunk => data += chunk);
-    req.on('end', () => {
-      try {
-        resolve(data ? JSON.parse(data) : {});
-      } catch {
-        reject(new Error('Invalid JSON'));
-      }
-    });
-    req.on('error', reject);
-  });
+  return readJsonBody(req, settings.maxBodyBytes);
+}
+
+// Every prompt in a request, named as in schema problems
+function promptsIn(body) {
+  return [
+    ['prompt', body.prompt],
+    ...(Array.isArray(body.items) ? body.items.map((item, i) => [`items[${i}].prompt`, item?.prompt]) : []),
+    ...(Array.isArray(body.prompts) ? body.prompts.map((prompt, i) => [`prompts[${i}]`, prompt]) : []),
+  ];
+}
+
+// Prompt length is a server limit, so it's checked here rather than in the schemas
+function checkPromptLength(body) {
+  for (const [name, prompt] of promptsIn(body)) {
+    if (typeof prompt === 'string' && prompt.length > settings.maxPromptLength) {
+      throw new HttpError(400, `${name} must be at most ${settings.maxPromptLength} characters`);
+    }
+  }
 }
 
-function json(res, data, status = 200) {
+// Take a request from a client's rate limit bucket, throwing a 429 when it's empty
+function takeToken(res, client) {
+  const rate = limiter.take(client);
+  if (settings.rateLimit) {
+    res.setHeader('X-RateLimit-Limit', limiter.limit);
+    res.setHeader('X-RateLimit-Remaining', rate.remaining);
+  }
+  if (!rate.allowed) {
+    throw new HttpError(429, 'Too many requests', { 'Retry-After': rate.retryAfter });
+  }
+}
+
+function json(res, data, status = 200, headers = {}) {
+  const payload = JSON.stringify(data);
   res.writeHead(status, {
     'Content-Type': 'application/json',
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Content-Length': Buffer.byteLength(payload),
+    ...headers,
   });
-  res.end(JSON.stringify(data));
+  res.end(payload);
 }
 
+// Routes for every operation with an HTTP binding, keyed "METHOD /path"
+const ROUTES = new Map(OPERATIONS.filter(op => op.http).map(op => [`${op.http.method} ${op.http.path}`, op]));
+
 async function handleRequest(req, res) {
   const url = new URL(req.url, `http://localhost:${PORT}`);
-  
+  const id = requestId(req);
+  const started = process.hrtime.bigint();
+  let client = req.socket.remoteAddress;
+
+  res.setHeader('X-Request-Id', id);
+  for (const [name, value] of Object.entries(corsHeaders(req.headers.origin, settings.corsOrigins))) {
+    res.setHeader(name, value);
+  }
+  if (shuttingDown) res.setHeader('Connection', 'close');
+
+  // Access log, once the response is sent
+  res.on('finish', () => {
+    log('info', 'request', {
+      requestId: id,
+      method: req.method,
+      path: url.pathname,
+      status: res.statusCode,
+      durationMs: Number((process.hrtime.bigint() - started) / 1000n) / 1000,
+      client,
+      userAgent: req.headers['user-agent'],
+    });
+  });
+
   // CORS preflight
   if (req.method === 'OPTIONS') {
-    res.writeHead(204, {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
-    });
+    res.writeHead(204);
     return res.end();
   }
 
   try {
-    // OpenAPI spec
-    if (url.pathname === '/api/openapi' && req.method === 'GET') {
-      const spec = readFileSync(join(__dirname, 'openapi.yaml'), 'utf-8');
-      res.writeHead(200, { 'Content-Type': 'text/yaml' });
-      return res.end(spec);
-    }
-
-    // Transform endpoint
-    if (url.pathname === '/api/transform' && req.method === 'POST') {
-      const body = await parseBody(req);
-      if (!body.prompt) {
-        return json(res, { error: 'prompt is required' }, 400);
-      }
-      const result = transformPrompt(body.prompt, {
-        style: body.style || 'film',
-        mood: body.mood || 'natural',
-        imperfectionLevel: body.imperfectionLevel || 'medium',
-      });
-      return json(res, {
-        original: result.original,
-        transformed: result.transformed,
-        originalScore: result.originalScore,
-        newScore: result.newScore,
-        improvement: result.improvement,
-      });
-    }
-
-    // Analyze endpoint
-    if (url.pathname === '/api/analyze' && req.method === 'POST') {
-      const body = await parseBody(req);
-      if (!body.prompt) {
-        return json(res, { error: 'prompt is required' }, 400);
+    if (!PUBLIC_PATHS.includes(url.pathname)) {
+      let key;
+      try {
+        key = authenticate(req, settings.apiKeys);
+      } catch (err) {
+        // A rejected key still costs the address a token, so keys can't be guessed at full speed
+        if (err instanceof HttpError && err.status === 401) takeToken(res, client);
+        throw err;
       }
-      const result = analyzePrompt(body.prompt);
-      return json(res, {
-        score: result.score,
-        badge: result.score >= 60 ? '🔴' : result.score >= 30 ? '🟡' : '🟢',
-        issues: result.issues.map(i => ({ name: i.name, severity: i.severity })),
-        realismIndicators: result.realismIndicators,
-      });
+      if (key) client = keyId(key);
+      takeToken(res, client);
     }
 
-    // Suggest endpoint
-    if (url.pathname === '/api/suggest' && req.method === 'POST') {
-      const body = await parseBody(req);
-      if (!body.prompt) {
-        return json(res, { error: 'prompt is required' }, 400);
-      }
-      return json(res, getSuggestions(body.prompt));
+    // OpenAPI spec, generated from the operation registry
+    if (url.pathname === '/api/openapi' && req.method === 'GET') {
+      const proto = req.headers['x-forwarded-proto'] || 'http';
+      return json(res, buildOpenApiSpec({ serverUrl: `${proto}://${req.headers.host || `localhost:${PORT}`}` }));
     }
 
-    // Modifiers endpoint
-    if (url.pathname === '/api/modifiers' && req.method === 'GET') {
-      return json(res, {
-        cameras: CAMERAS,
-        lenses: LENSES,
-        lighting: LIGHTING,
-        imperfections: IMPERFECTIONS,
-        humanDetails: HUMAN_DETAILS,
-        composition: COMPOSITION,
-      });
+    const operation = ROUTES.get(`${req.method} ${url.pathname}`);
+    if (operation) {
+      const body = req.method === 'POST' ? await parseBody(req) : {};
+      checkPromptLength(body);
+      return json(res, await runOperation(operation.name, body, { settings: config, rules }));
     }
 
     // Health check
@@ -134,17 +162,47 @@ async function handleRequest(req, res) {
     return json(res, { error: 'Not found' }, 404);
 
   } catch (err) {
-    return json(res, { error: err.message }, 500);
+    if (err instanceof HttpError) {
+      return json(res, { error: err.message, requestId: id }, err.status, err.headers);
+    }
+    if (err instanceof SchemaError && err.where === 'input') {
+      return json(res, { error: err.message, problems: err.problems, requestId: id }, 400);
+    }
+    // Details stay in the log; clients get the id to quote
+    log('error', 'unhandled error', { requestId: id, error: err.message, stack: err.stack });
+    return json(res, { error: 'Internal server error', requestId: id }, 500);
   }
 }
 
 const server = createServer(handleRequest);
 server.listen(PORT, () => {
-  console.log(`Image Humanizer API running on http://localhost:${PORT}`);
-  console.log('Endpoints:');
-  console.log('  POST /api/transform   - Transform a prompt');
-  console.log('  POST /api/analyze     - Analyze a prompt');
-  console.log('  POST /api/suggest     - Get suggestions');
-  console.log('  GET  /api/modifiers   - List modifiers');
-  console.log('  GET  /api/openapi     - OpenAPI spec');
+  log('info', 'listening', {
+    url: `http://localhost:${PORT}`,
+    endpoints: [...ROUTES.keys(), 'GET /api/openapi', 'GET /health'],
+    config: configPath || null,
+    rulePacks: rules.map(pack => pack.name),
+    auth: settings.apiKeys.length > 0,
+    corsOrigins: settings.corsOrigins,
+    rateLimit: settings.rateLimit ? `${settings.rateLimit}/min, burst ${settings.rateBurst}` : 'off',
+  });
 });
+
+// Stop taking connections, let in-flight requests finish, then exit
+function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  log('info', 'shutting down', { signal });
+  server.close(() => {
+    log('info', 'stopped');
+    process.exit(0);
+  });
+  // Node 18.2+; on older versions idle keep-alive sockets close on their own timeout
+  server.closeIdleConnections?.();
+  setTimeout(() => {
+    log('error', 'shutdown timed out', { timeoutMs: settings.shutdownTimeout });
+    process.exit(1);
+  }, settings.shutdownTimeout).unref();
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,332 @@
+#!/usr/bin/env node
+/**
+ * MCP conformance test
+ *
+ * Starts the server over stdio and drives it through a script of
+ * JSON-RPC exchanges: the handshake and version negotiation, errors for
+ * malformed input, batches, notifications, ping, logging, progress,
+ * cancellation, tools, resources and prompts. Prints one line per check
+ * and exits 1 if any fail.
+ *
+ *   node mcp-server/conformance.js
+ */
+
+import { spawn } from 'child_process';
+import { createInterface } from 'readline';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import assert from 'assert/strict';
+
+const SERVER = join(dirname(fileURLToPath(import.meta.url)), 'index.js');
+
+// How long to wait for a message before failing, and for one that shouldn't come
+const TIMEOUT = 5000;
+const QUIET = 300;
+
+/**
+ * Start a server and return helpers to talk to it
+ */
+function startServer() {
+  const child = spawn(process.execPath, [SERVER], { stdio: ['pipe', 'pipe', 'inherit'] });
+  const received = [];
+  let waiters = [];
+
+  createInterface({ input: child.stdout }).on('line', line => {
+    received.push(JSON.parse(line));
+    const pending = waiters;
+    waiters = [];
+    pending.forEach(wake => wake());
+  });
+
+  // Resolve with the first unseen message matching `test`, removing it
+  function take(test, timeout) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => resolve(undefined), timeout);
+      const look = () => {
+        const index = received.findIndex(test);
+        if (index === -1) {
+          waiters.push(look);
+          return;
+        }
+        clearTimeout(timer);
+        resolve(received.splice(index, 1)[0]);
+      };
+      look();
+    });
+  }
+
+  return {
+    send(message) {
+      child.stdin.write(`${typeof message === 'string' ? message : JSON.stringify(message)}\n`);
+    },
+    async next(test, what) {
+      const message = await take(test, TIMEOUT);
+      assert.ok(message, `no ${what} within ${TIMEOUT}ms`);
+      return message;
+    },
+    // The response to request `id`
+    response(id) {
+      return this.next(m => !Array.isArray(m) && m.id === id && !m.method, `response to ${JSON.stringify(id)}`);
+    },
+    // Fails if a matching message arrives within QUIET ms
+    async none(test, what) {
+      const message = await take(test, QUIET);
+      assert.equal(message, undefined, `unexpected ${what}: ${JSON.stringify(message)}`);
+    },
+    drain() {
+      return received.splice(0);
+    },
+    close() {
+      child.stdin.end();
+      return new Promise(resolve => child.on('exit', resolve));
+    },
+  };
+}
+
+function request(id, method, params) {
+  return { jsonrpc: '2.0', id, method, ...(params ? { params } : {}) };
+}
+
+function notification(method, params) {
+  return { jsonrpc: '2.0', method, ...(params ? { params } : {}) };
+}
+
+async function initialize(server, protocolVersion = '2025-06-18') {
+  server.send(request('init', 'initialize', {
+    protocolVersion,
+    capabilities: {},
+    clientInfo: { name: 'conformance', version: '1.0.0' },
+  }));
+  const response = await server.response('init');
+  server.send(notification('notifications/initialized'));
+  return response;
+}
+
+const checks = [];
+function check(name, run) {
+  checks.push({ name, run });
+}
+
+check('rejects requests before initialize, but answers ping', async server => {
+  server.send(request(1, 'tools/list'));
+  assert.equal((await server.response(1)).error.code, -32600);
+  server.send(request(2, 'ping'));
+  assert.deepEqual((await server.response(2)).result, {});
+});
+
+check('negotiates a supported protocol version', async server => {
+  const { result } = await initialize(server, '2025-03-26');
+  assert.equal(result.protocolVersion, '2025-03-26');
+  assert.equal(result.serverInfo.name, 'image-humanizer');
+  for (const capability of ['tools', 'resources', 'prompts', 'logging']) {
+    assert.ok(result.capabilities[capability], `missing ${capability} capability`);
+  }
+});
+
+check('offers its latest version for an unknown one', async server => {
+  const { result } = await initialize(server, '1999-01-01');
+  assert.equal(result.protocolVersion, '2025-06-18');
+});
+
+check('returns a parse error for malformed JSON', async server => {
+  server.send('{"jsonrpc": "2.0", "id": 1, "method": ');
+  const response = await server.next(m => m.error?.code === -32700, 'parse error');
+  assert.equal(response.id, null);
+});
+
+check('returns invalid request for a message without a method', async server => {
+  await initialize(server);
+  server.send({ jsonrpc: '2.0', id: 7 });
+  assert.equal((await server.response(7)).error.code, -32600);
+  server.send({ id: 8, method: 'ping' });
+  assert.equal((await server.response(8)).error.code, -32600);
+});
+
+check('returns method not found for an unknown method', async server => {
+  await initialize(server);
+  server.send(request(1, 'tools/destroy'));
+  assert.equal((await server.response(1)).error.code, -32601);
+});
+
+check('never answers notifications, known or unknown', async server => {
+  await initialize(server);
+  server.drain();
+  server.send(notification('notifications/initialized'));
+  server.send(notification('notifications/something-new', { x: 1 }));
+  server.send(notification('tools/list'));
+  await server.none(() => true, 'reply to a notification');
+});
+
+check('answers ping', async server => {
+  await initialize(server);
+  server.send(request('p', 'ping'));
+  assert.deepEqual((await server.response('p')).result, {});
+});
+
+check('handles batches, leaving out notifications', async server => {
+  await initialize(server);
+  server.send([request(1, 'ping'), notification('notifications/initialized'), request(2, 'tools/list')]);
+  const batch = await server.next(Array.isArray, 'batch response');
+  assert.deepEqual(batch.map(r => r.id).sort(), [1, 2]);
+  assert.ok(batch.find(r => r.id === 2).result.tools.length);
+});
+
+check('rejects an empty batch', async server => {
+  await initialize(server);
+  server.send([]);
+  const response = await server.next(m => m.error?.code === -32600, 'invalid request');
+  assert.equal(response.id, null);
+});
+
+check('lists tools with input and output schemas', async server => {
+  await initialize(server);
+  server.send(request(1, 'tools/list'));
+  const { tools } = (await server.response(1)).result;
+  assert.deepEqual(tools.map(t => t.name).sort(), ['analyze', 'batch', 'compare', 'modifiers', 'suggest', 'transform']);
+  for (const tool of tools) {
+    assert.equal(tool.inputSchema.type, 'object');
+    assert.equal(tool.outputSchema.type, 'object');
+  }
+});
+
+check('leaves out output schemas for 2024-11-05 clients', async server => {
+  await initialize(server, '2024-11-05');
+  server.send(request(1, 'tools/list'));
+  const { tools } = (await server.response(1)).result;
+  assert.ok(tools.every(t => !t.outputSchema));
+});
+
+check('calls a tool, returning text and structured content', async server => {
+  await initialize(server);
+  server.send(request(1, 'tools/call', { name: 'analyze', arguments: { prompt: 'beautiful woman, 8k' } }));
+  const { result } = await server.response(1);
+  assert.notEqual(result.isError, true);
+  assert.equal(typeof result.structuredContent.score, 'number');
+  assert.deepEqual(JSON.parse(result.content[0].text), result.structuredContent);
+});
+
+check('returns bad tool arguments as an isError result', async server => {
+  await initialize(server);
+  server.send(request(1, 'tools/call', { name: 'transform', arguments: { prompt: 'a dog', variants: 99, colour: 'red' } }));
+  const { result } = await server.response(1);
+  assert.equal(result.isError, true);
+  assert.deepEqual(result.structuredContent.problems, ['variants must be an integer from 1 to 10', 'colour is not a known field']);
+  assert.match(result.content[0].text, /variants/);
+});
+
+check('returns invalid params for an unknown tool', async server => {
+  await initialize(server);
+  server.send(request(1, 'tools/call', { name: 'paint', arguments: {} }));
+  assert.equal((await server.response(1)).error.code, -32602);
+});
+
+check('sends progress for a request with a progress token', async server => {
+  await initialize(server);
+  server.send(request(1, 'tools/call', { name: 'transform', arguments: { prompt: 'a dog' }, _meta: { progressToken: 'job-1' } }));
+  await server.response(1);
+  const updates = server.drain()
+    .filter(m => m.method === 'notifications/progress')
+    .map(m => m.params);
+  assert.ok(updates.length >= 1, 'no progress notifications');
+  assert.ok(updates.every(p => p.progressToken === 'job-1'));
+  assert.ok(updates.every((p, i) => i === 0 || p.progress > updates[i - 1].progress), 'progress must increase');
+});
+
+check('reports progress per item for a batch', async server => {
+  await initialize(server);
+  const items = ['a dog', 'a cat', 'a horse'].map((prompt, id) => ({ id, prompt }));
+  server.send(request(1, 'tools/call', { name: 'batch', arguments: { operation: 'analyze', items }, _meta: { progressToken: 'b' } }));
+  const { result } = await server.response(1);
+  assert.deepEqual(result.structuredContent.summary, { total: 3, succeeded: 3, failed: 0 });
+  const totals = server.drain()
+    .filter(m => m.method === 'notifications/progress')
+    .map(m => m.params.total);
+  assert.equal(totals.filter(total => total === 3).length, 3);
+});
+
+check('drops the response to a cancelled request', async server => {
+  await initialize(server);
+  server.send(request('slow', 'tools/call', { name: 'transform', arguments: { prompt: 'a dog', variants: 5 } }));
+  server.send(notification('notifications/cancelled', { requestId: 'slow', reason: 'user pressed stop' }));
+  server.send(request('after', 'ping'));
+  await server.response('after');
+  await server.none(m => m.id === 'slow', 'response to the cancelled request');
+});
+
+check('ignores cancellation of an unknown request', async server => {
+  await initialize(server);
+  server.send(notification('notifications/cancelled', { requestId: 'never-sent' }));
+  server.send(request(1, 'ping'));
+  assert.deepEqual((await server.response(1)).result, {});
+});
+
+check('sets the log level and sends log messages at or above it', async server => {
+  await initialize(server);
+  server.send(request(1, 'logging/setLevel', { level: 'debug' }));
+  assert.deepEqual((await server.response(1)).result, {});
+  server.send(request(2, 'tools/call', { name: 'analyze', arguments: { prompt: 'a dog' } }));
+  const log = await server.next(m => m.method === 'notifications/message', 'log message');
+  assert.equal(log.params.level, 'debug');
+  assert.equal(log.params.data.tool, 'analyze');
+
+  server.send(request(3, 'logging/setLevel', { level: 'error' }));
+  await server.response(3);
+  server.drain();
+  server.send(request(4, 'tools/call', { name: 'analyze', arguments: { prompt: 'a dog' } }));
+  await server.response(4);
+  await server.none(m => m.method === 'notifications/message', 'debug log at level error');
+});
+
+check('rejects an unknown log level', async server => {
+  await initialize(server);
+  server.send(request(1, 'logging/setLevel', { level: 'chatty' }));
+  assert.equal((await server.response(1)).error.code, -32602);
+});
+
+check('lists and reads resources', async server => {
+  await initialize(server);
+  server.send(request(1, 'resources/list'));
+  const { resources } = (await server.response(1)).result;
+  assert.ok(resources.some(r => r.uri === 'image-humanizer://rules'));
+  server.send(request(2, 'resources/read', { uri: 'image-humanizer://modifiers/lighting' }));
+  const [content] = (await server.response(2)).result.contents;
+  assert.equal(content.mimeType, 'application/json');
+  assert.ok(JSON.parse(content.text).natural.length);
+});
+
+check('returns resource not found for an unknown URI', async server => {
+  await initialize(server);
+  server.send(request(1, 'resources/read', { uri: 'image-humanizer://nothing' }));
+  assert.equal((await server.response(1)).error.code, -32002);
+});
+
+check('lists and fills prompts', async server => {
+  await initialize(server);
+  server.send(request(1, 'prompts/list'));
+  const { prompts } = (await server.response(1)).result;
+  assert.ok(prompts.some(p => p.name === 'critique-my-prompt'));
+  server.send(request(2, 'prompts/get', { name: 'critique-my-prompt', arguments: { prompt: 'beautiful woman, 8k' } }));
+  const { messages } = (await server.response(2)).result;
+  assert.equal(messages[0].role, 'user');
+  assert.match(messages[0].content.text, /beautiful woman, 8k/);
+  server.send(request(3, 'prompts/get', { name: 'critique-my-prompt', arguments: {} }));
+  assert.equal((await server.response(3)).error.code, -32602);
+});
+
+// Each check gets a fresh server
+let failed = 0;
+for (const { name, run } of checks) {
+  const server = startServer();
+  try {
+    await run(server);
+    console.log(`  ✔ ${name}`);
+  } catch (err) {
+    failed++;
+    console.log(`  ✖ ${name}\n      ${err.message.split('\n').join('\n      ')}`);
+  } finally {
+    await server.close();
+  }
+}
+
+console.log(`\n${checks.length - failed}/${checks.length} checks passed`);
+process.exitCode = failed ? 1 : 0;
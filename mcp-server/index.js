@@ -3,18 +3,15 @@
  * Image Humanizer MCP Server
  * 
  * Model Context Protocol server for Claude Desktop, VS Code, and other MCP clients.
- * Provides tools for transforming AI image prompts into realistic ones.
+ * Provides tools for transforming AI image prompts into realistic ones, the
+ * modifier libraries and rule catalogue as resources (resources.js), and
+ * prompt templates (prompts.js). The protocol itself is in protocol.js; this
+ * file loads settings and connects it to stdio.
  */
 
-import { transformPrompt, analyzePrompt, getSuggestions } from '../src/index.js';
-import {
-  CAMERAS,
-  LENSES,
-  LIGHTING,
-  IMPERFECTIONS,
-  HUMAN_DETAILS,
-  COMPOSITION,
-} from '../src/modifiers.js';
+import { createInterface } from 'readline';
+import { loadRulePacks, resolveConfig } from '../src/index.js';
+import { createMcpServer } from './protocol.js';
 
 const SERVER_INFO = {
   name: 'image-humanizer',
@@ -22,172 +19,24 @@ const SERVER_INFO = {
   description: 'Transform generic AI image prompts into realistic, photography-grounded ones',
 };
 
-const TOOLS = [
-  {
-    name: 'transform',
-    description: 'Transform a generic AI prompt into a realistic, photography-grounded one. Returns before/after with scores.',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        prompt: { type: 'string', description: 'The image prompt to transform' },
-        style: { type: 'string', enum: ['film', 'digital', 'phone'], default: 'film', description: 'Photography style' },
-        mood: { type: 'string', enum: ['natural', 'moody', 'harsh'], default: 'natural', description: 'Lighting mood' },
-        imperfectionLevel: { type: 'string', enum: ['low', 'medium', 'high'], default: 'medium', description: 'How many imperfections to add' },
-      },
-      required: ['prompt'],
-    },
-  },
-  {
-    name: 'analyze',
-    description: 'Analyze a prompt for AI-prone patterns without transforming it. Returns score and issues.',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        prompt: { type: 'string', description: 'The image prompt to analyze' },
-      },
-      required: ['prompt'],
-    },
-  },
-  {
-    name: 'suggest',
-    description: 'Get suggestions for improving a prompt without auto-transforming.',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        prompt: { type: 'string', description: 'The image prompt to get suggestions for' },
-      },
-      required: ['prompt'],
-    },
-  },
-  {
-    name: 'modifiers',
-    description: 'List all available realism modifiers by category.',
-    inputSchema: {
-      type: 'object',
-      properties: {},
-    },
-  },
-];
-
-function handleTool(name, args) {
-  switch (name) {
-    case 'transform': {
-      const result = transformPrompt(args.prompt, {
-        style: args.style || 'film',
-        mood: args.mood || 'natural',
-        imperfectionLevel: args.imperfectionLevel || 'medium',
-      });
-      return {
-        original: result.original,
-        transformed: result.transformed,
-        originalScore: result.originalScore,
-        newScore: result.newScore,
-        improvement: result.improvement,
-        modifiersAdded: result.modifiersAdded,
-      };
-    }
-    
-    case 'analyze': {
-      const result = analyzePrompt(args.prompt);
-      return {
-        score: result.score,
-        badge: result.score >= 60 ? '🔴' : result.score >= 30 ? '🟡' : '🟢',
-        issues: result.issues.map(i => ({
-          name: i.name,
-          severity: i.severity,
-          found: i.found,
-        })),
-        realismIndicators: result.realismIndicators,
-      };
-    }
-    
-    case 'suggest': {
-      return getSuggestions(args.prompt);
-    }
-    
-    case 'modifiers': {
-      return {
-        cameras: { film: CAMERAS.film, modern: CAMERAS.modern, vintage: CAMERAS.vintage },
-        lenses: LENSES,
-        lighting: LIGHTING,
-        imperfections: IMPERFECTIONS,
-        humanDetails: HUMAN_DETAILS,
-        composition: COMPOSITION,
-      };
-    }
-    
-    default:
-      throw new Error(`Unknown tool: ${name}`);
-  }
-}
-
-// MCP stdio transport
-async function main() {
-  const readline = await import('readline');
-  
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-    terminal: false,
-  });
-
-  function send(msg) {
-    process.stdout.write(JSON.stringify(msg) + '\n');
-  }
-
-  rl.on('line', (line) => {
-    try {
-      const msg = JSON.parse(line);
-      
-      if (msg.method === 'initialize') {
-        send({
-          jsonrpc: '2.0',
-          id: msg.id,
-          result: {
-            protocolVersion: '2024-11-05',
-            serverInfo: SERVER_INFO,
-            capabilities: {
-              tools: {},
-            },
-          },
-        });
-      } else if (msg.method === 'tools/list') {
-        send({
-          jsonrpc: '2.0',
-          id: msg.id,
-          result: { tools: TOOLS },
-        });
-      } else if (msg.method === 'tools/call') {
-        const { name, arguments: args } = msg.params;
-        try {
-          const result = handleTool(name, args || {});
-          send({
-            jsonrpc: '2.0',
-            id: msg.id,
-            result: {
-              content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
-            },
-          });
-        } catch (err) {
-          send({
-            jsonrpc: '2.0',
-            id: msg.id,
-            error: { code: -32000, message: err.message },
-          });
-        }
-      } else if (msg.method === 'notifications/initialized') {
-        // Acknowledgement, no response needed
-      } else {
-        send({
-          jsonrpc: '2.0',
-          id: msg.id,
-          error: { code: -32601, message: `Method not found: ${msg.method}` },
-        });
-      }
-    } catch (err) {
-      // Parse error, ignore malformed lines
-    }
-  });
-}
-
-main().catch(console.error);
+// Defaults from the project config file (IMAGE_HUMANIZER_CONFIG, else searched from cwd)
+const { settings: config } = await resolveConfig({ path: process.env.IMAGE_HUMANIZER_CONFIG });
+
+// Custom rule packs: the config file's plus IMAGE_HUMANIZER_RULES (comma-separated paths)
+const rules = await loadRulePacks([
+  ...config.rules,
+  ...(process.env.IMAGE_HUMANIZER_RULES || '').split(','),
+]);
+
+// MCP stdio transport: one JSON-RPC message (or batch) per line
+const server = createMcpServer({
+  serverInfo: SERVER_INFO,
+  context: { settings: config, rules },
+  send: msg => process.stdout.write(JSON.stringify(msg) + '\n'),
+  instructions: 'Use transform to rewrite an image prompt so it renders like a real photograph, analyze to score one for AI-prone patterns, and the image-humanizer:// resources to browse cameras, lighting, imperfections and the rules.',
+});
+
+const rl = createInterface({ input: process.stdin, terminal: false });
+rl.on('line', line => {
+  server.handleLine(line).catch(err => console.error(err));
+});
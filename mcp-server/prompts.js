@@ -0,0 +1,113 @@
+/**
+ * prompts.js — MCP prompt templates
+ *
+ * Prompts clients can offer as slash commands. Each runs an operation on
+ * the user's prompt and hands the result to the assistant with
+ * instructions, so the conversation starts from the humanizer's output
+ * instead of a tool call.
+ */
+
+import { runOperation } from '../src/index.js';
+
+// Each change from a transform's operation log, one per line
+function describeChanges(operations) {
+  return operations.map(op => {
+    if (op.type === 'remove') return `- removed "${op.text}" (${op.rule})`;
+    if (op.type === 'rewrite') return `- rewrote "${op.original}" as "${op.replacement}" (${op.rule})`;
+    return `- added "${op.text}" (${op.category})`;
+  }).join('\n');
+}
+
+function humanizeFor(target, generator, extra = () => '') {
+  return (args, context) => {
+    const result = runOperation('transform', {
+      prompt: args.prompt,
+      target,
+      ...(args.style ? { style: args.style } : {}),
+      ...(args.preset ? { preset: args.preset } : {}),
+    }, context);
+    return `Help me make this image prompt look like a real photograph in ${generator}:
+
+"${result.original}"
+
+image-humanizer rewrote it (AI-prone score ${result.originalScore} → ${result.newScore}/100, seed ${result.seed}):
+
+${result.transformed}
+${extra(result)}
+Changes:
+${describeChanges(result.operations)}
+
+Check the rewrite still matches what I asked for, adjust anything that doesn't, and give me the final prompt to paste into ${generator}.`;
+  };
+}
+
+const PROMPT_ARGUMENT = { name: 'prompt', description: 'The image prompt', required: true };
+const STYLE_ARGUMENT = { name: 'style', description: 'Photography style: film, digital or phone', required: false };
+const PRESET_ARGUMENT = { name: 'preset', description: 'Preset look, e.g. surveillance-camera or family-album-photo', required: false };
+
+export const PROMPTS = [
+  {
+    name: 'humanize-for-midjourney',
+    description: 'Rewrite an image prompt as a realistic photo for Midjourney, with native parameters',
+    arguments: [PROMPT_ARGUMENT, STYLE_ARGUMENT, PRESET_ARGUMENT],
+    build: humanizeFor('midjourney', 'Midjourney'),
+  },
+  {
+    name: 'humanize-for-stable-diffusion',
+    description: 'Rewrite an image prompt as a realistic photo for Stable Diffusion, with a negative prompt',
+    arguments: [PROMPT_ARGUMENT, STYLE_ARGUMENT, PRESET_ARGUMENT],
+    build: humanizeFor('stable-diffusion', 'Stable Diffusion', result => `
+Negative prompt:
+
+${result.negativePrompt}
+`),
+  },
+  {
+    name: 'critique-my-prompt',
+    description: 'Explain what makes an image prompt look AI-generated and how to fix it',
+    arguments: [PROMPT_ARGUMENT],
+    build(args, context) {
+      const analysis = runOperation('analyze', { prompt: args.prompt }, context);
+      const issues = analysis.issues.map(issue => {
+        const found = issue.spans.length ? ` Triggered by ${issue.spans.map(s => `"${s.text}"`).join(', ')}.` : '';
+        const about = issue.description ? ` ${issue.description.replace(/\.$/, '')}.` : '';
+        const fix = issue.suggestion ? ` Fix: ${issue.suggestion}` : '';
+        return `- ${issue.name} (+${issue.points}):${about}${found}${fix}`;
+      });
+      return `Critique this image prompt for realism:
+
+"${args.prompt}"
+
+image-humanizer's verdict (0-100, higher = more AI-prone): ${analysis.badge} ${analysis.explanation}
+
+${issues.length ? `Issues:\n${issues.join('\n')}` : 'It found no issues.'}
+
+Explain which of these matter most for the image I want, and suggest a rewrite that fixes them without changing the subject.`;
+    },
+  },
+];
+
+/**
+ * Prompt descriptions for prompts/list
+ */
+export function listPrompts() {
+  return PROMPTS.map(({ name, description, arguments: args }) => ({ name, description, arguments: args }));
+}
+
+/**
+ * Messages for prompts/get. Throws for an unknown prompt or a missing
+ * required argument.
+ */
+export function getPrompt(name, args = {}, context = {}) {
+  const prompt = PROMPTS.find(p => p.name === name);
+  if (!prompt) throw new Error(`Unknown prompt: ${name}`);
+  const missing = prompt.arguments.filter(arg => arg.required && !args[arg.name]).map(arg => arg.name);
+  if (missing.length) throw new Error(`Missing required argument${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`);
+
+  return {
+    description: prompt.description,
+    messages: [{ role: 'user', content: { type: 'text', text: prompt.build(args, context) } }],
+  };
+}
+
+export default { PROMPTS, listPrompts, getPrompt };
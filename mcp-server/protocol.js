@@ -0,0 +1,311 @@
+/**
+ * protocol.js — MCP over JSON-RPC 2.0
+ *
+ * Everything between a line of input and a line of output: parsing,
+ * batches, the initialize handshake and version negotiation, request
+ * routing, cancellation, progress and log notifications. The transport
+ * (index.js) only feeds lines in and writes messages out.
+ *
+ * Tool failures (bad arguments, a handler throwing) come back as
+ * `isError` results with structured content, as MCP asks, so the model
+ * can see and fix them; protocol errors (unknown method or tool, bad
+ * params) are JSON-RPC errors.
+ */
+
+import { OPERATIONS, SchemaError, runOperation } from '../src/index.js';
+import { listResources, readResource } from './resources.js';
+import { listPrompts, getPrompt } from './prompts.js';
+
+// Newest first; the first is offered when the client asks for one we don't know
+export const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// RFC 5424 levels, as used by logging/setLevel
+export const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+export const ERROR_CODES = {
+  parseError: -32700,
+  invalidRequest: -32600,
+  methodNotFound: -32601,
+  invalidParams: -32602,
+  internalError: -32603,
+  resourceNotFound: -32002,
+};
+
+// Methods a client may call before the handshake
+const PRE_INIT_METHODS = ['initialize', 'ping'];
+
+export class RpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'RpcError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+function errorResponse(id, code, message, data) {
+  return { jsonrpc: '2.0', id, error: { code, message, ...(data !== undefined ? { data } : {}) } };
+}
+
+function isRequestId(id) {
+  return typeof id === 'string' || (typeof id === 'number' && Number.isFinite(id));
+}
+
+// Let queued messages (such as a cancellation) run before starting work
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Create a protocol handler
+ *
+ * `send` writes one message (or a batch array). `context` is passed to
+ * operations (settings and rule packs).
+ */
+export function createMcpServer({ serverInfo, context = {}, send, instructions }) {
+  const inFlight = new Map();
+  let protocolVersion = null;
+  let logLevel = 'info';
+
+  function notify(method, params) {
+    send({ jsonrpc: '2.0', method, params });
+  }
+
+  /**
+   * Send a log message to the client, if it's at or above the set level
+   */
+  function log(level, data) {
+    if (!protocolVersion || LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(logLevel)) return;
+    notify('notifications/message', { level, logger: serverInfo.name, data });
+  }
+
+  // Progress notifications for a request's token; a no-op without one
+  function progressReporter(token) {
+    if (token === undefined) return () => {};
+    let last = -Infinity;
+    return (progress, total, message) => {
+      if (progress <= last) return;
+      last = progress;
+      notify('notifications/progress', {
+        progressToken: token,
+        progress,
+        ...(total !== undefined ? { total } : {}),
+        ...(message && protocolVersion !== '2024-11-05' ? { message } : {}),
+      });
+    };
+  }
+
+  // Output schemas and structured results arrived in 2025-06-18
+  const structured = () => protocolVersion === PROTOCOL_VERSIONS[0];
+
+  function toolResult(output) {
+    return {
+      content: [{ type: 'text', text: JSON.stringify(output, null, 2) }],
+      structuredContent: output,
+    };
+  }
+
+  function toolError(message, problems) {
+    return {
+      content: [{ type: 'text', text: message }],
+      structuredContent: { error: message, ...(problems ? { problems } : {}) },
+      isError: true,
+    };
+  }
+
+  const methods = {
+    initialize(params) {
+      const requested = params.protocolVersion;
+      protocolVersion = PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0];
+      return {
+        protocolVersion,
+        serverInfo,
+        capabilities: {
+          tools: {},
+          resources: {},
+          prompts: {},
+          logging: {},
+        },
+        ...(instructions ? { instructions } : {}),
+      };
+    },
+
+    ping() {
+      return {};
+    },
+
+    'logging/setLevel'(params) {
+      if (!LOG_LEVELS.includes(params.level)) {
+        throw new RpcError(ERROR_CODES.invalidParams, `level must be one of: ${LOG_LEVELS.join(', ')}`);
+      }
+      logLevel = params.level;
+      return {};
+    },
+
+    'tools/list'() {
+      return {
+        tools: OPERATIONS.map(op => ({
+          name: op.name,
+          description: op.description,
+          inputSchema: op.input,
+          ...(structured() ? { outputSchema: op.output } : {}),
+        })),
+      };
+    },
+
+    async 'tools/call'(params, { signal, progress }) {
+      if (typeof params.name !== 'string') {
+        throw new RpcError(ERROR_CODES.invalidParams, 'name is required');
+      }
+      if (!OPERATIONS.some(op => op.name === params.name)) {
+        throw new RpcError(ERROR_CODES.invalidParams, `Unknown tool: ${params.name}`);
+      }
+
+      progress(0, 1, `Running ${params.name}`);
+      await nextTick();
+      signal.throwIfAborted();
+
+      const started = Date.now();
+      try {
+        const output = await runOperation(params.name, params.arguments ?? {}, { ...context, signal, progress });
+        log('debug', { tool: params.name, durationMs: Date.now() - started });
+        progress(1, 1, 'Done');
+        return toolResult(output);
+      } catch (err) {
+        if (signal.aborted) throw err;
+        if (err instanceof SchemaError && err.where === 'input') {
+          return toolError(`Invalid arguments: ${err.message}`, err.problems);
+        }
+        log('error', { tool: params.name, error: err.message });
+        return toolError(`${params.name} failed: ${err.message}`);
+      }
+    },
+
+    'resources/list'() {
+      return { resources: listResources() };
+    },
+
+    'resources/templates/list'() {
+      return { resourceTemplates: [] };
+    },
+
+    'resources/read'(params) {
+      if (typeof params.uri !== 'string') {
+        throw new RpcError(ERROR_CODES.invalidParams, 'uri is required');
+      }
+      const contents = readResource(params.uri, context);
+      if (!contents) {
+        throw new RpcError(ERROR_CODES.resourceNotFound, `Resource not found: ${params.uri}`, { uri: params.uri });
+      }
+      return { contents };
+    },
+
+    'prompts/list'() {
+      return { prompts: listPrompts() };
+    },
+
+    'prompts/get'(params) {
+      try {
+        return getPrompt(params.name, params.arguments ?? {}, context);
+      } catch (err) {
+        throw new RpcError(ERROR_CODES.invalidParams, err.message);
+      }
+    },
+  };
+
+  function handleNotification(method, params) {
+    if (method === 'notifications/cancelled') {
+      inFlight.get(params?.requestId)?.abort(params?.reason);
+    }
+    // notifications/initialized and anything unknown need nothing; never answer a notification
+  }
+
+  /**
+   * Handle one message, resolving to its response (or null for none)
+   */
+  async function handleMessage(msg) {
+    if (!msg || typeof msg !== 'object' || Array.isArray(msg)) {
+      return errorResponse(null, ERROR_CODES.invalidRequest, 'Invalid Request');
+    }
+    const hasId = 'id' in msg;
+    if (msg.jsonrpc !== '2.0' || typeof msg.method !== 'string') {
+      // Responses to requests we never send are dropped
+      if (hasId && ('result' in msg || 'error' in msg) && msg.method === undefined) return null;
+      return errorResponse(hasId && isRequestId(msg.id) ? msg.id : null, ERROR_CODES.invalidRequest, 'Invalid Request');
+    }
+    if (!hasId) {
+      handleNotification(msg.method, msg.params);
+      return null;
+    }
+    if (!isRequestId(msg.id)) {
+      return errorResponse(null, ERROR_CODES.invalidRequest, 'Invalid Request: id must be a string or number');
+    }
+
+    const { id, method } = msg;
+    const params = msg.params ?? {};
+    if (typeof params !== 'object' || Array.isArray(params)) {
+      return errorResponse(id, ERROR_CODES.invalidParams, 'params must be an object');
+    }
+    if (!protocolVersion && !PRE_INIT_METHODS.includes(method)) {
+      return errorResponse(id, ERROR_CODES.invalidRequest, 'Server not initialized');
+    }
+    if (!Object.hasOwn(methods, method)) {
+      return errorResponse(id, ERROR_CODES.methodNotFound, `Method not found: ${method}`);
+    }
+
+    const controller = new AbortController();
+    inFlight.set(id, controller);
+    try {
+      const result = await methods[method](params, {
+        signal: controller.signal,
+        progress: progressReporter(params._meta?.progressToken),
+      });
+      return controller.signal.aborted ? null : { jsonrpc: '2.0', id, result };
+    } catch (err) {
+      // A cancelled request gets no response
+      if (controller.signal.aborted) return null;
+      if (err instanceof RpcError) return errorResponse(id, err.code, err.message, err.data);
+      log('error', { method, error: err.message });
+      return errorResponse(id, ERROR_CODES.internalError, 'Internal error');
+    } finally {
+      inFlight.delete(id);
+    }
+  }
+
+  /**
+   * Handle one line of input: a message or a batch of them
+   */
+  async function handleLine(line) {
+    if (!line.trim()) return;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(line);
+    } catch {
+      send(errorResponse(null, ERROR_CODES.parseError, 'Parse error'));
+      return;
+    }
+
+    if (Array.isArray(parsed)) {
+      if (!parsed.length) {
+        send(errorResponse(null, ERROR_CODES.invalidRequest, 'Invalid Request: empty batch'));
+        return;
+      }
+      const responses = (await Promise.all(parsed.map(handleMessage))).filter(Boolean);
+      if (responses.length) send(responses);
+      return;
+    }
+
+    const response = await handleMessage(parsed);
+    if (response) send(response);
+  }
+
+  return {
+    handleLine,
+    handleMessage,
+    log,
+    get protocolVersion() {
+      return protocolVersion;
+    },
+  };
+}
+
+export default { PROTOCOL_VERSIONS, LOG_LEVELS, ERROR_CODES, RpcError, createMcpServer };
@@ -0,0 +1,112 @@
+/**
+ * resources.js — MCP resources: the modifier libraries and rule catalogue
+ *
+ * Lets assistants browse the vocabulary (cameras, lighting,
+ * imperfections…) and the rules prompts are checked against, without
+ * calling a tool. Every resource is JSON.
+ */
+
+import {
+  AI_PRONE_PATTERNS,
+  REALISM_INDICATORS,
+  runOperation,
+} from '../src/index.js';
+import { mergePatterns, resolveRulePacks } from '../src/rules.js';
+
+const SCHEME = 'image-humanizer://';
+
+// One resource per modifier library, keyed as in the modifiers operation
+const LIBRARIES = [
+  { key: 'cameras', name: 'Cameras and film', description: 'Camera and film stock records by category, with format, color, ISO, years available, artifacts and compatible lenses' },
+  { key: 'lenses', name: 'Lenses', description: 'Lens records with focal length, formats and the scene types they suit' },
+  { key: 'lighting', name: 'Lighting', description: 'Lighting descriptions by kind (natural, artificial, moody)' },
+  { key: 'imperfections', name: 'Imperfections', description: 'Imperfection records by category, with the formats and color modes they can occur in' },
+  { key: 'humanDetails', slug: 'human-details', name: 'Human details', description: 'Skin, hair and body details added when a person is in frame' },
+  { key: 'composition', name: 'Composition', description: 'Framing and composition terms by kind' },
+  { key: 'sceneDetails', slug: 'scene-details', name: 'Scene details', description: 'Details by scene type (portrait, food, street…)' },
+  { key: 'sceneComposition', slug: 'scene-composition', name: 'Scene composition', description: 'Framing by scene type' },
+  { key: 'styles', name: 'Styles', description: 'Photography styles such as documentary, paparazzi shot or family album photo' },
+  { key: 'presets', name: 'Presets', description: 'Named looks that bundle a style with camera, lens, lighting, composition, imperfections and aspect ratio, including any from the config file' },
+];
+
+// A rule as clients see it: how it matches, without functions
+function describeRule(rule, disabled) {
+  return {
+    id: rule.id,
+    name: rule.name,
+    description: rule.description,
+    category: rule.category || 'cliche',
+    weight: rule.weight,
+    suggestion: rule.suggestion,
+    ...(rule.regex ? { regex: rule.regex.source } : { detect: true }),
+    ...(rule.replacement !== undefined ? { replacement: rule.replacement } : {}),
+    ...(rule.pack ? { pack: rule.pack } : {}),
+    enabled: !disabled.has(rule.id),
+  };
+}
+
+/**
+ * The rule catalogue: issue patterns (built-in and from rule packs) and
+ * realism cues, with the config's disabled rules marked
+ */
+export function ruleCatalog({ settings = {}, rules = [] } = {}) {
+  const packs = resolveRulePacks(rules);
+  const disabled = new Set(settings.disabledRules || []);
+  return {
+    rules: mergePatterns(AI_PRONE_PATTERNS, packs).map(rule => describeRule(rule, disabled)),
+    realism: [...REALISM_INDICATORS, ...packs.flatMap(pack => pack.realism)].map(cue => ({
+      id: cue.id,
+      name: cue.name,
+      category: cue.category || 'technical',
+      weight: cue.weight,
+      regex: cue.regex.source,
+      ...(cue.pack ? { pack: cue.pack } : {}),
+    })),
+  };
+}
+
+export const RESOURCES = [
+  ...LIBRARIES.map(library => ({
+    uri: `${SCHEME}modifiers/${library.slug || library.key}`,
+    name: library.name,
+    description: library.description,
+    mimeType: 'application/json',
+    read: context => runOperation('modifiers', {}, context)[library.key],
+  })),
+  {
+    uri: `${SCHEME}modifiers`,
+    name: 'All modifiers',
+    description: 'Every modifier library in one document',
+    mimeType: 'application/json',
+    read: context => runOperation('modifiers', {}, context),
+  },
+  {
+    uri: `${SCHEME}rules`,
+    name: 'Rule catalogue',
+    description: 'The AI-prone patterns prompts are checked for, with weights, categories and suggestions, plus the realism cues that offset them',
+    mimeType: 'application/json',
+    read: context => ruleCatalog(context),
+  },
+];
+
+/**
+ * Resource descriptions for resources/list
+ */
+export function listResources() {
+  return RESOURCES.map(({ uri, name, description, mimeType }) => ({ uri, name, description, mimeType }));
+}
+
+/**
+ * Contents of one resource for resources/read, or null for an unknown URI
+ */
+export function readResource(uri, context) {
+  const resource = RESOURCES.find(r => r.uri === uri);
+  if (!resource) return null;
+  return [{
+    uri,
+    mimeType: resource.mimeType,
+    text: JSON.stringify(resource.read(context), null, 2),
+  }];
+}
+
+export default { RESOURCES, ruleCatalog, listResources, readResource };
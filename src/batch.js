@@ -0,0 +1,360 @@
+/**
+ * batch.js — Batch processing of prompt files
+ *
+ * Reads prompts from text (one per line), CSV or JSONL sources, runs
+ * transform/analyze/suggest over each one through the registry's batch
+ * operation, and serializes the results as JSONL or CSV with the input
+ * ids preserved.
+ */
+
+import { readFileSync, readdirSync, statSync, existsSync } from 'fs';
+import { join, relative, resolve, extname, sep } from 'path';
+import { MAX_BATCH_ITEMS, MAX_BATCH_WORK, batchItemWork, runOperation } from './operations.js';
+
+export const INPUT_FORMATS = ['txt', 'csv', 'jsonl'];
+export const OUTPUT_FORMATS = ['jsonl', 'csv'];
+
+/**
+ * Guess an input format from a file extension
+ */
+export function detectFormat(path) {
+  const ext = extname(path || '').toLowerCase();
+  if (ext === '.csv') return 'csv';
+  if (ext === '.jsonl' || ext === '.ndjson') return 'jsonl';
+  return 'txt';
+}
+
+/**
+ * Parse CSV text into rows (RFC 4180 quoting): { fields, line }
+ *
+ * `line` is the 1-based source line the row starts on, so it stays right
+ * when a quoted field spans lines or blank rows are skipped.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '\n' || (ch === '\r' && text[i + 1] !== '\n')) line++;
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') {
+        i++;
+        line++;
+      }
+      row.push(field);
+      rows.push({ fields: row, line: rowLine });
+      row = [];
+      field = '';
+      rowLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push({ fields: row, line: rowLine });
+  }
+
+  return rows.filter(r => r.fields.some(f => f.trim()));
+}
+
+/**
+ * Quote a value for CSV output
+ */
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Turn source text into prompt records: { id, prompt, source, line }
+ *
+ * Options:
+ *   format    txt, csv or jsonl
+ *   column    CSV column / JSONL field holding the prompt (default "prompt")
+ *   idColumn  CSV column / JSONL field holding the id (default "id")
+ *   source    label recorded on each record (file path or "stdin")
+ *
+ * Records that can't be read carry an `error` instead of a prompt.
+ */
+export function parsePromptRecords(text, options = {}) {
+  const {
+    format = 'txt',
+    column = 'prompt',
+    idColumn = 'id',
+    source = 'stdin',
+  } = options;
+
+  if (format === 'csv') {
+    const [header = { fields: [] }, ...rows] = parseCsv(text);
+    const names = header.fields.map(h => h.trim());
+    const promptIndex = names.indexOf(column);
+    const idIndex = names.indexOf(idColumn);
+    if (promptIndex === -1) {
+      throw new Error(`${source}: no "${column}" column (found: ${names.join(', ')})`);
+    }
+    return rows.map(({ fields, line }, i) => ({
+      id: idIndex === -1 ? String(i + 1) : fields[idIndex],
+      prompt: (fields[promptIndex] || '').trim(),
+      source,
+      line,
+    }));
+  }
+
+  const lines = text.split(/\r?\n/);
+  const records = [];
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+
+    if (format === 'jsonl') {
+      let item;
+      try {
+        item = JSON.parse(line);
+      } catch (err) {
+        records.push({ id: String(i + 1), prompt: '', source, line: i + 1, error: `invalid JSON: ${err.message}` });
+        return;
+      }
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        records.push({ id: String(i + 1), prompt: '', source, line: i + 1, error: 'not an object' });
+        return;
+      }
+      records.push({
+        id: item[idColumn] !== undefined ? String(item[idColumn]) : String(i + 1),
+        prompt: typeof item[column] === 'string' ? item[column].trim() : '',
+        source,
+        line: i + 1,
+      });
+      return;
+    }
+
+    records.push({ id: String(i + 1), prompt: line.trim(), source, line: i + 1 });
+  });
+  return records;
+}
+
+/**
+ * Convert a glob pattern (*, **, ?) to a RegExp over relative paths
+ */
+function globToRegex(pattern) {
+  let regex = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '*' && pattern[i + 1] === '*') {
+      regex += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += pattern[i + 2] === '/' ? 2 : 1;
+    } else if (ch === '*') {
+      regex += '[^/]*';
+    } else if (ch === '?') {
+      regex += '[^/]';
+    } else {
+      regex += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${regex}$`);
+}
+
+/**
+ * Walk a directory tree, skipping node_modules and dot-directories
+ */
+function walk(dir, files = []) {
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+    const full = join(dir, entry.name);
+    if (entry.isDirectory()) walk(full, files);
+    else if (entry.isFile()) files.push(full);
+  }
+  return files;
+}
+
+/**
+ * Expand a file path or glob into a sorted list of files
+ */
+export function expandGlob(pattern, cwd = process.cwd()) {
+  if (!/[*?]/.test(pattern)) {
+    const full = resolve(cwd, pattern);
+    if (!existsSync(full) || !statSync(full).isFile()) {
+      throw new Error(`File not found: ${pattern}`);
+    }
+    return [full];
+  }
+
+  // Walk from the longest directory prefix without wildcards
+  const normalized = pattern.split(sep).join('/');
+  const parts = normalized.split('/');
+  const firstWild = parts.findIndex(p => /[*?]/.test(p));
+  const base = resolve(cwd, parts.slice(0, firstWild).join('/') || '.');
+  const regex = globToRegex(parts.slice(firstWild).join('/'));
+
+  if (!existsSync(base)) return [];
+  return walk(base)
+    .filter(file => regex.test(relative(base, file).split(sep).join('/')))
+    .sort();
+}
+
+/**
+ * Read prompt records from files/globs, or from stdin text when input is "-"
+ */
+export function readPromptRecords(input, options = {}, stdinText = '') {
+  if (input === '-') {
+    return parsePromptRecords(stdinText, { ...options, source: 'stdin' });
+  }
+
+  const files = expandGlob(input, options.cwd);
+  if (!files.length) {
+    throw new Error(`No files match: ${input}`);
+  }
+  return files.flatMap(file => parsePromptRecords(readFileSync(file, 'utf-8'), {
+    ...options,
+    format: options.format || detectFormat(file),
+    source: relative(options.cwd || process.cwd(), file) || file,
+  }));
+}
+
+// Fields each command's registry output contributes to a result row. With
+// variants, a transform row has the best-ranked one; the rest are dropped
+const RESULT_FIELDS = {
+  transform: result => ({
+    transformed: result.transformed,
+    originalScore: result.originalScore,
+    newScore: result.newScore,
+    improvement: result.improvement,
+    issues: result.issuesFixed,
+    negativePrompt: result.negativePrompt,
+    seed: result.seed,
+  }),
+  analyze: result => ({
+    score: result.score,
+    issues: result.issues.map(i => i.name),
+  }),
+  suggest: result => ({
+    score: result.score,
+    issues: result.issues.map(i => i.name),
+    recommendedAdditions: result.recommendedAdditions,
+    seed: result.seed,
+  }),
+};
+
+/**
+ * Run one command over every record, collecting per-item errors
+ *
+ * Prompts go through the registry's batch operation in chunks it
+ * accepts, with `options` as its settings. Records that couldn't be read
+ * or have no prompt get their error without being run.
+ */
+export async function runBatch(command, records, options = {}) {
+  const rows = records.map(record => {
+    const base = { id: record.id, source: record.source, line: record.line, prompt: record.prompt };
+    if (record.error) return { ...base, error: record.error };
+    if (!record.prompt) return { ...base, error: 'empty prompt' };
+    return base;
+  });
+
+  // Item ids are row indexes, so results land back on their rows
+  const items = rows.flatMap((row, index) => (row.error ? [] : [{ id: index, prompt: row.prompt }]));
+  const defaults = command === 'transform' && options.variants ? { variants: options.variants } : {};
+  const context = { settings: options, rules: options.rules };
+  const size = Math.min(MAX_BATCH_ITEMS, Math.floor(MAX_BATCH_WORK / batchItemWork(command, defaults)));
+  for (let start = 0; start < items.length; start += size) {
+    const chunk = items.slice(start, start + size);
+    const { results } = await runOperation('batch', { operation: command, defaults, items: chunk }, context);
+    for (const entry of results) {
+      const row = rows[entry.id];
+      rows[entry.id] = entry.ok ? { ...row, ...RESULT_FIELDS[command](entry.result) } : { ...row, error: entry.error };
+    }
+  }
+  return rows;
+}
+
+function mean(values) {
+  if (!values.length) return null;
+  return Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 10) / 10;
+}
+
+/**
+ * Summarize batch results: counts, mean scores and most common issues
+ */
+export function summarizeBatch(results, top = 5) {
+  const ok = results.filter(r => !r.error);
+  const counts = new Map();
+  for (const result of ok) {
+    for (const issue of result.issues || []) {
+      counts.set(issue, (counts.get(issue) || 0) + 1);
+    }
+  }
+
+  const summary = {
+    total: results.length,
+    succeeded: ok.length,
+    failed: results.length - ok.length,
+    topIssues: [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, top)
+      .map(([name, count]) => ({ name, count })),
+  };
+
+  if (ok.some(r => r.originalScore !== undefined)) {
+    summary.meanScoreBefore = mean(ok.map(r => r.originalScore));
+    summary.meanScoreAfter = mean(ok.map(r => r.newScore));
+  } else {
+    summary.meanScore = mean(ok.map(r => r.score));
+  }
+
+  return summary;
+}
+
+// CSV columns per command
+const CSV_COLUMNS = {
+  transform: ['id', 'source', 'line', 'prompt', 'transformed', 'originalScore', 'newScore', 'improvement', 'issues', 'negativePrompt', 'seed', 'error'],
+  analyze: ['id', 'source', 'line', 'prompt', 'score', 'issues', 'error'],
+  suggest: ['id', 'source', 'line', 'prompt', 'score', 'issues', 'recommendedAdditions', 'seed', 'error'],
+};
+
+/**
+ * Serialize batch results as JSONL or CSV
+ */
+export function formatBatchResults(command, results, format = 'jsonl') {
+  if (format === 'csv') {
+    const columns = CSV_COLUMNS[command];
+    const rows = results.map(result => columns.map(col => {
+      const value = result[col];
+      if (Array.isArray(value)) return csvField(value.join('; '));
+      if (value && typeof value === 'object') return csvField(JSON.stringify(value));
+      return csvField(value);
+    }).join(','));
+    return [columns.join(','), ...rows].join('\n');
+  }
+
+  return results.map(result => JSON.stringify(result)).join('\n');
+}
+
+export default {
+  INPUT_FORMATS,
+  OUTPUT_FORMATS,
+  detectFormat,
+  parseCsv,
+  parsePromptRecords,
+  expandGlob,
+  readPromptRecords,
+  runBatch,
+  summarizeBatch,
+  formatBatchResults,
+};
@@ -8,24 +8,32 @@
  *   image-humanizer transform "a woman in a coffee shop"
  *   image-humanizer analyze "beautiful portrait, 8k, trending on artstation"
  *   image-humanizer suggest "a man walking down the street"
+ *   image-humanizer repl "a woman in a coffee shop"
+ *   image-humanizer lint prompts.txt --max-score=40 --format=sarif
+ *   image-humanizer config
+ *   image-humanizer analyze --batch=prompts.csv --column=text --output=csv
  */
 
-import { analyzePrompt } from './patterns.js';
-import { transformPrompt, getSuggestions } from './transformer.js';
+import { getOperation, runOperation } from './operations.js';
+import { buildOpenApiSpec } from './openapi.js';
+import { scoreBadge } from './scoring.js';
+import { diffWords } from './diff.js';
+import { startRepl } from './repl.js';
+import { LINT_FORMATS, DEFAULT_LINT, parseSeverityList, readLintFiles, lintRecords, formatLintReport } from './lint.js';
+import { loadRulePacks } from './rules.js';
+import { resolveConfig, validateConfig } from './config.js';
 import {
-  CAMERAS,
-  LENSES,
-  LIGHTING,
-  IMPERFECTIONS,
-  HUMAN_DETAILS,
-  STYLES,
-  getRandomModifiers,
-} from './modifiers.js';
+  INPUT_FORMATS,
+  OUTPUT_FORMATS,
+  readPromptRecords,
+  runBatch,
+  summarizeBatch,
+  formatBatchResults,
+} from './batch.js';
 
 // Parse command line args
 const args = process.argv.slice(2);
 const command = args[0];
-const prompt = args.slice(1).join(' ');
 
 // Help text
 const HELP = `
@@ -38,7 +46,11 @@ COMMANDS:
   transform    Transform a prompt with realism modifiers
   analyze      Analyze a prompt for AI-prone patterns
   suggest      Get suggestions without transforming
+  repl         Craft a prompt interactively: reroll, lock, undo, save
+  lint         Check prompt files for AI-prone prompts (exits 1 on failure)
   modifiers    List available realism modifiers
+  config       Show resolved settings and where each came from
+  openapi      Print the HTTP API's OpenAPI document (JSON)
   examples     Show example transformations
   help         Show this help message
 
@@ -46,46 +58,181 @@ OPTIONS:
   --style=<film|digital|phone>    Photography style (default: film)
   --mood=<natural|moody|harsh>    Lighting mood (default: natural)
   --imperfections=<low|medium|high>  Imperfection level (default: medium)
+  --target=<generic|midjourney|stable-diffusion|dalle|flux>
+                                  Output syntax for a generator (default: generic)
+  --era=<decade|year>             Limit gear to a period, e.g. 1970s, '90s, 1994
+                                  (default: inferred from the prompt)
+  --preset=<name>                 Use a preset look, e.g. surveillance-camera,
+                                  passport-photo (see the modifiers command)
+  --seed=<number|string>          Seed for reproducible output
+  --variants=<n>                  Return n distinct, ranked transforms (max ${getOperation('transform').input.properties.variants.maximum})
+  --diff                          Show an inline diff and every change made (transform)
+  --rules=<path[,path]>           Load custom rule packs (.json or .js)
+  --config=<path>                 Use this config file instead of searching
   --json                          Output as JSON
 
+BATCH (transform, analyze, suggest):
+  --batch=<path|glob|->           Read prompts from files, a glob or stdin (-)
+  --input-format=<txt|csv|jsonl>  Input format (default: from extension, txt for stdin)
+  --column=<name>                 CSV column / JSONL field with the prompt (default: prompt)
+  --id-column=<name>              CSV column / JSONL field with the id (default: id)
+  --output=<jsonl|csv>            Result format (default: jsonl)
+
+  Results go to stdout; a summary goes to stderr.
+
+LINT (image-humanizer lint <files|globs|->):
+  --max-score=<0-100>             Fail prompts scoring over this (default: ${DEFAULT_LINT.maxScore})
+  --severity=<rule:level,...>     Set rule levels: error, warning or off
+                                  (default: warning; max-score is an error)
+  --format=<human|json|sarif|junit>  Report format (default: human)
+
+  Suppress with comments: # humanizer-disable <rules>, # humanizer-enable,
+  # humanizer-disable-next-line <rules>, or a trailing # humanizer-disable.
+  Exits 0 when nothing is an error, 1 when something is, 2 on bad input.
+
+CONFIG:
+  Defaults come from .imagehumanizerrc or image-humanizer.config.js, found by
+  walking up from the current directory. Flags override the config file.
+
 EXAMPLES:
   image-humanizer transform "a woman in a coffee shop"
   image-humanizer analyze "beautiful portrait, 8k, artstation"
   image-humanizer transform "city street at night" --style=film --mood=moody
+  image-humanizer transform "a woman in a coffee shop" --seed=42
+  image-humanizer transform "a man on a beach" --target=midjourney
+  image-humanizer transform "a family kitchen" --era=1970s
+  image-humanizer transform "a man at an ATM" --preset=surveillance-camera
+  image-humanizer transform "a woman reading on a train" --variants=5
+  image-humanizer transform "beautiful woman, 8k" --diff
+  image-humanizer repl "a man on a beach" --style=digital
+  image-humanizer lint "prompts/**/*.txt" --max-score=40 --format=sarif > lint.sarif
+  image-humanizer transform --batch="prompts/**/*.txt" > results.jsonl
+  cat prompts.jsonl | image-humanizer analyze --batch=- --input-format=jsonl
 `;
 
-// Score badge
-function getBadge(score) {
-  if (score <= 20) return '🟢';
-  if (score <= 40) return '🟡';
-  if (score <= 60) return '🟠';
-  return '🔴';
+// Show each span as an excerpt with the matched text underlined
+function formatSpans(prompt, spans, indent = '      ') {
+  const context = 24;
+  return spans.map(span => {
+    const from = Math.max(0, span.start - context);
+    const to = Math.min(prompt.length, span.end + context);
+    const lead = from > 0 ? '…' : '';
+    const tail = to < prompt.length ? '…' : '';
+    const excerpt = `${lead}${prompt.slice(from, to).replace(/\s/g, ' ')}${tail}`;
+    const pad = ' '.repeat(lead.length + span.start - from);
+    const underline = '^'.repeat(Math.max(1, span.end - span.start));
+    return `${indent}${excerpt}\n${indent}${pad}${underline}  [${span.start}-${span.end}]`;
+  }).join('\n');
+}
+
+// ANSI colors, off when piped or NO_COLOR is set
+const COLOR = process.stdout.isTTY && !process.env.NO_COLOR;
+const paint = (code, text) => (COLOR ? `\x1b[${code}m${text}\x1b[0m` : text);
+
+// Inline word diff: removals struck through in red, additions in green.
+// Without color, git's word-diff markers: [-removed-]{+added+}
+function formatDiff(before, after) {
+  return diffWords(before, after).map(({ type, text }) => {
+    if (type === 'remove') return COLOR ? paint('31;9', text) : `[-${text}-]`;
+    if (type === 'add') return COLOR ? paint('32', text) : `{+${text}+}`;
+    return text;
+  }).join('');
+}
+
+// The transform's operation log, one change per line
+function formatOperations(operations) {
+  return operations.map(op => {
+    if (op.type === 'remove') return `  ${paint('31', '-')} "${op.text}"  (${op.rule})`;
+    if (op.type === 'rewrite') return `  ${paint('33', '~')} "${op.original}" → "${op.replacement}"  (${op.rule})`;
+    return `  ${paint('32', '+')} ${op.text}  (${op.category})`;
+  }).join('\n');
 }
 
-// Parse options from args
+// Parse options from args; settings not given on the command line come from config
 function parseOptions(args) {
   const options = {
-    style: 'film',
-    mood: 'natural',
-    imperfectionLevel: 'medium',
+    flags: {},
+    variants: undefined,
+    configPath: undefined,
     json: false,
+    diff: false,
+    lint: {},
+    batch: {
+      input: undefined,
+      format: undefined,
+      column: undefined,
+      idColumn: undefined,
+      output: 'jsonl',
+    },
   };
 
   for (const arg of args) {
     if (arg.startsWith('--style=')) {
-      options.style = arg.split('=')[1];
+      options.flags.style = arg.split('=')[1];
     } else if (arg.startsWith('--mood=')) {
-      options.mood = arg.split('=')[1];
+      options.flags.mood = arg.split('=')[1];
     } else if (arg.startsWith('--imperfections=')) {
-      options.imperfectionLevel = arg.split('=')[1];
+      options.flags.imperfectionLevel = arg.split('=')[1];
+    } else if (arg.startsWith('--target=')) {
+      options.flags.target = arg.split('=')[1];
+    } else if (arg.startsWith('--rules=')) {
+      options.flags.rules = [...(options.flags.rules || []), ...arg.slice('--rules='.length).split(',')];
+    } else if (arg.startsWith('--era=')) {
+      options.flags.era = arg.slice('--era='.length);
+    } else if (arg.startsWith('--preset=')) {
+      options.flags.preset = arg.slice('--preset='.length);
+    } else if (arg.startsWith('--seed=')) {
+      options.flags.seed = arg.slice('--seed='.length);
+    } else if (arg.startsWith('--batch=')) {
+      options.batch.input = arg.slice('--batch='.length);
+    } else if (arg.startsWith('--input-format=')) {
+      options.batch.format = arg.split('=')[1];
+    } else if (arg.startsWith('--column=')) {
+      options.batch.column = arg.slice('--column='.length);
+    } else if (arg.startsWith('--id-column=')) {
+      options.batch.idColumn = arg.slice('--id-column='.length);
+    } else if (arg.startsWith('--output=')) {
+      options.batch.output = arg.split('=')[1];
+    } else if (arg.startsWith('--variants=')) {
+      options.variants = arg.split('=')[1];
+    } else if (arg.startsWith('--config=')) {
+      options.configPath = arg.slice('--config='.length);
     } else if (arg === '--json') {
       options.json = true;
+    } else if (arg === '--diff') {
+      options.diff = true;
+    } else if (arg.startsWith('--max-score=')) {
+      options.lint.maxScore = arg.slice('--max-score='.length);
+    } else if (arg.startsWith('--severity=')) {
+      options.lint.severity = arg.slice('--severity='.length);
+    } else if (arg.startsWith('--format=')) {
+      options.lint.format = arg.slice('--format='.length);
     }
   }
 
   return options;
 }
 
+function formatScene(scene) {
+  if (!scene.id) return 'unclassified';
+  return `${scene.name} (${Math.round(scene.confidence * 100)}%)`;
+}
+
+function formatEra(era) {
+  const period = era.from === era.to ? `${era.id}, ${era.from}` : era.id;
+  return `${period} (${era.source === 'option' ? 'set' : 'from prompt'})`;
+}
+
+// Run a registry operation with the resolved settings, exiting on bad input
+function run(name, input, options) {
+  try {
+    return runOperation(name, input, { settings: options, rules: options.rules });
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
 // Commands
 function cmdTransform(prompt, options) {
   if (!prompt) {
@@ -93,13 +240,18 @@ function cmdTransform(prompt, options) {
     process.exit(1);
   }
 
-  const result = transformPrompt(prompt, options);
+  const result = run('transform', { prompt, variants: options.variants }, options);
 
   if (options.json) {
     console.log(JSON.stringify(result, null, 2));
     return;
   }
 
+  if (result.variants) {
+    printVariants(result, options);
+    return;
+  }
+
   console.log(`
 ┌──────────────────────────────────────────────┐
 │         IMAGE PROMPT HUMANIZER               │
@@ -108,29 +260,68 @@ function cmdTransform(prompt, options) {
 ORIGINAL:
   "${result.original}"
   
-  Score: ${getBadge(result.originalScore)} ${result.originalScore}/100 (higher = more AI-prone)
+  Score: ${scoreBadge(result.originalScore)} ${result.originalScore}/100 (higher = more AI-prone)
 
-TRANSFORMED:
+TRANSFORMED (${result.target}):
   "${result.transformed}"
   
-  Score: ${getBadge(result.newScore)} ${result.newScore}/100
+  Score: ${scoreBadge(result.newScore)} ${result.newScore}/100
   Improvement: ${result.improvement > 0 ? '+' : ''}${result.improvement} points
 
+SCENE: ${formatScene(result.scene)}${result.era ? `\nERA: ${formatEra(result.era)}` : ''}${result.preset ? `\nPRESET: ${result.preset}` : ''}
+${options.diff ? `
+DIFF:
+  ${formatDiff(result.original, result.transformed)}
+
+CHANGES:
+${formatOperations(result.operations)}
+` : ''}
 ISSUES FIXED:
 ${result.issuesFixed.length ? result.issuesFixed.map(i => `  • ${i}`).join('\n') : '  (none)'}
 
 MODIFIERS ADDED:
 ${result.modifiersAdded.map(m => `  + ${m}`).join('\n')}
+
+NEGATIVE PROMPT:
+  "${result.negativePrompt}"
+
+SEED: ${result.seed}  (re-run with --seed=${result.seed} to reproduce)
+`);
+}
+
+function printVariants(result, { diff = false } = {}) {
+  console.log(`
+┌──────────────────────────────────────────────┐
+│         RANKED VARIANTS                      │
+└──────────────────────────────────────────────┘
+
+ORIGINAL:
+  "${result.original}"
+  
+  Score: ${scoreBadge(result.originalScore)} ${result.originalScore}/100 (higher = more AI-prone)
+${result.variants.map(v => `
+#${v.rank}  ${v.label}
+  "${v.transformed}"${diff ? `\n  ${formatDiff(result.original, v.transformed)}` : ''}
+  Score: ${scoreBadge(v.newScore)} ${v.newScore}/100   Seed: ${v.seed}
+`).join('')}
+BASE SEED: ${result.seed}  (re-run with --seed=${result.seed} to reproduce the set)
 `);
 }
 
+// Realism cues from a score breakdown, with the points each takes off
+function formatRealism(breakdown) {
+  const realism = breakdown.filter(b => b.kind === 'realism');
+  if (!realism.length) return '';
+  return `\nREALISM CUES:\n${realism.map(b => `  ✓ ${b.name} (${b.points ? b.points : 'no matching issue to offset'})`).join('\n')}\n`;
+}
+
 function cmdAnalyze(prompt, options) {
   if (!prompt) {
     console.error('Error: Please provide a prompt to analyze');
     process.exit(1);
   }
 
-  const analysis = analyzePrompt(prompt);
+  const analysis = run('analyze', { prompt }, options);
 
   if (options.json) {
     console.log(JSON.stringify(analysis, null, 2));
@@ -145,16 +336,16 @@ function cmdAnalyze(prompt, options) {
 PROMPT:
   "${prompt}"
 
-SCORE: ${getBadge(analysis.score)} ${analysis.score}/100
-  AI-prone patterns: ${analysis.aiScore}
-  Realism indicators: ${analysis.realismScore}
+SCORE: ${scoreBadge(analysis.score)} ${analysis.score}/100
+  ${analysis.explanation}
 
+SUB-SCORES:
+${Object.values(analysis.subScores).map(sub => `  ${sub.name.padEnd(22)} ${String(sub.score).padStart(3)}/100`).join('\n')}
+${formatRealism(analysis.breakdown)}
 ${analysis.issues.length ? `ISSUES FOUND (${analysis.issueCount}):` : 'NO ISSUES FOUND ✓'}
 ${analysis.issues.map(issue => `
-  ⚠️  ${issue.name} (weight: ${issue.weight})
-      ${issue.description}
-      → ${issue.suggestion}
-`).join('')}
+  ⚠️  ${issue.name} (+${issue.points} points, weight ${issue.weight})${issue.pack ? ` [${issue.pack}]` : ''}
+${issue.description ? `      ${issue.description}\n` : ''}${issue.spans.length ? `${formatSpans(prompt, issue.spans)}\n` : ''}${issue.suggestion ? `      → ${issue.suggestion}\n` : ''}`).join('')}
 `);
 }
 
@@ -164,7 +355,7 @@ function cmdSuggest(prompt, options) {
     process.exit(1);
   }
 
-  const suggestions = getSuggestions(prompt);
+  const suggestions = run('suggest', { prompt }, options);
 
   if (options.json) {
     console.log(JSON.stringify(suggestions, null, 2));
@@ -177,7 +368,8 @@ function cmdSuggest(prompt, options) {
 └──────────────────────────────────────────────┘
 
 PROMPT: "${prompt}"
-SCORE: ${getBadge(suggestions.score)} ${suggestions.score}/100
+SCORE: ${scoreBadge(suggestions.score)} ${suggestions.score}/100
+SCENE: ${formatScene(suggestions.scene)}${suggestions.era ? `\nERA: ${formatEra(suggestions.era)}` : ''}
 
 ${suggestions.issues.length ? `FIX THESE:` : ''}
 ${suggestions.issues.map(i => `  ⚠️  ${i.name}: ${i.suggestion}`).join('\n')}
@@ -195,45 +387,195 @@ ${suggestions.recommendedAdditions.imperfections.map(m => `     + ${m}`).join('\
 
   📐 Composition:
 ${suggestions.recommendedAdditions.composition.map(m => `     + ${m}`).join('\n')}
-${suggestions.recommendedAdditions.humanDetails ? `
-  👤 Human Details:
-${suggestions.recommendedAdditions.humanDetails.map(m => `     + ${m}`).join('\n')}` : ''}
+${[
+  ['🧩 Scene Details', suggestions.recommendedAdditions.sceneDetails],
+  ['👤 Human Details', suggestions.recommendedAdditions.humanDetails],
+].filter(([, items]) => items).map(([title, items]) => `
+  ${title}:
+${items.map(m => `     + ${m}`).join('\n')}`).join('\n')}
+
+SEED: ${suggestions.seed}
 `);
 }
 
-function cmdModifiers() {
+async function readStdin() {
+  let text = '';
+  for await (const chunk of process.stdin) text += chunk;
+  return text;
+}
+
+async function cmdBatch(command, batch, options) {
+  if (batch.format && !INPUT_FORMATS.includes(batch.format)) {
+    console.error(`Error: --input-format must be one of: ${INPUT_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+  if (!OUTPUT_FORMATS.includes(batch.output)) {
+    console.error(`Error: --output must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+
+  let records;
+  try {
+    const stdinText = batch.input === '-' ? await readStdin() : '';
+    records = readPromptRecords(batch.input, {
+      format: batch.format,
+      column: batch.column,
+      idColumn: batch.idColumn,
+    }, stdinText);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  let results;
+  try {
+    results = await runBatch(command, records, options);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+  const summary = summarizeBatch(results);
+  console.log(formatBatchResults(command, results, batch.output));
+
+  const scoreLine = summary.meanScoreBefore !== undefined
+    ? `Mean score: ${summary.meanScoreBefore ?? '-'} → ${summary.meanScoreAfter ?? '-'}`
+    : `Mean score: ${summary.meanScore ?? '-'}`;
+  console.error(`
+BATCH SUMMARY (${command})
+  Prompts: ${summary.total} (${summary.succeeded} ok, ${summary.failed} failed)
+  ${scoreLine}
+  Most common issues:
+${summary.topIssues.length ? summary.topIssues.map(i => `    ${String(i.count).padStart(4)}  ${i.name}`).join('\n') : '    (none)'}
+`);
+}
+
+// Exit codes for lint: findings at error level, or input/usage problems
+const LINT_FAILED = 1;
+const LINT_USAGE = 2;
+
+async function cmdLint(inputs, flags, batch, options) {
+  const fail = message => {
+    console.error(`Error: ${message}`);
+    process.exit(LINT_USAGE);
+  };
+
+  if (!inputs.length) fail('Please provide files or globs to lint (or - for stdin)');
+  const format = flags.format || (options.json ? 'json' : 'human');
+  if (!LINT_FORMATS.includes(format)) fail(`--format must be one of: ${LINT_FORMATS.join(', ')}`);
+  if (batch.format && !INPUT_FORMATS.includes(batch.format)) fail(`--input-format must be one of: ${INPUT_FORMATS.join(', ')}`);
+
+  const settings = { ...DEFAULT_LINT, ...options.lint };
+  let report;
+  try {
+    if (flags.maxScore !== undefined) {
+      const maxScore = Number(flags.maxScore);
+      if (flags.maxScore === '' || !Number.isFinite(maxScore) || maxScore < 0 || maxScore > 100) {
+        throw new Error('--max-score must be a number from 0 to 100');
+      }
+      settings.maxScore = maxScore;
+    }
+    if (flags.severity !== undefined) {
+      settings.severity = { ...settings.severity, ...parseSeverityList(flags.severity) };
+    }
+
+    const stdinText = inputs.includes('-') ? await readStdin() : '';
+    const records = readLintFiles(inputs, {
+      format: batch.format,
+      column: batch.column,
+      idColumn: batch.idColumn,
+    }, stdinText);
+    report = lintRecords(records, { ...options, ...settings });
+  } catch (err) {
+    fail(err.message);
+  }
+
+  console.log(formatLintReport(report, format, options));
+  if (!report.summary.passed) process.exitCode = LINT_FAILED;
+}
+
+function cmdConfig(resolved, options) {
+  const { settings, sources, path } = resolved;
+
+  if (options.json) {
+    console.log(JSON.stringify({ path, settings, sources }, null, 2));
+    return;
+  }
+
+  const format = (value, key) => {
+    if (value === undefined) return key === 'seed' ? '(random)' : '(none)';
+    if (key === 'presets') return Object.keys(value).join(', ') || '(none)';
+    if (Array.isArray(value)) return value.length ? value.join(', ') : '(none)';
+    if (typeof value === 'object') {
+      const entries = Object.entries(value);
+      return entries.length ? entries.map(([k, v]) => `${k}=${typeof v === 'object' ? JSON.stringify(v) : v}`).join(', ') : '(none)';
+    }
+    return String(value);
+  };
+
+  console.log(`
+┌──────────────────────────────────────────────┐
+│          RESOLVED SETTINGS                   │
+└──────────────────────────────────────────────┘
+
+CONFIG FILE: ${path || '(none found)'}
+
+${Object.keys(settings).map(key =>
+  `  ${key.padEnd(18)} ${format(settings[key], key).padEnd(24)} ← ${sources[key]}`
+).join('\n')}
+`);
+}
+
+// Summarize a camera record: "(color, ISO 400, 35mm/medium format, 1998-)"
+function describeGear(record) {
+  const color = { color: 'color', bw: 'B&W' }[record.color];
+  const years = record.era ? `${record.era.from}-${record.era.to ?? ''}` : '';
+  const parts = [color, record.iso && `ISO ${record.iso}`, record.format.join('/'), years].filter(Boolean);
+  return `(${parts.join(', ')})`;
+}
+
+function cmdModifiers(options) {
+  const { cameras, lenses, lighting, imperfections, humanDetails, sceneDetails, styles, presets } = run('modifiers', {}, options);
+
   console.log(`
 ┌──────────────────────────────────────────────┐
 │          REALISM MODIFIERS                   │
 └──────────────────────────────────────────────┘
 
 📷 CAMERAS & FILM:
-${Object.entries(CAMERAS).map(([cat, items]) => 
-  `  ${cat}:\n${items.slice(0, 5).map(i => `    • ${i}`).join('\n')}`
+${Object.entries(cameras).map(([cat, items]) => 
+  `  ${cat}:\n${items.slice(0, 5).map(i => `    • ${i.text}  ${describeGear(i)}`).join('\n')}`
 ).join('\n')}
 
 🔭 LENSES:
-${LENSES.slice(0, 8).map(l => `  • ${l}`).join('\n')}
+${lenses.slice(0, 8).map(l => `  • ${l.text}`).join('\n')}
 
 💡 LIGHTING:
-${Object.entries(LIGHTING).map(([cat, items]) =>
+${Object.entries(lighting).map(([cat, items]) =>
   `  ${cat}:\n${items.slice(0, 4).map(i => `    • ${i}`).join('\n')}`
 ).join('\n')}
 
 🎞️ IMPERFECTIONS:
-${Object.entries(IMPERFECTIONS).map(([cat, items]) =>
-  `  ${cat}:\n${items.slice(0, 4).map(i => `    • ${i}`).join('\n')}`
+${Object.entries(imperfections).map(([cat, items]) =>
+  `  ${cat}:\n${items.slice(0, 4).map(i => `    • ${i.text}`).join('\n')}`
 ).join('\n')}
 
 👤 HUMAN DETAILS:
-${HUMAN_DETAILS.slice(0, 8).map(h => `  • ${h}`).join('\n')}
+${humanDetails.slice(0, 8).map(h => `  • ${h}`).join('\n')}
+
+🧩 SCENE DETAILS:
+${Object.entries(sceneDetails).map(([scene, items]) =>
+  `  ${scene}:\n${items.slice(0, 3).map(i => `    • ${i}`).join('\n')}`
+).join('\n')}
 
 🎬 STYLES:
-${STYLES.slice(0, 8).map(s => `  • ${s}`).join('\n')}
+${styles.slice(0, 8).map(s => `  • ${s}`).join('\n')}
+
+🎛️ PRESETS (--preset=<name>):
+${presets.map(p => `  • ${p.id.padEnd(24)} ${p.description || ''}${p.custom ? ' (config)' : ''}`).join('\n')}
 `);
 }
 
-function cmdExamples() {
+function cmdExamples(options) {
   const examples = [
     'a woman in a coffee shop',
     'beautiful portrait of a man, 8k, trending on artstation',
@@ -249,41 +591,87 @@ function cmdExamples() {
 `);
 
   for (const example of examples) {
-    const result = transformPrompt(example);
+    const result = run('transform', { prompt: example }, options);
     console.log(`
 BEFORE: "${example}"
-  Score: ${getBadge(result.originalScore)} ${result.originalScore}/100
+  Score: ${scoreBadge(result.originalScore)} ${result.originalScore}/100
 
 AFTER:  "${result.transformed}"
-  Score: ${getBadge(result.newScore)} ${result.newScore}/100
+  Score: ${scoreBadge(result.newScore)} ${result.newScore}/100
 ${'─'.repeat(60)}`);
   }
 }
 
 // Main
-const options = parseOptions(args);
+const parsed = parseOptions(args);
+let resolved;
+let options;
+
+try {
+  resolved = await resolveConfig({
+    path: parsed.configPath,
+    overrides: validateConfig(parsed.flags, '(command line)'),
+    overrideSource: '(command line)',
+  });
+  options = {
+    ...resolved.settings,
+    rules: await loadRulePacks(resolved.settings.rules),
+    json: parsed.json,
+    diff: parsed.diff,
+  };
+
+  if (parsed.variants !== undefined) {
+    const variants = Number(parsed.variants);
+    const { minimum, maximum } = getOperation('transform').input.properties.variants;
+    if (!Number.isInteger(variants) || variants < minimum || variants > maximum) {
+      throw new Error(`--variants must be a whole number from ${minimum} to ${maximum}`);
+    }
+    options.variants = variants;
+  }
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  process.exit(command === 'lint' || command === 'l' ? LINT_USAGE : 1);
+}
 const promptText = args.filter(a => !a.startsWith('--')).slice(1).join(' ');
 
 switch (command) {
   case 'transform':
   case 't':
-    cmdTransform(promptText, options);
+    if (parsed.batch.input) await cmdBatch('transform', parsed.batch, options);
+    else cmdTransform(promptText, options);
     break;
   case 'analyze':
   case 'a':
-    cmdAnalyze(promptText, options);
+    if (parsed.batch.input) await cmdBatch('analyze', parsed.batch, options);
+    else cmdAnalyze(promptText, options);
     break;
   case 'suggest':
   case 's':
-    cmdSuggest(promptText, options);
+    if (parsed.batch.input) await cmdBatch('suggest', parsed.batch, options);
+    else cmdSuggest(promptText, options);
+    break;
+  case 'repl':
+  case 'r':
+    await startRepl(promptText, options);
+    break;
+  case 'lint':
+  case 'l':
+    await cmdLint(args.filter(a => !a.startsWith('--')).slice(1), parsed.lint, parsed.batch, options);
+    break;
+  case 'config':
+  case 'c':
+    cmdConfig(resolved, options);
     break;
   case 'modifiers':
   case 'm':
-    cmdModifiers();
+    cmdModifiers(options);
+    break;
+  case 'openapi':
+    console.log(JSON.stringify(buildOpenApiSpec(), null, 2));
     break;
   case 'examples':
   case 'e':
-    cmdExamples();
+    cmdExamples(options);
     break;
   case 'help':
   case '-h':
@@ -0,0 +1,175 @@
+/**
+ * coherence.js — Modifier compatibility model
+ *
+ * Tags prompt text along a few physical dimensions (medium, capture
+ * device, lens, time of day, weather, setting, light source, light
+ * quality) and reports combinations that can't exist in one photo, like
+ * Ilford HP5 with "faded colors" or "rain-slicked street at dusk" with
+ * "harsh midday sun".
+ */
+
+// Each dimension maps values to the regex that detects them. Values in a
+// dimension are mutually exclusive unless `compatible` lists the pair.
+export const CONFLICT_DIMENSIONS = [
+  {
+    id: 'color',
+    name: 'Black and white vs color',
+    values: {
+      bw: /\b(black[- ]and[- ]white|b&w|monochrome|gr[ae]yscale|ilford|hp5|tri-x|delta 3200)\b/gi,
+      color: /\b(colou?r shift|faded colou?rs|colou?r film|kodachrome|portra|ektar|kodak gold|gold 200|fuji pro|superia|cinestill|technicolor|vibrant colou?rs|saturated colou?rs|mixed colou?r temperature)\b/gi,
+    },
+  },
+  {
+    id: 'capture',
+    name: 'Capture device',
+    values: {
+      phone: /\b(smartphone|iphone|phone (photo|camera))\b/gi,
+      film: /\b(35mm film|film photograph|shot on (kodak|fuji|ilford|cinestill)|portra|ektar|tri-x|hp5|cinestill|kodachrome|polaroid|instant film|disposable camera|medium format film|large format|leica m6|hasselblad 500c|contax t2|mamiya rb67|canon ae-1|nikon fm2|pentax k1000)\b/gi,
+      digital: /\b(dslr|mirrorless|digital camera)\b/gi,
+    },
+  },
+  {
+    id: 'lens',
+    name: 'Fixed vs interchangeable lens',
+    values: {
+      fixed: /\b(smartphone|iphone|polaroid|instant film|disposable camera|point and shoot|contax t2)\b/gi,
+      interchangeable: /\b(\d+mm (lens|portrait lens|wide angle|telephoto)|\d+mm f\/[\d.]+|tilt-shift lens)\b/gi,
+    },
+  },
+  {
+    id: 'time',
+    name: 'Time of day',
+    values: {
+      morning: /\b(early morning|dawn|morning)\b/gi,
+      midday: /\b(midday|noon|high sun)\b/gi,
+      golden: /\b(golden hour|sunset|sunrise|late afternoon)\b/gi,
+      dusk: /\b(dusk|blue hour|twilight)\b/gi,
+      night: /\b(night|midnight|streetlight|moonlight|after dark)\b/gi,
+    },
+    compatible: [['morning', 'golden']],
+  },
+  {
+    id: 'weather',
+    name: 'Weather',
+    values: {
+      sunny: /\b(harsh midday sun|sunlight|sunny|sun-bleached|midday heat|dappled sun|clear sky|sun-drenched)\b/gi,
+      overcast: /\b(overcast|cloudy|gr[ae]y sky)\b/gi,
+      rain: /(?<!after )\b(rain|rainy|rain-slicked|raining|drizzle|downpour)\b/gi,
+    },
+    compatible: [['overcast', 'rain']],
+  },
+  {
+    id: 'setting',
+    name: 'Indoor vs outdoor',
+    values: {
+      indoor: /\b(indoors|interior|window light|fluorescent|ring light|bare bulb)\b/gi,
+      // Sun and sky light only reach an indoor scene through a window
+      outdoor: /\b(outdoors|outside|dappled sunlight through trees|streetlights?|open sky|clear sky|(harsh )?midday sun|direct sun(light)?|hard shadows from a low sun|overcast soft light|cloudy day diffused light)\b/gi,
+    },
+  },
+  {
+    id: 'light-source',
+    name: 'Light source',
+    values: {
+      natural: /\b(natural ambient light|natural light only|available light)\b/gi,
+      artificial: /\b(fluorescent|tungsten|bare bulb|neon|streetlight|ring light|practical lights|flash)\b/gi,
+    },
+  },
+  {
+    id: 'light-quality',
+    name: 'Hard vs soft light',
+    values: {
+      hard: /\b(harsh|hard light|chiaroscuro|dramatic shadows|low key)\b/gi,
+      soft: /\b(soft light|overcast|diffused|cloudy day)\b/gi,
+    },
+  },
+];
+
+function areCompatible(dimension, a, b) {
+  if (a === b) return true;
+  return (dimension.compatible || []).some(([x, y]) => (x === a && y === b) || (x === b && y === a));
+}
+
+/**
+ * Find every dimension tag in a piece of text, with positions
+ */
+export function tagText(text) {
+  const tags = [];
+  for (const dimension of CONFLICT_DIMENSIONS) {
+    for (const [value, regex] of Object.entries(dimension.values)) {
+      for (const match of text.matchAll(new RegExp(regex.source, regex.flags))) {
+        tags.push({ dimension: dimension.id, value, text: match[0], index: match.index });
+      }
+    }
+  }
+  return tags;
+}
+
+/**
+ * Find contradictions within a text
+ *
+ * Returns one entry per conflicting pair of values in a dimension, with
+ * the matched terms on each side.
+ */
+export function findConflicts(text) {
+  const tags = tagText(text);
+  const conflicts = [];
+
+  for (const dimension of CONFLICT_DIMENSIONS) {
+    const byValue = new Map();
+    for (const tag of tags.filter(t => t.dimension === dimension.id)) {
+      if (!byValue.has(tag.value)) byValue.set(tag.value, []);
+      byValue.get(tag.value).push(tag);
+    }
+
+    const values = [...byValue.keys()];
+    for (let i = 0; i < values.length; i++) {
+      for (let j = i + 1; j < values.length; j++) {
+        if (areCompatible(dimension, values[i], values[j])) continue;
+        conflicts.push({
+          dimension: dimension.id,
+          name: dimension.name,
+          values: [values[i], values[j]],
+          terms: [...byValue.get(values[i]), ...byValue.get(values[j])],
+        });
+      }
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * Track what a prompt has committed to, so later picks stay compatible
+ *
+ * `add` and `allows` take text plus optional explicit tags
+ * ({ dimension, value }) for facts the wording doesn't spell out, like a
+ * location being indoors.
+ */
+export function createCoherenceContext(text = '') {
+  const committed = new Map();
+
+  function add(item, tags = []) {
+    for (const tag of [...tagText(item), ...tags]) {
+      if (!committed.has(tag.dimension)) committed.set(tag.dimension, new Set());
+      committed.get(tag.dimension).add(tag.value);
+    }
+  }
+
+  function allows(item, tags = []) {
+    return [...tagText(item), ...tags].every(tag => {
+      const dimension = CONFLICT_DIMENSIONS.find(d => d.id === tag.dimension);
+      const existing = committed.get(tag.dimension) || new Set();
+      return [...existing].every(value => areCompatible(dimension, value, tag.value));
+    });
+  }
+
+  function filter(items) {
+    return items.filter(item => allows(item));
+  }
+
+  add(text);
+  return { add, allows, filter };
+}
+
+export default { CONFLICT_DIMENSIONS, tagText, findConflicts, createCoherenceContext };
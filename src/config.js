@@ -0,0 +1,229 @@
+/**
+ * config.js — Project config file for default humanizer settings
+ *
+ * Looks for a config file by walking up from the working directory:
+ *
+ *   .imagehumanizerrc            JSON
+ *   .imagehumanizerrc.json       JSON
+ *   image-humanizer.config.js    ES module with a default export
+ *
+ * Settings resolve in layers: built-in defaults, then the config file,
+ * then explicit overrides (CLI flags, request fields). Every resolved
+ * setting records where it came from.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { TARGETS, getFormatter } from './formatters.js';
+import { parseEra } from './eras.js';
+import { validateWeights } from './scoring.js';
+import { validateLintSettings } from './lint.js';
+import { validatePresets, listPresets, findPreset } from './presets.js';
+
+export const CONFIG_FILES = [
+  '.imagehumanizerrc',
+  '.imagehumanizerrc.json',
+  'image-humanizer.config.js',
+  'image-humanizer.config.mjs',
+];
+
+export const DEFAULT_SETTINGS = {
+  style: 'film',
+  mood: 'natural',
+  imperfectionLevel: 'medium',
+  target: 'generic',
+  era: undefined,
+  preset: undefined,
+  presets: {},
+  disabledRules: [],
+  excludedModifiers: [],
+  rules: [],
+  weights: {},
+  lint: {},
+  seed: undefined,
+};
+
+const ENUMS = {
+  style: ['film', 'digital', 'phone'],
+  mood: ['natural', 'moody', 'harsh'],
+  imperfectionLevel: ['low', 'medium', 'high'],
+};
+
+export class ConfigError extends Error {
+  constructor(source, problems) {
+    super(`Invalid config ${source}:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.source = source;
+    this.problems = problems;
+  }
+}
+
+/**
+ * Walk up from `cwd` and return the first config file found (or null)
+ */
+export function findConfigFile(cwd = process.cwd()) {
+  let dir = resolve(cwd);
+  for (;;) {
+    for (const name of CONFIG_FILES) {
+      const candidate = join(dir, name);
+      if (existsSync(candidate)) return candidate;
+    }
+    const parent = dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Check a config object, returning only the settings it sets
+ *
+ * Rule pack paths are resolved relative to the config file.
+ */
+export function validateConfig(config, source = 'config', baseDir = process.cwd()) {
+  const problems = [];
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new ConfigError(source, ['config must be an object']);
+  }
+
+  const settings = {};
+  for (const [key, value] of Object.entries(config)) {
+    if (!(key in DEFAULT_SETTINGS)) {
+      problems.push(`unknown setting "${key}" (expected one of: ${Object.keys(DEFAULT_SETTINGS).join(', ')})`);
+      continue;
+    }
+
+    if (ENUMS[key]) {
+      if (!ENUMS[key].includes(value)) {
+        problems.push(`${key} must be one of: ${ENUMS[key].join(', ')}`);
+        continue;
+      }
+    } else if (key === 'target') {
+      try {
+        getFormatter(value);
+      } catch {
+        problems.push(`target must be one of: ${TARGETS.join(', ')}`);
+        continue;
+      }
+    } else if (key === 'era') {
+      if ((typeof value !== 'number' && typeof value !== 'string') || !parseEra(value)) {
+        problems.push('era must be a decade (1950s to 2020s, e.g. "1970s" or "\'90s") or a year');
+        continue;
+      }
+    } else if (key === 'preset') {
+      if (typeof value !== 'string' || !value.trim()) {
+        problems.push('preset must be a preset name, e.g. "surveillance-camera"');
+        continue;
+      }
+    } else if (key === 'presets') {
+      const presetProblems = validatePresets(value);
+      if (presetProblems.length) {
+        problems.push(...presetProblems);
+        continue;
+      }
+    } else if (key === 'weights') {
+      const weightProblems = validateWeights(value);
+      if (weightProblems.length) {
+        problems.push(...weightProblems);
+        continue;
+      }
+    } else if (key === 'lint') {
+      const lintProblems = validateLintSettings(value);
+      if (lintProblems.length) {
+        problems.push(...lintProblems);
+        continue;
+      }
+    } else if (key === 'seed') {
+      if (typeof value !== 'number' && typeof value !== 'string') {
+        problems.push('seed must be a number or string');
+        continue;
+      }
+    } else if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+      problems.push(`${key} must be an array of strings`);
+      continue;
+    }
+
+    settings[key] = key === 'rules' ? value.map(p => resolve(baseDir, p)) : value;
+  }
+
+  if (problems.length) throw new ConfigError(source, problems);
+  return settings;
+}
+
+/**
+ * Read and validate a config file
+ */
+export async function readConfigFile(path) {
+  let config;
+  try {
+    if (/\.m?js$/.test(path)) {
+      const mod = await import(pathToFileURL(resolve(path)).href);
+      config = mod.default;
+    } else {
+      config = JSON.parse(readFileSync(path, 'utf-8'));
+    }
+  } catch (err) {
+    throw new ConfigError(path, [`could not load: ${err.message}`]);
+  }
+  return validateConfig(config, path, dirname(resolve(path)));
+}
+
+/**
+ * Resolve settings from defaults, a config file and explicit overrides
+ *
+ * Options:
+ *   cwd             where to start looking for a config file
+ *   path            explicit config file (skips the search)
+ *   overrides       settings that win over the file (undefined is ignored)
+ *   overrideSource  label for overrides in `sources` (default "cli")
+ *
+ * Returns { settings, sources, path }, where sources maps each setting to
+ * "default", the config file path, or the override label. Throws a
+ * ConfigError when the resolved preset isn't built in or in `presets`.
+ */
+export async function resolveConfig(options = {}) {
+  const {
+    cwd = process.cwd(),
+    overrides = {},
+    overrideSource = 'cli',
+  } = options;
+
+  const path = options.path ? resolve(cwd, options.path) : findConfigFile(cwd);
+  if (options.path && !existsSync(path)) {
+    throw new ConfigError(options.path, ['file not found']);
+  }
+  const fileSettings = path ? await readConfigFile(path) : {};
+
+  const settings = {};
+  const sources = {};
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    if (overrides[key] !== undefined) {
+      settings[key] = overrides[key];
+      sources[key] = overrideSource;
+    } else if (fileSettings[key] !== undefined) {
+      settings[key] = fileSettings[key];
+      sources[key] = path;
+    } else {
+      settings[key] = DEFAULT_SETTINGS[key];
+      sources[key] = 'default';
+    }
+  }
+
+  // Checked once the layers are merged: a flag can name a preset from the file
+  if (settings.preset && !findPreset(settings.preset, settings.presets)) {
+    throw new ConfigError(sources.preset, [`unknown preset "${settings.preset}" (expected one of: ${listPresets(settings.presets).map(p => p.id).join(', ')})`]);
+  }
+
+  return { settings, sources, path };
+}
+
+export default {
+  CONFIG_FILES,
+  DEFAULT_SETTINGS,
+  ConfigError,
+  findConfigFile,
+  validateConfig,
+  readConfigFile,
+  resolveConfig,
+};
@@ -0,0 +1,87 @@
+/**
+ * diff.js — Word-level diff between two prompts
+ *
+ * Used to show what a transform changed: removed words, rewritten
+ * phrases and added modifiers, inline in the transformed prompt.
+ */
+
+// Words, commas and runs of whitespace
+const TOKEN = /[^\s,]+|,|\s+/g;
+
+function tokenize(text) {
+  return text.match(TOKEN) || [];
+}
+
+/**
+ * Diff two texts word by word
+ *
+ * Returns segments { type: 'equal' | 'remove' | 'add', text } that
+ * rebuild `before` from equal + remove segments and `after` from
+ * equal + add segments. A lone space between two changes is folded
+ * into them, so "a woman" → "a woman in her 30s" reads as one change.
+ */
+export function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const tokens = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      tokens.push({ type: 'equal', text: a[i++] });
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      tokens.push({ type: 'remove', text: a[i++] });
+    } else {
+      tokens.push({ type: 'add', text: b[j++] });
+    }
+  }
+
+  // Fold whitespace sandwiched between changes into both sides
+  const folded = tokens.flatMap((token, k) => {
+    const changed = t => t && t.type !== 'equal';
+    if (token.type === 'equal' && !token.text.trim() && changed(tokens[k - 1]) && changed(tokens[k + 1])) {
+      return [{ type: 'remove', text: token.text }, { type: 'add', text: token.text }];
+    }
+    return [token];
+  });
+
+  return mergeSegments(folded);
+}
+
+/**
+ * Merge runs of the same type, with removals ahead of additions
+ */
+function mergeSegments(tokens) {
+  const segments = [];
+  let pending = { remove: '', add: '' };
+  const flush = () => {
+    if (pending.remove) segments.push({ type: 'remove', text: pending.remove });
+    if (pending.add) segments.push({ type: 'add', text: pending.add });
+    pending = { remove: '', add: '' };
+  };
+
+  for (const token of tokens) {
+    if (token.type !== 'equal') {
+      pending[token.type] += token.text;
+      continue;
+    }
+    flush();
+    const last = segments[segments.length - 1];
+    if (last?.type === 'equal') last.text += token.text;
+    else segments.push({ ...token });
+  }
+  flush();
+  return segments;
+}
+
+export default { diffWords };
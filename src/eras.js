@@ -0,0 +1,232 @@
+/**
+ * eras.js — Period accuracy for cameras, lighting and wear
+ *
+ * An era limits the modifier libraries to gear that existed at the time
+ * (no "shot on iPhone" in a 1970s kitchen) and adds era-typical camera
+ * choices, print artifacts and surface wear. The era comes from the
+ * `era` option or is inferred from a decade or year in the prompt.
+ */
+
+import { LENSES } from './modifiers.js';
+
+// When gear appeared, for plain-text modifiers (lighting) and records
+// without their own `era`. A modifier matching one of these is only
+// used if its years overlap the era.
+export const GEAR_YEARS = [
+  { regex: /\b(iphone|smartphone)\b/i, from: 2007 },
+  { regex: /\b(polaroid|instant film)\b/i, from: 1948 },
+  { regex: /\bring light\b/i, from: 2010 },
+  { regex: /\bfluorescent\b/i, from: 1938 },
+];
+
+const ERA_LENSES = LENSES.filter(lens => lens.format.includes('35mm')).map(lens => lens.text);
+
+// Era camera records, in the same shape as CAMERAS (see modifiers.js)
+function stock(text, name, color, iso) {
+  return { text, name, kind: 'stock', format: ['35mm', 'medium format'], color, iso, artifacts: [], subjects: [], lenses: ERA_LENSES };
+}
+
+function camera(text, name, format, color = 'color', lenses = []) {
+  return { text, name, kind: 'camera', format: [format], color, iso: null, artifacts: [], subjects: [], lenses };
+}
+
+// Per-decade cameras (by style), print artifacts and surface wear
+export const ERAS = {
+  '1950s': {
+    cameras: {
+      film: [
+        camera('shot on a Rolleiflex twin-lens reflex', 'Rolleiflex', 'medium format', 'either'),
+        camera('Kodak Brownie snapshot', 'Kodak Brownie', 'medium format', 'bw'),
+        stock('shot on Kodachrome slide film', 'Kodachrome', 'color', 10),
+      ],
+    },
+    artifacts: ['deckled print edges', 'slightly yellowed print', 'soft low-contrast lens'],
+    wear: ['chipped enamel', 'worn linoleum', 'faded hand-painted signage'],
+  },
+  '1960s': {
+    cameras: {
+      film: [
+        stock('shot on Kodachrome II', 'Kodachrome II', 'color', 25),
+        camera('Kodak Instamatic snapshot', 'Kodak Instamatic', 'cartridge'),
+      ],
+    },
+    artifacts: ['Kodachrome color with deep reds and blues', 'square snapshot print with a white border', 'slight magenta shift'],
+    wear: ['worn vinyl upholstery', 'chipped formica'],
+  },
+  '1970s': {
+    cameras: {
+      film: [
+        stock('shot on Kodak Ektachrome', 'Kodak Ektachrome', 'color', 64),
+        camera('Polaroid SX-70 print', 'Polaroid SX-70', 'instant'),
+        camera('Kodak Instamatic snapshot', 'Kodak Instamatic', 'cartridge'),
+        stock('shot on Kodachrome 64', 'Kodachrome 64', 'color', 64),
+      ],
+    },
+    artifacts: ['warm faded color print', 'rounded-corner print', 'orange cast from an aging print'],
+    wear: ['avocado-green laminate worn at the edges', 'shag carpet with a worn path', 'scuffed wood-grain paneling'],
+  },
+  '1980s': {
+    cameras: {
+      film: [
+        stock('shot on Kodacolor VR 200', 'Kodacolor VR 200', 'color', 200),
+        camera('Kodak Disc camera snapshot', 'Kodak Disc camera', 'cartridge'),
+        camera('Polaroid 600 print', 'Polaroid 600', 'instant'),
+      ],
+    },
+    artifacts: ['on-camera flash with hard shadows', 'washed-out color print', 'red-eye from direct flash'],
+    wear: ['sun-faded plastic', 'scuffed linoleum', 'cracked vinyl seats'],
+  },
+  '1990s': {
+    cameras: {
+      film: [
+        stock('shot on Kodak Gold 200', 'Kodak Gold 200', 'color', 200),
+        stock('shot on Fujicolor Superia 400', 'Fujicolor Superia 400', 'color', 400),
+        camera('point-and-shoot 35mm snapshot', 'point-and-shoot', '35mm'),
+      ],
+      digital: [camera('early consumer digital camera', 'early digital camera', 'digital', 'either')],
+    },
+    artifacts: ['orange date stamp in the corner', 'point-and-shoot flash falloff', 'slightly soft plastic lens'],
+    wear: ['scuffed skateboard grip tape', 'peeling stickers', 'worn carpet'],
+  },
+  '2000s': {
+    cameras: {
+      film: [stock('shot on Fujicolor Superia 400', 'Fujicolor Superia 400', 'color', 400)],
+      digital: [
+        camera('early digital point-and-shoot', 'digital point-and-shoot', 'digital', 'either'),
+        camera('shot on a Canon PowerShot', 'Canon PowerShot', 'digital', 'either'),
+      ],
+      phone: [camera('flip phone camera photo', 'flip phone', 'phone', 'either')],
+    },
+    artifacts: ['early digital noise in the shadows', 'blown-out highlights', 'low-resolution compact camera look', 'orange date stamp in the corner'],
+    wear: ['scratched glossy plastic', 'worn laminate floor'],
+  },
+  '2010s': {
+    cameras: {
+      digital: [camera('shot on Canon 5D Mark II', 'Canon 5D Mark II', 'digital', 'either', ERA_LENSES)],
+      phone: [
+        camera('shot on iPhone 4', 'iPhone 4', 'phone', 'either'),
+        camera('early smartphone photo', 'early smartphone', 'phone', 'either'),
+      ],
+    },
+    artifacts: ['faded square-crop filter look', 'smartphone lens flare'],
+    wear: [],
+  },
+  '2020s': {
+    cameras: {},
+    artifacts: ['smartphone night-mode smoothing', 'aggressive noise reduction'],
+    wear: [],
+  },
+};
+
+const DECADE_WORDS = {
+  fifties: 1950,
+  sixties: 1960,
+  seventies: 1970,
+  eighties: 1980,
+  nineties: 1990,
+};
+
+function decadeOf(year) {
+  return Math.floor(year / 10) * 10;
+}
+
+/**
+ * Build an era record for a decade, optionally narrowed to one year
+ */
+function makeEra(decade, year) {
+  const id = `${decade}s`;
+  if (!ERAS[id]) return null;
+  return {
+    id,
+    from: year ?? decade,
+    to: year ?? decade + 9,
+    ...ERAS[id],
+  };
+}
+
+/**
+ * Read an era from a value like "1970s", "'70s", "70s", "seventies" or 1994
+ *
+ * Returns null for values that don't name a supported era.
+ */
+export function parseEra(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim().toLowerCase().replace(/[’']/g, '');
+
+  let match = text.match(/^(19[5-9]0|20[0-2]0)s$/);
+  if (match) return makeEra(Number(match[1]));
+
+  match = text.match(/^([05-9]0|10|20)s$/);
+  if (match) {
+    const short = Number(match[1]);
+    return makeEra(short >= 50 ? 1900 + short : 2000 + short);
+  }
+
+  if (DECADE_WORDS[text]) return makeEra(DECADE_WORDS[text]);
+
+  match = text.match(/^(19[5-9]\d|20[0-2]\d)$/);
+  if (match) return makeEra(decadeOf(Number(match[1])), Number(match[1]));
+
+  return null;
+}
+
+/**
+ * Parse an era option, throwing on anything unrecognized
+ */
+export function normalizeEra(value) {
+  const era = parseEra(value);
+  if (!era && value !== undefined && value !== null && value !== '') {
+    throw new Error(`Unknown era: ${value}. Use a decade from ${Object.keys(ERAS)[0]} to ${Object.keys(ERAS).pop()} or a year like 1994`);
+  }
+  return era;
+}
+
+// Decades ("1970s", "'90s", "the eighties") and years ("in 1994",
+// "summer of 1983", or a clause of its own); a bare number like
+// "2000 people" isn't a year
+const ERA_CUES = [
+  { regex: /\b(19[5-9]0s|20[0-2]0s)\b/i },
+  { regex: /(?:^|[\s(])['’]?([05-9]0s|10s)\b/i },
+  { regex: /\b(fifties|sixties|seventies|eighties|nineties)\b/i },
+  { regex: /\b(?:in|from|circa|around|of)\s+(19[5-9]\d|20[0-2]\d)\b/i },
+  { regex: /(?:^|,\s*)(19[5-9]\d|20[0-2]\d)(?=\s*(?:[,.;]|$))/ },
+];
+
+/**
+ * Find the first decade or year named in a prompt
+ */
+export function inferEra(text) {
+  for (const { regex } of ERA_CUES) {
+    const match = text.match(regex);
+    const era = match && parseEra(match[1]);
+    if (era) return era;
+  }
+  return null;
+}
+
+/**
+ * Resolve the era for a prompt: the option wins, then the prompt's own
+ * decade or year. Adds `source` ("option" or "prompt").
+ */
+export function resolveEra(option, text) {
+  const fromOption = normalizeEra(option);
+  if (fromOption) return { ...fromOption, source: 'option' };
+  const inferred = inferEra(text);
+  return inferred ? { ...inferred, source: 'prompt' } : null;
+}
+
+/**
+ * Whether a modifier's gear existed at some point during the era
+ *
+ * Records with an `era` use their own years; other modifiers are looked
+ * up in GEAR_YEARS by text.
+ */
+export function existedIn(modifier, era) {
+  if (!era) return true;
+  const overlaps = years => (years.from ?? -Infinity) <= era.to && (years.to ?? Infinity) >= era.from;
+  if (typeof modifier === 'object' && modifier.era) return overlaps(modifier.era);
+  const text = typeof modifier === 'string' ? modifier : modifier.text;
+  return GEAR_YEARS.every(gear => !gear.regex.test(text) || overlaps(gear));
+}
+
+export default { GEAR_YEARS, ERAS, parseEra, normalizeEra, inferEra, resolveEra, existedIn };
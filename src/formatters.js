@@ -0,0 +1,219 @@
+/**
+ * formatters.js — Generator-specific output formatting
+ *
+ * Each image generator reads prompts differently. A formatter takes the
+ * transformed subject plus the categorized modifiers and renders them in
+ * that generator's native syntax.
+ *
+ * Trailing --params from the user's prompt are passed through as parsed
+ * records. Generators that read them (generic, Midjourney) keep them and
+ * set `keepsParams`; the rest leave them out of the text, and the
+ * transformer logs each one it drops.
+ */
+
+// Sections in the order they appear in a rendered prompt
+const SECTION_ORDER = ['camera', 'lens', 'lighting', 'imperfections', 'composition', 'sceneDetails', 'humanDetails'];
+
+/**
+ * Flatten sections into a single ordered list
+ */
+function flattenSections(sections = {}) {
+  return SECTION_ORDER.flatMap(key => sections[key] || []);
+}
+
+/**
+ * Join items as natural language: "a, b and c"
+ */
+function joinList(items) {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+/**
+ * Append raw --params to a prompt
+ */
+function withParams(text, params = []) {
+  return [text, ...params.map(p => p.raw)].filter(Boolean).join(' ');
+}
+
+// Midjourney names some parameters two ways
+const MJ_PARAM_ALIASES = {
+  aspect: 'ar',
+  stylize: 's',
+};
+
+function capitalize(text) {
+  return text ? text[0].toUpperCase() + text.slice(1) : text;
+}
+
+/**
+ * Escape characters Stable Diffusion treats as attention syntax
+ */
+function escapeWeightSyntax(text) {
+  return text.replace(/([()[\]])/g, '\\$1');
+}
+
+/**
+ * Strip Stable Diffusion attention syntax for sentence-style targets:
+ * "(red dress:1.3)", "((smiling))" and "[blurry]" become plain words,
+ * and escaped "\(" brackets become literal ones
+ */
+function stripWeightSyntax(text) {
+  const escaped = [];
+  let plain = text.replace(/\\([()[\]])/g, (_, ch) => `\uE000${escaped.push(ch) - 1}\uE000`);
+  // Innermost groups first, so nested emphasis unwraps fully
+  const group = /[([]([^()[\]]*?)(?::\s*-?\d*\.?\d+\s*)?[)\]]/g;
+  let previous;
+  do {
+    previous = plain;
+    plain = plain.replace(group, '$1');
+  } while (plain !== previous);
+  return plain
+    .replace(/[()[\]]/g, '')
+    .replace(/\uE000(\d+)\uE000/g, (_, i) => escaped[i])
+    .replace(/\s{2,}/g, ' ')
+    .replace(/\s+([,.])/g, '$1')
+    .trim();
+}
+
+// Stable Diffusion attention weights per section; omitted sections stay unweighted
+const SD_WEIGHTS = {
+  imperfections: 1.1,
+  sceneDetails: 1.1,
+  humanDetails: 1.1,
+  camera: 1.05,
+};
+
+export const FORMATTERS = {
+  generic: {
+    id: 'generic',
+    name: 'Generic',
+    description: 'Comma-separated prompt that works with most generators',
+    keepsParams: true,
+    format({ subject, sections, params }) {
+      return withParams([subject, ...flattenSections(sections)].filter(Boolean).join(', '), params);
+    },
+  },
+  midjourney: {
+    id: 'midjourney',
+    name: 'Midjourney',
+    description: 'Comma-separated prompt with trailing --style raw, --ar and --s parameters',
+    keepsParams: true,
+    format({ subject, sections, params = [] }, options = {}) {
+      const {
+        aspectRatio = '3:2',
+        stylize = 50,
+      } = options;
+
+      // The user's own parameters win over our defaults
+      const given = new Set(params.map(p => MJ_PARAM_ALIASES[p.name] || p.name));
+      const defaults = [
+        { name: 'style', raw: '--style raw' },
+        { name: 'ar', raw: `--ar ${aspectRatio}` },
+        { name: 's', raw: `--s ${stylize}` },
+      ].filter(p => !given.has(p.name));
+
+      const text = [subject, ...flattenSections(sections)].filter(Boolean).join(', ');
+      return withParams(text, [...params, ...defaults]);
+    },
+  },
+  'stable-diffusion': {
+    id: 'stable-diffusion',
+    name: 'Stable Diffusion (A1111 / ComfyUI)',
+    description: 'Comma-separated tags with (term:weight) emphasis on realism cues',
+    format({ subject, sections }) {
+      const parts = [subject];
+      for (const key of SECTION_ORDER) {
+        const weight = SD_WEIGHTS[key];
+        for (const item of sections[key] || []) {
+          const escaped = escapeWeightSyntax(item);
+          parts.push(weight ? `(${escaped}:${weight})` : escaped);
+        }
+      }
+      return parts.filter(Boolean).join(', ');
+    },
+  },
+  dalle: {
+    id: 'dalle',
+    name: 'DALL·E',
+    description: 'Natural-language description in full sentences',
+    format({ subject, sections }) {
+      const sentences = [];
+      subject = stripWeightSyntax(subject);
+      const hasPhotoLead = /^(a |an )?(candid )?(photo|photograph|portrait|picture|snapshot)\b/i.test(subject);
+      sentences.push(capitalize(hasPhotoLead ? subject : `a photograph of ${subject}`));
+
+      const technical = [...(sections.camera || []), ...(sections.lens || []), ...(sections.lighting || [])];
+      if (technical.length) {
+        sentences.push(capitalize(joinList(technical)));
+      }
+
+      if (sections.imperfections?.length) {
+        sentences.push(`The image has ${joinList(sections.imperfections)}`);
+      }
+
+      const framing = sections.composition || [];
+      const details = [...(sections.sceneDetails || []), ...(sections.humanDetails || [])];
+      if (framing.length && details.length) {
+        sentences.push(`${capitalize(joinList(framing))}, with ${joinList(details)}`);
+      } else if (framing.length) {
+        sentences.push(capitalize(joinList(framing)));
+      } else if (details.length) {
+        sentences.push(`Showing ${joinList(details)}`);
+      }
+
+      return sentences.map(s => `${s}.`).join(' ');
+    },
+  },
+  flux: {
+    id: 'flux',
+    name: 'Flux',
+    description: 'Short descriptive sentences: subject first, then camera, then texture',
+    format({ subject, sections }) {
+      const groups = [
+        [stripWeightSyntax(subject)],
+        [...(sections.camera || []), ...(sections.lens || []), ...(sections.lighting || [])],
+        [...(sections.imperfections || []), ...(sections.composition || [])],
+        [...(sections.sceneDetails || []), ...(sections.humanDetails || [])],
+      ];
+      return groups
+        .map(group => group.filter(Boolean).join(', '))
+        .filter(Boolean)
+        .map(text => `${capitalize(text)}.`)
+        .join(' ');
+    },
+  },
+};
+
+// Alternate names accepted for --target
+const TARGET_ALIASES = {
+  mj: 'midjourney',
+  sd: 'stable-diffusion',
+  a1111: 'stable-diffusion',
+  comfyui: 'stable-diffusion',
+  'dall-e': 'dalle',
+  'dall-e-3': 'dalle',
+};
+
+export const TARGETS = Object.keys(FORMATTERS);
+
+/**
+ * Look up a formatter by target name or alias
+ */
+export function getFormatter(target = 'generic') {
+  const key = String(target).toLowerCase();
+  const formatter = FORMATTERS[TARGET_ALIASES[key] || key];
+  if (!formatter) {
+    throw new Error(`Unknown target: ${target}. Use one of: ${TARGETS.join(', ')}`);
+  }
+  return formatter;
+}
+
+/**
+ * Render a subject and categorized modifiers for a target generator
+ */
+export function formatPrompt(target, parts, options = {}) {
+  return getFormatter(target).format(parts, options);
+}
+
+export default { FORMATTERS, TARGETS, getFormatter, formatPrompt };
@@ -5,7 +5,7 @@
  */
 
 export { analyzePrompt, AI_PRONE_PATTERNS, REALISM_INDICATORS } from './patterns.js';
-export { transformPrompt, humanize, getSuggestions } from './transformer.js';
+export { SECTION_KEYS, transformPrompt, humanize, getSuggestions, generateVariants, buildNegativePrompt } from './transformer.js';
 export {
   CAMERAS,
   LENSES,
@@ -13,8 +13,32 @@ export {
   IMPERFECTIONS,
   HUMAN_DETAILS,
   COMPOSITION,
+  SCENE_DETAILS,
+  SCENE_COMPOSITION,
+  LOCATIONS,
   ENVIRONMENT,
   STYLES,
+  NEGATIVES,
+  ISSUE_NEGATIVES,
+  modifierText,
   getRandomModifiers,
+  pickGearBundle,
   getBalancedModifiers,
 } from './modifiers.js';
+export { createRandom } from './random.js';
+export { parsePromptRecords, readPromptRecords, runBatch, summarizeBatch, formatBatchResults } from './batch.js';
+export { ConfigError, DEFAULT_SETTINGS, findConfigFile, resolveConfig } from './config.js';
+export { RulePackError, compileRulePack, loadRulePack, loadRulePacks } from './rules.js';
+export { parsePrompt, stringifyPrompt, getPlainText } from './parser.js';
+export { FORMATTERS, TARGETS, getFormatter, formatPrompt } from './formatters.js';
+export { CONFLICT_DIMENSIONS, findConflicts, createCoherenceContext } from './coherence.js';
+export { SCENE_TYPES, classifyScene } from './scenes.js';
+export { createSubjectEnhancer, enhanceSubjects } from './subjects.js';
+export { ERAS, GEAR_YEARS, parseEra, inferEra, resolveEra } from './eras.js';
+export { PRESETS, presetId, listPresets, findPreset, resolvePreset } from './presets.js';
+export { diffWords } from './diff.js';
+export { LOCKABLE, createSession } from './session.js';
+export { LINT_FORMATS, DEFAULT_LINT, readLintRecords, readLintFiles, lintRecords, formatLintReport } from './lint.js';
+export { SCORE_CATEGORIES, DEFAULT_SCORING, scoreMatches, explainScore, scoreBadge } from './scoring.js';
+export { SchemaError, validateSchema } from './schema.js';
+export { OPERATIONS, getOperation, runOperation } from './operations.js';
@@ -0,0 +1,441 @@
+/**
+ * lint.js — Lint prompt files for CI
+ *
+ * Runs analyzePrompt over every prompt in a set of files and turns the
+ * issues into findings with file, line and column. A prompt fails when
+ * it has an error-level finding or scores over `maxScore`. Reports come
+ * as human-readable text, JSON, SARIF 2.1.0 (code scanning) or JUnit XML.
+ *
+ * Suppressions are comments, in text and JSONL files on a line of their
+ * own, or at the end of a prompt in any format:
+ *
+ *   # humanizer-disable beautiful-modifier, 8k-4k   rest of the file
+ *   # humanizer-enable                              turn rules back on
+ *   # humanizer-disable-next-line direct-gaze       just the next prompt
+ *   a stunning woman  # humanizer-disable beautiful-modifier   this prompt
+ *
+ * With no rule ids, a directive covers every rule.
+ */
+
+import { readFileSync } from 'fs';
+import { relative } from 'path';
+import { analyzePrompt, AI_PRONE_PATTERNS } from './patterns.js';
+import { detectFormat, expandGlob, parsePromptRecords } from './batch.js';
+import { resolveRulePacks, mergePatterns } from './rules.js';
+
+export const LINT_FORMATS = ['human', 'json', 'sarif', 'junit'];
+export const SEVERITIES = ['error', 'warning', 'off'];
+
+// Finding for a prompt that scores over maxScore
+export const MAX_SCORE_RULE = {
+  id: 'max-score',
+  name: 'Score over maximum',
+  description: 'The prompt\'s overall AI-prone score is over the allowed maximum',
+  suggestion: 'Fix the issues listed for this prompt, or run transform on it',
+};
+
+export const DEFAULT_LINT = {
+  // Prompts scoring over this fail
+  maxScore: 60,
+  // Per-rule levels; rules not listed are warnings, max-score is an error
+  severity: {},
+};
+
+const TOOL_URI = 'https://github.com/brandonwise/image-humanizer';
+const TOOL_VERSION = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf-8')).version;
+
+const DIRECTIVE = /(?:^|\s)#\s*humanizer-(disable-next-line|disable|enable)\b([^#]*)$/;
+const COMMENT = /^\s*#/;
+
+/**
+ * Check lint settings, returning a list of problems (empty when valid)
+ */
+export function validateLintSettings(lint) {
+  if (!lint || typeof lint !== 'object' || Array.isArray(lint)) {
+    return ['lint must be an object with maxScore and severity'];
+  }
+  const problems = [];
+  for (const key of Object.keys(lint)) {
+    if (!(key in DEFAULT_LINT)) problems.push(`lint.${key} is not a lint setting (expected maxScore or severity)`);
+  }
+  if (lint.maxScore !== undefined && !(Number.isFinite(lint.maxScore) && lint.maxScore >= 0 && lint.maxScore <= 100)) {
+    problems.push('lint.maxScore must be a number from 0 to 100');
+  }
+  if (lint.severity !== undefined) {
+    if (!lint.severity || typeof lint.severity !== 'object' || Array.isArray(lint.severity)) {
+      problems.push('lint.severity must be an object of rule ids to levels');
+    } else {
+      for (const [rule, level] of Object.entries(lint.severity)) {
+        if (!SEVERITIES.includes(level)) problems.push(`lint.severity.${rule} must be one of: ${SEVERITIES.join(', ')}`);
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * Parse "rule:level,rule:level" (the --severity flag) into an object
+ */
+export function parseSeverityList(text) {
+  const severity = {};
+  for (const item of text.split(',').map(s => s.trim()).filter(Boolean)) {
+    const [rule, level] = item.split(':').map(s => s.trim());
+    if (!rule || !SEVERITIES.includes(level)) {
+      throw new Error(`--severity entries look like rule:level, with level one of: ${SEVERITIES.join(', ')} (got "${item}")`);
+    }
+    severity[rule] = level;
+  }
+  return severity;
+}
+
+/**
+ * Split a trailing suppression directive off a line or prompt
+ *
+ * Returns { text, directive }, where directive is { type, rules } or
+ * null. Empty `rules` means every rule.
+ */
+export function splitDirective(text) {
+  const match = text.match(DIRECTIVE);
+  if (!match) return { text, directive: null };
+  return {
+    text: text.slice(0, match.index).trimEnd(),
+    directive: { type: match[1], rules: match[2].split(/[\s,]+/).filter(Boolean) },
+  };
+}
+
+// Suppression state while reading a file: rules off for the rest of it,
+// and rules off for the next prompt only. `true` means every rule.
+function createSuppressions() {
+  let block = new Set();
+  let blockAll = false;
+  let next = null;
+
+  return {
+    apply({ type, rules }) {
+      if (type === 'disable-next-line') {
+        next = rules.length ? rules : true;
+      } else if (type === 'disable') {
+        if (rules.length) rules.forEach(r => block.add(r));
+        else blockAll = true;
+      } else if (rules.length) {
+        rules.forEach(r => block.delete(r));
+      } else {
+        block = new Set();
+        blockAll = false;
+      }
+    },
+    // Suppressions for a prompt, given the directive at the end of its
+    // line: "disable" covers the prompt, the others apply to what follows
+    take(directive) {
+      const inline = directive?.type === 'disable' ? directive : null;
+      const all = blockAll || next === true || Boolean(inline && !inline.rules.length);
+      const rules = new Set([...block, ...(Array.isArray(next) ? next : []), ...(inline?.rules || [])]);
+      next = null;
+      if (directive && !inline) this.apply(directive);
+      return all ? true : rules;
+    },
+  };
+}
+
+/**
+ * Read lint records from one file's text: { prompt, source, line, column, suppressed }
+ *
+ * `column` (1-based, text files only) is where the prompt starts on its
+ * line. `suppressed` is a Set of rule ids, or true for every rule.
+ * Lines starting with "#" are comments in text and JSONL files.
+ */
+export function readLintRecords(text, options = {}) {
+  const { format = 'txt', source = 'stdin', column: promptColumn, idColumn } = options;
+  const suppressions = createSuppressions();
+
+  if (format === 'csv') {
+    return parsePromptRecords(text, { format, source, column: promptColumn, idColumn }).map(record => {
+      const { text: prompt, directive } = splitDirective(record.prompt);
+      return { ...record, prompt, suppressed: suppressions.take(directive) };
+    });
+  }
+
+  const records = [];
+  text.split(/\r?\n/).forEach((raw, i) => {
+    if (!raw.trim()) return;
+    if (COMMENT.test(raw)) {
+      const { directive } = splitDirective(raw.trim());
+      if (directive) suppressions.apply(directive);
+      return;
+    }
+
+    if (format === 'jsonl') {
+      const [record] = parsePromptRecords(raw, { format, source, column: promptColumn, idColumn });
+      const { text: prompt, directive } = splitDirective(record.prompt);
+      records.push({ ...record, prompt, line: i + 1, suppressed: suppressions.take(directive) });
+      return;
+    }
+
+    const { text: body, directive } = splitDirective(raw);
+    const prompt = body.trim();
+    records.push({
+      id: String(i + 1),
+      prompt,
+      source,
+      line: i + 1,
+      column: body.indexOf(prompt) + 1,
+      suppressed: suppressions.take(directive),
+    });
+  });
+  return records;
+}
+
+/**
+ * Read lint records from files and globs ("-" reads `stdinText` as text)
+ */
+export function readLintFiles(inputs, options = {}, stdinText = '') {
+  const cwd = options.cwd || process.cwd();
+  return inputs.flatMap(input => {
+    if (input === '-') {
+      return readLintRecords(stdinText, { ...options, format: options.format || 'txt', source: 'stdin' });
+    }
+    const files = expandGlob(input, cwd);
+    if (!files.length) throw new Error(`No files match: ${input}`);
+    return files.flatMap(file => readLintRecords(readFileSync(file, 'utf-8'), {
+      ...options,
+      format: options.format || detectFormat(file),
+      source: relative(cwd, file) || file,
+    }));
+  });
+}
+
+// One finding per span, so each matched phrase gets its own location
+function issueFindings(issue, record, severity) {
+  const base = {
+    ruleId: issue.id,
+    severity,
+    source: record.source,
+    line: record.line,
+    message: issue.name,
+    suggestion: issue.suggestion,
+    points: issue.points,
+  };
+  if (!issue.spans?.length) return [{ ...base, column: record.column }];
+  return issue.spans.map(span => ({
+    ...base,
+    message: `${issue.name}: "${span.text}"`,
+    ...(record.column ? { column: record.column + span.start, endColumn: record.column + span.end } : {}),
+  }));
+}
+
+/**
+ * Lint prompt records
+ *
+ * Options:
+ *   maxScore        prompts scoring over this fail (default 60)
+ *   severity        rule id → "error" | "warning" | "off"
+ *   rules, weights, disabledRules   passed to analyzePrompt
+ *
+ * Returns { results, findings, summary }. Each result is one prompt with
+ * its score and findings; `summary.passed` is false when any finding is
+ * an error.
+ */
+export function lintRecords(records, options = {}) {
+  const maxScore = options.maxScore ?? DEFAULT_LINT.maxScore;
+  const severity = { ...DEFAULT_LINT.severity, ...options.severity };
+  const levelOf = id => severity[id] || (id === MAX_SCORE_RULE.id ? 'error' : 'warning');
+  const off = Object.keys(severity).filter(id => severity[id] === 'off');
+
+  const results = records.map(record => {
+    const base = { source: record.source, line: record.line, prompt: record.prompt };
+    if (record.suppressed === true) return { ...base, suppressed: true, findings: [] };
+    if (record.error || !record.prompt) {
+      const message = record.error || 'empty prompt';
+      return { ...base, findings: [{ ruleId: 'parse-error', severity: 'error', source: record.source, line: record.line, message }] };
+    }
+
+    const suppressed = record.suppressed || new Set();
+    const analysis = analyzePrompt(record.prompt, {
+      rules: options.rules,
+      weights: options.weights,
+      disabledRules: [...(options.disabledRules || []), ...off, ...suppressed],
+    });
+
+    const findings = analysis.issues.flatMap(issue => issueFindings(issue, record, levelOf(issue.id)));
+    const scoreLevel = levelOf(MAX_SCORE_RULE.id);
+    if (analysis.score > maxScore && scoreLevel !== 'off' && !suppressed.has(MAX_SCORE_RULE.id)) {
+      findings.unshift({
+        ruleId: MAX_SCORE_RULE.id,
+        severity: scoreLevel,
+        source: record.source,
+        line: record.line,
+        column: record.column,
+        message: `Score ${analysis.score} is over the maximum of ${maxScore}`,
+        suggestion: MAX_SCORE_RULE.suggestion,
+      });
+    }
+    return { ...base, score: analysis.score, findings };
+  });
+
+  const findings = results.flatMap(r => r.findings);
+  const errors = findings.filter(f => f.severity === 'error').length;
+  return {
+    results,
+    findings,
+    summary: {
+      files: new Set(records.map(r => r.source)).size,
+      prompts: results.length,
+      suppressed: results.filter(r => r.suppressed).length,
+      failed: results.filter(r => r.findings.some(f => f.severity === 'error')).length,
+      errors,
+      warnings: findings.length - errors,
+      maxScore,
+      passed: errors === 0,
+    },
+  };
+}
+
+// Rule metadata for SARIF: built-in patterns, rule packs and max-score
+function ruleCatalog(options) {
+  const patterns = mergePatterns(AI_PRONE_PATTERNS, resolveRulePacks(options.rules));
+  return [...patterns, MAX_SCORE_RULE];
+}
+
+function formatHuman(report) {
+  const lines = [];
+  const bySource = new Map();
+  for (const finding of report.findings) {
+    if (!bySource.has(finding.source)) bySource.set(finding.source, []);
+    bySource.get(finding.source).push(finding);
+  }
+
+  for (const [source, findings] of bySource) {
+    lines.push(source);
+    for (const f of findings) {
+      const where = `${f.line}${f.column ? `:${f.column}` : ''}`;
+      lines.push(`  ${where.padEnd(8)} ${f.severity.padEnd(8)} ${f.message}  ${f.ruleId}`);
+    }
+    lines.push('');
+  }
+
+  const { summary } = report;
+  const total = summary.errors + summary.warnings;
+  const counts = `${total} problem${total === 1 ? '' : 's'} (${summary.errors} error${summary.errors === 1 ? '' : 's'}, ${summary.warnings} warning${summary.warnings === 1 ? '' : 's'})`;
+  const scope = `${summary.prompts} prompt${summary.prompts === 1 ? '' : 's'} in ${summary.files} file${summary.files === 1 ? '' : 's'}`;
+  const suppressed = summary.suppressed ? `, ${summary.suppressed} suppressed` : '';
+  lines.push(`${summary.passed ? '✔' : '✖'} ${counts} across ${scope}${suppressed}`);
+  return lines.join('\n');
+}
+
+function formatSarif(report, options) {
+  const rules = ruleCatalog(options);
+  const index = new Map(rules.map((rule, i) => [rule.id, i]));
+  const level = severity => (severity === 'error' ? 'error' : 'warning');
+
+  const sarif = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'image-humanizer',
+          informationUri: TOOL_URI,
+          version: TOOL_VERSION,
+          rules: rules.map(rule => ({
+            id: rule.id,
+            name: rule.name,
+            shortDescription: { text: rule.name || rule.id },
+            ...(rule.description ? { fullDescription: { text: rule.description } } : {}),
+            ...(rule.suggestion ? { help: { text: rule.suggestion } } : {}),
+          })),
+        },
+      },
+      results: report.findings.map(f => ({
+        ruleId: f.ruleId,
+        ...(index.has(f.ruleId) ? { ruleIndex: index.get(f.ruleId) } : {}),
+        level: level(f.severity),
+        message: { text: f.suggestion ? `${f.message}. ${f.suggestion}` : f.message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: f.source.split('\\').join('/') },
+            region: {
+              startLine: f.line,
+              ...(f.column ? { startColumn: f.column } : {}),
+              ...(f.endColumn ? { endColumn: f.endColumn } : {}),
+            },
+          },
+        }],
+      })),
+    }],
+  };
+  return JSON.stringify(sarif, null, 2);
+}
+
+function xml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// One test suite per file and one test case per prompt; errors fail the
+// case, warnings go to its output
+function formatJunit(report) {
+  const suites = new Map();
+  for (const result of report.results) {
+    if (!suites.has(result.source)) suites.set(result.source, []);
+    suites.get(result.source).push(result);
+  }
+
+  const { summary } = report;
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="image-humanizer lint" tests="${summary.prompts}" failures="${summary.failed}" skipped="${summary.suppressed}">`,
+  ];
+  for (const [source, results] of suites) {
+    const failures = results.filter(r => r.findings.some(f => f.severity === 'error')).length;
+    const skipped = results.filter(r => r.suppressed).length;
+    out.push(`  <testsuite name="${xml(source)}" tests="${results.length}" failures="${failures}" skipped="${skipped}">`);
+    for (const result of results) {
+      const name = `line ${result.line}: ${result.prompt.length > 60 ? `${result.prompt.slice(0, 57)}...` : result.prompt}`;
+      const errors = result.findings.filter(f => f.severity === 'error');
+      const warnings = result.findings.filter(f => f.severity !== 'error');
+      const body = [];
+      if (result.suppressed) body.push('      <skipped message="suppressed"/>');
+      if (errors.length) {
+        const text = errors.map(f => `${f.line}${f.column ? `:${f.column}` : ''} ${f.message} (${f.ruleId})`).join('\n');
+        body.push(`      <failure message="${xml(errors[0].message)}" type="${xml(errors[0].ruleId)}">${xml(text)}</failure>`);
+      }
+      if (warnings.length) {
+        body.push(`      <system-out>${xml(warnings.map(f => `warning: ${f.message} (${f.ruleId})`).join('\n'))}</system-out>`);
+      }
+      const attrs = `name="${xml(name)}" classname="${xml(source)}" file="${xml(source)}" line="${result.line}"`;
+      out.push(body.length ? `    <testcase ${attrs}>\n${body.join('\n')}\n    </testcase>` : `    <testcase ${attrs}/>`);
+    }
+    out.push('  </testsuite>');
+  }
+  out.push('</testsuites>');
+  return out.join('\n');
+}
+
+/**
+ * Render a lint report as human, json, sarif or junit
+ *
+ * `options.rules` lists rule packs so SARIF can describe their rules.
+ */
+export function formatLintReport(report, format = 'human', options = {}) {
+  if (format === 'json') return JSON.stringify({ summary: report.summary, findings: report.findings }, null, 2);
+  if (format === 'sarif') return formatSarif(report, options);
+  if (format === 'junit') return formatJunit(report);
+  return formatHuman(report);
+}
+
+export default {
+  LINT_FORMATS,
+  SEVERITIES,
+  MAX_SCORE_RULE,
+  DEFAULT_LINT,
+  validateLintSettings,
+  parseSeverityList,
+  splitDirective,
+  readLintRecords,
+  readLintFiles,
+  lintRecords,
+  formatLintReport,
+};
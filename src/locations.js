@@ -0,0 +1,113 @@
+/**
+ * locations.js — Location enrichment
+ *
+ * Finds generic locations ("in a coffee shop", "beach at sunset") and
+ * swaps in a specific variant from the LOCATIONS library, picking only
+ * variants that fit the prompt's setting and time of day.
+ */
+
+import { LOCATIONS } from './modifiers.js';
+
+// Prepositions that just place the scene; the variant's own preposition
+// replaces these, while directional ones ("from", "through") are kept
+const LOCATIVE = ['in', 'at', 'on', 'by'];
+const DIRECTIONAL = ['from', 'to', 'into', 'through', 'near', 'outside', 'across', 'toward'];
+
+// A location must end its clause or run into a linking word ("at sunset",
+// "and a dog"). That leaves alone places already made specific ("a park
+// with...") and nouns that only qualify another ("park bench").
+const LOCATION_END = '(?=\\s*(?:$|[,.;])|\\s(?:at|in|on|during|under|near|by|after|before|and|or|to|from|while|as|then|downtown)\\b)';
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Map every location name and alias (lowercased) to its library entry
+ *
+ * `extra` entries are merged over the built-in library, so callers can
+ * add places or replace the variants for one.
+ */
+export function buildLocationIndex(extra = {}) {
+  const index = new Map();
+  for (const [name, entry] of Object.entries({ ...LOCATIONS, ...extra })) {
+    for (const key of [name, ...(entry.aliases || [])]) {
+      index.set(key.toLowerCase(), { name, ...entry });
+    }
+  }
+  return index;
+}
+
+/**
+ * Regex matching a generic location, either after a preposition and
+ * article ("in a", "through the") or bare at the start of a clause ("beach at sunset")
+ *
+ * Groups: 1 the preposition and 2 the name, or 3 the name of a bare location.
+ */
+export function buildLocationRegex(index = buildLocationIndex()) {
+  const names = [...index.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegex)
+    .join('|');
+  return new RegExp(
+    `\\b(${[...LOCATIVE, ...DIRECTIONAL].join('|')}) (?:a|an|the) (${names})${LOCATION_END}`
+      + `|(?<=^|,\\s*)(?:(?:a|an|the) )?(${names})${LOCATION_END}`,
+    'gi'
+  );
+}
+
+/**
+ * Replace every generic location in `text` with a compatible variant
+ *
+ * Options:
+ *   rng        generator from createRandom()
+ *   coherence  context from createCoherenceContext(); each pick is added
+ *   index      location index from buildLocationIndex()
+ *   used       Set of variant texts already used, so repeats differ
+ *   settings   Set collecting the indoor/outdoor setting of each location
+ *   log        array; each rewrite is pushed as { type: 'rewrite', rule, original, replacement }
+ *
+ * Settings aren't added to the coherence context here, since one prompt
+ * can move from a coffee shop to a park; commitSettings() does that once
+ * every clause is enriched. Locations with no compatible variant are left
+ * as written.
+ */
+export function enrichLocations(text, options) {
+  const { rng, coherence, index = buildLocationIndex(), used = new Set(), settings = new Set(), log } = options;
+
+  return text.replace(buildLocationRegex(index), (match, preposition, prepositionName, bareName) => {
+    const entry = index.get((prepositionName || bareName).toLowerCase());
+    const settingTag = { dimension: 'setting', value: entry.setting };
+
+    const candidates = entry.variants.filter(variant => {
+      if (used.has(variant.text)) return false;
+      const times = variant.time || [];
+      const timeFits = !times.length || times.some(time => coherence.allows('', [{ dimension: 'time', value: time }]));
+      return timeFits && coherence.allows(variant.text, [settingTag]);
+    });
+    if (!candidates.length) return match;
+
+    const variant = rng.pick(candidates);
+    used.add(variant.text);
+    settings.add(entry.setting);
+    coherence.add(variant.text, variant.time?.length === 1 ? [{ dimension: 'time', value: variant.time[0] }] : []);
+    const locative = preposition && LOCATIVE.includes(preposition.toLowerCase());
+    const replacement = preposition
+      ? `${locative ? variant.preposition || preposition : preposition} ${variant.text}`
+      : variant.text;
+    log?.push({ type: 'rewrite', rule: 'generic-location', original: match, replacement });
+    return replacement;
+  });
+}
+
+/**
+ * Commit the locations' setting to the coherence context when they agree,
+ * so an indoor-only prompt never gets "dappled sunlight through trees"
+ */
+export function commitSettings(coherence, settings) {
+  if (settings.size === 1) {
+    coherence.add('', [{ dimension: 'setting', value: [...settings][0] }]);
+  }
+}
+
+export default { buildLocationIndex, buildLocationRegex, enrichLocations, commitSettings };
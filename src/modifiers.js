@@ -5,41 +5,16 @@
  * toward more realistic, human-looking outputs.
  */
 
-// Camera and lens specifications
-export const CAMERAS = {
-  film: [
-    'shot on 35mm film',
-    'shot on Kodak Portra 400',
-    'shot on Kodak Ektar 100',
-    'shot on Fuji Pro 400H',
-    'shot on Ilford HP5',
-    'shot on Kodak Tri-X 400',
-    'shot on Cinestill 800T',
-    'vintage Polaroid',
-    'instant film photograph',
-    'disposable camera photo',
-  ],
-  professional: [
-    'shot on Leica M6',
-    'shot on Hasselblad 500C',
-    'shot on Contax T2',
-    'shot on Mamiya RB67',
-    'shot on Canon AE-1',
-    'shot on Nikon FM2',
-    'shot on Pentax K1000',
-    'medium format film',
-    'large format photograph',
-  ],
-  modern: [
-    'shot on iPhone',
-    'smartphone photo',
-    'DSLR photograph',
-    'mirrorless camera',
-    'point and shoot camera',
-  ],
-};
+import { createRandom } from './random.js';
+import { createCoherenceContext } from './coherence.js';
 
-export const LENSES = [
+// Formats a record can be shot on. Stocks list every format they come
+// in; cameras and bodies the one they take.
+const FILM_FORMATS = ['35mm', 'medium format', 'large format', 'cartridge', 'instant', 'disposable'];
+
+// Lenses that fit each kind of body, by LENSES text. Fixed-lens cameras
+// (instant, disposable, phones, compacts) list none.
+const SLR_LENSES = [
   '35mm lens',
   '50mm f/1.4',
   '50mm f/1.8',
@@ -53,6 +28,335 @@ export const LENSES = [
   'tilt-shift lens',
   'vintage lens with character',
 ];
+const RANGEFINDER_LENSES = ['35mm lens', '50mm f/1.4', '50mm f/1.8', '24mm wide angle', 'f/2.8 aperture', 'wide open aperture', 'vintage lens with character'];
+const MEDIUM_FORMAT_LENSES = ['80mm f/2.8', 'f/2.8 aperture', 'wide open aperture', 'bokeh background', 'vintage lens with character'];
+const LARGE_FORMAT_LENSES = ['vintage lens with character'];
+
+// Camera and film records. Each has:
+//   text       the modifier as it appears in a prompt
+//   name       short name, used when a body and stock are combined
+//   kind       "stock" (needs a body), "body" (needs a stock) or "camera" (both)
+//   format     formats it comes in or takes
+//   color      "color", "bw" or "either"
+//   iso        film speed, where there is one
+//   era        { from, to } years it was available
+//   artifacts  what its pictures typically look like
+//   subjects   scene types it suits (empty = any)
+//   lenses     compatible LENSES texts (empty = fixed lens)
+export const CAMERAS = {
+  film: [
+    {
+      text: 'shot on 35mm film',
+      name: '35mm film',
+      kind: 'stock',
+      format: ['35mm'],
+      color: 'either',
+      iso: null,
+      era: { from: 1934 },
+      artifacts: ['film grain', 'halation'],
+      subjects: [],
+      lenses: SLR_LENSES,
+    },
+    {
+      text: 'shot on Kodak Portra 400',
+      name: 'Kodak Portra 400',
+      kind: 'stock',
+      format: ['35mm', 'medium format'],
+      color: 'color',
+      iso: 400,
+      era: { from: 1998 },
+      artifacts: ['soft pastel skin tones', 'warm highlights'],
+      subjects: ['portrait', 'group', 'food', 'street', 'landscape'],
+      lenses: SLR_LENSES,
+    },
+    {
+      text: 'shot on Kodak Ektar 100',
+      name: 'Kodak Ektar 100',
+      kind: 'stock',
+      format: ['35mm', 'medium format'],
+      color: 'color',
+      iso: 100,
+      era: { from: 2008 },
+      artifacts: ['punchy saturated colors', 'very fine grain'],
+      subjects: ['landscape', 'architecture', 'product', 'vehicle', 'food'],
+      lenses: SLR_LENSES,
+    },
+    {
+      text: 'shot on Fuji Pro 400H',
+      name: 'Fuji Pro 400H',
+      kind: 'stock',
+      format: ['35mm', 'medium format'],
+      color: 'color',
+      iso: 400,
+      era: { from: 2004, to: 2021 },
+      artifacts: ['cool green-tinted shadows', 'pastel tones'],
+      subjects: ['portrait', 'group', 'food', 'landscape'],
+      lenses: SLR_LENSES,
+    },
+    {
+      text: 'shot on Ilford HP5',
+      name: 'Ilford HP5',
+      kind: 'stock',
+      format: ['35mm', 'medium format', 'large format'],
+      color: 'bw',
+      iso: 400,
+      era: { from: 1976 },
+      artifacts: ['gritty black-and-white grain', 'deep blacks'],
+      subjects: ['street', 'portrait', 'group', 'architecture', 'animal'],
+      lenses: SLR_LENSES,
+    },
+    {
+      text: 'shot on Kodak Tri-X 400',
+      name: 'Kodak Tri-X 400',
+      kind: 'stock',
+      format: ['35mm', 'medium format', 'large format'],
+      color: 'bw',
+      iso: 400,
+      era: { from: 1954 },
+      artifacts: ['high-contrast black-and-white grain', 'crushed shadows'],
+      subjects: ['street', 'portrait', 'group'],
+      lenses: SLR_LENSES,
+    },
+    {
+      text: 'shot on Cinestill 800T',
+      name: 'Cinestill 800T',
+      kind: 'stock',
+      format: ['35mm'],
+      color: 'color',
+      iso: 800,
+      era: { from: 2012 },
+      artifacts: ['red halation around highlights', 'tungsten-balanced cool cast'],
+      subjects: ['street', 'vehicle', 'portrait'],
+      lenses: SLR_LENSES,
+    },
+    {
+      text: 'vintage Polaroid',
+      name: 'Polaroid',
+      kind: 'camera',
+      format: ['instant'],
+      color: 'color',
+      iso: null,
+      era: { from: 1948 },
+      artifacts: ['washed-out instant film colors', 'chemical streaks at the edge'],
+      subjects: ['portrait', 'group', 'food', 'product', 'animal'],
+      lenses: [],
+    },
+    {
+      text: 'instant film photograph',
+      name: 'instant film',
+      kind: 'camera',
+      format: ['instant'],
+      color: 'either',
+      iso: null,
+      era: { from: 1948 },
+      artifacts: ['creamy instant film tones', 'uneven chemical spread'],
+      subjects: ['portrait', 'group', 'food', 'product', 'animal'],
+      lenses: [],
+    },
+    {
+      text: 'disposable camera photo',
+      name: 'disposable camera',
+      kind: 'camera',
+      format: ['disposable'],
+      color: 'color',
+      iso: 400,
+      era: { from: 1986 },
+      artifacts: ['harsh on-camera flash', 'soft plastic lens'],
+      subjects: ['group', 'portrait', 'street', 'animal'],
+      lenses: [],
+    },
+  ],
+  professional: [
+    {
+      text: 'shot on Leica M6',
+      name: 'Leica M6',
+      kind: 'body',
+      format: ['35mm'],
+      color: 'either',
+      iso: null,
+      era: { from: 1984 },
+      artifacts: ['slightly loose rangefinder framing'],
+      subjects: ['street', 'portrait', 'group'],
+      lenses: RANGEFINDER_LENSES,
+    },
+    {
+      text: 'shot on Hasselblad 500C',
+      name: 'Hasselblad 500C',
+      kind: 'body',
+      format: ['medium format'],
+      color: 'either',
+      iso: null,
+      era: { from: 1957 },
+      artifacts: ['square frame', 'smooth medium format falloff'],
+      subjects: ['portrait', 'landscape', 'product', 'food', 'architecture'],
+      lenses: MEDIUM_FORMAT_LENSES,
+    },
+    {
+      text: 'shot on Contax T2',
+      name: 'Contax T2',
+      kind: 'body',
+      format: ['35mm'],
+      color: 'either',
+      iso: null,
+      era: { from: 1990 },
+      artifacts: ['punchy compact-camera flash', 'slight corner vignetting'],
+      subjects: ['street', 'group', 'portrait', 'food'],
+      lenses: [],
+    },
+    {
+      text: 'shot on Mamiya RB67',
+      name: 'Mamiya RB67',
+      kind: 'body',
+      format: ['medium format'],
+      color: 'either',
+      iso: null,
+      era: { from: 1970 },
+      artifacts: ['razor-thin focus plane', '6x7 frame'],
+      subjects: ['portrait', 'product', 'landscape'],
+      lenses: MEDIUM_FORMAT_LENSES,
+    },
+    {
+      text: 'shot on Canon AE-1',
+      name: 'Canon AE-1',
+      kind: 'body',
+      format: ['35mm'],
+      color: 'either',
+      iso: null,
+      era: { from: 1976 },
+      artifacts: ['slight corner vignetting'],
+      subjects: [],
+      lenses: SLR_LENSES,
+    },
+    {
+      text: 'shot on Nikon FM2',
+      name: 'Nikon FM2',
+      kind: 'body',
+      format: ['35mm'],
+      color: 'either',
+      iso: null,
+      era: { from: 1982 },
+      artifacts: ['faint light leak at the frame edge'],
+      subjects: [],
+      lenses: SLR_LENSES,
+    },
+    {
+      text: 'shot on Pentax K1000',
+      name: 'Pentax K1000',
+      kind: 'body',
+      format: ['35mm'],
+      color: 'either',
+      iso: null,
+      era: { from: 1976 },
+      artifacts: ['slightly soft corners'],
+      subjects: [],
+      lenses: SLR_LENSES,
+    },
+    {
+      text: 'medium format film',
+      name: 'medium format camera',
+      kind: 'body',
+      format: ['medium format'],
+      color: 'either',
+      iso: null,
+      era: { from: 1901 },
+      artifacts: ['smooth tonal gradation'],
+      subjects: ['portrait', 'landscape', 'architecture', 'product', 'food'],
+      lenses: MEDIUM_FORMAT_LENSES,
+    },
+    {
+      text: 'large format photograph',
+      name: 'large format camera',
+      kind: 'body',
+      format: ['large format'],
+      color: 'either',
+      iso: null,
+      era: { from: 1880 },
+      artifacts: ['focus falling off toward the edges'],
+      subjects: ['landscape', 'architecture', 'product'],
+      lenses: LARGE_FORMAT_LENSES,
+    },
+  ],
+  modern: [
+    {
+      text: 'shot on iPhone',
+      name: 'iPhone',
+      kind: 'camera',
+      format: ['phone'],
+      color: 'either',
+      iso: null,
+      era: { from: 2007 },
+      artifacts: ['smartphone HDR look', 'noise in the shadows'],
+      subjects: [],
+      lenses: [],
+    },
+    {
+      text: 'smartphone photo',
+      name: 'smartphone',
+      kind: 'camera',
+      format: ['phone'],
+      color: 'either',
+      iso: null,
+      era: { from: 2007 },
+      artifacts: ['slight wide-angle distortion', 'noise in the shadows'],
+      subjects: [],
+      lenses: [],
+    },
+    {
+      text: 'DSLR photograph',
+      name: 'DSLR',
+      kind: 'camera',
+      format: ['digital'],
+      color: 'either',
+      iso: null,
+      era: { from: 1999 },
+      artifacts: ['subtle sensor noise', 'clipped highlights'],
+      subjects: [],
+      lenses: SLR_LENSES,
+    },
+    {
+      text: 'mirrorless camera',
+      name: 'mirrorless camera',
+      kind: 'camera',
+      format: ['digital'],
+      color: 'either',
+      iso: null,
+      era: { from: 2008 },
+      artifacts: ['subtle sensor noise', 'slight rolling shutter skew'],
+      subjects: [],
+      lenses: SLR_LENSES,
+    },
+    {
+      text: 'point and shoot camera',
+      name: 'point and shoot',
+      kind: 'camera',
+      format: ['35mm', 'digital'],
+      color: 'either',
+      iso: null,
+      era: { from: 1977 },
+      artifacts: ['direct flash falloff', 'slightly soft lens'],
+      subjects: ['street', 'group', 'portrait', 'food', 'animal'],
+      lenses: [],
+    },
+  ],
+};
+
+// Lens records: focal length (null for aperture and look descriptions),
+// formats it fits, scene types it suits (empty = any) and availability
+export const LENSES = [
+  { text: '35mm lens', focalLength: 35, format: ['35mm', 'digital'], subjects: [] },
+  { text: '50mm f/1.4', focalLength: 50, format: ['35mm', 'digital'], subjects: [] },
+  { text: '50mm f/1.8', focalLength: 50, format: ['35mm', 'digital'], subjects: [] },
+  { text: '85mm portrait lens', focalLength: 85, format: ['35mm', 'digital'], subjects: ['portrait', 'animal'] },
+  { text: '24mm wide angle', focalLength: 24, format: ['35mm', 'digital'], subjects: ['landscape', 'architecture', 'street', 'group', 'vehicle'] },
+  { text: '135mm telephoto', focalLength: 135, format: ['35mm', 'digital'], subjects: ['portrait', 'animal', 'landscape', 'street', 'vehicle'] },
+  { text: '80mm f/2.8', focalLength: 80, format: ['medium format'], subjects: [] },
+  { text: 'f/2.8 aperture', focalLength: null, format: ['35mm', 'medium format', 'digital'], subjects: [] },
+  { text: 'f/1.4 shallow depth of field', focalLength: null, format: ['35mm', 'digital'], subjects: ['portrait', 'food', 'product', 'animal'] },
+  { text: 'wide open aperture', focalLength: null, format: ['35mm', 'medium format', 'digital'], subjects: ['portrait', 'food', 'product', 'animal', 'street', 'group'] },
+  { text: 'bokeh background', focalLength: null, format: ['35mm', 'medium format', 'digital'], subjects: ['portrait', 'food', 'product', 'animal', 'street'] },
+  { text: 'tilt-shift lens', focalLength: null, format: ['35mm', 'digital'], subjects: ['architecture', 'landscape', 'product'], era: { from: 1961 } },
+  { text: 'vintage lens with character', focalLength: null, format: ['35mm', 'medium format', 'large format', 'digital'], subjects: [] },
+];
 
 // Lighting conditions
 export const LIGHTING = {
@@ -91,50 +395,127 @@ export const LIGHTING = {
   ],
 };
 
-// Imperfections and texture
+// Imperfection records. `format` limits one to the formats it can happen
+// on (omitted = any) and `color` to color or black-and-white pictures.
 export const IMPERFECTIONS = {
   film: [
-    'film grain',
-    'subtle noise',
-    'light leaks',
-    'dust and scratches',
-    'slight overexposure',
-    'underexposed shadows',
-    'color shift',
-    'halation',
-    'vignette',
+    { text: 'film grain', format: FILM_FORMATS },
+    { text: 'subtle noise', format: ['digital', 'phone'] },
+    { text: 'light leaks', format: FILM_FORMATS },
+    { text: 'dust and scratches', format: FILM_FORMATS },
+    { text: 'slight overexposure' },
+    { text: 'underexposed shadows' },
+    { text: 'color shift', format: FILM_FORMATS, color: 'color' },
+    { text: 'halation', format: ['35mm', 'medium format', 'large format'] },
+    { text: 'vignette' },
   ],
   focus: [
-    'slight motion blur',
-    'soft focus',
-    'out of focus background',
-    'shallow depth of field',
-    'slightly out of focus',
-    'focus falloff',
-    'subject blur from movement',
+    { text: 'slight motion blur' },
+    { text: 'soft focus' },
+    { text: 'out of focus background' },
+    { text: 'shallow depth of field', format: ['35mm', 'medium format', 'large format', 'digital'] },
+    { text: 'slightly out of focus' },
+    { text: 'focus falloff' },
+    { text: 'subject blur from movement' },
   ],
   physical: [
-    'lens distortion',
-    'chromatic aberration',
-    'barrel distortion',
-    'vintage lens flaws',
-    'soft corners',
-    'coma',
+    { text: 'lens distortion' },
+    { text: 'chromatic aberration' },
+    { text: 'barrel distortion' },
+    { text: 'vintage lens flaws', format: FILM_FORMATS },
+    { text: 'soft corners' },
+    { text: 'coma' },
   ],
   surface: [
-    'worn surfaces',
-    'weathered',
-    'scratched',
-    'faded colors',
-    'dusty',
-    'dirty',
-    'water stains',
-    'patina',
-    'rust',
-    'peeling paint',
+    { text: 'worn surfaces' },
+    { text: 'weathered' },
+    { text: 'scratched' },
+    { text: 'faded colors', color: 'color' },
+    { text: 'dusty' },
+    { text: 'dirty' },
+    { text: 'water stains' },
+    { text: 'patina' },
+    { text: 'rust' },
+    { text: 'peeling paint' },
   ],
 };
 
+// Negative prompt terms (what to steer away from)
+export const NEGATIVES = {
+  baseline: [
+    'airbrushed',
+    'plastic skin',
+    'oversaturated',
+    'overprocessed',
+  ],
+  render: [
+    '3d render',
+    'cgi',
+    'octane',
+    'unreal engine',
+    'digital painting',
+    'illustration',
+    'concept art',
+  ],
+  skin: [
+    'airbrushed',
+    'plastic skin',
+    'porcelain skin',
+    'overly smooth skin',
+    'heavy retouching',
+  ],
+  sharpening: [
+    'oversharpened',
+    'hdr',
+    'halo artifacts',
+    'overprocessed',
+  ],
+  lighting: [
+    'studio lighting',
+    'perfect lighting',
+    'flat even lighting',
+    'glowing rim light',
+  ],
+  composition: [
+    'perfectly centered',
+    'symmetrical composition',
+    'stiff pose',
+  ],
+  gaze: [
+    'staring at camera',
+    'posed smile',
+    'stock photo pose',
+  ],
+  generic: [
+    'stock photo',
+    'generic face',
+    'doll-like',
+    'uncanny',
+  ],
+  clean: [
+    'spotless surfaces',
+    'pristine',
+    'sterile',
+    'too clean',
+  ],
+};
+
+// Which negative categories each AI-prone pattern calls for
+export const ISSUE_NEGATIVES = {
+  'generic-subject': ['generic'],
+  'generic-location': ['clean'],
+  'beautiful-modifier': ['skin'],
+  'hyper-realistic': ['render', 'sharpening'],
+  '8k-4k': ['sharpening'],
+  'trending-artstation': ['render'],
+  'cinematic-lighting': ['lighting'],
+  'portrait-generic': ['generic'],
+  'missing-imperfection': ['skin', 'clean'],
+  'missing-camera': ['render'],
+  'symmetry-trap': ['composition'],
+  'direct-gaze': ['gaze'],
+};
+
 // Human imperfections
 export const HUMAN_DETAILS = [
   'visible pores',
@@ -187,6 +568,391 @@ export const COMPOSITION = {
   ],
 };
 
+// Details that make a specific kind of scene look lived-in, keyed by scene type
+export const SCENE_DETAILS = {
+  portrait: [
+    'flyaway hairs',
+    'lint on the sweater',
+    'crooked collar',
+    'smudged glasses',
+    'creased shirt',
+    'chipped nail polish',
+  ],
+  group: [
+    'someone mid-blink',
+    'one person looking away',
+    'uneven spacing between people',
+    'overlapping shoulders',
+    'a figure half cut off at the edge',
+    'mismatched outfits',
+  ],
+  street: [
+    'litter in the gutter',
+    'cracked pavement',
+    'faded crosswalk paint',
+    'parked cars cutting into frame',
+    'passersby out of focus',
+    'stickers on a lamppost',
+  ],
+  landscape: [
+    'haze in the distance',
+    'power lines crossing the view',
+    'patchy scrub',
+    'tire tracks in the dirt',
+    'uneven horizon',
+    'scattered rocks',
+  ],
+  food: [
+    'crumbs on the plate',
+    'steam rising',
+    'napkin stain',
+    'sauce smeared on the rim',
+    'half-eaten portion',
+    'fork resting at an angle',
+    'condensation on the glass',
+  ],
+  product: [
+    'fingerprints on the surface',
+    'dust specks',
+    'faint reflection of the room',
+    'scuffed edges',
+    'price sticker residue',
+    'visible seam lines',
+  ],
+  architecture: [
+    'scuffed floorboards',
+    'uneven paint',
+    'cables along the wall',
+    'water stain on the ceiling',
+    'slightly crooked light switch',
+    'converging verticals',
+  ],
+  animal: [
+    'matted fur',
+    'muddy paws',
+    'shed hair on the floor',
+    'wet nose',
+    'worn collar tag',
+    'ears mid-twitch',
+  ],
+  vehicle: [
+    'dirt on the wheel arches',
+    'door dings',
+    'bug splatter on the bumper',
+    'sun-faded paint',
+    'parking ticket under the wiper',
+    'reflections in the windshield',
+  ],
+};
+
+// Framing that suits each scene type
+export const SCENE_COMPOSITION = {
+  portrait: [
+    'environmental portrait',
+    'three-quarter view',
+    'close-up',
+    'caught mid-sentence',
+  ],
+  group: [
+    'loose cluster of people',
+    'candid group shot',
+    'wide shot with people cut off at the edges',
+  ],
+  street: [
+    'street photography',
+    'shot from the hip',
+    'layered foreground and background',
+    'wide establishing shot',
+  ],
+  landscape: [
+    'wide establishing shot',
+    'horizon on the lower third',
+    'foreground rocks for depth',
+  ],
+  food: [
+    'overhead shot',
+    'slightly messy table setting',
+    'tight crop on the plate',
+    '45-degree angle',
+  ],
+  product: [
+    'product on a real kitchen counter',
+    'hand holding the product',
+    'slightly off-axis angle',
+  ],
+  architecture: [
+    'eye-level interior shot',
+    'framed through a doorway',
+    'wide angle from a corner',
+  ],
+  animal: [
+    'eye level with the animal',
+    'caught mid-movement',
+    'close-up',
+  ],
+  vehicle: [
+    'low three-quarter angle',
+    'parked on a real street',
+    'panning shot',
+  ],
+};
+
+// Specific versions of generic locations, used to replace "in a coffee shop"
+// and the like. `setting` is indoor or outdoor; a variant's `time` lists the
+// times of day it fits (omitted = any) and `preposition` is how it's
+// introduced ("at", "in", "on").
+export const LOCATIONS = {
+  'coffee shop': {
+    aliases: ['cafe', 'café'],
+    setting: 'indoor',
+    variants: [
+      { text: 'a worn wooden table at a busy coffee shop with steamed windows', preposition: 'at' },
+      { text: 'a quiet corner of a cluttered independent coffee shop', preposition: 'in' },
+      { text: 'a formica counter at a 24-hour diner', preposition: 'at' },
+      { text: 'a half-empty coffee shop at closing time with chairs stacked on tables', preposition: 'in', time: ['dusk', 'night'] },
+    ],
+  },
+  office: {
+    setting: 'indoor',
+    variants: [
+      { text: 'a fluorescent-lit cubicle with papers everywhere', preposition: 'in' },
+      { text: 'a messy home office with coffee rings on the desk', preposition: 'in' },
+      { text: 'a sterile open-plan office with harsh lighting', preposition: 'in' },
+      { text: 'a cramped office with a humming mini fridge and a dying plant', preposition: 'in' },
+    ],
+  },
+  street: {
+    aliases: ['city street'],
+    setting: 'outdoor',
+    variants: [
+      { text: 'a rain-slicked city street at dusk', preposition: 'on' },
+      { text: 'a sun-bleached sidewalk in midday heat', preposition: 'on' },
+      { text: 'a busy crosswalk during rush hour', preposition: 'at', time: ['morning', 'dusk'] },
+      { text: 'a narrow side street with laundry strung between buildings', preposition: 'on' },
+    ],
+  },
+  park: {
+    setting: 'outdoor',
+    variants: [
+      { text: 'a patchy grass park with worn benches', preposition: 'in' },
+      { text: 'an overgrown corner of an urban park', preposition: 'in' },
+      { text: 'a muddy path through a city park after rain', preposition: 'on' },
+      { text: 'a park bench littered with bottle caps and pigeon feathers', preposition: 'on' },
+    ],
+  },
+  beach: {
+    setting: 'outdoor',
+    variants: [
+      { text: 'a windswept beach with tangled seaweed along the tideline', preposition: 'on' },
+      { text: 'a crowded public beach with faded umbrellas and sandy towels', preposition: 'on', time: ['midday', 'golden'] },
+      { text: 'an empty beach at low tide in the early morning', preposition: 'on' },
+      { text: 'a pebbly beach under a grey sky', preposition: 'on' },
+    ],
+  },
+  forest: {
+    aliases: ['woods'],
+    setting: 'outdoor',
+    variants: [
+      { text: 'a damp forest with moss-covered logs and fallen leaves', preposition: 'in' },
+      { text: 'a scrubby pine forest with a muddy trail', preposition: 'in' },
+      { text: 'a dense forest where low sun cuts through the trees', preposition: 'in', time: ['morning', 'golden'] },
+    ],
+  },
+  city: {
+    setting: 'outdoor',
+    variants: [
+      { text: 'a gritty city with graffiti-covered walls and overflowing bins', preposition: 'in' },
+      { text: 'a sprawling city seen from a parking garage rooftop', preposition: 'in' },
+      { text: 'a sleepless city at night with half-lit office windows', preposition: 'in' },
+    ],
+  },
+  restaurant: {
+    setting: 'indoor',
+    variants: [
+      { text: 'a crowded family restaurant with sticky menus and mismatched chairs', preposition: 'in' },
+      { text: 'a dim neighborhood restaurant with candle wax on the tables', preposition: 'in', time: ['dusk', 'night'] },
+      { text: 'a roadside restaurant with vinyl booths and a flickering sign', preposition: 'at' },
+    ],
+  },
+  room: {
+    setting: 'indoor',
+    variants: [
+      { text: 'a small room with peeling wallpaper and an unmade bed', preposition: 'in' },
+      { text: 'a cluttered spare room full of moving boxes', preposition: 'in' },
+      { text: 'a sparse rented room with a single window and a radiator', preposition: 'in' },
+    ],
+  },
+  kitchen: {
+    setting: 'indoor',
+    variants: [
+      { text: 'a cramped kitchen with dishes piled in the sink', preposition: 'in' },
+      { text: 'a worn farmhouse kitchen with chipped tiles', preposition: 'in' },
+      { text: 'a galley kitchen lit only by the open fridge', preposition: 'in', time: ['night'] },
+    ],
+  },
+  bedroom: {
+    setting: 'indoor',
+    variants: [
+      { text: 'a messy bedroom with clothes draped over a chair', preposition: 'in' },
+      { text: 'a teenage bedroom with posters curling off the walls', preposition: 'in' },
+      { text: 'a dim bedroom with blackout curtains half drawn', preposition: 'in' },
+    ],
+  },
+  'living room': {
+    setting: 'indoor',
+    variants: [
+      { text: 'a lived-in living room with a sagging couch and scattered toys', preposition: 'in' },
+      { text: 'a small living room lit by the TV', preposition: 'in', time: ['night'] },
+      { text: 'a dated living room with floral wallpaper', preposition: 'in' },
+    ],
+  },
+  bar: {
+    aliases: ['pub'],
+    setting: 'indoor',
+    variants: [
+      { text: 'a sticky dive bar counter with beer rings', preposition: 'at', time: ['night'] },
+      { text: 'a crowded neighborhood bar with a pool table and neon beer signs', preposition: 'in' },
+      { text: 'a quiet hotel bar with worn leather stools', preposition: 'in' },
+    ],
+  },
+  library: {
+    setting: 'indoor',
+    variants: [
+      { text: 'a hushed public library with dog-eared paperbacks', preposition: 'in' },
+      { text: 'a cramped library carrel covered in sticky notes', preposition: 'at' },
+      { text: 'a dusty library basement with rolling shelves', preposition: 'in' },
+    ],
+  },
+  classroom: {
+    setting: 'indoor',
+    variants: [
+      { text: 'a classroom with chalk dust on the board and scuffed desks', preposition: 'in' },
+      { text: 'an empty after-school classroom with chairs up on the desks', preposition: 'in', time: ['golden', 'dusk'] },
+      { text: 'a portable classroom with buzzing fluorescent lights', preposition: 'in' },
+    ],
+  },
+  gym: {
+    setting: 'indoor',
+    variants: [
+      { text: 'a basement gym with taped-up benches', preposition: 'in' },
+      { text: 'a school gym with scuffed floor lines and folded bleachers', preposition: 'in' },
+      { text: 'a 24-hour gym with smudged mirrors and chalk marks', preposition: 'at' },
+    ],
+  },
+  subway: {
+    setting: 'indoor',
+    variants: [
+      { text: 'a crowded subway car during rush hour', preposition: 'on', time: ['morning', 'dusk'] },
+      { text: 'a late-night subway platform with flickering lights', preposition: 'on' },
+      { text: 'a subway car with scratched windows and worn seats', preposition: 'on' },
+    ],
+  },
+  'train station': {
+    setting: 'indoor',
+    variants: [
+      { text: 'a drafty train station platform under a delayed-departures board', preposition: 'on' },
+      { text: 'a small rural train station with a rusting bench', preposition: 'at' },
+      { text: 'a busy train station concourse at rush hour', preposition: 'in', time: ['morning', 'dusk'] },
+    ],
+  },
+  airport: {
+    setting: 'indoor',
+    variants: [
+      { text: 'a crowded airport gate with people asleep across the chairs', preposition: 'at' },
+      { text: 'an airport baggage carousel with mismatched suitcases', preposition: 'at' },
+      { text: 'a terminal window overlooking a rainy tarmac', preposition: 'at' },
+    ],
+  },
+  supermarket: {
+    aliases: ['grocery store'],
+    setting: 'indoor',
+    variants: [
+      { text: 'a supermarket aisle with half-stocked shelves', preposition: 'in' },
+      { text: 'a supermarket checkout line under flat fluorescent light', preposition: 'in' },
+      { text: 'a small corner store with handwritten price tags', preposition: 'in' },
+    ],
+  },
+  hospital: {
+    setting: 'indoor',
+    variants: [
+      { text: 'a hospital waiting room with plastic chairs and a vending machine', preposition: 'in' },
+      { text: 'a hospital corridor with scuffed linoleum floors', preposition: 'in' },
+      { text: 'a shared hospital room with a drawn curtain', preposition: 'in' },
+    ],
+  },
+  'parking lot': {
+    setting: 'outdoor',
+    variants: [
+      { text: 'an empty parking lot with faded lines and oil stains', preposition: 'in' },
+      { text: 'a supermarket parking lot with stray carts', preposition: 'in' },
+      { text: 'a half-empty parking lot under orange streetlights', preposition: 'in' },
+    ],
+  },
+  garden: {
+    setting: 'outdoor',
+    variants: [
+      { text: 'an overgrown back garden with a tangled hose', preposition: 'in' },
+      { text: 'a small allotment with mismatched pots', preposition: 'in' },
+      { text: 'a community garden with hand-painted plant labels', preposition: 'in' },
+    ],
+  },
+  lake: {
+    setting: 'outdoor',
+    variants: [
+      { text: 'a still lake with a weathered wooden dock', preposition: 'by' },
+      { text: 'a muddy lakeshore with reeds and litter', preposition: 'on' },
+      { text: 'a misty lake in the early morning', preposition: 'by' },
+    ],
+  },
+  mountains: {
+    aliases: ['mountain'],
+    setting: 'outdoor',
+    variants: [
+      { text: 'a gravel mountain road with a dented guardrail', preposition: 'on' },
+      { text: 'the foothills with patchy snow and dry grass', preposition: 'in' },
+      { text: 'a cloudy mountain pass', preposition: 'on' },
+    ],
+  },
+  desert: {
+    setting: 'outdoor',
+    variants: [
+      { text: 'a dusty desert with tire tracks and scrub brush', preposition: 'in' },
+      { text: 'a scorched desert at midday with heat shimmer on the road', preposition: 'in' },
+      { text: 'a desert roadside with a shuttered gas station', preposition: 'on' },
+    ],
+  },
+  field: {
+    setting: 'outdoor',
+    variants: [
+      { text: 'a muddy field with tractor ruts', preposition: 'in' },
+      { text: 'an overgrown field of dry grass and wildflowers', preposition: 'in' },
+      { text: 'a frosty field in the early morning', preposition: 'in' },
+    ],
+  },
+  alley: {
+    setting: 'outdoor',
+    variants: [
+      { text: 'a narrow alley with dumpsters and fire escapes', preposition: 'in' },
+      { text: 'a back alley with puddles and a single security light', preposition: 'in', time: ['dusk', 'night'] },
+    ],
+  },
+  market: {
+    setting: 'outdoor',
+    variants: [
+      { text: 'a crowded open-air market with hand-written signs', preposition: 'at' },
+      { text: 'a night market with bare bulbs strung over the stalls', preposition: 'at' },
+      { text: 'a covered market with wet concrete floors', preposition: 'in' },
+    ],
+  },
+  laundromat: {
+    setting: 'indoor',
+    variants: [
+      { text: 'a laundromat with humming dryers and a flickering fluorescent light', preposition: 'in' },
+      { text: 'a late-night laundromat with one folding table', preposition: 'in' },
+    ],
+  },
+};
+
 // Context and environment details
 export const ENVIRONMENT = {
   clutter: [
@@ -237,10 +1003,21 @@ export const STYLES = [
   'amateur photography',
 ];
 
+/**
+ * The prompt text of a modifier, whether it's a record or a plain string
+ */
+export function modifierText(item) {
+  return typeof item === 'string' ? item : item.text;
+}
+
 /**
  * Get random items from a category
+ *
+ * Pass a generator from createRandom() for reproducible picks. The
+ * category itself is never reordered. Returns modifier texts, skipping
+ * any that contradict one already picked (HP5 with "color shift").
  */
-export function getRandomModifiers(category, count = 1) {
+export function getRandomModifiers(category, count = 1, rng = createRandom()) {
   let items;
   
   if (Array.isArray(category)) {
@@ -250,13 +1027,112 @@ export function getRandomModifiers(category, count = 1) {
   } else {
     return [];
   }
-  
-  const shuffled = items.sort(() => 0.5 - Math.random());
-  return shuffled.slice(0, count);
+
+  const coherence = createCoherenceContext();
+  const picked = [];
+  for (const item of rng.shuffle(items)) {
+    if (picked.length >= count) break;
+    const text = modifierText(item);
+    if (!coherence.allows(text)) continue;
+    coherence.add(text);
+    picked.push(text);
+  }
+  return picked;
+}
+
+// Built-in camera pool for each style
+const STYLE_CAMERAS = {
+  film: CAMERAS.film,
+  digital: CAMERAS.modern.filter(camera => camera.format.includes('digital')),
+  phone: CAMERAS.modern.filter(camera => camera.format.includes('phone')),
+};
+
+/**
+ * Whether a record suits a scene type (records without subjects suit any)
+ */
+export function suitsScene(record, scene) {
+  return !scene || !record.subjects?.length || record.subjects.includes(scene);
+}
+
+/**
+ * Whether a lens or imperfection record fits a gear bundle's format and color
+ */
+export function fitsGear(record, gear) {
+  if (!gear || typeof record === 'string') return true;
+  const formatFits = !record.format || record.format.some(f => gear.format.includes(f));
+  const colorFits = !record.color || gear.color === 'either' || record.color === gear.color;
+  return formatFits && colorFits;
+}
+
+/**
+ * Pick a coherent camera, stock, lens and artifact bundle
+ *
+ * `pick(items, count)` returns modifier texts; the transformer's picker
+ * also applies exclusions, eras and the prompt's coherence context.
+ *
+ * Options:
+ *   style     film, digital or phone
+ *   scene     scene type from classifyScene(), to prefer suitable gear
+ *   era       era from resolveEra(), whose own cameras join the pool
+ *   lowLight  prefer film of ISO 400 and up
+ *   rng       generator deciding whether a stock gets a named body
+ *
+ * Film stocks are sometimes paired with a body that takes their format
+ * ("shot on Leica M6 with Kodak Portra 400"). The lens comes from the
+ * body's (or camera's) compatible lenses, so a Polaroid never gets an
+ * 85mm, and the artifact from what that gear typically produces. A
+ * style with nothing left to pick falls back to film when an era is set.
+ *
+ * Returns { camera, lens, artifacts, format, color, records }, where the
+ * first three are modifier texts for the prompt.
+ */
+export function pickGearBundle(pick, options = {}) {
+  const { style = 'film', scene = null, era = null, lowLight = false, rng = createRandom() } = options;
+
+  // Narrow a pool by a preference, unless that would empty it
+  const prefer = (items, test) => {
+    const preferred = items.filter(test);
+    return preferred.length ? preferred : items;
+  };
+  const pickRecord = items => {
+    const [text] = pick(items, 1);
+    return items.find(item => modifierText(item) === text) || null;
+  };
+  const cameras = key => prefer(
+    prefer([...(era?.cameras[key] || []), ...(STYLE_CAMERAS[key] || STYLE_CAMERAS.film)], r => suitsScene(r, scene)),
+    r => !lowLight || !r.iso || r.iso >= 400
+  );
+
+  let primary = pickRecord(cameras(style));
+  if (!primary && era && style !== 'film') primary = pickRecord(cameras('film'));
+  if (!primary) return { camera: [], lens: [], artifacts: [], format: [], color: 'either', records: {} };
+
+  let body = null;
+  if (primary.kind === 'stock' && rng.next() < 0.5) {
+    const bodies = CAMERAS.professional.filter(b => b.format.some(f => primary.format.includes(f)));
+    body = pickRecord(prefer(bodies, b => suitsScene(b, scene)));
+  }
+
+  const format = body ? body.format.filter(f => primary.format.includes(f)) : primary.format;
+  const lenses = LENSES.filter(lens => (body || primary).lenses.includes(lens.text));
+  const lens = lenses.length ? pickRecord(prefer(lenses, l => suitsScene(l, scene))) : null;
+  const artifacts = pick([...primary.artifacts, ...(body?.artifacts || [])], 1);
+
+  return {
+    camera: [body ? `shot on ${body.name} with ${primary.name}` : primary.text],
+    lens: lens ? [lens.text] : [],
+    artifacts,
+    format,
+    color: primary.color,
+    records: { camera: primary, body, lens },
+  };
 }
 
 /**
  * Get a balanced set of realism modifiers
+ *
+ * The camera, lens and imperfections come from one coherent gear bundle
+ * (see pickGearBundle); pass `style` and `scene` to steer it.
  */
 export function getBalancedModifiers(options = {}) {
   const {
@@ -265,30 +1141,42 @@ export function getBalancedModifiers(options = {}) {
     includeImperfections = true,
     includeComposition = true,
     humanSubject = false,
+    style = 'film',
+    scene = null,
+    seed,
   } = options;
 
+  const rng = options.rng || createRandom(seed);
+  const coherence = createCoherenceContext();
+  const pick = (items, count = 1) => {
+    const picked = getRandomModifiers(items.filter(item => coherence.allows(modifierText(item))), count, rng);
+    picked.forEach(item => coherence.add(item));
+    return picked;
+  };
+
   const modifiers = [];
+  let gear = null;
 
   if (includeCamera) {
-    modifiers.push(...getRandomModifiers(CAMERAS.film, 1));
-    modifiers.push(...getRandomModifiers(LENSES, 1));
+    gear = pickGearBundle(pick, { style, scene, rng });
+    modifiers.push(...gear.camera, ...gear.lens);
   }
 
   if (includeLighting) {
-    modifiers.push(...getRandomModifiers(LIGHTING.natural, 1));
+    modifiers.push(...pick(LIGHTING.natural, 1));
   }
 
   if (includeImperfections) {
-    modifiers.push(...getRandomModifiers(IMPERFECTIONS.film, 1));
-    modifiers.push(...getRandomModifiers(IMPERFECTIONS.focus, 1));
+    modifiers.push(...(gear?.artifacts.length ? gear.artifacts : pick(IMPERFECTIONS.film, 1)));
+    modifiers.push(...pick(IMPERFECTIONS.focus.filter(i => fitsGear(i, gear)), 1));
   }
 
   if (includeComposition) {
-    modifiers.push(...getRandomModifiers(COMPOSITION.natural, 1));
+    modifiers.push(...pick(COMPOSITION.natural, 1));
   }
 
   if (humanSubject) {
-    modifiers.push(...getRandomModifiers(HUMAN_DETAILS, 2));
+    modifiers.push(...pick(HUMAN_DETAILS, 2));
   }
 
   return modifiers;
@@ -301,8 +1189,17 @@ export default {
   IMPERFECTIONS,
   HUMAN_DETAILS,
   COMPOSITION,
+  SCENE_DETAILS,
+  SCENE_COMPOSITION,
+  LOCATIONS,
   ENVIRONMENT,
   STYLES,
+  NEGATIVES,
+  ISSUE_NEGATIVES,
+  modifierText,
+  suitsScene,
+  fitsGear,
   getRandomModifiers,
+  pickGearBundle,
   getBalancedModifiers,
 };
@@ -0,0 +1,95 @@
+/**
+ * openapi.js — OpenAPI document for the HTTP API
+ *
+ * Generated from the operation registry (operations.js): one path per
+ * operation with an `http` route, its input schema as the request body
+ * and its output schema as the 200 response. Error responses and the
+ * optional API-key schemes match what api-server/server.js sends.
+ */
+
+import { readFileSync } from 'fs';
+import { OPERATIONS } from './operations.js';
+
+const VERSION = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf-8')).version;
+
+const ERROR_RESPONSES = {
+  BadRequest: 'Missing or invalid field, invalid JSON, or a prompt over the length limit',
+  Unauthorized: 'The server requires an API key and none or a wrong one was sent',
+  TooLarge: 'Request body over the size limit',
+  RateLimited: 'Too many requests for this key (or IP). Wait Retry-After seconds',
+  ServerError: 'Unexpected error. Details are logged under the request id',
+};
+
+function errorRef(name) {
+  return { $ref: `#/components/responses/${name}` };
+}
+
+function pathItem(operation) {
+  const { method, operationId } = operation.http;
+  const hasBody = method === 'POST';
+  const item = {
+    operationId,
+    summary: operation.summary,
+    description: operation.description,
+    ...(hasBody ? {
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: operation.input } },
+      },
+    } : {}),
+    responses: {
+      200: {
+        description: operation.summary,
+        content: { 'application/json': { schema: operation.output } },
+      },
+      ...(hasBody ? { 400: errorRef('BadRequest') } : {}),
+      401: errorRef('Unauthorized'),
+      ...(hasBody ? { 413: errorRef('TooLarge') } : {}),
+      429: errorRef('RateLimited'),
+      500: errorRef('ServerError'),
+    },
+  };
+  return { [method.toLowerCase()]: item };
+}
+
+/**
+ * Build the OpenAPI 3.1 document for the HTTP API
+ */
+export function buildOpenApiSpec({ serverUrl = 'http://localhost:3001', operations = OPERATIONS } = {}) {
+  const errorSchema = { $ref: '#/components/schemas/Error' };
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Image Humanizer API',
+      description: 'Transform generic AI image prompts into realistic, photography-grounded ones',
+      version: VERSION,
+    },
+    servers: [{ url: serverUrl }],
+    // Keys are optional: only needed when the server sets IMAGE_HUMANIZER_API_KEYS
+    security: [{}, { bearerAuth: [] }, { apiKeyHeader: [] }],
+    paths: Object.fromEntries(operations.filter(op => op.http).map(op => [op.http.path, pathItem(op)])),
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'An API key sent as "Authorization: Bearer <key>"' },
+        apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: {
+            error: { type: 'string' },
+            problems: { type: 'array', items: { type: 'string' }, description: 'Every problem with the request, for validation errors' },
+            requestId: { type: 'string', description: 'Id of the request, also in the X-Request-Id header. Quote it when reporting a problem' },
+          },
+        },
+      },
+      responses: Object.fromEntries(Object.entries(ERROR_RESPONSES).map(([name, description]) => [name, {
+        description,
+        ...(name === 'RateLimited' ? { headers: { 'Retry-After': { schema: { type: 'integer' } } } } : {}),
+        content: { 'application/json': { schema: errorSchema } },
+      }])),
+    },
+  };
+}
+
+export default { buildOpenApiSpec };
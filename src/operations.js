@@ -0,0 +1,767 @@
+/**
+ * operations.js — The operations every front end offers
+ *
+ * One registry of operations (transform, analyze, suggest, batch,
+ * compare, modifiers), each with JSON schemas for its input and output and a handler. The CLI
+ * commands, HTTP routes, MCP tools and the OpenAPI document (openapi.js)
+ * are all built from it, so a field added here shows up everywhere.
+ *
+ * Handlers take the validated input and a context of resolved settings
+ * (see config.js) and loaded rule packs; request fields win over settings.
+ */
+
+import { analyzePrompt } from './patterns.js';
+import { SECTION_KEYS, VARIANT_ATTEMPTS, transformPrompt, getSuggestions } from './transformer.js';
+import { TARGETS } from './formatters.js';
+import { parseEra } from './eras.js';
+import { SCENE_TYPES } from './scenes.js';
+import { SCORE_CATEGORIES, scoreBadge } from './scoring.js';
+import { SchemaError, validateSchema } from './schema.js';
+import { PRESETS, listPresets, findPreset } from './presets.js';
+import {
+  CAMERAS,
+  LENSES,
+  LIGHTING,
+  IMPERFECTIONS,
+  HUMAN_DETAILS,
+  COMPOSITION,
+  SCENE_DETAILS,
+  SCENE_COMPOSITION,
+  STYLES,
+} from './modifiers.js';
+
+// Named formats used by the schemas below
+export const FORMATS = {
+  era: {
+    check: value => parseEra(value) !== null,
+    message: 'must be a decade from 1950s to 2020s or a year',
+  },
+};
+
+const MAX_VARIANTS = 10;
+export const MAX_BATCH_ITEMS = 500;
+// Transform runs one batch may take, counting the most a set of variants
+// can take: a run takes a few milliseconds, so this keeps a request to seconds
+export const MAX_BATCH_WORK = 500;
+const MAX_COMPARE_PROMPTS = 10;
+
+// Operations a batch can run on each item
+const BATCH_OPERATIONS = ['transform', 'analyze', 'suggest'];
+
+// Let other work (a cancellation, another request) run between batch items
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+// Shared pieces of the schemas
+
+const strings = { type: 'array', items: { type: 'string' } };
+const stringLists = { type: 'object', additionalProperties: strings };
+
+const PROMPT = { type: 'string', minLength: 1 };
+
+const STYLE = { type: 'string', enum: ['film', 'digital', 'phone'], default: 'film', description: 'Photography style' };
+const MOOD = { type: 'string', enum: ['natural', 'moody', 'harsh'], default: 'natural', description: 'Lighting mood' };
+const IMPERFECTION_LEVEL = { type: 'string', enum: ['low', 'medium', 'high'], default: 'medium', description: 'How many imperfections to add' };
+const TARGET = {
+  type: 'string',
+  enum: TARGETS,
+  default: 'generic',
+  description: 'Generator to format for: Midjourney parameters, Stable Diffusion weights, DALL·E/Flux sentences',
+};
+const ERA = {
+  type: ['string', 'integer'],
+  format: 'era',
+  examples: ['1970s'],
+  description: 'Limit cameras, film stocks, lighting and wear to a period: a decade (1970s, \'90s) or a year (1994). Inferred from the prompt when omitted',
+};
+const PRESET = {
+  type: 'string',
+  examples: ['surveillance-camera'],
+  description: `Named look bundling a style with camera, lens, lighting, composition, imperfections and aspect ratio: ${PRESETS.map(p => p.id).join(', ')}, or one defined in the config file. Its sections replace what style and mood would pick`,
+};
+const SEED = { type: ['integer', 'string'], description: 'Seed for reproducible output; reuse the returned seed to get the same result again' };
+
+const SPAN = {
+  type: 'object',
+  properties: {
+    text: { type: 'string' },
+    start: { type: 'integer', description: 'Start offset in the original prompt' },
+    end: { type: 'integer', description: 'End offset (exclusive) in the original prompt' },
+    clause: { type: 'integer', description: 'Index of the comma-separated clause the span is in' },
+    clauseText: { type: 'string' },
+  },
+};
+
+const ISSUE = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    description: { type: 'string' },
+    category: { type: 'string', description: 'Sub-score the issue counts toward' },
+    weight: { type: 'number' },
+    points: { type: 'number', description: 'Points this issue adds to the score' },
+    suggestion: { type: 'string' },
+    pack: { type: 'string', description: 'Rule pack the issue came from, for custom rules' },
+    spans: { type: 'array', description: 'Every piece of text that triggered the issue', items: SPAN },
+  },
+};
+
+const SCENE_MATCH = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    confidence: { type: 'number' },
+  },
+};
+
+const SCENE = {
+  type: 'object',
+  description: 'Detected scene type, used to pick scene-specific details and framing',
+  properties: {
+    id: { type: ['string', 'null'], enum: [...SCENE_TYPES.map(scene => scene.id), null] },
+    name: { type: ['string', 'null'] },
+    confidence: { type: 'number', description: 'Share of scene cues pointing at this type (0-1)' },
+    scenes: { type: 'array', description: 'Every matching scene type, most likely first', items: SCENE_MATCH },
+  },
+};
+
+const ERA_RESULT = {
+  type: ['object', 'null'],
+  description: 'Period the gear was limited to, or null',
+  properties: {
+    id: { type: 'string', examples: ['1970s'] },
+    from: { type: 'integer' },
+    to: { type: 'integer' },
+    source: { type: 'string', enum: ['option', 'prompt'], description: 'Whether the era was requested or inferred from the prompt' },
+  },
+};
+
+const OPERATION = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: ['remove', 'rewrite', 'add'] },
+    rule: { type: 'string', description: 'Pattern id behind a removal or rewrite, e.g. 8k-4k or generic-subject' },
+    text: { type: 'string', description: 'Text removed or added' },
+    original: { type: 'string', description: 'Rewritten text as it was' },
+    replacement: { type: 'string' },
+    category: { type: 'string', enum: SECTION_KEYS, description: 'Section an added modifier belongs to' },
+  },
+};
+
+const VARIANT = {
+  type: 'object',
+  properties: {
+    rank: { type: 'integer' },
+    label: { type: 'string', description: 'What sets this variant apart, e.g. "tungsten warm light, Cinestill 800T"' },
+    transformed: { type: 'string' },
+    newScore: { type: 'integer' },
+    negativePrompt: { type: 'string' },
+    modifiersAdded: strings,
+    seed: { type: 'integer' },
+  },
+};
+
+const SUB_SCORES = {
+  type: 'object',
+  description: `0-100 score per category (${SCORE_CATEGORIES.map(c => c.id).join(', ')})`,
+  additionalProperties: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      score: { type: 'integer' },
+      penalty: { type: 'number', description: 'Summed weight of the category\'s issues' },
+      offset: { type: 'number', description: 'Weight taken off by realism cues in the same category' },
+    },
+  },
+};
+
+const BREAKDOWN = {
+  type: 'array',
+  description: 'Each matched rule\'s contribution. Points add up to the score; realism cues are negative',
+  items: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      kind: { type: 'string', enum: ['issue', 'realism'] },
+      category: { type: 'string' },
+      weight: { type: 'number' },
+      points: { type: 'number' },
+    },
+  },
+};
+
+const YEARS = {
+  type: 'object',
+  description: 'Years the gear was available',
+  properties: {
+    from: { type: 'integer' },
+    to: { type: 'integer' },
+  },
+};
+
+const CAMERA_RECORD = {
+  type: 'object',
+  properties: {
+    text: { type: 'string', examples: ['shot on Kodak Portra 400'] },
+    name: { type: 'string' },
+    kind: { type: 'string', enum: ['stock', 'body', 'camera'], description: 'A stock needs a body, a body needs a stock, a camera is both' },
+    format: { ...strings, examples: [['35mm', 'medium format']] },
+    color: { type: 'string', enum: ['color', 'bw', 'either'] },
+    iso: { type: ['integer', 'null'] },
+    era: YEARS,
+    artifacts: strings,
+    subjects: { ...strings, description: 'Scene types it suits (empty = any)' },
+    lenses: { ...strings, description: 'Compatible lenses (empty = fixed lens)' },
+  },
+};
+
+const LENS_RECORD = {
+  type: 'object',
+  properties: {
+    text: { type: 'string' },
+    focalLength: { type: ['integer', 'null'] },
+    format: strings,
+    subjects: strings,
+    era: YEARS,
+  },
+};
+
+const IMPERFECTION_RECORD = {
+  type: 'object',
+  properties: {
+    text: { type: 'string' },
+    format: strings,
+    color: { type: 'string', enum: ['color', 'bw'] },
+    era: YEARS,
+  },
+};
+
+// A preset pool entry: modifier text, or a record with `text` and the years it fits
+const MODIFIER_ENTRY = {
+  type: ['string', 'object'],
+  properties: {
+    text: { type: 'string' },
+    era: YEARS,
+  },
+};
+
+const PRESET_RECORD = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    style: { type: 'string', description: 'The style it\'s built on' },
+    text: { type: 'string', description: 'How the style reads in a prompt' },
+    description: { type: 'string' },
+    camera: { type: 'array', description: 'Modifier texts or camera records', items: { ...CAMERA_RECORD, type: ['string', 'object'] } },
+    lens: { type: 'array', description: 'Modifier texts or lens records', items: { ...LENS_RECORD, type: ['string', 'object'] } },
+    lighting: { type: 'array', items: MODIFIER_ENTRY },
+    composition: { type: 'array', items: MODIFIER_ENTRY },
+    imperfections: {
+      type: 'array',
+      description: 'Modifier texts or imperfection records, most telling first; the imperfection level sets how many are used',
+      items: { ...IMPERFECTION_RECORD, type: ['string', 'object'] },
+    },
+    exclude: { ...strings, description: 'Modifiers the look rules out' },
+    aspectRatio: { type: 'string', examples: ['4:3'] },
+    custom: { type: 'boolean', description: 'Defined in the config file' },
+  },
+};
+
+// Settings and request fields merged into transform options
+function transformOptions(input, { settings = {}, rules = [] }) {
+  return {
+    style: input.style || settings.style,
+    mood: input.mood || settings.mood,
+    imperfectionLevel: input.imperfectionLevel || settings.imperfectionLevel,
+    target: input.target || settings.target,
+    era: input.era ?? settings.era,
+    preset: input.preset || settings.preset,
+    presets: settings.presets,
+    seed: input.seed ?? settings.seed,
+    disabledRules: settings.disabledRules,
+    weights: settings.weights,
+    excludedModifiers: settings.excludedModifiers,
+    rules,
+  };
+}
+
+// An unknown preset is a bad request, like any other bad field
+function checkPreset(name, { settings = {} }) {
+  if (name && !findPreset(name, settings.presets)) {
+    throw new SchemaError([`preset must be one of: ${listPresets(settings.presets).map(p => p.id).join(', ')}`], 'input');
+  }
+}
+
+function scoringOptions({ settings = {}, rules = [] }) {
+  return { rules, disabledRules: settings.disabledRules, weights: settings.weights };
+}
+
+function formatVariant(v) {
+  return {
+    rank: v.rank,
+    label: v.label,
+    transformed: v.transformed,
+    newScore: v.newScore,
+    negativePrompt: v.negativePrompt,
+    modifiersAdded: v.modifiersAdded,
+    seed: v.seed,
+  };
+}
+
+/**
+ * Work an item adds to a batch, in transform runs: variants can take up
+ * to VARIANT_ATTEMPTS runs each while skipping near-duplicates. Other
+ * operations count 1.
+ */
+export function batchItemWork(operation, defaults = {}, item = {}) {
+  if (operation !== 'transform') return 1;
+  const variants = item.variants ?? defaults.variants;
+  return Number.isInteger(variants) && variants > 1 ? variants * VARIANT_ATTEMPTS : 1;
+}
+
+// One batch item's result, or its error; a bad item doesn't fail the batch
+function runBatchItem(operation, defaults, item, index, context) {
+  const { id, ...fields } = item;
+  const entry = { index, ...(id !== undefined ? { id } : {}) };
+  try {
+    return { ...entry, ok: true, result: runOperation(operation, { ...defaults, ...fields }, context) };
+  } catch (err) {
+    const problems = err instanceof SchemaError ? { problems: err.problems } : {};
+    return { ...entry, ok: false, error: err.message, ...problems };
+  }
+}
+
+function formatIssue(issue) {
+  return {
+    id: issue.id,
+    name: issue.name,
+    description: issue.description,
+    category: issue.category,
+    weight: issue.weight,
+    points: issue.points,
+    suggestion: issue.suggestion,
+    ...(issue.pack ? { pack: issue.pack } : {}),
+    spans: issue.spans,
+  };
+}
+
+export const OPERATIONS = [
+  {
+    name: 'transform',
+    summary: 'Transform a prompt',
+    description: 'Transform a generic AI prompt into a realistic, photography-grounded one. Returns before/after with scores, every change made and a negative prompt.',
+    http: { method: 'POST', path: '/api/transform', operationId: 'transformPrompt' },
+    input: {
+      type: 'object',
+      properties: {
+        prompt: { ...PROMPT, description: 'The image prompt to transform' },
+        style: STYLE,
+        mood: MOOD,
+        imperfectionLevel: IMPERFECTION_LEVEL,
+        target: TARGET,
+        era: ERA,
+        preset: PRESET,
+        seed: SEED,
+        variants: {
+          type: 'integer',
+          minimum: 1,
+          maximum: MAX_VARIANTS,
+          description: 'Return this many distinct transforms, ranked by score and labelled by what sets each apart',
+        },
+      },
+      required: ['prompt'],
+      additionalProperties: false,
+    },
+    output: {
+      type: 'object',
+      properties: {
+        original: { type: 'string' },
+        transformed: { type: 'string' },
+        originalScore: { type: 'integer' },
+        newScore: { type: 'integer' },
+        improvement: { type: 'integer' },
+        issuesFixed: { ...strings, description: 'Names of the issues found in the original' },
+        modifiersAdded: strings,
+        operations: {
+          type: 'array',
+          description: 'Every change made, in order. Removals name the rule that caused them, rewrites give the original and replacement text, additions give the modifier category',
+          items: OPERATION,
+        },
+        negativePrompt: { type: 'string', description: 'Comma-separated terms for the negative prompt field (Stable Diffusion, ComfyUI)' },
+        target: { type: 'string', description: 'Generator the transformed prompt is formatted for' },
+        scene: SCENE,
+        era: ERA_RESULT,
+        preset: { type: ['string', 'null'], description: 'Id of the preset used, or null' },
+        seed: { type: 'integer', description: 'Seed used for this transform (the base seed when variants are requested)' },
+        variants: { type: 'array', description: 'Present when variants > 1. Ranked best first', items: VARIANT },
+      },
+      required: ['original', 'transformed', 'originalScore', 'newScore', 'seed'],
+    },
+    handler(input, context) {
+      const options = transformOptions(input, context);
+      checkPreset(options.preset, context);
+      const result = transformPrompt(input.prompt, { ...options, variants: input.variants });
+      return {
+        original: result.original,
+        transformed: result.transformed,
+        originalScore: result.originalScore,
+        newScore: result.newScore,
+        improvement: result.improvement,
+        issuesFixed: result.issuesFixed,
+        modifiersAdded: result.modifiersAdded,
+        operations: result.operations,
+        negativePrompt: result.negativePrompt,
+        target: result.target,
+        scene: result.scene,
+        era: result.era,
+        preset: result.preset,
+        seed: result.seed,
+        ...(result.variants ? { variants: result.variants.map(formatVariant) } : {}),
+      };
+    },
+  },
+  {
+    name: 'analyze',
+    summary: 'Analyze a prompt',
+    description: 'Analyze a prompt for AI-prone patterns without transforming it. Returns score, issues, per-category sub-scores, each rule\'s contribution and a plain-language explanation.',
+    http: { method: 'POST', path: '/api/analyze', operationId: 'analyzePrompt' },
+    input: {
+      type: 'object',
+      properties: {
+        prompt: { ...PROMPT, description: 'The image prompt to analyze' },
+      },
+      required: ['prompt'],
+      additionalProperties: false,
+    },
+    output: {
+      type: 'object',
+      properties: {
+        score: { type: 'integer', description: '0-100 score (higher = more AI-prone)' },
+        badge: { type: 'string', enum: ['🟢', '🟡', '🟠', '🔴'], description: '🟢 up to 20, 🟡 up to 40, 🟠 up to 60, 🔴 above' },
+        explanation: { type: 'string', description: 'Plain-language summary of the score and its biggest factors' },
+        subScores: SUB_SCORES,
+        breakdown: BREAKDOWN,
+        issues: { type: 'array', items: ISSUE },
+        issueCount: { type: 'integer' },
+      },
+      required: ['score', 'badge', 'issues'],
+    },
+    handler(input, context) {
+      const result = analyzePrompt(input.prompt, scoringOptions(context));
+      return {
+        score: result.score,
+        badge: scoreBadge(result.score),
+        explanation: result.explanation,
+        subScores: result.subScores,
+        breakdown: result.breakdown,
+        issues: result.issues.map(formatIssue),
+        issueCount: result.issueCount,
+      };
+    },
+  },
+  {
+    name: 'suggest',
+    summary: 'Get suggestions',
+    description: 'Get suggestions for improving a prompt without auto-transforming.',
+    http: { method: 'POST', path: '/api/suggest', operationId: 'getSuggestions' },
+    input: {
+      type: 'object',
+      properties: {
+        prompt: { ...PROMPT, description: 'The image prompt to get suggestions for' },
+        era: ERA,
+        seed: SEED,
+      },
+      required: ['prompt'],
+      additionalProperties: false,
+    },
+    output: {
+      type: 'object',
+      properties: {
+        issues: { type: 'array', items: ISSUE },
+        score: { type: 'integer' },
+        recommendedAdditions: {
+          ...stringLists,
+          description: 'Modifiers to consider, by section (camera, lighting, imperfections, composition, sceneDetails, humanDetails)',
+        },
+        scene: SCENE,
+        era: ERA_RESULT,
+        seed: { type: 'integer' },
+      },
+      required: ['issues', 'score', 'recommendedAdditions'],
+    },
+    handler(input, context) {
+      const { settings = {} } = context;
+      const suggestions = getSuggestions(input.prompt, {
+        ...scoringOptions(context),
+        era: input.era ?? settings.era,
+        seed: input.seed ?? settings.seed,
+        excludedModifiers: settings.excludedModifiers,
+      });
+      return { ...suggestions, issues: suggestions.issues.map(formatIssue) };
+    },
+  },
+  {
+    name: 'batch',
+    summary: 'Process many prompts',
+    description: `Run transform, analyze or suggest over up to ${MAX_BATCH_ITEMS} prompts in one call, and up to ${MAX_BATCH_WORK} transform runs, each variant counting as ${VARIANT_ATTEMPTS}. Each item carries its own id and options; results come back in order, and an item that fails gets an error without failing the rest.`,
+    http: { method: 'POST', path: '/api/batch', operationId: 'runBatch' },
+    input: {
+      type: 'object',
+      properties: {
+        operation: { type: 'string', enum: BATCH_OPERATIONS, default: 'transform', description: 'Operation to run on every item' },
+        defaults: {
+          type: 'object',
+          description: 'Fields applied to every item that doesn\'t set its own, e.g. { "target": "midjourney" }',
+        },
+        items: {
+          type: 'array',
+          minItems: 1,
+          maxItems: MAX_BATCH_ITEMS,
+          description: 'Prompts to process. Besides prompt and id, an item takes any field of the operation\'s input (style, target, era, seed…)',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: ['string', 'integer'], description: 'Your id for the item, returned with its result' },
+              prompt: { type: 'string' },
+            },
+          },
+        },
+      },
+      required: ['items'],
+      additionalProperties: false,
+    },
+    output: {
+      type: 'object',
+      properties: {
+        operation: { type: 'string', enum: BATCH_OPERATIONS },
+        results: {
+          type: 'array',
+          description: 'One entry per item, in input order',
+          items: {
+            type: 'object',
+            properties: {
+              index: { type: 'integer', description: 'Position of the item in the request' },
+              id: { type: ['string', 'integer'] },
+              ok: { type: 'boolean' },
+              result: { type: 'object', description: 'The operation\'s output, as from its own endpoint' },
+              error: { type: 'string' },
+              problems: { ...strings, description: 'Every problem with an invalid item' },
+            },
+            required: ['index', 'ok'],
+          },
+        },
+        summary: {
+          type: 'object',
+          properties: {
+            total: { type: 'integer' },
+            succeeded: { type: 'integer' },
+            failed: { type: 'integer' },
+          },
+        },
+      },
+      required: ['operation', 'results', 'summary'],
+    },
+    async handler(input, context) {
+      const { signal, progress = () => {} } = context;
+      const operation = input.operation || 'transform';
+      const work = input.items.reduce((sum, item) => sum + batchItemWork(operation, input.defaults, item), 0);
+      if (work > MAX_BATCH_WORK) {
+        throw new SchemaError([`items must add up to at most ${MAX_BATCH_WORK} transform runs, each variant counting as ${VARIANT_ATTEMPTS} (got ${work})`], 'input');
+      }
+      const total = input.items.length;
+      const results = [];
+      for (const [index, item] of input.items.entries()) {
+        results.push(runBatchItem(operation, input.defaults, item, index, context));
+        progress(index + 1, total, `${index + 1} of ${total} prompts`);
+        await nextTick();
+        signal?.throwIfAborted();
+      }
+      const succeeded = results.filter(r => r.ok).length;
+      return { operation, results, summary: { total, succeeded, failed: total - succeeded } };
+    },
+  },
+  {
+    name: 'compare',
+    summary: 'Compare prompts',
+    description: 'Score two or more prompts side by side. Returns each prompt\'s score, sub-scores per category and a matrix of which rules fired in which prompt, with the points each added.',
+    http: { method: 'POST', path: '/api/compare', operationId: 'comparePrompts' },
+    input: {
+      type: 'object',
+      properties: {
+        prompts: {
+          type: 'array',
+          minItems: 2,
+          maxItems: MAX_COMPARE_PROMPTS,
+          items: PROMPT,
+          description: 'The prompts to compare, e.g. a draft and its rewrites',
+        },
+      },
+      required: ['prompts'],
+      additionalProperties: false,
+    },
+    output: {
+      type: 'object',
+      properties: {
+        prompts: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              index: { type: 'integer' },
+              prompt: { type: 'string' },
+              score: { type: 'integer' },
+              badge: { type: 'string' },
+              explanation: { type: 'string' },
+              issueCount: { type: 'integer' },
+            },
+          },
+        },
+        best: { type: 'integer', description: 'Index of the least AI-prone prompt (the first, on a tie)' },
+        subScores: {
+          type: 'array',
+          description: 'Each category\'s sub-score, one per prompt',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              name: { type: 'string' },
+              scores: { type: 'array', items: { type: 'integer' } },
+            },
+          },
+        },
+        rules: {
+          type: 'array',
+          description: 'Every rule that fired in any prompt, in order of first appearance',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              name: { type: 'string' },
+              kind: { type: 'string', enum: ['issue', 'realism'] },
+              category: { type: 'string' },
+              points: {
+                type: 'array',
+                items: { type: ['number', 'null'] },
+                description: 'Points the rule added to each prompt\'s score, or null where it didn\'t fire',
+              },
+              firedIn: { type: 'array', items: { type: 'integer' }, description: 'Indexes of the prompts it fired in' },
+            },
+          },
+        },
+      },
+      required: ['prompts', 'best', 'subScores', 'rules'],
+    },
+    handler(input, context) {
+      const analyses = input.prompts.map(prompt => analyzePrompt(prompt, scoringOptions(context)));
+      const rules = new Map();
+      analyses.forEach((analysis, i) => {
+        for (const entry of analysis.breakdown) {
+          if (!rules.has(entry.id)) {
+            const { id, name, kind, category } = entry;
+            rules.set(entry.id, { id, name, kind, category, points: analyses.map(() => null) });
+          }
+          rules.get(entry.id).points[i] = entry.points;
+        }
+      });
+      return {
+        prompts: analyses.map((analysis, index) => ({
+          index,
+          prompt: input.prompts[index],
+          score: analysis.score,
+          badge: scoreBadge(analysis.score),
+          explanation: analysis.explanation,
+          issueCount: analysis.issueCount,
+        })),
+        best: analyses.reduce((best, analysis, i) => (analysis.score < analyses[best].score ? i : best), 0),
+        subScores: SCORE_CATEGORIES.map(({ id, name }) => ({
+          id,
+          name,
+          scores: analyses.map(analysis => analysis.subScores[id].score),
+        })),
+        rules: [...rules.values()].map(rule => ({
+          ...rule,
+          firedIn: rule.points.flatMap((points, i) => (points === null ? [] : [i])),
+        })),
+      };
+    },
+  },
+  {
+    name: 'modifiers',
+    summary: 'List available modifiers',
+    description: 'List all available realism modifiers by category, and the presets built from them.',
+    http: { method: 'GET', path: '/api/modifiers', operationId: 'listModifiers' },
+    input: { type: 'object', properties: {}, additionalProperties: false },
+    output: {
+      type: 'object',
+      properties: {
+        cameras: {
+          type: 'object',
+          description: 'Camera and film records by category (film, professional, modern)',
+          additionalProperties: { type: 'array', items: CAMERA_RECORD },
+        },
+        lenses: { type: 'array', items: LENS_RECORD },
+        lighting: { ...stringLists, description: 'Lighting by kind (natural, artificial, moody)' },
+        imperfections: {
+          type: 'object',
+          description: 'Imperfection records by category; `format` and `color` limit where one can occur',
+          additionalProperties: { type: 'array', items: IMPERFECTION_RECORD },
+        },
+        humanDetails: strings,
+        composition: stringLists,
+        sceneDetails: { ...stringLists, description: 'Details by scene type' },
+        sceneComposition: { ...stringLists, description: 'Framing by scene type' },
+        styles: strings,
+        presets: { type: 'array', description: 'Built-in presets and any from the config file', items: PRESET_RECORD },
+      },
+    },
+    handler(input, { settings = {} }) {
+      return {
+        cameras: CAMERAS,
+        lenses: LENSES,
+        lighting: LIGHTING,
+        imperfections: IMPERFECTIONS,
+        humanDetails: HUMAN_DETAILS,
+        composition: COMPOSITION,
+        sceneDetails: SCENE_DETAILS,
+        sceneComposition: SCENE_COMPOSITION,
+        styles: STYLES,
+        presets: listPresets(settings.presets),
+      };
+    },
+  },
+];
+
+/**
+ * Look up an operation by name (or null)
+ */
+export function getOperation(name) {
+  return OPERATIONS.find(op => op.name === name) || null;
+}
+
+/**
+ * Run an operation: validate the input, call the handler, validate the output
+ *
+ * Throws a SchemaError with `where` set to "input" for a bad request, or
+ * "output" when the handler returned something its schema doesn't allow.
+ * Async handlers (batch) return a promise; the context's `signal` and
+ * `progress(done, total, message)` let callers cancel and follow them.
+ */
+export function runOperation(name, input = {}, context = {}) {
+  const operation = getOperation(name);
+  if (!operation) throw new Error(`Unknown operation: ${name}`);
+
+  const inputProblems = validateSchema(operation.input, input, { formats: FORMATS, root: 'input' });
+  if (inputProblems.length) throw new SchemaError(inputProblems, 'input');
+
+  const checkOutput = output => {
+    const outputProblems = validateSchema(operation.output, output, { formats: FORMATS, root: 'output' });
+    if (outputProblems.length) throw new SchemaError(outputProblems, 'output');
+    return output;
+  };
+  const output = operation.handler(input, context);
+  return output instanceof Promise ? output.then(checkOutput) : checkOutput(output);
+}
+
+export default { FORMATS, MAX_BATCH_ITEMS, MAX_BATCH_WORK, OPERATIONS, batchItemWork, getOperation, runOperation };
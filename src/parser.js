@@ -0,0 +1,332 @@
+/**
+ * parser.js — Prompt tokenizer
+ *
+ * Splits a raw prompt into clauses, weighted groups, BREAK tokens and
+ * trailing --param flags, keeping character offsets into the original
+ * text. Syntax we don't understand is kept verbatim so a parsed prompt
+ * always rebuilds without loss.
+ */
+
+const OPENERS = { '(': ')', '[': ']', '{': '}' };
+const CLOSERS = new Set([')', ']', '}']);
+
+// Default attention multiplier for each nesting level of () / []
+const EMPHASIS = 1.1;
+
+/**
+ * Find the brackets that pair up; indexes of unmatched ones are left out
+ *
+ * An unclosed "(" or stray ")" is then plain text, so it can't swallow
+ * the commas after it into one clause.
+ */
+function findPairedBrackets(text) {
+  const paired = new Set();
+  const stack = [];
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (OPENERS[ch]) {
+      stack.push(i);
+    } else if (CLOSERS.has(ch)) {
+      const open = stack.findLastIndex(j => OPENERS[text[j]] === ch);
+      if (open === -1) continue;
+      // Openers inside a group that closes around them are unmatched
+      paired.add(stack[open]).add(i);
+      stack.length = open;
+    }
+  }
+  return paired;
+}
+
+/**
+ * Find where trailing --param flags begin (-1 if none)
+ */
+function findParamsStart(text) {
+  const paired = findPairedBrackets(text);
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (!paired.has(i)) {
+      if (
+        depth === 0 &&
+        ch === '-' &&
+        text[i + 1] === '-' &&
+        /[a-z]/i.test(text[i + 2] || '') &&
+        (i === 0 || /\s/.test(text[i - 1]))
+      ) {
+        return i;
+      }
+    } else if (OPENERS[ch]) depth++;
+    else depth--;
+  }
+  return -1;
+}
+
+/**
+ * Parse "--ar 16:9 --v 6 --style raw" into flag records
+ */
+function parseParams(text, offset) {
+  const params = [];
+  const regex = /--([a-z][\w-]*)((?:(?!\s--[a-z])[\s\S])*)/gi;
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    const raw = match[0].trim();
+    params.push({
+      name: match[1].toLowerCase(),
+      value: match[2].trim(),
+      raw,
+      start: offset + match.index,
+      end: offset + match.index + raw.length,
+    });
+  }
+  return params;
+}
+
+/**
+ * Check whether an opening bracket at `start` closes exactly at `end`
+ */
+function wrapsWhole(text, start, end) {
+  const open = text[start];
+  const close = OPENERS[open];
+  if (!close || text[end] !== close) return false;
+
+  let depth = 0;
+  for (let i = start; i <= end; i++) {
+    if (OPENERS[text[i]]) depth++;
+    else if (CLOSERS.has(text[i])) depth--;
+    if (depth === 0 && i < end) return false;
+  }
+  return depth === 0;
+}
+
+/**
+ * Classify one clause and work out the wrapper around its inner text
+ */
+function classifyClause(raw, start) {
+  let prefix = '';
+  let suffix = '';
+  let inner = raw;
+  let weight = 1;
+  let type = 'text';
+
+  if (raw[0] === '{' && wrapsWhole(raw, 0, raw.length - 1)) {
+    const body = raw.slice(1, -1);
+    if (body.includes('|')) {
+      return {
+        type: 'alternation',
+        raw,
+        prefix: '{',
+        text: body,
+        suffix: '}',
+        options: body.split('|').map(o => o.trim()),
+        start,
+        end: start + raw.length,
+        textStart: start + 1,
+      };
+    }
+  }
+
+  // Peel nested wrappers: ((x)), [x], (x:1.3), {x}
+  while (inner.length >= 2 && OPENERS[inner[0]] && wrapsWhole(inner, 0, inner.length - 1)) {
+    const open = inner[0];
+    const close = OPENERS[open];
+    let body = inner.slice(1, -1);
+    let explicit = '';
+
+    const weighted = open === '(' && body.match(/^([\s\S]*?):\s*(-?\d*\.?\d+)\s*$/);
+    if (weighted) {
+      explicit = body.slice(weighted[1].length);
+      body = weighted[1];
+      weight *= parseFloat(weighted[2]);
+    } else if (open === '[') {
+      weight /= EMPHASIS;
+    } else {
+      weight *= EMPHASIS;
+    }
+
+    prefix += open;
+    suffix = explicit + close + suffix;
+    inner = body;
+    type = 'weighted';
+  }
+
+  const leading = inner.length - inner.trimStart().length;
+  const text = inner.trim();
+
+  const clause = {
+    type,
+    raw,
+    prefix,
+    text,
+    suffix,
+    start,
+    end: start + raw.length,
+    textStart: start + prefix.length + leading,
+  };
+  if (type === 'weighted') {
+    clause.weight = Math.round(weight * 1000) / 1000;
+  }
+  return clause;
+}
+
+/**
+ * Split the prompt body into clauses and BREAK tokens
+ */
+function parseBody(text) {
+  const clauses = [];
+  let depth = 0;
+  let segmentStart = 0;
+
+  function flush(end) {
+    const segment = text.slice(segmentStart, end);
+    const trimmed = segment.trim();
+    if (trimmed) {
+      const start = segmentStart + (segment.length - segment.trimStart().length);
+      clauses.push(classifyClause(trimmed, start));
+    }
+  }
+
+  const paired = findPairedBrackets(text);
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (paired.has(i)) {
+      depth += OPENERS[ch] ? 1 : -1;
+    } else if (depth === 0 && ch === ',') {
+      flush(i);
+      segmentStart = i + 1;
+    } else if (
+      depth === 0 &&
+      text.startsWith('BREAK', i) &&
+      !/\w/.test(text[i - 1] || '') &&
+      !/\w/.test(text[i + 5] || '')
+    ) {
+      flush(i);
+      clauses.push({ type: 'break', raw: 'BREAK', text: '', start: i, end: i + 5, textStart: i });
+      segmentStart = i + 5;
+      i += 4;
+    }
+  }
+  flush(text.length);
+
+  return clauses;
+}
+
+/**
+ * Parse a raw prompt into clauses and parameters
+ */
+export function parsePrompt(prompt) {
+  const source = String(prompt ?? '');
+  const paramsStart = findParamsStart(source);
+  const body = paramsStart === -1 ? source : source.slice(0, paramsStart);
+  const params = paramsStart === -1 ? [] : parseParams(source.slice(paramsStart), paramsStart);
+
+  return {
+    source,
+    clauses: parseBody(body),
+    params,
+  };
+}
+
+/**
+ * Rebuild a single clause from its wrapper and (possibly edited) text
+ */
+export function stringifyClause(clause) {
+  if (clause.type === 'break') return 'BREAK';
+  return `${clause.prefix || ''}${clause.text}${clause.suffix || ''}`;
+}
+
+/**
+ * Rebuild the clause portion of a prompt (no parameters)
+ */
+export function stringifyClauses(clauses) {
+  const groups = [[]];
+  for (const clause of clauses) {
+    if (clause.type === 'break') {
+      groups.push([]);
+    } else if (clause.text) {
+      groups[groups.length - 1].push(stringifyClause(clause));
+    }
+  }
+  return groups
+    .filter(group => group.length)
+    .map(group => group.join(', '))
+    .join(' BREAK ');
+}
+
+/**
+ * Rebuild trailing parameters ("--ar 16:9 --v 6")
+ */
+export function stringifyParams(params) {
+  return params.map(p => p.raw).join(' ');
+}
+
+/**
+ * Rebuild a full prompt from its parsed form
+ */
+export function stringifyPrompt(parsed) {
+  return [stringifyClauses(parsed.clauses), stringifyParams(parsed.params)]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Plain text of the prompt plus a segment map back to source offsets
+ *
+ * Each segment records where one clause's text sits in the plain text
+ * and where it starts in the original prompt.
+ */
+export function buildPlainText(parsed) {
+  const segments = [];
+  let text = '';
+
+  parsed.clauses.forEach((clause, index) => {
+    if (clause.type === 'break' || !clause.text) return;
+    if (text) text += ', ';
+    segments.push({
+      clause: index,
+      plainStart: text.length,
+      plainEnd: text.length + clause.text.length,
+      sourceStart: clause.textStart,
+    });
+    text += clause.text;
+  });
+
+  return { text, segments };
+}
+
+/**
+ * Plain text of the prompt for pattern matching: clause text only,
+ * without weight syntax, BREAK tokens or --params
+ */
+export function getPlainText(parsed) {
+  return buildPlainText(parsed).text;
+}
+
+/**
+ * Map a [start, end) range in the plain text back to the source prompt
+ *
+ * Returns the clause index the range starts in. Ranges that run past the
+ * end of that clause are clipped to it.
+ */
+export function toSourceSpan(plain, start, end) {
+  const segment = plain.segments.find(s => start >= s.plainStart && start < s.plainEnd)
+    || plain.segments.find(s => start <= s.plainEnd);
+  if (!segment) return null;
+
+  const clippedEnd = Math.min(Math.max(end, start), segment.plainEnd);
+  return {
+    clause: segment.clause,
+    start: segment.sourceStart + (start - segment.plainStart),
+    end: segment.sourceStart + (clippedEnd - segment.plainStart),
+  };
+}
+
+export default {
+  parsePrompt,
+  stringifyClause,
+  stringifyClauses,
+  stringifyParams,
+  stringifyPrompt,
+  buildPlainText,
+  getPlainText,
+  toSourceSpan,
+};
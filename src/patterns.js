@@ -5,6 +5,55 @@
  * result in that unmistakable "AI look."
  */
 
+import { parsePrompt, buildPlainText, toSourceSpan } from './parser.js';
+import { resolveRulePacks, mergePatterns } from './rules.js';
+import { findConflicts } from './coherence.js';
+import { buildLocationRegex } from './locations.js';
+import { scoreMatches } from './scoring.js';
+import { CAMERAS, LENSES, IMPERFECTIONS, modifierText } from './modifiers.js';
+import { ERAS } from './eras.js';
+import { PRESETS } from './presets.js';
+
+// Every camera record, including the per-decade ones
+const GEAR = [
+  ...Object.values(CAMERAS),
+  ...Object.values(ERAS).flatMap(era => Object.values(era.cameras || {})),
+].flat();
+
+// Gear and flaws the transformer can add, so its own output is never
+// reported as missing them
+const CAMERA_TERMS = [
+  ...GEAR.flatMap(record => [record.text, record.name]),
+  ...LENSES.map(lens => lens.text),
+  ...PRESETS.flatMap(preset => [...(preset.camera || []), ...(preset.lens || [])]).map(modifierText),
+];
+const IMPERFECTION_TERMS = [
+  ...Object.values(IMPERFECTIONS).flat().map(modifierText),
+  ...GEAR.flatMap(record => record.artifacts),
+  ...Object.values(ERAS).flatMap(era => [...era.artifacts, ...era.wear]),
+  ...PRESETS.flatMap(preset => preset.imperfections || []).map(modifierText),
+];
+
+/**
+ * Case-insensitive regex matching any of `words` (regex source) or `terms` (literal text)
+ */
+function buildTermRegex(words, terms) {
+  const escaped = [...new Set(terms)]
+    .sort((a, b) => b.length - a.length)
+    .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`(?<!\\w)(${[...words, ...escaped].join('|')})(?!\\w)`, 'i');
+}
+
+const IMPERFECTION_REGEX = buildTermRegex(
+  ['worn', 'scratched', 'faded', 'dusty', 'dirty', 'messy', 'wrinkled', 'weathered', 'aged', 'vintage', 'grain', 'noise', 'blur', 'soft focus', 'imperfect'],
+  IMPERFECTION_TERMS
+);
+const CAMERA_REGEX = buildTermRegex(
+  ['shot on', 'filmed', 'captured', '35mm', '50mm', '85mm', 'f\\/\\d', 'aperture', 'leica', 'canon', 'nikon', 'hasselblad', 'kodak', 'fuji', 'portra', 'ektar', 'tri-x',
+    'polaroid', 'instant film', 'smartphone', 'iphone', 'disposable camera', 'camcorder', 'dslr', 'mirrorless'],
+  CAMERA_TERMS
+);
+
 // Patterns that lead to AI-looking images
 export const AI_PRONE_PATTERNS = [
   {
@@ -12,7 +61,8 @@ export const AI_PRONE_PATTERNS = [
     name: 'Generic subject',
     description: 'Unspecific subject without distinguishing details',
     weight: 4,
-    regex: /^(a |an )?(woman|man|person|girl|boy|child|people)\b(?! (with|wearing|holding|in their|who))/i,
+    category: 'subject',
+    regex: /^(a |an )?(woman|man|person|girl|boy|child|people)\b(?!,? (with|wearing|holding|in (his|her|their)|who|one)\b)/i,
     suggestion: 'Add specific details: age, expression, clothing, action, distinguishing features',
   },
   {
@@ -20,7 +70,9 @@ export const AI_PRONE_PATTERNS = [
     name: 'Generic location',
     description: 'Vague location without atmosphere or specifics',
     weight: 3,
-    regex: /\b(in a |at a |at the )?(coffee shop|restaurant|office|room|street|park|beach|forest|city)\b(?! (with|where|that|filled))/i,
+    category: 'subject',
+    // Every place in the LOCATIONS library, so anything flagged can be fixed
+    regex: buildLocationRegex(),
     suggestion: 'Add atmosphere: time of day, weather, condition (worn, modern, cluttered), specific details',
   },
   {
@@ -28,6 +80,7 @@ export const AI_PRONE_PATTERNS = [
     name: 'Overused beauty modifiers',
     description: '"Beautiful", "stunning", "gorgeous" lead to over-processed looks',
     weight: 5,
+    category: 'cliche',
     regex: /\b(beautiful|stunning|gorgeous|amazing|incredible|breathtaking|perfect)\b/gi,
     suggestion: 'Remove or replace with specific qualities: weathered, sun-dappled, candid, lived-in',
   },
@@ -36,6 +89,7 @@ export const AI_PRONE_PATTERNS = [
     name: 'Hyper-realistic trap',
     description: '"Hyper-realistic" often produces the opposite effect',
     weight: 4,
+    category: 'cliche',
     regex: /\b(hyper[- ]?realistic|ultra[- ]?realistic|photo[- ]?realistic)\b/gi,
     suggestion: 'Use specific camera/film references instead: "shot on Kodak Portra 400", "Leica M6"',
   },
@@ -44,6 +98,7 @@ export const AI_PRONE_PATTERNS = [
     name: '8K/4K resolution spam',
     description: 'Resolution tags rarely help and can trigger over-sharpening',
     weight: 3,
+    category: 'cliche',
     regex: /\b(8k|4k|hd|uhd|high resolution|highly detailed)\b/gi,
     suggestion: 'Remove. Use film grain, lens characteristics instead for quality',
   },
@@ -52,6 +107,7 @@ export const AI_PRONE_PATTERNS = [
     name: 'Trending/ArtStation clichés',
     description: 'These tags pull toward stylized digital art, not realism',
     weight: 4,
+    category: 'cliche',
     regex: /\b(trending on artstation|artstation|deviantart|cgsociety|unreal engine|octane render)\b/gi,
     suggestion: 'Remove for realistic photos. Use photography-specific references instead',
   },
@@ -60,6 +116,7 @@ export const AI_PRONE_PATTERNS = [
     name: 'Generic lighting terms',
     description: '"Cinematic lighting" is vague and overused',
     weight: 3,
+    category: 'technical',
     regex: /\b(cinematic lighting|dramatic lighting|professional lighting|studio lighting)\b/gi,
     suggestion: 'Be specific: "golden hour side light", "harsh midday sun", "overcast soft light", "single bare bulb"',
   },
@@ -68,6 +125,7 @@ export const AI_PRONE_PATTERNS = [
     name: 'Generic portrait terms',
     description: 'Plain portrait terms lack character',
     weight: 3,
+    category: 'subject',
     regex: /\b(portrait of|headshot of|photo of)\b/gi,
     suggestion: 'Add context: "candid portrait", "environmental portrait", "passport-style photo", "caught mid-laugh"',
   },
@@ -76,9 +134,10 @@ export const AI_PRONE_PATTERNS = [
     name: 'Style keyword stacking',
     description: 'Too many style keywords fight each other',
     weight: 3,
+    category: 'cliche',
     detect(prompt) {
-      const styleWords = prompt.match(/\b(style|aesthetic|vibe|mood|tone|look|feel)\b/gi) || [];
-      return styleWords.length > 2;
+      const styleWords = [...prompt.matchAll(/\b(style|aesthetic|vibe|mood|tone|look|feel)\b/gi)];
+      return styleWords.length > 2 ? styleWords : false;
     },
     suggestion: 'Pick one clear style direction instead of stacking multiple',
   },
@@ -87,9 +146,9 @@ export const AI_PRONE_PATTERNS = [
     name: 'No imperfections',
     description: 'Perfectly clean prompts yield AI-smooth results',
     weight: 4,
+    category: 'imperfection',
     detect(prompt) {
-      const imperfectionWords = /\b(worn|scratched|faded|dusty|dirty|messy|wrinkled|weathered|aged|vintage|grain|noise|blur|soft focus|imperfect)\b/i;
-      return !imperfectionWords.test(prompt);
+      return !IMPERFECTION_REGEX.test(prompt);
     },
     suggestion: 'Add imperfections: film grain, slight blur, worn surfaces, natural mess',
   },
@@ -98,9 +157,9 @@ export const AI_PRONE_PATTERNS = [
     name: 'No camera/lens reference',
     description: 'Missing photography specs leads to generic rendering',
     weight: 3,
+    category: 'technical',
     detect(prompt) {
-      const cameraWords = /\b(shot on|filmed|captured|35mm|50mm|85mm|f\/\d|aperture|leica|canon|nikon|hasselblad|kodak|fuji|portra|ektar|tri-x)\b/i;
-      return !cameraWords.test(prompt);
+      return !CAMERA_REGEX.test(prompt);
     },
     suggestion: 'Add camera specs: "shot on 35mm f/1.8", "Kodak Portra 400", "vintage Polaroid"',
   },
@@ -109,6 +168,7 @@ export const AI_PRONE_PATTERNS = [
     name: 'Symmetry/centered composition',
     description: 'Centered, symmetrical compositions feel artificial',
     weight: 2,
+    category: 'composition',
     regex: /\b(centered|symmetrical|perfectly balanced|in the middle|facing camera directly)\b/gi,
     suggestion: 'Use off-center composition, rule of thirds, candid angles',
   },
@@ -117,40 +177,113 @@ export const AI_PRONE_PATTERNS = [
     name: 'Direct camera gaze',
     description: 'Subject staring at camera often looks posed/artificial',
     weight: 2,
+    category: 'composition',
     regex: /\b(looking at camera|staring at camera|eye contact|facing forward|looking directly)\b/gi,
     suggestion: 'Try: "looking away", "caught unaware", "profile view", "looking down at hands"',
   },
+  {
+    id: 'contradictory-modifiers',
+    name: 'Contradictory modifiers',
+    description: 'Terms that can\'t coexist in one photo (B&W film with color shift, dusk with midday sun)',
+    weight: 3,
+    category: 'technical',
+    detect(prompt) {
+      // Shape the conflicting terms like regex matches so they get spans,
+      // dropping terms nested inside a longer one ("midday" in "harsh midday sun")
+      const terms = findConflicts(prompt).flatMap(conflict => conflict.terms);
+      const end = t => t.index + t.text.length;
+      return terms
+        .filter((t, i) => !terms.some((o, j) => j !== i && o.index <= t.index && end(o) >= end(t)
+          && (o.text.length > t.text.length || j < i)))
+        .sort((a, b) => a.index - b.index)
+        .map(term => Object.assign([term.text], { index: term.index }));
+    },
+    suggestion: 'Pick one: a single medium, camera, time of day, weather and light quality',
+  },
 ];
 
-// Positive patterns that suggest realism awareness
+// Positive patterns that suggest realism awareness. Each offsets issues
+// in its own scoring category (see scoring.js).
 export const REALISM_INDICATORS = [
-  { regex: /\b(candid|unposed|caught|moment|spontaneous)\b/i, weight: 2 },
-  { regex: /\b(35mm|50mm|85mm|f\/\d\.\d)\b/i, weight: 3 },
-  { regex: /\b(kodak|fuji|portra|ektar|tri-x|ilford)\b/i, weight: 3 },
-  { regex: /\b(grain|noise|soft focus|slight blur|motion blur)\b/i, weight: 2 },
-  { regex: /\b(worn|weathered|aged|vintage|faded|dusty)\b/i, weight: 2 },
-  { regex: /\b(golden hour|overcast|harsh light|mixed lighting)\b/i, weight: 2 },
-  { regex: /\b(wrinkles|pores|freckles|asymmetric|imperfect)\b/i, weight: 2 },
-  { regex: /\b(leica|hasselblad|contax|pentax|mamiya)\b/i, weight: 2 },
-  { regex: /\b(documentary|street photography|photojournalism)\b/i, weight: 2 },
+  { id: 'candid', name: 'Candid framing', category: 'composition', regex: /\b(candid|unposed|caught|moment|spontaneous)\b/i, weight: 2 },
+  { id: 'focal-length', name: 'Focal length or aperture', category: 'technical', regex: /\b(35mm|50mm|85mm|f\/\d\.\d)\b/i, weight: 3 },
+  { id: 'film-stock', name: 'Film stock', category: 'technical', regex: /\b(kodak|fuji|portra|ektar|tri-x|ilford)\b/i, weight: 3 },
+  { id: 'grain-blur', name: 'Grain or blur', category: 'imperfection', regex: /\b(grain|noise|soft focus|slight blur|motion blur)\b/i, weight: 2 },
+  { id: 'wear', name: 'Wear and age', category: 'imperfection', regex: /\b(worn|weathered|aged|vintage|faded|dusty)\b/i, weight: 2 },
+  { id: 'specific-light', name: 'Specific light', category: 'technical', regex: /\b(golden hour|overcast|harsh light|mixed lighting)\b/i, weight: 2 },
+  { id: 'skin-detail', name: 'Skin detail', category: 'subject', regex: /\b(wrinkles|pores|freckles|asymmetric|imperfect)\b/i, weight: 2 },
+  { id: 'camera-body', name: 'Camera body', category: 'technical', regex: /\b(leica|hasselblad|contax|pentax|mamiya)\b/i, weight: 2 },
+  { id: 'documentary', name: 'Documentary style', category: 'composition', regex: /\b(documentary|street photography|photojournalism)\b/i, weight: 2 },
 ];
 
+/**
+ * Find every match of a regex, regardless of its own global flag
+ */
+function findAll(regex, text) {
+  const flags = regex.flags.includes('g') ? regex.flags : `${regex.flags}g`;
+  return [...text.matchAll(new RegExp(regex.source, flags))];
+}
+
+/**
+ * Turn regex matches on the plain text into spans on the source prompt
+ */
+function toSpans(matches, plain, parsed) {
+  const spans = [];
+  for (const match of matches) {
+    const span = toSourceSpan(plain, match.index, match.index + match[0].length);
+    if (!span) continue;
+    spans.push({
+      text: parsed.source.slice(span.start, span.end),
+      start: span.start,
+      end: span.end,
+      clause: span.clause,
+      clauseText: parsed.clauses[span.clause].raw,
+    });
+  }
+  return spans;
+}
+
 /**
  * Analyze a prompt for AI-prone patterns
+ *
+ * Accepts a raw string or the output of parsePrompt(). Only clause text is
+ * matched, so weight syntax and --params never trigger patterns.
+ *
+ * Each issue lists the spans that triggered it, with start/end offsets into
+ * the original prompt. Patterns that fire on an absence (no camera, no
+ * imperfections) have no spans.
+ *
+ * Pass `rules` (rule packs, see rules.js) to add or override patterns,
+ * `disabledRules` (pattern ids) to switch patterns off, and `weights` to
+ * reweight scoring categories or rules (see scoring.js).
+ *
+ * The score comes with per-category `subScores`, a `breakdown` of each
+ * rule's points and a plain-language `explanation`.
  */
-export function analyzePrompt(prompt) {
+export function analyzePrompt(input, options = {}) {
+  const parsed = typeof input === 'string' ? parsePrompt(input) : input;
+  const packs = resolveRulePacks(options.rules);
+  const disabled = new Set(options.disabledRules || []);
+  const patterns = mergePatterns(AI_PRONE_PATTERNS, packs).filter(p => !disabled.has(p.id));
+  const indicators = [...REALISM_INDICATORS, ...packs.flatMap(pack => pack.realism)];
+  const plain = buildPlainText(parsed);
+  const prompt = plain.text;
   const issues = [];
-  let aiScore = 0;
-  let realismScore = 0;
+  const matched = [];
 
   // Check AI-prone patterns
-  for (const pattern of AI_PRONE_PATTERNS) {
+  for (const pattern of patterns) {
     let match = false;
+    let matches = [];
     
     if (pattern.detect) {
-      match = pattern.detect(prompt);
+      // detect() returns a boolean, or the regex matches that triggered it
+      const result = pattern.detect(prompt);
+      match = Array.isArray(result) ? result.length > 0 : Boolean(result);
+      if (Array.isArray(result)) matches = result;
     } else if (pattern.regex) {
-      match = pattern.regex.test(prompt);
+      matches = findAll(pattern.regex, prompt);
+      match = matches.length > 0;
     }
 
     if (match) {
@@ -159,27 +292,34 @@ export function analyzePrompt(prompt) {
         name: pattern.name,
         description: pattern.description,
         weight: pattern.weight,
+        category: pattern.category || 'cliche',
         suggestion: pattern.suggestion,
+        spans: toSpans(matches, plain, parsed),
+        ...(pattern.pack ? { pack: pattern.pack } : {}),
       });
-      aiScore += pattern.weight;
     }
   }
 
   // Check realism indicators
-  for (const indicator of REALISM_INDICATORS) {
+  for (const indicator of indicators) {
+    indicator.regex.lastIndex = 0;
     if (indicator.regex.test(prompt)) {
-      realismScore += indicator.weight;
+      matched.push(indicator);
     }
   }
 
-  // Calculate final score (0-100, higher = more AI-prone)
-  const rawScore = Math.max(0, aiScore - realismScore);
-  const normalizedScore = Math.min(100, Math.round(rawScore * 5));
+  // Score (0-100, higher = more AI-prone), with each rule's share
+  const scored = scoreMatches(issues, matched, { weights: options.weights });
+  const points = new Map(scored.breakdown.filter(b => b.kind === 'issue').map(b => [b.id, b.points]));
+  for (const issue of issues) issue.points = points.get(issue.id) ?? 0;
 
   return {
-    score: normalizedScore,
-    aiScore,
-    realismScore,
+    score: scored.score,
+    aiScore: issues.reduce((sum, issue) => sum + issue.weight, 0),
+    realismScore: matched.reduce((sum, indicator) => sum + indicator.weight, 0),
+    subScores: scored.subScores,
+    breakdown: scored.breakdown,
+    explanation: scored.explanation,
     issues,
     issueCount: issues.length,
   };
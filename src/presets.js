@@ -0,0 +1,402 @@
+/**
+ * presets.js — Named looks built on the photography styles
+ *
+ * A preset bundles one of the STYLES (surveillance camera, paparazzi
+ * shot, passport photo…) with the gear, light, framing and flaws that
+ * make a picture read as that kind of photo. Selected with the `preset`
+ * option; projects can add their own in the config file.
+ *
+ * Each section is a pool the transformer picks from, so seeds still
+ * vary the result. Sections a preset leaves out are picked as usual.
+ * Pool entries are modifier strings or records (`text` plus `era`,
+ * `color`, `format`), filtered by era and the prompt's color like the
+ * modifier libraries.
+ */
+
+// Preset fields that are lists of modifiers
+export const PRESET_SECTIONS = ['camera', 'lens', 'lighting', 'composition', 'imperfections'];
+
+const PRESET_FIELDS = ['extends', 'style', 'text', 'description', ...PRESET_SECTIONS, 'exclude', 'aspectRatio'];
+
+const FILM_FORMATS = ['35mm', 'medium format', 'cartridge', 'instant', 'disposable'];
+
+const COLORS = ['color', 'bw', 'either'];
+
+// Preset camera records, in the same shape as CAMERAS (see modifiers.js):
+// `era` is when the gear was available and `lenses` lists the preset
+// lenses it takes (empty = fixed lens)
+function camera(text, name, format, color, era, lenses = []) {
+  return { text, name, kind: 'camera', format, color, iso: null, era, artifacts: [], subjects: [], lenses };
+}
+
+// A custom camera entry as a full record, with the fields it leaves out
+// filled in: no known format, either color, and any of the preset's lenses
+function cameraRecord(entry, lenses) {
+  if (typeof entry === 'string') return entry;
+  return { ...camera(entry.text, entry.text, [], 'either', undefined, lenses), ...entry };
+}
+
+// Built-in presets, one per style. Each has:
+//   style          the STYLES entry it's built on
+//   text           how the style reads in a prompt; leads the camera section
+//   camera, lens, lighting, composition
+//                  pools, one of each picked. Cameras are records, so
+//                  eras and the prompt's color rule some out; the lens
+//                  comes from what the camera takes
+//   imperfections  most telling first; the imperfection level sets how
+//                  many are used. Records limit one to a format, color or era
+//   exclude        modifiers the look rules out, matched as in excludedModifiers
+//   aspectRatio    frame shape, for generators that take one (Midjourney --ar)
+const BUILT_IN = [
+  {
+    style: 'documentary photography',
+    text: 'documentary photography',
+    description: 'Reportage on 35mm film: available light, environmental framing, honest grain',
+    camera: [
+      camera('shot on Leica M6 with Kodak Tri-X 400', 'Leica M6', ['35mm'], 'bw', { from: 1984 }, ['35mm lens', '24mm wide angle', '50mm f/1.8']),
+      camera('shot on Nikon FM2 with Kodak Portra 400', 'Nikon FM2', ['35mm'], 'color', { from: 1998 }, ['35mm lens', '24mm wide angle', '50mm f/1.8']),
+      camera('shot on Canon AE-1 with Ilford HP5', 'Canon AE-1', ['35mm'], 'bw', { from: 1976 }, ['35mm lens', '24mm wide angle', '50mm f/1.8']),
+      camera('shot on Leica M3 with Kodak Tri-X', 'Leica M3', ['35mm'], 'bw', { from: 1954 }, ['35mm lens', '50mm f/1.8']),
+    ],
+    lens: ['35mm lens', '24mm wide angle', '50mm f/1.8'],
+    lighting: ['natural ambient light', 'overcast soft light', 'mixed color temperature'],
+    composition: ['environmental portrait', 'caught in the moment', 'off-center composition'],
+    imperfections: [{ text: 'film grain', format: FILM_FORMATS }, 'underexposed shadows', 'slightly out of focus'],
+    exclude: ['ring light', 'bokeh background'],
+    aspectRatio: '3:2',
+  },
+  {
+    style: 'street photography',
+    text: 'street photography',
+    description: 'Compact or rangefinder on the street, hard light, passersby in frame',
+    camera: [
+      camera('shot on Leica M6 with Kodak Tri-X 400', 'Leica M6', ['35mm'], 'bw', { from: 1984 }, ['28mm wide angle', '35mm lens']),
+      camera('shot on Leica M3 with Kodak Tri-X', 'Leica M3', ['35mm'], 'bw', { from: 1954 }, ['35mm lens']),
+      camera('shot on Ricoh GR', 'Ricoh GR', ['35mm', 'digital'], 'either', { from: 1996 }),
+      camera('shot on Contax T2', 'Contax T2', ['35mm'], 'either', { from: 1990 }),
+    ],
+    lens: ['28mm wide angle', '35mm lens'],
+    lighting: ['harsh midday sun', 'streetlight at night', 'hard shadows from a low sun'],
+    composition: ['shot from the hip', 'layered composition with passersby', 'off-center composition'],
+    imperfections: ['slight motion blur', { text: 'film grain', format: FILM_FORMATS }, 'tilted horizon'],
+    exclude: ['ring light', 'studio'],
+    aspectRatio: '3:2',
+  },
+  {
+    style: 'photojournalism',
+    text: 'photojournalism',
+    description: 'Press photographer on assignment: zoom lenses, fill flash, the moment over polish',
+    camera: [
+      camera('shot on Nikon D3', 'Nikon D3', ['digital'], 'either', { from: 2007 }, ['24-70mm zoom', '70-200mm telephoto', '35mm lens']),
+      camera('shot on Canon EOS-1D', 'Canon EOS-1D', ['digital'], 'either', { from: 2001 }, ['24-70mm zoom', '70-200mm telephoto', '35mm lens']),
+      camera('shot on Nikon F5 with Kodak Tri-X 400', 'Nikon F5', ['35mm'], 'bw', { from: 1996 }, ['24-70mm zoom', '70-200mm telephoto', '35mm lens']),
+      camera('shot on Nikon F with Kodak Tri-X', 'Nikon F', ['35mm'], 'bw', { from: 1959 }, ['35mm lens']),
+    ],
+    lens: [{ text: '24-70mm zoom', era: { from: 1990 } }, { text: '70-200mm telephoto', era: { from: 1977 } }, '35mm lens'],
+    lighting: ['natural ambient light', 'harsh midday sun', 'on-camera fill flash'],
+    composition: ['caught in the moment', 'wide establishing shot', 'over the shoulder'],
+    imperfections: ['subject blur from movement', { text: 'high ISO noise', format: ['digital'] }, 'underexposed shadows'],
+    exclude: ['ring light'],
+    aspectRatio: '3:2',
+  },
+  {
+    style: 'candid photography',
+    text: 'candid photography',
+    description: 'Unposed moments with a small camera and whatever light is there',
+    camera: [
+      camera('shot on Fujifilm X100V', 'Fujifilm X100V', ['digital'], 'either', { from: 2020 }),
+      camera('shot on iPhone', 'iPhone', ['phone'], 'either', { from: 2007 }),
+      camera('shot on Kodak Portra 400', 'Kodak Portra 400', ['35mm'], 'color', { from: 1998 }, ['35mm lens', '50mm f/1.8']),
+      camera('shot on Kodachrome', 'Kodachrome', ['35mm'], 'color', { from: 1936, to: 2010 }, ['35mm lens', '50mm f/1.8']),
+    ],
+    lens: ['35mm lens', '50mm f/1.8'],
+    lighting: ['window light', 'natural ambient light', 'golden hour light'],
+    composition: ['unposed', 'caught mid-laugh', 'candid framing'],
+    imperfections: ['slight motion blur', 'focus falloff', 'cropped awkwardly at the edge'],
+    aspectRatio: '3:2',
+  },
+  {
+    style: 'snapshot aesthetic',
+    text: 'snapshot aesthetic',
+    description: 'Point-and-shoot with direct flash, casual framing and cheap film',
+    camera: [
+      camera('point and shoot camera', 'point and shoot', ['35mm', 'digital'], 'either', { from: 1977 }),
+      camera('disposable camera photo', 'disposable camera', ['disposable'], 'color', { from: 1986 }),
+      camera('shot on Contax T2', 'Contax T2', ['35mm'], 'either', { from: 1990 }),
+      camera('Kodak Instamatic snapshot', 'Kodak Instamatic', ['cartridge'], 'color', { from: 1963 }),
+    ],
+    lighting: ['harsh camera flash', 'flash photography'],
+    composition: ['tilted framing', 'subject off-center', 'cluttered background'],
+    imperfections: ['red-eye from direct flash', 'overexposed foreground', { text: 'film grain', format: FILM_FORMATS }],
+    exclude: ['bokeh', 'shallow depth of field', 'studio'],
+    aspectRatio: '3:2',
+  },
+  {
+    style: 'vernacular photography',
+    text: 'vernacular photography',
+    description: 'Everyday pictures by ordinary people: faded prints, awkward crops',
+    camera: [
+      camera('Kodak Instamatic snapshot', 'Kodak Instamatic', ['cartridge'], 'color', { from: 1963 }),
+      camera('disposable camera photo', 'disposable camera', ['disposable'], 'color', { from: 1986 }),
+      camera('point and shoot camera', 'point and shoot', ['35mm', 'digital'], 'either', { from: 1977 }),
+      camera('Kodak Brownie snapshot', 'Kodak Brownie', ['medium format'], 'bw', { from: 1900 }),
+    ],
+    lighting: ['flash photography', 'tungsten warm light', 'window light'],
+    composition: ['subject dead center', 'feet cut off at the bottom of the frame', 'photographer\'s shadow in frame'],
+    imperfections: [{ text: 'faded colors', color: 'color' }, { text: 'color shift', color: 'color' }, 'dust and scratches'],
+    exclude: ['bokeh', 'studio'],
+    aspectRatio: '3:2',
+  },
+  {
+    style: 'found footage look',
+    text: 'found footage still',
+    description: 'A frame from a home camcorder tape: video light, tracking lines, no film',
+    camera: [
+      camera('captured on a VHS camcorder', 'VHS camcorder', ['video'], 'color', { from: 1983, to: 2008 }),
+      camera('captured on a Hi8 camcorder', 'Hi8 camcorder', ['video'], 'color', { from: 1989, to: 2007 }),
+      camera('captured on a handheld camcorder', 'handheld camcorder', ['video'], 'color', { from: 1983 }),
+    ],
+    lighting: ['on-camera video light', 'streetlight at night', 'flat overhead light'],
+    composition: ['shaky handheld framing', 'dutch angle', 'subject partly out of frame'],
+    imperfections: [{ text: 'VHS tracking lines', era: { from: 1983, to: 2008 } }, 'timestamp overlay', 'interlacing artifacts', 'blown-out highlights'],
+    exclude: ['film', 'grain', 'halation', 'Kodak', 'Portra', 'bokeh'],
+    aspectRatio: '4:3',
+  },
+  {
+    style: 'surveillance camera',
+    text: 'surveillance camera still',
+    description: 'Security camera frame: high wide angle, timestamp overlay, heavy compression, no film',
+    camera: [
+      camera('captured on a ceiling-mounted CCTV camera', 'CCTV camera', ['video'], 'either', { from: 1970 }, ['fixed wide-angle lens', 'fisheye lens with barrel distortion']),
+      camera('captured on a dome security camera', 'dome security camera', ['video'], 'either', { from: 1985 }, ['fixed wide-angle lens', 'fisheye lens with barrel distortion']),
+      camera('captured on a parking lot security camera', 'parking lot security camera', ['video'], 'either', { from: 1975 }, ['fixed wide-angle lens']),
+    ],
+    lens: ['fixed wide-angle lens', 'fisheye lens with barrel distortion'],
+    lighting: ['fluorescent office lighting', 'infrared night vision', 'sodium vapor streetlight'],
+    composition: ['high wide angle looking down', 'high corner angle looking down', 'overhead angle from the ceiling'],
+    imperfections: ['timestamp overlay', { text: 'heavy compression artifacts', era: { from: 1995 } }, 'low frame rate motion blur'],
+    exclude: ['film', 'grain', 'halation', 'Kodak', 'Portra', 'bokeh', 'shallow depth of field'],
+    aspectRatio: '4:3',
+  },
+  {
+    style: 'paparazzi shot',
+    text: 'paparazzi shot',
+    description: 'Long lens from across the street, or a flash in the face at night',
+    camera: [
+      camera('shot on Canon EOS-1D', 'Canon EOS-1D', ['digital'], 'either', { from: 2001 }, ['400mm telephoto', '70-200mm telephoto']),
+      camera('shot on Nikon D5', 'Nikon D5', ['digital'], 'either', { from: 2016 }, ['400mm telephoto', '70-200mm telephoto']),
+      camera('shot on Nikon F3 with Kodak Tri-X 400', 'Nikon F3', ['35mm'], 'bw', { from: 1980 }, ['400mm telephoto', '70-200mm telephoto']),
+    ],
+    lens: ['400mm telephoto', { text: '70-200mm telephoto', era: { from: 1977 } }],
+    lighting: ['harsh camera flash', 'flash photography at night', 'harsh midday sun'],
+    composition: ['shot from across the street', 'partly blocked by passersby', 'subject mid-stride'],
+    imperfections: ['subject blur from movement', 'out-of-focus foreground obstruction', 'compressed telephoto perspective'],
+    exclude: ['studio', 'ring light'],
+    aspectRatio: '3:2',
+  },
+  {
+    style: 'family album photo',
+    text: 'family album photo',
+    description: 'A print from the family album: consumer film, flash, posed groups, aged color',
+    camera: [
+      camera('shot on Kodak Gold 200', 'Kodak Gold 200', ['35mm'], 'color', { from: 1988 }),
+      camera('Kodak Instamatic snapshot', 'Kodak Instamatic', ['cartridge'], 'color', { from: 1963 }),
+      camera('vintage Polaroid', 'Polaroid', ['instant'], 'either', { from: 1948 }),
+      camera('shot on 35mm film', '35mm film', ['35mm'], 'either', { from: 1934 }),
+    ],
+    lighting: ['flash photography', 'tungsten warm light', 'window light'],
+    composition: ['everyone squeezed into the frame', 'posed group in front of the sofa', 'slightly tilted framing'],
+    imperfections: [{ text: 'faded colors', color: 'color' }, { text: 'color shift', color: 'color' }, 'rounded-corner print', 'dust and scratches'],
+    exclude: ['bokeh', 'studio', 'ring light'],
+    aspectRatio: '3:2',
+  },
+  {
+    style: 'yearbook photo',
+    text: 'yearbook photo',
+    description: 'School portrait day: mottled backdrop, soft flash, head and shoulders',
+    camera: [
+      camera('shot on medium format film', 'medium format film', ['medium format'], 'either', { from: 1930 }, ['85mm portrait lens']),
+      camera('school portrait camera', 'school portrait camera', ['35mm', 'digital'], 'either', { from: 1950 }, ['85mm portrait lens']),
+    ],
+    lens: ['85mm portrait lens'],
+    lighting: ['soft umbrella flash', 'flat school portrait flash'],
+    composition: ['head and shoulders', 'head tilted slightly', 'mottled blue backdrop'],
+    imperfections: [{ text: 'slightly dated color print', color: 'color' }, 'soft focus', { text: 'slight color cast', color: 'color' }],
+    exclude: ['street', 'motion blur'],
+    aspectRatio: '4:5',
+  },
+  {
+    style: 'passport photo',
+    text: 'passport photo',
+    description: 'Photo booth or counter camera: flat flash, plain background, square to the lens',
+    camera: [
+      camera('captured in a photo booth', 'photo booth', ['instant'], 'either', { from: 1925 }),
+      camera('DSLR photograph', 'DSLR', ['digital'], 'either', { from: 1999 }, ['50mm f/1.8']),
+    ],
+    lens: ['50mm f/1.8'],
+    lighting: ['flat even flash', 'harsh camera flash'],
+    composition: ['head and shoulders square to the frame', 'plain white background', 'neutral expression'],
+    imperfections: ['flat overexposed skin', 'hard flash reflection on the forehead', 'faint shadow on the background'],
+    exclude: ['bokeh', 'motion blur', 'golden hour', 'candid'],
+    aspectRatio: '7:9',
+  },
+  {
+    style: 'ID photo',
+    text: 'ID photo',
+    description: 'ID card picture taken at a counter: webcam quality, fluorescent light, gray backdrop',
+    camera: [
+      camera('captured on a webcam at an ID counter', 'webcam', ['digital'], 'color', { from: 1995 }),
+      camera('point and shoot camera', 'point and shoot', ['35mm', 'digital'], 'either', { from: 1977 }),
+      camera('captured on an instant ID camera', 'instant ID camera', ['instant'], 'color', { from: 1965 }),
+    ],
+    lighting: ['fluorescent office lighting', 'harsh camera flash'],
+    composition: ['head and shoulders square to the frame', 'plain gray background', 'neutral expression'],
+    imperfections: [{ text: 'washed-out color', color: 'color' }, { text: 'digital noise', format: ['digital'] }, 'hard flash reflection on the forehead'],
+    exclude: ['film', 'grain', 'bokeh', 'golden hour', 'candid'],
+    aspectRatio: '4:5',
+  },
+  {
+    style: 'amateur photography',
+    text: 'amateur photography',
+    description: 'Auto mode on a phone or kit-lens DSLR: center-framed, exposure a little off',
+    camera: [
+      camera('shot on iPhone', 'iPhone', ['phone'], 'either', { from: 2007 }),
+      camera('point and shoot camera', 'point and shoot', ['35mm', 'digital'], 'either', { from: 1977 }),
+      camera('DSLR photograph', 'DSLR', ['digital'], 'either', { from: 1999 }, ['kit zoom lens']),
+      camera('Kodak Instamatic snapshot', 'Kodak Instamatic', ['cartridge'], 'color', { from: 1963 }),
+    ],
+    lens: ['kit zoom lens'],
+    lighting: ['natural ambient light', 'harsh midday sun', 'flash photography'],
+    composition: ['subject dead center', 'slightly crooked horizon', 'cluttered background'],
+    imperfections: ['slightly out of focus', 'blown-out highlights', 'underexposed shadows'],
+    exclude: ['studio'],
+    aspectRatio: '3:2',
+  },
+];
+
+/**
+ * Normalize a preset name: "Surveillance camera" → "surveillance-camera"
+ */
+export function presetId(name) {
+  return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+export const PRESETS = BUILT_IN.map(preset => ({ id: presetId(preset.style), ...preset }));
+
+/**
+ * Check the `presets` setting, returning a list of problems
+ *
+ * It maps preset names to presets in the shape of the built-in ones, all
+ * fields optional. `extends` names a built-in preset to start from.
+ */
+export function validatePresets(presets) {
+  if (!presets || typeof presets !== 'object' || Array.isArray(presets)) {
+    return ['presets must be an object mapping preset names to presets'];
+  }
+
+  const problems = [];
+  for (const [name, preset] of Object.entries(presets)) {
+    const label = `presets.${name}`;
+    if (!presetId(name)) {
+      problems.push(`${label}: name must contain a letter or digit`);
+      continue;
+    }
+    if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+      problems.push(`${label} must be an object`);
+      continue;
+    }
+    for (const [key, value] of Object.entries(preset)) {
+      if (!PRESET_FIELDS.includes(key)) {
+        problems.push(`${label}: unknown field "${key}" (expected one of: ${PRESET_FIELDS.join(', ')})`);
+      } else if (key === 'extends') {
+        if (!PRESETS.some(p => p.id === presetId(value))) {
+          problems.push(`${label}.extends must be a built-in preset (${PRESETS.map(p => p.id).join(', ')})`);
+        }
+      } else if (key === 'aspectRatio') {
+        if (typeof value !== 'string' || !/^\d+:\d+$/.test(value)) {
+          problems.push(`${label}.aspectRatio must be a ratio like "4:3"`);
+        }
+      } else if (key === 'style' || key === 'text' || key === 'description') {
+        if (typeof value !== 'string') problems.push(`${label}.${key} must be a string`);
+      } else if (key === 'exclude') {
+        if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+          problems.push(`${label}.exclude must be an array of strings`);
+        }
+      } else if (!Array.isArray(value)) {
+        problems.push(`${label}.${key} must be an array`);
+      } else {
+        value.forEach((entry, i) => problems.push(...poolEntryProblems(entry, `${label}.${key}[${i}]`)));
+      }
+    }
+  }
+  return problems;
+}
+
+// A pool entry is a string, or a record with `text` and optional era, color and format
+function poolEntryProblems(entry, label) {
+  if (typeof entry === 'string') return [];
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry) || typeof entry.text !== 'string') {
+    return [`${label} must be a string or an object with a string "text"`];
+  }
+  const problems = [];
+  if (entry.color !== undefined && !COLORS.includes(entry.color)) {
+    problems.push(`${label}.color must be one of: ${COLORS.join(', ')}`);
+  }
+  for (const key of ['format', 'lenses']) {
+    if (entry[key] !== undefined && (!Array.isArray(entry[key]) || entry[key].some(v => typeof v !== 'string'))) {
+      problems.push(`${label}.${key} must be an array of strings`);
+    }
+  }
+  if (entry.era !== undefined) {
+    const { from, to } = entry.era || {};
+    if (!Number.isInteger(from) || (to !== undefined && !Number.isInteger(to))) {
+      problems.push(`${label}.era must be { from, to } years (to optional)`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Every preset: the built-in ones, then `custom` (the `presets` setting)
+ *
+ * A custom preset with a built-in's name replaces it. Custom presets
+ * are marked `custom: true`.
+ */
+export function listPresets(custom = {}) {
+  const presets = new Map(PRESETS.map(preset => [preset.id, preset]));
+  for (const [name, preset] of Object.entries(custom || {})) {
+    const base = preset.extends ? presets.get(presetId(preset.extends)) : null;
+    const fields = { ...preset };
+    delete fields.extends;
+    if (Array.isArray(fields.camera)) {
+      const lenses = (fields.lens || base?.lens || []).map(lens => (typeof lens === 'string' ? lens : lens.text));
+      fields.camera = fields.camera.map(entry => cameraRecord(entry, lenses));
+    }
+    const id = presetId(name);
+    presets.set(id, { ...base, ...fields, id, custom: true });
+  }
+  return [...presets.values()];
+}
+
+/**
+ * Look up a preset by name (or null), given the `presets` setting
+ */
+export function findPreset(name, custom = {}) {
+  const id = presetId(name);
+  return listPresets(custom).find(preset => preset.id === id) || null;
+}
+
+/**
+ * Resolve a preset option, throwing on an unknown name. An empty option
+ * resolves to null.
+ */
+export function resolvePreset(name, custom = {}) {
+  if (name === undefined || name === null || name === '') return null;
+  const preset = findPreset(name, custom);
+  if (!preset) {
+    throw new Error(`Unknown preset: ${name}. Use one of: ${listPresets(custom).map(p => p.id).join(', ')}`);
+  }
+  return preset;
+}
+
+export default { PRESET_SECTIONS, PRESETS, presetId, validatePresets, listPresets, findPreset, resolvePreset };
@@ -0,0 +1,80 @@
+/**
+ * random.js — Seeded random number generation
+ *
+ * Every random choice in the pipeline goes through a generator created
+ * here, so the same seed and options always produce the same prompt.
+ */
+
+/**
+ * Turn a number or string seed into a 32-bit unsigned integer
+ */
+export function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    // Negative seeds wrap to 32 bits, so -5 and 5 stay different
+    return Math.floor(seed) >>> 0;
+  }
+
+  // Numeric strings (e.g. from --seed=42) match their number form
+  const str = String(seed).trim();
+  if (/^-?\d+$/.test(str)) {
+    return Number(str) >>> 0;
+  }
+
+  // FNV-1a hash for other string seeds
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Generate a fresh seed when the caller didn't supply one
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Create a seeded generator (mulberry32)
+ */
+export function createRandom(seed = generateSeed()) {
+  const normalized = normalizeSeed(seed);
+  let state = normalized;
+
+  function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  function int(max) {
+    return Math.floor(next() * max);
+  }
+
+  function pick(items) {
+    if (!items || items.length === 0) return undefined;
+    return items[int(items.length)];
+  }
+
+  // Fisher-Yates on a copy, so source arrays are never mutated
+  function shuffle(items) {
+    const copy = [...items];
+    for (let i = copy.length - 1; i > 0; i--) {
+      const j = int(i + 1);
+      [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+  }
+
+  function sample(items, count = 1) {
+    return shuffle(items).slice(0, count);
+  }
+
+  return { seed: normalized, next, int, pick, shuffle, sample };
+}
+
+export default { createRandom, normalizeSeed, generateSeed };
@@ -0,0 +1,220 @@
+/**
+ * repl.js — Interactive prompt crafting
+ *
+ * A readline shell over a session (see session.js). Typing a line sets
+ * the prompt; lines starting with "/" are commands. In a terminal, the
+ * score of the line being typed is shown in the prompt as you type.
+ */
+
+import { createInterface } from 'readline';
+import { writeFileSync } from 'fs';
+import { createSession, LOCKABLE, SESSION_SETTINGS } from './session.js';
+
+export const REPL_HELP = `
+Type a prompt to transform it. Commands:
+
+  /reroll [section]         Re-pick everything unlocked, or one section
+  /lock <section>           Keep a section through rerolls and setting changes
+  /unlock <section|all>     Release a lock
+  /issues                   List issues found in the prompt
+  /toggle <issue>           Switch an issue's fix on or off (number or id)
+  /style <film|digital|phone>
+  /mood <natural|moody|harsh>
+  /target <generic|midjourney|stable-diffusion|dalle|flux>
+  /imperfections <low|medium|high>
+  /era <decade|year|off>
+  /preset <name|off>
+  /undo                     Undo the last change
+  /show                     Show the current prompt again
+  /save <file>              Save the prompt, seed and options as JSON
+  /help                     Show this help
+  /quit                     Exit (or Ctrl-D)
+
+Sections: ${LOCKABLE.join(', ')}
+`;
+
+const COMMANDS = ['reroll', 'lock', 'unlock', 'issues', 'toggle', 'style', 'mood', 'target', 'imperfections', 'era', 'preset', 'undo', 'show', 'save', 'help', 'quit', 'exit'];
+
+// Command names that differ from the setting they change
+const SETTING_COMMANDS = { imperfections: 'imperfectionLevel' };
+
+/**
+ * Render the session's current transform
+ */
+export function formatSession(session) {
+  const result = session.result;
+  if (!result) return 'No prompt yet. Type one to start.';
+
+  const locks = new Set(session.locks);
+  const mark = key => (locks.has(key) ? ' [locked]' : '');
+  const width = Math.max(...LOCKABLE.map(k => k.length)) + 2;
+  const rows = LOCKABLE
+    .filter(key => key === 'subject' || result.sections[key]?.length)
+    .map(key => {
+      const value = key === 'subject' ? result.subject : result.sections[key].join(', ');
+      return `  ${key.padEnd(width)}${value}${mark(key)}`;
+    });
+
+  const { style, mood, imperfectionLevel, target, era, preset } = session.settings;
+  const off = session.disabledRules.length ? `  ·  issues off: ${session.disabledRules.join(', ')}` : '';
+  return [
+    '',
+    `  "${result.transformed}"`,
+    '',
+    `  Score: ${result.originalScore} → ${result.newScore}`,
+    '',
+    ...rows,
+    '',
+    `  ${style} · ${mood} · ${target} · imperfections ${imperfectionLevel} · era ${era ?? 'auto'}${preset ? ` · preset ${preset}` : ''} · seed ${session.seed}${off}`,
+    '',
+  ].join('\n');
+}
+
+function formatIssues(session) {
+  const issues = session.issues();
+  if (!issues.length) return '  (no issues)';
+  return issues
+    .map((issue, i) => `  ${String(i + 1).padStart(2)}. [${issue.enabled ? 'on ' : 'off'}] ${issue.name} (${issue.id})`)
+    .join('\n');
+}
+
+/**
+ * Run one REPL line against a session, returning the text to print
+ *
+ * Returns null for /quit.
+ */
+export function runCommand(session, line) {
+  const text = line.trim();
+  if (!text) return '';
+  if (!text.startsWith('/')) {
+    session.setPrompt(text);
+    return formatSession(session);
+  }
+
+  const [name, ...rest] = text.slice(1).split(/\s+/);
+  const arg = rest.join(' ');
+  const command = name.toLowerCase();
+
+  switch (command) {
+    case 'reroll':
+      session.reroll(arg || undefined);
+      return formatSession(session);
+    case 'lock':
+      if (!arg) throw new Error('Usage: /lock <section>');
+      session.lock(arg);
+      return formatSession(session);
+    case 'unlock':
+      if (!arg) throw new Error('Usage: /unlock <section|all>');
+      session.unlock(arg);
+      return formatSession(session);
+    case 'issues':
+      return formatIssues(session);
+    case 'toggle':
+      if (!arg) throw new Error('Usage: /toggle <issue number or id>');
+      session.toggleIssue(arg);
+      return `${formatIssues(session)}\n${formatSession(session)}`;
+    case 'undo':
+      session.undo();
+      return formatSession(session);
+    case 'show':
+      return formatSession(session);
+    case 'save': {
+      if (!arg) throw new Error('Usage: /save <file>');
+      writeFileSync(arg, `${JSON.stringify(session.toJSON(), null, 2)}\n`);
+      return `Saved to ${arg}`;
+    }
+    case 'help':
+      return REPL_HELP;
+    case 'quit':
+    case 'exit':
+      return null;
+    default: {
+      const setting = SETTING_COMMANDS[command] || command;
+      if (setting in SESSION_SETTINGS) {
+        if (!arg) throw new Error(`Usage: /${command} <value>`);
+        session.set(setting, arg);
+        return formatSession(session);
+      }
+      throw new Error(`Unknown command /${name}. Type /help for commands`);
+    }
+  }
+}
+
+// Error text for a failed command; ConfigError lists its problems
+function errorText(err) {
+  return err.problems ? err.problems.join('; ') : err.message;
+}
+
+/**
+ * Start an interactive session on stdin/stdout
+ *
+ * Resolves when the user quits.
+ */
+export function startRepl(prompt = '', options = {}) {
+  const session = createSession(prompt, options);
+  const interactive = Boolean(process.stdin.isTTY && process.stdout.isTTY);
+
+  const rl = createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    terminal: interactive,
+    completer: line => {
+      if (!line.startsWith('/')) return [[], line];
+      const [name, ...rest] = line.slice(1).split(' ');
+      if (!rest.length) {
+        const hits = COMMANDS.filter(c => c.startsWith(name)).map(c => `/${c}`);
+        return [hits, line];
+      }
+      const choices = ['reroll', 'lock', 'unlock'].includes(name) ? [...LOCKABLE, ...(name === 'unlock' ? ['all'] : [])] : [];
+      const partial = rest.join(' ');
+      return [choices.filter(c => c.startsWith(partial)).map(c => `/${name} ${c}`), line];
+    },
+  });
+
+  // The prompt shows the current score, or the draft's while typing
+  const status = () => {
+    const draft = rl.line?.trim();
+    if (draft && !draft.startsWith('/')) return `[~${session.score(draft)}] › `;
+    return session.result ? `[${session.result.newScore}] › ` : '› ';
+  };
+
+  let closed = false;
+  if (interactive) {
+    process.stdin.on('keypress', () => {
+      setImmediate(() => {
+        if (closed) return;
+        rl.setPrompt(status());
+        rl.prompt(true);
+      });
+    });
+  }
+
+  console.log('image-humanizer repl — type a prompt, or /help for commands');
+  if (session.result) console.log(formatSession(session));
+  rl.setPrompt(status());
+  rl.prompt();
+
+  return new Promise(resolve => {
+    rl.on('line', line => {
+      let output;
+      try {
+        output = runCommand(session, line);
+      } catch (err) {
+        output = `Error: ${errorText(err)}`;
+      }
+      if (output === null) {
+        rl.close();
+        return;
+      }
+      if (output) console.log(output);
+      rl.setPrompt(status());
+      rl.prompt();
+    });
+    rl.on('close', () => {
+      closed = true;
+      resolve();
+    });
+  });
+}
+
+export default { REPL_HELP, formatSession, runCommand, startRepl };
@@ -0,0 +1,274 @@
+/**
+ * rules.js — Custom rule packs
+ *
+ * A rule pack adds house rules on top of AI_PRONE_PATTERNS and
+ * REALISM_INDICATORS without forking. Packs are plain objects, JSON files
+ * or JS modules:
+ *
+ *   {
+ *     "name": "studio-house-rules",
+ *     "rules": [
+ *       {
+ *         "id": "quality-tags",
+ *         "name": "Quality tag spam",
+ *         "keywords": ["masterpiece", "best quality"],
+ *         "weight": 4,
+ *         "suggestion": "Remove quality tags",
+ *         "replacement": ""
+ *       }
+ *     ],
+ *     "realism": [{ "regex": "\\bdisposable\\b", "weight": 2 }]
+ *   }
+ *
+ * Each rule matches with exactly one of `regex` (string or RegExp),
+ * `keywords` (whole-word, case-insensitive) or `detect` (JS packs only).
+ * Rules and realism indicators take an optional scoring `category`
+ * (subject, technical, imperfection, composition, cliche; see scoring.js).
+ * A rule with `replacement` is auto-fixed by transformPrompt. A rule whose
+ * id matches a built-in pattern replaces it.
+ */
+
+import { readFileSync } from 'fs';
+import { resolve, extname } from 'path';
+import { pathToFileURL } from 'url';
+import { SCORE_CATEGORIES } from './scoring.js';
+
+export class RulePackError extends Error {
+  constructor(source, problems) {
+    super(`Invalid rule pack ${source}:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+    this.name = 'RulePackError';
+    this.source = source;
+    this.problems = problems;
+  }
+}
+
+const DEFAULT_WEIGHT = 3;
+
+const CATEGORY_IDS = SCORE_CATEGORIES.map(c => c.id);
+
+/**
+ * Check an optional scoring category, recording a problem if it's unknown
+ */
+function checkCategory(def, label, problems) {
+  if (def.category !== undefined && !CATEGORY_IDS.includes(def.category)) {
+    problems.push(`${label}: category must be one of: ${CATEGORY_IDS.join(', ')}`);
+  }
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a RegExp from a rule's regex/keywords field, recording problems
+ */
+function buildRegex(def, label, problems) {
+  if (def.regex instanceof RegExp) {
+    return def.regex;
+  }
+
+  if (typeof def.regex === 'string') {
+    // Accept "/source/flags" as well as a bare source string
+    const literal = def.regex.match(/^\/([\s\S]+)\/([a-z]*)$/);
+    const source = literal ? literal[1] : def.regex;
+    const flags = literal ? literal[2] : (def.flags ?? 'i');
+    try {
+      return new RegExp(source, flags);
+    } catch (err) {
+      problems.push(`${label}: invalid regex (${err.message})`);
+      return null;
+    }
+  }
+
+  if (def.keywords !== undefined) {
+    const keywords = Array.isArray(def.keywords) ? def.keywords : [def.keywords];
+    if (!keywords.length || keywords.some(k => typeof k !== 'string' || !k.trim())) {
+      problems.push(`${label}: keywords must be a non-empty array of strings`);
+      return null;
+    }
+    return new RegExp(`\\b(${keywords.map(k => escapeRegex(k.trim())).join('|')})\\b`, 'i');
+  }
+
+  return null;
+}
+
+/**
+ * Validate and compile one AI-prone rule
+ */
+function compileRule(def, index, packName, problems) {
+  const label = `rules[${index}]${def && typeof def.id === 'string' ? ` (${def.id})` : ''}`;
+
+  if (!def || typeof def !== 'object' || Array.isArray(def)) {
+    problems.push(`${label}: must be an object`);
+    return null;
+  }
+  if (typeof def.id !== 'string' || !/^[a-z0-9][\w-]*$/i.test(def.id)) {
+    problems.push(`${label}: id must be a string of letters, numbers, - or _`);
+  }
+
+  const matchers = ['regex', 'keywords', 'detect'].filter(key => def[key] !== undefined);
+  if (matchers.length !== 1) {
+    problems.push(`${label}: needs exactly one of regex, keywords or detect (found ${matchers.length ? matchers.join(', ') : 'none'})`);
+  }
+  if (def.detect !== undefined && typeof def.detect !== 'function') {
+    problems.push(`${label}: detect must be a function (only available in JS rule packs)`);
+  }
+  if (def.weight !== undefined && (typeof def.weight !== 'number' || !Number.isFinite(def.weight) || def.weight < 0)) {
+    problems.push(`${label}: weight must be a non-negative number`);
+  }
+  for (const key of ['name', 'description', 'suggestion', 'replacement', 'flags']) {
+    if (def[key] !== undefined && typeof def[key] !== 'string') {
+      problems.push(`${label}: ${key} must be a string`);
+    }
+  }
+  if (def.replacement !== undefined && def.detect !== undefined) {
+    problems.push(`${label}: replacement needs a regex or keywords rule, not detect`);
+  }
+  checkCategory(def, label, problems);
+
+  const regex = def.detect === undefined ? buildRegex(def, label, problems) : null;
+
+  const rule = {
+    id: def.id,
+    name: def.name || def.id,
+    description: def.description || '',
+    weight: def.weight ?? DEFAULT_WEIGHT,
+    category: def.category || 'cliche',
+    suggestion: def.suggestion || '',
+    pack: packName,
+  };
+  if (typeof def.detect === 'function') rule.detect = def.detect;
+  if (regex) rule.regex = regex;
+  if (def.replacement !== undefined) rule.replacement = def.replacement;
+  return rule;
+}
+
+/**
+ * Validate and compile one realism indicator
+ */
+function compileIndicator(def, index, packName, problems) {
+  const label = `realism[${index}]`;
+  if (!def || typeof def !== 'object' || Array.isArray(def)) {
+    problems.push(`${label}: must be an object`);
+    return null;
+  }
+  if (def.weight !== undefined && (typeof def.weight !== 'number' || !Number.isFinite(def.weight) || def.weight < 0)) {
+    problems.push(`${label}: weight must be a non-negative number`);
+  }
+  for (const key of ['id', 'name']) {
+    if (def[key] !== undefined && typeof def[key] !== 'string') {
+      problems.push(`${label}: ${key} must be a string`);
+    }
+  }
+  checkCategory(def, label, problems);
+  const regex = buildRegex(def, label, problems);
+  if (!regex && def.regex === undefined && def.keywords === undefined) {
+    problems.push(`${label}: needs regex or keywords`);
+  }
+  if (!regex) return null;
+  const id = def.id || `${packName}:realism-${index}`;
+  return { id, name: def.name || id, category: def.category || 'technical', regex, weight: def.weight ?? 2, pack: packName };
+}
+
+/**
+ * Validate a rule pack object and compile it into pattern records
+ *
+ * Throws RulePackError listing every problem found.
+ */
+export function compileRulePack(pack, source = 'inline') {
+  if (pack?.compiled) return pack;
+
+  const problems = [];
+  const definition = Array.isArray(pack) ? { rules: pack } : pack;
+
+  if (!definition || typeof definition !== 'object') {
+    throw new RulePackError(source, ['pack must be an object or an array of rules']);
+  }
+
+  const name = typeof definition.name === 'string' ? definition.name : source;
+  const ruleDefs = definition.rules ?? [];
+  const realismDefs = definition.realism ?? [];
+
+  if (!Array.isArray(ruleDefs)) problems.push('rules must be an array');
+  if (!Array.isArray(realismDefs)) problems.push('realism must be an array');
+  if (problems.length) throw new RulePackError(source, problems);
+
+  const rules = ruleDefs.map((def, i) => compileRule(def, i, name, problems));
+  const realism = realismDefs.map((def, i) => compileIndicator(def, i, name, problems));
+
+  const seen = new Set();
+  for (const rule of rules) {
+    if (!rule || typeof rule.id !== 'string') continue;
+    if (seen.has(rule.id)) problems.push(`duplicate rule id "${rule.id}"`);
+    seen.add(rule.id);
+  }
+
+  if (problems.length) throw new RulePackError(source, problems);
+
+  return { name, source, rules, realism, compiled: true };
+}
+
+/**
+ * Load a rule pack from a .json or JS module file
+ */
+export async function loadRulePack(path, cwd = process.cwd()) {
+  const fullPath = resolve(cwd, path);
+  let pack;
+
+  try {
+    if (extname(fullPath).toLowerCase() === '.json') {
+      pack = JSON.parse(readFileSync(fullPath, 'utf-8'));
+    } else {
+      const mod = await import(pathToFileURL(fullPath).href);
+      pack = mod.default ?? (mod.rules ? { name: mod.name, rules: mod.rules, realism: mod.realism } : undefined);
+    }
+  } catch (err) {
+    throw new RulePackError(path, [`could not load: ${err.message}`]);
+  }
+
+  if (pack === undefined) {
+    throw new RulePackError(path, ['module must have a default export or export `rules`']);
+  }
+
+  return compileRulePack(pack, path);
+}
+
+/**
+ * Load several rule packs; accepts an array or a comma-separated string
+ */
+export async function loadRulePacks(paths, cwd = process.cwd()) {
+  const list = Array.isArray(paths) ? paths : String(paths || '').split(',');
+  return Promise.all(list.map(p => p.trim()).filter(Boolean).map(p => loadRulePack(p, cwd)));
+}
+
+/**
+ * Normalize the `rules` option into a list of compiled packs
+ */
+export function resolveRulePacks(rules) {
+  if (!rules) return [];
+  if (!Array.isArray(rules)) return [compileRulePack(rules)];
+
+  // Either a list of packs, or a bare array of rule definitions
+  const isPackList = rules.every(r => r && (r.compiled || Array.isArray(r.rules) || Array.isArray(r.realism)));
+  return isPackList ? rules.map(pack => compileRulePack(pack)) : [compileRulePack(rules)];
+}
+
+/**
+ * Merge built-in patterns with rule packs; pack rules override by id
+ */
+export function mergePatterns(builtins, packs) {
+  const byId = new Map(builtins.map(p => [p.id, p]));
+  for (const pack of packs) {
+    for (const rule of pack.rules) byId.set(rule.id, rule);
+  }
+  return [...byId.values()];
+}
+
+export default {
+  RulePackError,
+  compileRulePack,
+  loadRulePack,
+  loadRulePacks,
+  resolveRulePacks,
+  mergePatterns,
+};
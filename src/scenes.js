@@ -0,0 +1,119 @@
+/**
+ * scenes.js — Scene-type classification
+ *
+ * Scores a prompt against a set of scene types (portrait, food, vehicle…)
+ * so the transformer can add details that fit what's actually in frame,
+ * instead of portrait-oriented additions for everything.
+ */
+
+// Scene types in tie-break order. Each cue adds its weight once if it matches.
+export const SCENE_TYPES = [
+  {
+    id: 'portrait',
+    name: 'Portrait',
+    human: true,
+    cues: [
+      { regex: /\b(woman|man|person|girl|boy|child|face|model|figure|portrait|headshot|selfie)\b/i, weight: 3 },
+      { regex: /\b(smil\w*|eyes|expression|wearing)\b/i, weight: 1 },
+    ],
+  },
+  {
+    id: 'group',
+    name: 'Group',
+    human: true,
+    cues: [
+      { regex: /\b(people|group|crowd|friends|family|couple|team|students|kids|children|women|men)\b/i, weight: 4 },
+      { regex: /\b(together|gathering|party|wedding|reunion)\b/i, weight: 2 },
+    ],
+  },
+  {
+    id: 'street',
+    name: 'Street',
+    cues: [
+      { regex: /\b(street|sidewalk|crosswalk|alley|downtown|intersection|subway|market|city)\b/i, weight: 3 },
+      { regex: /\b(passersby|traffic|storefronts?|commuters?)\b/i, weight: 2 },
+    ],
+  },
+  {
+    id: 'landscape',
+    name: 'Landscape',
+    cues: [
+      { regex: /\b(landscape|scenery|vista|horizon|mountains?|ocean|forest|desert|valley|lake|cliffs?|coast(line)?|cityscape|skyline)\b/i, weight: 3 },
+      { regex: /\b(hills|meadow|river|field|beach|waterfall)\b/i, weight: 2 },
+    ],
+  },
+  {
+    id: 'food',
+    name: 'Food',
+    cues: [
+      { regex: /\b(food|dish|plate of|meal|breakfast|lunch|dinner|burger|pizza|pasta|salad|cake|soup|sandwich|dessert|bowl of|noodles|sushi|tacos?)\b/i, weight: 4 },
+      { regex: /\b(coffee(?! shop)|latte|cocktail|wine|plated|recipe)\b/i, weight: 2 },
+    ],
+  },
+  {
+    id: 'product',
+    name: 'Product',
+    cues: [
+      { regex: /\b(product|packshot|packaging|bottle|sneakers?|wristwatch|headphones|perfume|cosmetics?|gadget|skincare)\b/i, weight: 4 },
+      { regex: /\b(white background|catalog(ue)?|e-?commerce|advert(isement)?|brand)\b/i, weight: 2 },
+    ],
+  },
+  {
+    id: 'architecture',
+    name: 'Architecture / interior',
+    cues: [
+      { regex: /\b(building|architecture|interior|living room|kitchen|bedroom|bathroom|hallway|lobby|facade|house|church|cathedral|staircase|apartment)\b/i, weight: 3 },
+      { regex: /\b(office|room|ceiling|windows|corridor)\b/i, weight: 2 },
+    ],
+  },
+  {
+    id: 'animal',
+    name: 'Animal',
+    cues: [
+      { regex: /\b(dogs?|cats?|pupp(y|ies)|kittens?|birds?|horses?|pets?|animals?|cows?|fox(es)?|deer|rabbits?|wildlife)\b/i, weight: 4 },
+    ],
+  },
+  {
+    id: 'vehicle',
+    name: 'Vehicle',
+    cues: [
+      { regex: /\b(cars?|trucks?|motorcycles?|motorbikes?|bicycles?|bikes?|bus(es)?|vans?|trains?|vehicles?|pickups?|tractors?)\b/i, weight: 4 },
+    ],
+  },
+];
+
+/**
+ * Classify a prompt's scene type
+ *
+ * Returns { scene, name, confidence, human, scenes }, where `scenes` lists
+ * every matching type with its confidence (share of the total cue
+ * weight), highest first. `scene` is null when nothing matched. `human`
+ * is set when any human cue matched, even if another scene wins.
+ */
+export function classifyScene(prompt) {
+  const scored = SCENE_TYPES.map(type => ({
+    type,
+    score: type.cues.reduce((sum, cue) => sum + (cue.regex.test(prompt) ? cue.weight : 0), 0),
+  }));
+
+  const total = scored.reduce((sum, s) => sum + s.score, 0);
+  const scenes = scored
+    .filter(s => s.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(({ type, score }) => ({
+      id: type.id,
+      name: type.name,
+      confidence: Math.round((score / total) * 100) / 100,
+    }));
+
+  const top = scenes[0];
+  return {
+    scene: top ? top.id : null,
+    name: top ? top.name : null,
+    confidence: top ? top.confidence : 0,
+    human: scored.some(s => s.type.human && s.score > 0),
+    scenes,
+  };
+}
+
+export default { SCENE_TYPES, classifyScene };
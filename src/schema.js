@@ -0,0 +1,124 @@
+/**
+ * schema.js — Small JSON Schema validator
+ *
+ * Covers the subset the operation registry (operations.js) uses: type
+ * (including unions like ["string", "integer"] and "null"), enum,
+ * properties, required, additionalProperties, items, minimum/maximum,
+ * minLength/maxLength, minItems/maxItems and named formats. Formats are
+ * checks passed in by the caller, so a schema can say `format: 'era'`
+ * and still be a plain JSON Schema anywhere else.
+ */
+
+export class SchemaError extends Error {
+  constructor(problems, where = 'input') {
+    super(problems.join('; '));
+    this.name = 'SchemaError';
+    this.where = where;
+    this.problems = problems;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function describeType(types) {
+  return types.map(type => (type === 'integer' || type === 'object' || type === 'array' ? `an ${type}` : `a ${type}`)).join(' or ');
+}
+
+// "must be an integer from 1 to 10", "must be a number of at least 0"
+function rangeMessage(schema, types) {
+  const kind = describeType(types);
+  if (schema.minimum !== undefined && schema.maximum !== undefined) {
+    return `must be ${kind} from ${schema.minimum} to ${schema.maximum}`;
+  }
+  if (schema.minimum !== undefined) return `must be ${kind} of at least ${schema.minimum}`;
+  return `must be ${kind} of at most ${schema.maximum}`;
+}
+
+/**
+ * Check a value against a schema, returning a list of problems (empty
+ * when valid). `formats` maps a format name to { check, message };
+ * `root` names the value itself in messages.
+ */
+export function validateSchema(schema, value, { formats = {}, path = '', root = 'value' } = {}) {
+  const problems = [];
+  const label = path || root;
+
+  const types = schema.type === undefined ? [] : [].concat(schema.type);
+  if (types.length && !types.some(type => matchesType(value, type))) {
+    if (types.includes('integer') && typeof value === 'number' && (schema.minimum !== undefined || schema.maximum !== undefined)) {
+      return [`${label} ${rangeMessage(schema, types)}`];
+    }
+    return [`${label} must be ${describeType(types)}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${label} must be one of: ${schema.enum.join(', ')}`];
+  }
+
+  if (typeof value === 'number') {
+    if ((schema.minimum !== undefined && value < schema.minimum) || (schema.maximum !== undefined && value > schema.maximum)) {
+      problems.push(`${label} ${rangeMessage(schema, types.length ? types : ['number'])}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      problems.push(schema.minLength === 1 ? `${label} must not be empty` : `${label} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      problems.push(`${label} must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (schema.format && formats[schema.format] && value !== null) {
+    const format = formats[schema.format];
+    if (!format.check(value)) problems.push(`${label} ${format.message}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      problems.push(`${label} must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      problems.push(`${label} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        problems.push(...validateSchema(schema.items, item, { formats, path: `${label}[${i}]` }));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    const child = key => (path ? `${path}.${key}` : key);
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) problems.push(`${child(key)} is required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+      if (properties[key]) {
+        problems.push(...validateSchema(properties[key], item, { formats, path: child(key) }));
+      } else if (schema.additionalProperties === false) {
+        problems.push(`${child(key)} is not a known field`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        problems.push(...validateSchema(schema.additionalProperties, item, { formats, path: child(key) }));
+      }
+    }
+  }
+
+  return problems;
+}
+
+export default { SchemaError, validateSchema };
@@ -0,0 +1,216 @@
+/**
+ * scoring.js — Explainable prompt scoring
+ *
+ * Turns the issues and realism indicators analyzePrompt found into a
+ * 0-100 score (higher = more AI-prone), with a sub-score per category,
+ * each rule's contribution in points and a plain-language explanation.
+ *
+ * Scores saturate rather than clip, so a prompt with ten issues still
+ * scores worse than one with three. Realism indicators only offset issues
+ * in their own category, by at most half, and stacked indicators count
+ * for less each: "shot on Portra 400" can soften "cinematic lighting"
+ * but never cancels "8k, trending on artstation".
+ */
+
+// Sub-score categories, in report order
+export const SCORE_CATEGORIES = [
+  { id: 'subject', name: 'Subject specificity' },
+  { id: 'technical', name: 'Technical grounding' },
+  { id: 'imperfection', name: 'Imperfection' },
+  { id: 'composition', name: 'Composition' },
+  { id: 'cliche', name: 'Cliché usage' },
+];
+
+export const DEFAULT_SCORING = {
+  // Issue weight that takes the score to ~63 (1 - 1/e); a single
+  // weight-3 issue scores 18, six typical issues around 80
+  scale: 15,
+  // Same, for each category's sub-score
+  categoryScale: 6,
+  // Each further realism indicator in a category counts this much of the last
+  decay: 0.5,
+  // Realism can offset at most this share of a category's issues
+  maxOffset: 0.5,
+};
+
+// Issues and indicators without a category count as clichés and technical cues
+const DEFAULT_ISSUE_CATEGORY = 'cliche';
+const DEFAULT_REALISM_CATEGORY = 'technical';
+
+// Score bands for the explanation
+const BANDS = [
+  { max: 10, label: 'reads as realistic' },
+  { max: 30, label: 'slightly generic' },
+  { max: 55, label: 'noticeably AI-prone' },
+  { max: 80, label: 'strongly AI-prone' },
+  { max: 100, label: 'very AI-prone' },
+];
+
+// Badge shown next to a score, by upper bound
+const BADGES = [
+  { max: 20, badge: '🟢' },
+  { max: 40, badge: '🟡' },
+  { max: 60, badge: '🟠' },
+  { max: 100, badge: '🔴' },
+];
+
+const CATEGORY_IDS = SCORE_CATEGORIES.map(c => c.id);
+
+function saturate(value, scale) {
+  return 100 * (1 - Math.exp(-Math.max(0, value) / scale));
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function categoryOf(item, fallback) {
+  return CATEGORY_IDS.includes(item.category) ? item.category : fallback;
+}
+
+/**
+ * Resolve a weights object into per-category multipliers and per-rule weights
+ *
+ * Keys are category ids (a multiplier, default 1) or rule/indicator ids
+ * (a replacement weight). Unknown keys are ignored.
+ */
+function resolveWeights(weights = {}) {
+  const categories = {};
+  const rules = {};
+  for (const [key, value] of Object.entries(weights || {})) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) continue;
+    if (CATEGORY_IDS.includes(key)) categories[key] = value;
+    else rules[key] = value;
+  }
+  return { categories, rules };
+}
+
+/**
+ * Check a weights object, returning a list of problems (empty when valid)
+ */
+export function validateWeights(weights) {
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    return ['weights must be an object of category or rule ids to numbers'];
+  }
+  return Object.entries(weights)
+    .filter(([, value]) => typeof value !== 'number' || !Number.isFinite(value) || value < 0)
+    .map(([key]) => `weights.${key} must be a non-negative number`);
+}
+
+/**
+ * Score matched issues and realism indicators
+ *
+ * `issues` and `indicators` are { id, name, weight, category } records
+ * for what matched. Options:
+ *   weights   category multipliers and rule weight overrides
+ *   scoring   overrides for DEFAULT_SCORING
+ *
+ * Returns { score, subScores, breakdown, explanation }. Breakdown points
+ * add up to the score: issues add points, indicators take them away.
+ */
+export function scoreMatches(issues, indicators, options = {}) {
+  const config = { ...DEFAULT_SCORING, ...options.scoring };
+  const weights = resolveWeights(options.weights);
+  const weightOf = item => weights.rules[item.id] ?? item.weight;
+  const multiplier = category => weights.categories[category] ?? 1;
+
+  const entries = [
+    ...issues.map(item => ({ item, kind: 'issue', category: categoryOf(item, DEFAULT_ISSUE_CATEGORY), weight: weightOf(item) })),
+    ...indicators.map(item => ({ item, kind: 'realism', category: categoryOf(item, DEFAULT_REALISM_CATEGORY), weight: weightOf(item) })),
+  ];
+
+  // Per category: issue penalty, then realism credit with diminishing
+  // returns, capped at a share of the penalty
+  const categories = SCORE_CATEGORIES.map(({ id, name }) => {
+    const penalty = entries
+      .filter(e => e.kind === 'issue' && e.category === id)
+      .reduce((sum, e) => sum + e.weight, 0);
+
+    const realism = entries
+      .filter(e => e.kind === 'realism' && e.category === id)
+      .sort((a, b) => b.weight - a.weight);
+    realism.forEach((e, i) => {
+      e.credit = e.weight * config.decay ** i;
+    });
+    const credit = realism.reduce((sum, e) => sum + e.credit, 0);
+    const offset = Math.min(credit, penalty * config.maxOffset);
+    for (const e of realism) e.applied = credit ? offset * (e.credit / credit) : 0;
+
+    return { id, name, penalty, offset, net: penalty - offset, multiplier: multiplier(id) };
+  });
+
+  const gross = categories.reduce((sum, c) => sum + c.penalty * c.multiplier, 0);
+  const net = categories.reduce((sum, c) => sum + c.net * c.multiplier, 0);
+  const grossScore = saturate(gross, config.scale);
+  const score = saturate(net, config.scale);
+  const saved = grossScore - score;
+  const appliedTotal = categories.reduce((sum, c) => sum + c.offset * c.multiplier, 0);
+
+  // Attribute the score to rules in proportion to their weighted share
+  const breakdown = entries.map(e => {
+    const m = multiplier(e.category);
+    const points = e.kind === 'issue'
+      ? (gross ? grossScore * (e.weight * m) / gross : 0)
+      : (appliedTotal ? -saved * (e.applied * m) / appliedTotal : 0);
+    return {
+      id: e.item.id,
+      name: e.item.name,
+      kind: e.kind,
+      category: e.category,
+      weight: e.weight,
+      points: round(points),
+    };
+  }).sort((a, b) => Math.abs(b.points) - Math.abs(a.points));
+
+  const subScores = Object.fromEntries(categories.map(c => [c.id, {
+    name: c.name,
+    score: Math.round(saturate(c.net, config.categoryScale)),
+    penalty: c.penalty,
+    offset: round(c.offset),
+  }]));
+
+  const rounded = Math.min(100, Math.round(score));
+  return {
+    score: rounded,
+    subScores,
+    breakdown,
+    explanation: explainScore(rounded, subScores, breakdown),
+  };
+}
+
+/**
+ * Describe a score in a couple of plain sentences
+ */
+export function explainScore(score, subScores, breakdown) {
+  const band = BANDS.find(b => score <= b.max) || BANDS[BANDS.length - 1];
+  const sentences = [`Scores ${score}/100: ${band.label}.`];
+
+  const issues = breakdown.filter(b => b.kind === 'issue' && b.points > 0);
+  if (!issues.length) {
+    sentences.push('No AI-prone patterns found.');
+    return sentences.join(' ');
+  }
+
+  const top = issues.slice(0, 3).map(b => `${b.name.toLowerCase()} (+${b.points})`);
+  sentences.push(`Biggest factors: ${top.join(', ')}.`);
+
+  const offset = breakdown.filter(b => b.kind === 'realism').reduce((sum, b) => sum - b.points, 0);
+  if (offset > 0) {
+    sentences.push(`Realism cues already in the prompt take off ${round(offset)} points.`);
+  }
+
+  const weakest = Object.values(subScores).sort((a, b) => b.score - a.score)[0];
+  if (weakest.score > 0) {
+    sentences.push(`Weakest area: ${weakest.name.toLowerCase()}.`);
+  }
+  return sentences.join(' ');
+}
+
+/**
+ * Traffic-light badge for a score, as shown by the CLI and returned by the APIs
+ */
+export function scoreBadge(score) {
+  return (BADGES.find(b => score <= b.max) || BADGES[BADGES.length - 1]).badge;
+}
+
+export default { SCORE_CATEGORIES, DEFAULT_SCORING, validateWeights, scoreMatches, explainScore, scoreBadge };
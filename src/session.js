@@ -0,0 +1,262 @@
+/**
+ * session.js — Iterative prompt crafting
+ *
+ * A session holds one prompt and the settings it's transformed with, and
+ * changes them a step at a time: reroll one section, lock what works,
+ * switch issues on and off, change style, mood or target, undo. Every
+ * step keeps what it doesn't touch, so "reroll lighting" only changes
+ * the lighting. The REPL (repl.js) is a thin shell over this.
+ */
+
+import { analyzePrompt } from './patterns.js';
+import { transformPrompt, SECTION_KEYS } from './transformer.js';
+import { createRandom } from './random.js';
+import { validateConfig } from './config.js';
+import { resolvePreset } from './presets.js';
+
+// Parts of a transform that can be locked or rerolled
+export const LOCKABLE = ['subject', ...SECTION_KEYS];
+
+// Settings a session can change, and the sections each one re-picks
+export const SESSION_SETTINGS = {
+  style: ['camera', 'lens', 'imperfections'],
+  mood: ['lighting'],
+  imperfectionLevel: ['imperfections'],
+  era: ['camera', 'lens', 'lighting', 'imperfections'],
+  preset: ['camera', 'lens', 'lighting', 'imperfections', 'composition'],
+  target: [],
+};
+
+// Seeds tried for a reroll that actually changes something
+const REROLL_ATTEMPTS = 5;
+
+/**
+ * Current value of a lockable part of a transform result
+ */
+function partOf(result, key) {
+  return key === 'subject' ? result.subject : [...(result.sections[key] || [])];
+}
+
+/**
+ * Create a session
+ *
+ * `options` are transform options (style, mood, rules, weights,
+ * disabledRules, seed…). The session's own seeds come from `seed`, so a
+ * seeded session rerolls the same way every time.
+ */
+export function createSession(prompt = '', options = {}) {
+  const seeds = createRandom(options.seed);
+  const base = { ...options };
+  delete base.variants;
+
+  let state = {
+    prompt: prompt.trim(),
+    settings: Object.fromEntries(Object.keys(SESSION_SETTINGS).map(key => [key, options[key]])),
+    seed: seeds.seed,
+    pinned: {},
+    locks: [],
+    disabledRules: [...(options.disabledRules || [])],
+  };
+  const history = [];
+  let result = null;
+
+  function transformOptions(s = state) {
+    return { ...base, ...s.settings, seed: s.seed, locked: s.pinned, disabledRules: s.disabledRules };
+  }
+
+  function run() {
+    result = state.prompt ? transformPrompt(state.prompt, transformOptions()) : null;
+    return result;
+  }
+
+  function requireResult() {
+    if (!result) throw new Error('Enter a prompt first');
+    return result;
+  }
+
+  function checkPart(key) {
+    if (!LOCKABLE.includes(key)) {
+      throw new Error(`Unknown section "${key}" (expected one of: ${LOCKABLE.join(', ')})`);
+    }
+  }
+
+  // Values of these parts in the current result
+  function pin(keys) {
+    return Object.fromEntries(keys.map(key => [key, partOf(result, key)]));
+  }
+
+  // Apply a change, keeping the old state for undo
+  function update(changes) {
+    history.push(state);
+    state = { ...state, ...changes };
+    return run();
+  }
+
+  run();
+
+  return {
+    get prompt() {
+      return state.prompt;
+    },
+    get settings() {
+      return { ...state.settings };
+    },
+    get seed() {
+      return state.seed;
+    },
+    get locks() {
+      return [...state.locks];
+    },
+    get disabledRules() {
+      return [...state.disabledRules];
+    },
+    get result() {
+      return result;
+    },
+    get canUndo() {
+      return history.length > 0;
+    },
+
+    /**
+     * Score a draft prompt without changing the session
+     */
+    score(text) {
+      return analyzePrompt(text, { rules: base.rules, weights: base.weights, disabledRules: state.disabledRules }).score;
+    },
+
+    /**
+     * Every issue in the prompt, including switched-off ones, with `enabled`
+     */
+    issues() {
+      if (!state.prompt) return [];
+      const analysis = analyzePrompt(state.prompt, { rules: base.rules, weights: base.weights });
+      return analysis.issues.map(issue => ({ ...issue, enabled: !state.disabledRules.includes(issue.id) }));
+    },
+
+    /**
+     * Replace the prompt, keeping locked sections (a locked subject is
+     * released, since it belonged to the old prompt)
+     */
+    setPrompt(text) {
+      const locks = state.locks.filter(key => key !== 'subject');
+      return update({ prompt: text.trim(), locks, pinned: result ? pin(locks) : {} });
+    },
+
+    /**
+     * Pick fresh modifiers for one section, or for everything not locked
+     */
+    reroll(key) {
+      requireResult();
+      if (key) {
+        checkPart(key);
+        if (state.locks.includes(key)) throw new Error(`${key} is locked; unlock it first`);
+      }
+      const keep = key ? LOCKABLE.filter(k => k !== key) : state.locks;
+      const pinned = pin(keep);
+      const before = JSON.stringify(key ? partOf(result, key) : result.transformed);
+
+      // A small library can land on the same pick; try a few seeds for a change
+      let seed;
+      for (let attempt = 0; attempt < REROLL_ATTEMPTS; attempt++) {
+        seed = seeds.int(0x100000000);
+        const candidate = transformPrompt(state.prompt, transformOptions({ ...state, seed, pinned }));
+        if (JSON.stringify(key ? partOf(candidate, key) : candidate.transformed) !== before) break;
+      }
+      return update({ seed, pinned });
+    },
+
+    /**
+     * Keep a section as it is through later rerolls and setting changes
+     */
+    lock(key) {
+      requireResult();
+      checkPart(key);
+      if (state.locks.includes(key)) return result;
+      return update({ locks: [...state.locks, key], pinned: { ...state.pinned, ...pin([key]) } });
+    },
+
+    unlock(key) {
+      if (key === 'all') return update({ locks: [] });
+      checkPart(key);
+      return update({ locks: state.locks.filter(k => k !== key) });
+    },
+
+    /**
+     * Switch an issue off (its text is kept and it isn't scored) or back on
+     *
+     * Takes a rule id or a 1-based number from issues(). Modifiers are
+     * kept; only the prompt text is redone.
+     */
+    toggleIssue(idOrNumber) {
+      requireResult();
+      const issues = this.issues();
+      const issue = /^\d+$/.test(String(idOrNumber))
+        ? issues[Number(idOrNumber) - 1]
+        : issues.find(i => i.id === idOrNumber);
+      if (!issue) throw new Error(`No issue "${idOrNumber}" in this prompt`);
+      const disabledRules = issue.enabled
+        ? [...state.disabledRules, issue.id]
+        : state.disabledRules.filter(id => id !== issue.id);
+      const keep = state.locks.includes('subject') ? LOCKABLE : SECTION_KEYS;
+      return update({ disabledRules, pinned: result ? pin(keep) : {} });
+    },
+
+    /**
+     * Change style, mood, imperfectionLevel, target, era or preset
+     *
+     * Only the sections the setting affects are re-picked (unless locked).
+     * `era` and `preset` accept "off" to clear them.
+     */
+    set(key, value) {
+      if (!(key in SESSION_SETTINGS)) {
+        throw new Error(`Unknown setting "${key}" (expected one of: ${Object.keys(SESSION_SETTINGS).join(', ')})`);
+      }
+      const cleared = (key === 'era' || key === 'preset') && value === 'off';
+      if (!cleared) validateConfig({ [key]: value }, '(session)');
+      if (key === 'preset' && !cleared) resolvePreset(value, base.presets);
+      const settings = { ...state.settings, [key]: cleared ? undefined : value };
+      const changed = SESSION_SETTINGS[key].filter(k => !state.locks.includes(k));
+      const pinned = result ? pin(LOCKABLE.filter(k => !changed.includes(k))) : {};
+      return update({ settings, pinned });
+    },
+
+    /**
+     * Go back one step
+     */
+    undo() {
+      if (!history.length) throw new Error('Nothing to undo');
+      state = history.pop();
+      return run();
+    },
+
+    /**
+     * The final prompt with everything needed to reproduce it:
+     * transformPrompt(saved.prompt, { ...saved.options, seed: saved.seed })
+     */
+    toJSON() {
+      const current = requireResult();
+      const { style, mood, imperfectionLevel, target, era, preset } = transformOptions();
+      return {
+        prompt: state.prompt,
+        transformed: current.transformed,
+        negativePrompt: current.negativePrompt,
+        score: current.newScore,
+        seed: state.seed,
+        options: {
+          style,
+          mood,
+          imperfectionLevel,
+          target,
+          era,
+          ...(preset ? { preset } : {}),
+          disabledRules: state.disabledRules,
+          ...(base.excludedModifiers?.length ? { excludedModifiers: base.excludedModifiers } : {}),
+          ...(base.weights && Object.keys(base.weights).length ? { weights: base.weights } : {}),
+          locked: state.pinned,
+        },
+      };
+    },
+  };
+}
+
+export default { LOCKABLE, SESSION_SETTINGS, createSession };
@@ -0,0 +1,288 @@
+/**
+ * subjects.js — Subject enhancement
+ *
+ * Turns generic subjects ("a woman", "two men", "a family") into specific
+ * people. Age and detail phrases agree with the noun's gender and age
+ * ("a girl" never gets "in his 40s"), each person in a group is described
+ * differently, and nothing is added that the prompt already contradicts.
+ */
+
+// Nouns we know how to describe. `age` picks the age band and `gender`
+// the possessive; `plural` and `group` mark subjects with several people.
+export const SUBJECT_NOUNS = {
+  woman: { gender: 'female', age: 'adult' },
+  man: { gender: 'male', age: 'adult' },
+  person: { gender: 'neutral', age: 'adult' },
+  girl: { gender: 'female', age: 'child' },
+  boy: { gender: 'male', age: 'child' },
+  child: { gender: 'neutral', age: 'child' },
+  kid: { gender: 'neutral', age: 'child' },
+  teenager: { gender: 'neutral', age: 'teen' },
+  women: { gender: 'female', age: 'adult', plural: true },
+  men: { gender: 'male', age: 'adult', plural: true },
+  people: { gender: 'neutral', age: 'adult', plural: true },
+  girls: { gender: 'female', age: 'child', plural: true },
+  boys: { gender: 'male', age: 'child', plural: true },
+  children: { gender: 'neutral', age: 'child', plural: true },
+  kids: { gender: 'neutral', age: 'child', plural: true },
+  teenagers: { gender: 'neutral', age: 'teen', plural: true },
+  friends: { gender: 'neutral', age: 'adult', plural: true },
+  'group of friends': { gender: 'neutral', age: 'adult', plural: true },
+  couple: { gender: 'neutral', age: 'adult', group: 'couple' },
+  family: { gender: 'neutral', age: 'adult', group: 'family' },
+};
+
+const POSSESSIVE = { female: 'her', male: 'his', neutral: 'their' };
+
+// Age phrases per band. `before` phrases go ahead of the noun ("an elderly
+// man"); the rest follow it ("a man in his 40s").
+export const AGE_PHRASES = {
+  adult: [
+    { text: 'in {poss} 20s' },
+    { text: 'in {poss} 30s' },
+    { text: 'in {poss} 40s' },
+    { text: 'in {poss} 50s' },
+    { text: 'in {poss} 60s' },
+    { text: 'middle-aged', before: true },
+    { text: 'elderly', before: true },
+  ],
+  parent: [
+    { text: 'in {poss} 30s' },
+    { text: 'in {poss} 40s' },
+  ],
+  senior: [
+    { text: 'in {poss} 70s' },
+    { text: 'in {poss} 80s' },
+  ],
+  teen: [
+    { text: 'about fifteen' },
+    { text: 'around seventeen' },
+  ],
+  child: [
+    { text: 'about six years old' },
+    { text: 'around nine' },
+    { text: 'maybe four years old' },
+    { text: 'about eleven' },
+  ],
+};
+
+// Detail phrases per band. A detail is skipped when the prompt matches
+// its `unless` regex, or when `gender` is set and doesn't match.
+export const SUBJECT_DETAILS = {
+  adult: [
+    { text: 'with visible laugh lines' },
+    { text: 'with weathered hands' },
+    { text: 'with tired eyes', unless: /\b(bright-eyed|energetic|excited|wide awake)\b/i },
+    { text: 'with an asymmetric smile', unless: /\b(crying|sad|serious|frowning|angry|upset|grieving)\b/i },
+    { text: 'with a chipped front tooth' },
+    { text: 'with reading glasses pushed up on {poss} head', unless: /\b(glasses|sunglasses|hat|cap|helmet|hood)\b/i },
+    { text: 'with a faded tattoo on {poss} forearm', unless: /\b(long sleeves?|coat|jacket)\b/i },
+    { text: 'with graying stubble', gender: 'male', unless: /\b(beard|bearded|clean-shaven)\b/i },
+    { text: 'with hair tied back in a loose bun', unless: /\b(bald|short hair|hat|cap|hood|helmet)\b/i },
+  ],
+  teen: [
+    { text: 'with a few acne spots' },
+    { text: 'with earbuds hanging loose', unless: /\b(headphones)\b/i },
+    { text: 'with a chewed hoodie string', unless: /\b(dress|suit|swimsuit)\b/i },
+    { text: 'with an awkward half-smile', unless: /\b(crying|sad|serious|angry|upset)\b/i },
+  ],
+  child: [
+    { text: 'with scraped knees', unless: /\b(trousers|pants|jeans|snowsuit)\b/i },
+    { text: 'with a gap-toothed grin', unless: /\b(crying|sad|serious|frowning|angry|upset)\b/i },
+    { text: 'with messy hair', unless: /\b(bald|hat|cap|hood|helmet)\b/i },
+    { text: 'with a juice stain on {poss} shirt', unless: /\b(shirtless|naked|swimsuit)\b/i },
+    { text: 'with untied shoelaces', unless: /\b(barefoot|sandals|boots)\b/i },
+  ],
+};
+
+// Replacements for "a person", which says nothing about who they are
+export const PERSON_TYPES = [
+  'a tired office worker',
+  'a weathered farmer',
+  'a distracted commuter',
+  'a street vendor',
+  'someone caught mid-thought',
+];
+
+// Who's in a family, as role noun, gender and age band
+const FAMILY_ROLES = {
+  father: { gender: 'male', age: 'parent' },
+  mother: { gender: 'female', age: 'parent' },
+  son: { gender: 'male', age: 'child' },
+  daughter: { gender: 'female', age: 'child' },
+  grandmother: { gender: 'female', age: 'senior' },
+  grandfather: { gender: 'male', age: 'senior' },
+};
+
+const FAMILY_SHAPES = [
+  ['father', 'mother', 'son'],
+  ['mother', 'daughter'],
+  ['father', 'daughter', 'son'],
+  ['grandmother', 'mother', 'daughter'],
+  ['grandfather', 'father', 'son'],
+];
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6 };
+
+// People described individually in a plural subject
+const MAX_DESCRIBED = 3;
+
+// Any of these in the prompt means age is already settled
+const AGE_WORDS = /\b(young|younger|old|older|elderly|aged|middle-aged|teen(age|ager)?s?|senior|retired|toddlers?|bab(y|ies)|infants?|[1-9]0s|years? old|in (his|her|their) (teens|twenties|thirties|forties|fifties|sixties|seventies|eighties))\b/i;
+
+const DETERMINERS = ['a', 'an', 'the', 'some', 'several', ...Object.keys(NUMBER_WORDS)];
+const AGE_ADJECTIVES = ['young', 'old', 'elderly', 'middle-aged', 'teenage', 'little'];
+
+// Already-specific subjects ("a woman with…", "a man in his 40s") are left alone
+const SPECIFIC_AFTER = '(?! (?:with|wearing|holding|who|aged|around|dressed|in (?:his|her|their)\\b))';
+
+// Words that can follow a description without a comma
+const LINKING_START = /^\s+(at|in|on|by|from|to|into|through|near|outside|across|toward|under|during|and|or)\b/i;
+
+function fill(text, gender) {
+  return text.replace('{poss}', POSSESSIVE[gender]);
+}
+
+function article(word) {
+  return /^[aeiou]/i.test(word) ? 'an' : 'a';
+}
+
+/**
+ * Regex for a subject: optional determiner and age adjective, then a noun
+ *
+ * Groups: 1 determiner, 2 age adjective, 3 noun. Singular nouns need a
+ * determiner or the start of a clause.
+ */
+function buildSubjectRegex() {
+  const nouns = Object.keys(SUBJECT_NOUNS).sort((a, b) => b.length - a.length).join('|');
+  return new RegExp(
+    `(?:\\b(${DETERMINERS.join('|')}) |(?<=^|,\\s*))(?:(${AGE_ADJECTIVES.join('|')}) )?(${nouns})\\b${SPECIFIC_AFTER}`,
+    'gi'
+  );
+}
+
+/**
+ * Describes people one at a time, never repeating an age or detail
+ */
+function createDescriber(rng, context) {
+  const usedAges = new Set();
+  const usedDetails = new Set();
+  const ageSettled = AGE_WORDS.test(context);
+
+  function pickFresh(items, used) {
+    const fresh = items.filter(item => !used.has(item.text));
+    const item = fresh.length ? rng.pick(fresh) : null;
+    if (item) used.add(item.text);
+    return item;
+  }
+
+  return ({ gender, age }, { withAge = true, beforeAllowed = true } = {}) => {
+    const band = age === 'parent' || age === 'senior' ? 'adult' : age;
+    const ages = (AGE_PHRASES[age] || []).filter(a => beforeAllowed || !a.before);
+    const details = (SUBJECT_DETAILS[band] || [])
+      .filter(d => !d.gender || d.gender === gender)
+      .filter(d => !d.unless || !d.unless.test(context));
+
+    const agePhrase = withAge && !ageSettled ? pickFresh(ages, usedAges) : null;
+    const detail = pickFresh(details, usedDetails);
+    return {
+      before: agePhrase?.before ? agePhrase.text : '',
+      after: [agePhrase && !agePhrase.before ? fill(agePhrase.text, gender) : '', detail ? fill(detail.text, gender) : '']
+        .filter(Boolean)
+        .join(' '),
+    };
+  };
+}
+
+/**
+ * Describe each member of a group: "one in his 20s with…, the other…"
+ */
+function describeMembers(count, noun, describe) {
+  const described = Math.min(count, MAX_DESCRIBED);
+  const parts = [];
+  for (let i = 0; i < described; i++) {
+    const label = i === 0 ? 'one' : i === described - 1 && count === described ? 'the other' : 'another';
+    const { after } = describe(noun, { beforeAllowed: false });
+    if (after) parts.push(`${label} ${after}`);
+  }
+  if (parts.length > 1) {
+    return `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`;
+  }
+  return parts.join('');
+}
+
+/**
+ * Create an enhancer that rewrites every generic subject in a text
+ *
+ * `context` is the whole prompt, used to check for contradictions. One
+ * enhancer should handle all of a prompt's clauses, so people in
+ * different clauses still get different ages and details. With a `log`
+ * array, each rewrite is pushed to it as { type: 'rewrite', rule,
+ * original, replacement }.
+ */
+export function createSubjectEnhancer(rng, context = '', { log } = {}) {
+  const describe = createDescriber(rng, context);
+  const regex = buildSubjectRegex();
+
+  // Rewrite one matched subject
+  function rewrite(match, determiner, adjective, nounText, offset, whole) {
+    // A description inserted mid-clause is closed off with a comma:
+    // "two men, one… and the other…, talking". A single person's only
+    // needs one before a verb, not before "at a…" or "and a…".
+    const rest = whole.slice(offset + match.length);
+    const close = /^\s*(,|$)/.test(rest) ? '' : ',';
+    const closeSingle = LINKING_START.test(rest) ? '' : close;
+
+    const noun = SUBJECT_NOUNS[nounText.toLowerCase()];
+    const withAge = !adjective;
+
+    // "a person" becomes someone in particular
+    if (nounText.toLowerCase() === 'person' && !adjective && /^an?$/i.test(determiner || '')) {
+      return rng.pick(PERSON_TYPES);
+    }
+
+    if (noun.group === 'family') {
+      const members = rng.pick(FAMILY_SHAPES).map(role => {
+        const { before, after } = describe(FAMILY_ROLES[role], { withAge, beforeAllowed: false });
+        return `${article(before || role)} ${[before, role, after].filter(Boolean).join(' ')}`;
+      });
+      return `${match}: ${members.slice(0, -1).join(', ')} and ${members[members.length - 1]}${close}`;
+    }
+
+    if (noun.group === 'couple') {
+      return `${match}, ${describeMembers(2, noun, describe)}${close}`;
+    }
+
+    const count = NUMBER_WORDS[(determiner || '').toLowerCase()];
+    if (noun.plural) {
+      // Unknown counts ("people", "some kids") get two people picked out
+      const described = describeMembers(count || 2, noun, describe);
+      return described ? `${match}, ${described}${close}` : match;
+    }
+
+    const { before, after } = describe(noun, { withAge });
+    if (!before) return after ? `${match} ${after}${closeSingle}` : match;
+
+    // Move "elderly" ahead of the noun, fixing up a/an
+    const det = /^an?$/i.test(determiner || '') ? article(before) : determiner;
+    const head = [det, before, adjective, nounText].filter(Boolean).join(' ');
+    return after ? `${head} ${after}${closeSingle}` : head;
+  }
+
+  return text => text.replace(regex, (match, ...groups) => {
+    const replacement = rewrite(match, ...groups);
+    if (log && replacement !== match) {
+      log.push({ type: 'rewrite', rule: 'generic-subject', original: match, replacement });
+    }
+    return replacement;
+  });
+}
+
+/**
+ * Enhance every generic subject in a single piece of text
+ */
+export function enhanceSubjects(text, rng, context = text) {
+  return createSubjectEnhancer(rng, context)(text);
+}
+
+export default { SUBJECT_NOUNS, AGE_PHRASES, SUBJECT_DETAILS, PERSON_TYPES, createSubjectEnhancer, enhanceSubjects };
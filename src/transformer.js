@@ -5,283 +5,583 @@
  * 1. Removing problematic patterns
  * 2. Adding realism modifiers
  * 3. Restructuring for better results
+ *
+ * Works clause by clause on the parsed prompt, so weight syntax, BREAK
+ * tokens and --params survive the round trip.
  */
 
-import { analyzePrompt, AI_PRONE_PATTERNS } from './patterns.js';
+import { analyzePrompt } from './patterns.js';
 import {
   CAMERAS,
-  LENSES,
   LIGHTING,
   IMPERFECTIONS,
   HUMAN_DETAILS,
   COMPOSITION,
-  ENVIRONMENT,
-  STYLES,
+  SCENE_DETAILS,
+  SCENE_COMPOSITION,
+  NEGATIVES,
+  ISSUE_NEGATIVES,
+  modifierText,
+  suitsScene,
+  fitsGear,
   getRandomModifiers,
+  pickGearBundle,
 } from './modifiers.js';
+import { createRandom } from './random.js';
+import { getFormatter } from './formatters.js';
+import { parsePrompt, getPlainText, stringifyClauses } from './parser.js';
+import { resolveRulePacks } from './rules.js';
+import { createCoherenceContext } from './coherence.js';
+import { classifyScene } from './scenes.js';
+import { buildLocationIndex, enrichLocations, commitSettings } from './locations.js';
+import { createSubjectEnhancer } from './subjects.js';
+import { resolveEra, existedIn } from './eras.js';
+import { resolvePreset } from './presets.js';
 
-/**
- * Detect if prompt contains a human subject
- */
-function hasHumanSubject(prompt) {
-  return /\b(woman|man|person|girl|boy|child|people|portrait|face|model|figure)\b/i.test(prompt);
-}
-
-/**
- * Detect if prompt is for a landscape/scene
- */
-function isLandscape(prompt) {
-  return /\b(landscape|scenery|vista|horizon|mountain|ocean|forest|desert|cityscape|skyline)\b/i.test(prompt);
-}
+// Built-in cleanups, in the same shape as rule-pack fixes, each tied to
+// the pattern whose matches it removes
+const CLEANUPS = [
+  // Resolution spam
+  { id: '8k-4k', regex: /\b(8k|4k|hd|uhd|high resolution|highly detailed)\b/gi, replacement: '' },
+  // Trending/platform tags
+  { id: 'trending-artstation', regex: /\b(trending on artstation|artstation|deviantart|cgsociety|unreal engine|octane render)\b/gi, replacement: '' },
+  // Hyper-realistic traps
+  { id: 'hyper-realistic', regex: /\b(hyper[- ]?realistic|ultra[- ]?realistic|photo[- ]?realistic)\b/gi, replacement: '' },
+  // Overused beauty modifiers
+  { id: 'beautiful-modifier', regex: /\b(beautiful|stunning|gorgeous|amazing|incredible|breathtaking|perfect)\b/gi, replacement: '' },
+  // Generic lighting terms
+  { id: 'cinematic-lighting', regex: /\b(cinematic lighting|dramatic lighting|professional lighting|studio lighting)\b/gi, replacement: '' },
+];
 
 /**
- * Remove problematic phrases from prompt
+ * Remove problematic phrases from a single clause's text
+ *
+ * `fixes` are the built-in cleanups followed by rule-pack rules with a
+ * `replacement`. Each removal or rewrite is pushed to `log`.
  */
-function cleanPrompt(prompt) {
-  let cleaned = prompt;
+function cleanText(text, fixes = CLEANUPS, log = []) {
+  let cleaned = text;
 
-  // Remove resolution spam
-  cleaned = cleaned.replace(/\b(8k|4k|hd|uhd|high resolution|highly detailed)\b,?\s*/gi, '');
-  
-  // Remove trending/platform tags
-  cleaned = cleaned.replace(/\b(trending on artstation|artstation|deviantart|cgsociety|unreal engine|octane render)\b,?\s*/gi, '');
-  
-  // Remove hyper-realistic traps
-  cleaned = cleaned.replace(/\b(hyper[- ]?realistic|ultra[- ]?realistic|photo[- ]?realistic)\b,?\s*/gi, '');
-  
-  // Remove overused beauty modifiers
-  cleaned = cleaned.replace(/\b(beautiful|stunning|gorgeous|amazing|incredible|breathtaking|perfect)\b,?\s*/gi, '');
-  
-  // Remove generic lighting terms
-  cleaned = cleaned.replace(/\b(cinematic lighting|dramatic lighting|professional lighting|studio lighting)\b,?\s*/gi, '');
+  for (const fix of fixes) {
+    const flags = fix.regex.flags.includes('g') ? fix.regex.flags : `${fix.regex.flags}g`;
+    const single = new RegExp(fix.regex.source, flags.replace('g', ''));
+    cleaned = cleaned.replace(new RegExp(fix.regex.source, flags), match => {
+      const replacement = match.replace(single, fix.replacement);
+      log.push(replacement
+        ? { type: 'rewrite', rule: fix.id, original: match, replacement }
+        : { type: 'remove', rule: fix.id, text: match });
+      return replacement;
+    });
+  }
   
-  // Clean up multiple commas and spaces
-  cleaned = cleaned.replace(/,\s*,/g, ',');
-  cleaned = cleaned.replace(/\s+/g, ' ');
-  cleaned = cleaned.replace(/^[,\s]+|[,\s]+$/g, '');
+  // Drop inline groups that were emptied, e.g. "(:1.3)" or "[]"
+  cleaned = cleaned.replace(/\(\s*(:\s*-?\d*\.?\d+)?\s*\)|\[\s*\]/g, '');
+
+  // Clean up spaces, and commas left doubled or dangling by a removal
+  cleaned = cleaned
+    .replace(/\s+/g, ' ')
+    .replace(/\s*,(?:\s*,)+/g, ',')
+    .replace(/^[\s,]+|[\s,]+$/g, '');
 
   return cleaned;
 }
 
 /**
- * Add specificity to generic subjects
+ * Remove problematic phrases from every clause of a parsed prompt
+ *
+ * Clauses left empty are dropped whole, wrapper included, so "(8k:1.4)"
+ * disappears cleanly. Alternations ({a|b}) are left untouched.
  */
-function enhanceSubject(prompt) {
-  let enhanced = prompt;
-
-  // Enhance generic woman/man
-  enhanced = enhanced.replace(
-    /\ba (woman|man)\b(?! (with|wearing|holding|in|who|aged|around))/gi,
-    (match, subject) => {
-      const ages = ['in her 30s', 'in his 40s', 'middle-aged', 'elderly', 'young adult'];
-      const details = ['with visible laugh lines', 'with weathered hands', 'with tired eyes', 'with an asymmetric smile'];
-      const age = ages[Math.floor(Math.random() * ages.length)];
-      const detail = details[Math.floor(Math.random() * details.length)];
-      return `a ${subject} ${age} ${detail}`;
-    }
-  );
+function cleanPrompt(parsed, fixes = CLEANUPS, log = []) {
+  const clauses = parsed.clauses
+    .map(clause => {
+      if (clause.type === 'break' || clause.type === 'alternation') return clause;
+      return { ...clause, text: cleanText(clause.text, fixes, log) };
+    })
+    .filter(clause => clause.type === 'break' || clause.text);
 
-  // Enhance generic person
-  enhanced = enhanced.replace(
-    /\ba person\b(?! (with|wearing|holding|in|who))/gi,
-    () => {
-      const types = [
-        'a tired office worker',
-        'a weathered farmer',
-        'a distracted commuter',
-        'a street vendor',
-        'someone caught mid-thought',
-      ];
-      return types[Math.floor(Math.random() * types.length)];
-    }
-  );
+  return { ...parsed, clauses };
+}
 
-  return enhanced;
+/**
+ * Apply a string rewrite to every plain-text clause
+ */
+function mapTextClauses(clauses, fn) {
+  return clauses.map(clause => (clause.type === 'text' ? { ...clause, text: fn(clause.text) } : clause));
 }
 
 /**
- * Add context to generic locations
+ * Create a modifier picker that skips excluded and contradictory modifiers
+ *
+ * An exclusion matches case-insensitively anywhere in a modifier, so
+ * "leica" also excludes "shot on Leica M6". Each pick is checked against
+ * the coherence context and, when `commit` is set, added to it, so later
+ * picks must agree with earlier ones. A record's `color` counts as well
+ * as its wording. A slot with no compatible modifier is left empty. With
+ * an `era`, gear that didn't exist yet is skipped too.
  */
-function enhanceLocation(prompt) {
-  let enhanced = prompt;
-
-  const locationEnhancements = {
-    'coffee shop': [
-      'a worn wooden table at a busy coffee shop with steamed windows',
-      'a quiet corner of a cluttered independent coffee shop',
-      'a formica counter at a 24-hour diner',
-    ],
-    'office': [
-      'a fluorescent-lit cubicle with papers everywhere',
-      'a messy home office with coffee rings on the desk',
-      'a sterile open-plan office with harsh lighting',
-    ],
-    'street': [
-      'a rain-slicked city street at dusk',
-      'a sun-bleached sidewalk in midday heat',
-      'a busy crosswalk during rush hour',
-    ],
-    'park': [
-      'a patchy grass park with worn benches',
-      'an overgrown corner of an urban park',
-      'a muddy path through a city park after rain',
-    ],
-  };
+function createPicker(rng, { excluded = [], coherence = createCoherenceContext(), commit = true, era = null } = {}) {
+  const needles = excluded.map(e => String(e).toLowerCase()).filter(Boolean);
+  return (category, count = 1) => {
+    const items = Array.isArray(category) ? category : Object.values(category).flat();
+    const allowed = items
+      .filter(item => !needles.some(n => modifierText(item).toLowerCase().includes(n)))
+      .filter(item => existedIn(item, era));
 
-  for (const [generic, specifics] of Object.entries(locationEnhancements)) {
-    const regex = new RegExp(`\\b(in a|at a|at the) ${generic}\\b`, 'gi');
-    if (regex.test(enhanced)) {
-      const specific = specifics[Math.floor(Math.random() * specifics.length)];
-      enhanced = enhanced.replace(regex, `at ${specific}`);
-      break;
+    const picked = [];
+    for (let i = 0; i < count; i++) {
+      const pool = allowed.filter(item => !picked.includes(modifierText(item)) && coherence.allows(modifierText(item), colorTags(item)));
+      const [text] = getRandomModifiers(pool, 1, rng);
+      if (!text) break;
+      picked.push(text);
+      if (commit) coherence.add(text, colorTags(pool.find(item => modifierText(item) === text)));
     }
-  }
+    return picked;
+  };
+}
 
-  return enhanced;
+// A color or black-and-white record, as a coherence tag
+function colorTags(item) {
+  return item.color === 'color' || item.color === 'bw' ? [{ dimension: 'color', value: item.color }] : [];
 }
 
 /**
- * Build camera/technical section
+ * Build camera/technical section, split into camera, lens and lighting
+ *
+ * The camera, lens and artifact come from one gear bundle (see
+ * pickGearBundle), returned as `gear` for the imperfections to build on.
+ * Sections picked from a preset are used as they are; a preset camera
+ * replaces the bundle, and its record (`presetGear`, null for a plain
+ * string) is returned as `gear` instead.
  */
-function buildTechnicalModifiers(options = {}) {
+function buildTechnicalModifiers(options = {}, pick, rng) {
   const {
     style = 'film',  // film, digital, phone
     mood = 'natural', // natural, moody, harsh
+    scene = null,
+    era = null,
+    lowLight = false,
+    preset = {},     // sections picked from a preset (see buildPresetSections)
+    presetGear = null,
   } = options;
 
-  const parts = [];
+  // A preset's camera comes without a lens unless it names one
+  const gear = preset.camera ? presetGear : pickGearBundle(pick, { style, scene, era, lowLight, rng });
+  const sections = {
+    camera: [...(preset.style || []), ...(preset.camera || gear.camera)],
+    lens: preset.camera ? preset.lens || [] : gear.lens,
+    lighting: [],
+  };
 
-  // Camera/film stock
-  if (style === 'film') {
-    parts.push(getRandomModifiers(CAMERAS.film, 1)[0]);
-  } else if (style === 'digital') {
-    parts.push(getRandomModifiers(CAMERAS.modern, 1)[0]);
+  // Lighting based on mood, unless the preset has its own
+  if (preset.lighting) {
+    sections.lighting.push(...preset.lighting);
+  } else if (mood === 'moody') {
+    sections.lighting.push(pick(LIGHTING.moody, 1)[0]);
+  } else if (mood === 'harsh') {
+    sections.lighting.push(pick(LIGHTING.artificial, 1)[0]);
   } else {
-    parts.push('smartphone photo');
+    sections.lighting.push(pick(LIGHTING.natural, 1)[0]);
   }
 
-  // Lens (not for phone)
-  if (style !== 'phone') {
-    parts.push(getRandomModifiers(LENSES, 1)[0]);
+  for (const key of Object.keys(sections)) {
+    sections[key] = sections[key].filter(Boolean);
   }
 
-  // Lighting based on mood
-  if (mood === 'moody') {
-    parts.push(getRandomModifiers(LIGHTING.moody, 1)[0]);
-  } else if (mood === 'harsh') {
-    parts.push(getRandomModifiers(LIGHTING.artificial, 1)[0]);
-  } else {
-    parts.push(getRandomModifiers(LIGHTING.natural, 1)[0]);
-  }
+  return { sections, gear };
+}
+
+// Imperfections added at each level
+const IMPERFECTION_COUNTS = { low: 1, medium: 2, high: 3 };
+
+/**
+ * Pick the sections a preset defines (see presets.js)
+ *
+ * `style` is the preset's own text. Camera, lens, lighting and
+ * composition are one pick each from the preset's pools, the lens from
+ * those the camera takes. Imperfections are taken in the preset's
+ * order, as many as the level allows, skipping any that don't fit the
+ * camera. A section nothing could be picked for (every camera postdates
+ * the era, say) is left out, so it's picked as usual. Returns the
+ * sections and the camera record, as `gear`.
+ */
+function buildPresetSections(preset, intensity, pick) {
+  const sections = {};
+  const set = (key, picked) => {
+    if (picked.length) sections[key] = picked;
+  };
+  if (preset.text) sections.style = pick([preset.text], 1);
 
-  return parts.filter(Boolean);
+  let gear = null;
+  if (preset.camera) {
+    set('camera', pick(preset.camera, 1));
+    const record = sections.camera && preset.camera.find(item => modifierText(item) === sections.camera[0]);
+    if (typeof record === 'object') gear = record;
+  }
+  if (sections.camera && preset.lens) {
+    set('lens', pick(gear ? preset.lens.filter(lens => gear.lenses.includes(modifierText(lens))) : preset.lens, 1));
+  }
+  for (const key of ['lighting', 'composition']) {
+    if (preset[key]) set(key, pick(preset[key], 1));
+  }
+  if (preset.imperfections) {
+    const count = IMPERFECTION_COUNTS[intensity] ?? IMPERFECTION_COUNTS.medium;
+    const imperfections = [];
+    for (const item of preset.imperfections.filter(item => fitsGear(item, gear))) {
+      if (imperfections.length >= count) break;
+      imperfections.push(...pick([item], 1));
+    }
+    set('imperfections', imperfections);
+  }
+  return { sections, gear };
 }
 
 /**
  * Build imperfection modifiers
+ *
+ * The first is the gear's typical artifact, or a film/sensor flaw that
+ * fits its format and color. An era adds one of its typical artifacts
+ * (a date stamp, Kodachrome color) and supplies the surface wear when
+ * it has its own.
  */
-function buildImperfections(intensity = 'medium') {
+function buildImperfections(intensity = 'medium', pick, era = null, gear = null) {
   const parts = [];
-  const count = intensity === 'high' ? 3 : intensity === 'low' ? 1 : 2;
+  const count = IMPERFECTION_COUNTS[intensity] ?? IMPERFECTION_COUNTS.medium;
+  const fits = items => items.filter(item => fitsGear(item, gear));
+
+  // The gear's artifact goes through the picker like every other modifier,
+  // so exclusions and coherence still apply
+  const artifact = gear?.artifacts.length ? pick(fits(gear.artifacts), 1) : [];
+  parts.push(...(artifact.length ? artifact : pick(fits(IMPERFECTIONS.film), 1)));
 
-  parts.push(...getRandomModifiers(IMPERFECTIONS.film, 1));
+  if (era) {
+    parts.push(...pick(era.artifacts, 1));
+  }
   
   if (count >= 2) {
-    parts.push(...getRandomModifiers(IMPERFECTIONS.focus, 1));
+    parts.push(...pick(fits(IMPERFECTIONS.focus), 1));
   }
   
   if (count >= 3) {
-    parts.push(...getRandomModifiers(IMPERFECTIONS.surface, 1));
+    parts.push(...pick(era?.wear.length ? era.wear : fits(IMPERFECTIONS.surface), 1));
   }
 
   return parts;
 }
 
 /**
- * Main transformation function
+ * Build a negative prompt from the issues analyzePrompt found
+ *
+ * Terms that overlap a positive modifier (e.g. "rim light") are dropped
+ * so the two prompts never pull against each other.
  */
-export function transformPrompt(prompt, options = {}) {
+export function buildNegativePrompt(analysis, positiveModifiers = []) {
+  const categories = ['baseline'];
+  for (const issue of analysis.issues) {
+    categories.push(...(ISSUE_NEGATIVES[issue.id] || []));
+  }
+
+  const positives = positiveModifiers.map(m => m.toLowerCase());
+  const terms = new Set();
+  for (const category of categories) {
+    for (const term of NEGATIVES[category] || []) {
+      const lower = term.toLowerCase();
+      const conflicts = positives.some(p => p.includes(lower) || lower.includes(p));
+      if (!conflicts) terms.add(term);
+    }
+  }
+
+  return [...terms].join(', ');
+}
+
+// Modifier sections of a transform, in prompt order
+export const SECTION_KEYS = ['camera', 'lens', 'lighting', 'imperfections', 'composition', 'sceneDetails', 'humanDetails'];
+
+// Prompts that call for faster film
+const LOW_LIGHT = /\b(night|dusk|dark|dim|candle ?lit|bar|club|concert|after dark|indoors at night)\b/i;
+
+/**
+ * The era fields reported in results, or null when there's no era
+ */
+function describeEra(era) {
+  return era ? { id: era.id, from: era.from, to: era.to, source: era.source } : null;
+}
+
+/**
+ * Single transformation pass with one seed
+ *
+ * `locked` keeps parts of an earlier transform: `subject` (the rewritten
+ * prompt text) and any of SECTION_KEYS (arrays of modifiers). Everything
+ * else is picked fresh from the seed and agrees with what's locked.
+ */
+function transformOnce(prompt, options = {}) {
   const {
     style = 'film',
     mood = 'natural',
     imperfectionLevel = 'medium',
     preserveOriginal = false,
+    target = 'generic',
+    seed,
   } = options;
 
-  // Analyze original
-  const analysis = analyzePrompt(prompt);
+  const formatter = getFormatter(target);
+  const preset = resolvePreset(options.preset, options.presets);
+  const rng = createRandom(seed);
+  const rules = resolveRulePacks(options.rules);
+  const disabled = new Set(options.disabledRules || []);
+  const locked = options.locked || {};
+
+  // Switched-off rules leave their matches in place, and a pack rule
+  // replaces the built-in cleanup with its id, as it replaces the pattern
+  const packRules = rules.flatMap(pack => pack.rules);
+  const overridden = new Set(packRules.map(rule => rule.id));
+  const fixes = [...CLEANUPS.filter(fix => !overridden.has(fix.id)), ...packRules]
+    .filter(rule => rule.regex && rule.replacement !== undefined && !disabled.has(rule.id));
+
+  // Parse and analyze original
+  const parsed = parsePrompt(prompt);
+  const analysis = analyzePrompt(parsed, { rules, disabledRules: options.disabledRules, weights: options.weights });
   
-  // Start with cleaned prompt
-  let transformed = preserveOriginal ? prompt : cleanPrompt(prompt);
+  // Start with cleaned prompt. Every change is logged in order.
+  const operations = [];
+  const cleaned = preserveOriginal ? parsed : cleanPrompt(parsed, fixes, operations);
   
-  // Enhance subjects and locations
-  const isHuman = hasHumanSubject(prompt);
-  transformed = enhanceSubject(transformed);
-  transformed = enhanceLocation(transformed);
+  // Everything added from here on has to agree with what the prompt says,
+  // and with the era it's set in
+  const era = resolveEra(options.era, getPlainText(parsed));
+  const coherence = createCoherenceContext(getPlainText(cleaned));
+  const excluded = [...(options.excludedModifiers || []), ...(preset?.exclude || [])];
+  const pick = createPicker(rng, { excluded, coherence, era });
+
+  // Locked modifiers are kept as they are, so new picks must agree with them
+  for (const key of SECTION_KEYS) {
+    for (const text of locked[key] || []) coherence.add(text);
+  }
+
+  // Enhance subjects, then every generic location in every clause,
+  // unless the rewritten subject is locked
+  const scene = classifyScene(getPlainText(parsed));
+  let transformed = locked.subject;
+  if (transformed === undefined) {
+    const locations = { rng, coherence, index: buildLocationIndex(options.locations), used: new Set(), settings: new Set(), log: operations };
+    const enhanceSubjects = createSubjectEnhancer(rng, getPlainText(cleaned), { log: operations });
+    let clauses = mapTextClauses(cleaned.clauses, enhanceSubjects);
+    clauses = mapTextClauses(clauses, text => enrichLocations(text, locations));
+    commitSettings(coherence, locations.settings);
+    transformed = stringifyClauses(clauses);
+  } else {
+    coherence.add(transformed);
+  }
   
-  // Build modifier sections
-  const technical = buildTechnicalModifiers({ style, mood });
-  const imperfections = buildImperfections(imperfectionLevel);
-  const composition = getRandomModifiers(COMPOSITION.natural, 1);
+  // Build modifier sections, the preset's first so the rest agree with them
+  const { sections: fromPreset, gear: presetGear } = preset ? buildPresetSections(preset, imperfectionLevel, pick) : { sections: {}, gear: null };
+  const lowLight = mood === 'moody' || LOW_LIGHT.test(getPlainText(cleaned));
+  const { sections: technical, gear } = buildTechnicalModifiers({ style, mood, scene: scene.scene, era, lowLight, preset: fromPreset, presetGear }, pick, rng);
+  const imperfections = fromPreset.imperfections || buildImperfections(imperfectionLevel, pick, era, gear);
+  const composition = fromPreset.composition || pick(scene.scene ? SCENE_COMPOSITION[scene.scene] : COMPOSITION.natural, 1);
+  const sceneDetails = scene.scene ? pick(SCENE_DETAILS[scene.scene], scene.human ? 1 : 2) : [];
   
   // Add human details if applicable
-  const humanDetails = isHuman ? getRandomModifiers(HUMAN_DETAILS, 2) : [];
+  const humanDetails = scene.human ? pick(HUMAN_DETAILS, 2) : [];
   
   // Combine everything
-  const allModifiers = [
+  const sections = {
     ...technical,
-    ...imperfections,
-    ...composition,
-    ...humanDetails,
-  ].filter(Boolean);
+    imperfections: imperfections.filter(Boolean),
+    composition: composition.filter(Boolean),
+    sceneDetails: sceneDetails.filter(Boolean),
+    humanDetails: humanDetails.filter(Boolean),
+  };
+  for (const key of SECTION_KEYS) {
+    if (locked[key]) sections[key] = [...locked[key]];
+  }
+  const allModifiers = Object.values(sections).flat();
+  for (const [category, modifiers] of Object.entries(sections)) {
+    operations.push(...modifiers.map(text => ({ type: 'add', category, text })));
+  }
   
-  // Build final prompt
-  const finalPrompt = [transformed, ...allModifiers].join(', ');
+  // Score the plain comma-joined form so scores don't depend on the target syntax
+  const plainPrompt = [transformed, ...allModifiers].join(', ');
+  const newAnalysis = analyzePrompt(plainPrompt, { rules, disabledRules: options.disabledRules, weights: options.weights });
   
-  // Analyze transformed prompt
-  const newAnalysis = analyzePrompt(finalPrompt);
+  // Render in the target generator's native syntax
+  const finalPrompt = formatter.format(
+    { subject: transformed, sections, params: parsed.params },
+    { ...options, aspectRatio: options.aspectRatio ?? preset?.aspectRatio }
+  );
+  if (!formatter.keepsParams) {
+    operations.push(...parsed.params.map(param => ({ type: 'remove', rule: 'unsupported-parameter', text: param.raw })));
+  }
   
   return {
     original: prompt,
     transformed: finalPrompt,
+    subject: transformed,
+    target: formatter.id,
     originalScore: analysis.score,
     newScore: newAnalysis.score,
     improvement: analysis.score - newAnalysis.score,
     issuesFixed: analysis.issues.map(i => i.name),
     modifiersAdded: allModifiers,
+    operations,
+    parameters: parsed.params.map(({ name, value }) => ({ name, value })),
+    negativePrompt: buildNegativePrompt(analysis, allModifiers),
+    sections,
+    scene: { id: scene.scene, name: scene.name, confidence: scene.confidence, scenes: scene.scenes },
+    era: describeEra(era),
+    preset: preset ? preset.id : null,
+    seed: rng.seed,
   };
 }
 
+// Variants sharing more than this fraction of modifiers count as duplicates
+const MAX_VARIANT_OVERLAP = 0.5;
+
+// Candidates tried per requested variant before relaxing the overlap limit
+export const VARIANT_ATTEMPTS = 4;
+
+// Sections that best describe how a variant differs, most telling first
+const LABEL_SECTIONS = ['lighting', 'camera', 'lens', 'imperfections', 'composition'];
+
+/**
+ * Fraction of modifiers two variants share (Jaccard similarity)
+ */
+function modifierOverlap(a, b) {
+  const setA = new Set(a.modifiersAdded);
+  const setB = new Set(b.modifiersAdded);
+  const shared = [...setA].filter(m => setB.has(m)).length;
+  const total = new Set([...setA, ...setB]).size;
+  return total ? shared / total : 1;
+}
+
+/**
+ * Shorten a modifier for use in a label: "shot on Kodak Portra 400" → "Portra 400"
+ */
+function shortModifier(modifier) {
+  return modifier
+    .replace(/^shot on /i, '')
+    .replace(/^(Kodak|Fuji|Fujifilm) /i, '');
+}
+
+/**
+ * Describe what sets each variant apart from the others
+ */
+function labelVariants(variants) {
+  for (const variant of variants) {
+    const others = new Set(variants.filter(v => v !== variant).flatMap(v => v.modifiersAdded));
+    const distinct = LABEL_SECTIONS
+      .flatMap(key => variant.sections[key] || [])
+      .filter(m => !others.has(m));
+    variant.distinctModifiers = distinct;
+    variant.label = (distinct.length ? distinct : variant.modifiersAdded)
+      .slice(0, 2)
+      .map(shortModifier)
+      .join(', ');
+  }
+  return variants;
+}
+
+/**
+ * Generate distinct transforms, each with its own seed derived from the base seed
+ *
+ * Candidates that share too many modifiers with an accepted variant are
+ * skipped. If the libraries run dry, the least-overlapping leftovers fill
+ * the remaining slots. Variants are ranked by score, lowest first.
+ */
+export function generateVariants(prompt, options = {}) {
+  const count = Math.max(1, Math.floor(options.variants || 1));
+  const base = createRandom(options.seed);
+  const accepted = [];
+  const rejected = [];
+
+  for (let attempt = 0; attempt < count * VARIANT_ATTEMPTS && accepted.length < count; attempt++) {
+    const candidate = transformOnce(prompt, { ...options, seed: base.int(0x100000000) });
+    const overlap = Math.max(0, ...accepted.map(v => modifierOverlap(v, candidate)));
+    if (overlap <= MAX_VARIANT_OVERLAP) {
+      accepted.push(candidate);
+    } else {
+      rejected.push({ candidate, overlap });
+    }
+  }
+
+  rejected.sort((a, b) => a.overlap - b.overlap);
+  for (const { candidate } of rejected) {
+    if (accepted.length >= count) break;
+    if (!accepted.some(v => v.transformed === candidate.transformed)) accepted.push(candidate);
+  }
+
+  accepted.sort((a, b) => a.newScore - b.newScore);
+  accepted.forEach((variant, i) => {
+    variant.rank = i + 1;
+  });
+
+  return { seed: base.seed, variants: labelVariants(accepted) };
+}
+
+/**
+ * Main transformation function
+ *
+ * `operations` lists every change in order: removals ({ type: 'remove',
+ * rule, text }), rewrites of subjects, locations and rule-pack fixes
+ * ({ type: 'rewrite', rule, original, replacement }) and added modifiers
+ * ({ type: 'add', category, text }). Targets that can't read --params
+ * log each one they leave out as a removal by `unsupported-parameter`.
+ *
+ * With `variants: N` (N > 1), returns the best-ranked variant's fields plus
+ * a `variants` array of all N, and `seed` is the base seed they derive from.
+ */
+export function transformPrompt(prompt, options = {}) {
+  if (!options.variants || options.variants <= 1) {
+    return transformOnce(prompt, options);
+  }
+
+  const { seed, variants } = generateVariants(prompt, options);
+  return { ...variants[0], seed, variants };
+}
+
 /**
  * Quick transform with defaults
  */
-export function humanize(prompt) {
-  return transformPrompt(prompt).transformed;
+export function humanize(prompt, options = {}) {
+  return transformPrompt(prompt, options).transformed;
 }
 
 /**
  * Get just suggestions without transforming
  */
-export function getSuggestions(prompt) {
-  const analysis = analyzePrompt(prompt);
-  const isHuman = hasHumanSubject(prompt);
+export function getSuggestions(prompt, options = {}) {
+  const analysis = analyzePrompt(prompt, { rules: options.rules, disabledRules: options.disabledRules, weights: options.weights });
+  const text = getPlainText(parsePrompt(prompt));
+  const scene = classifyScene(text);
+  const era = resolveEra(options.era, text);
+  const rng = createRandom(options.seed);
+
+  // Suggestions are alternatives, so they only need to agree with the prompt
+  const coherence = createCoherenceContext(text);
+  const pick = createPicker(rng, { excluded: options.excludedModifiers, coherence, commit: false, era });
   
   const suggestions = {
     issues: analysis.issues,
     score: analysis.score,
     recommendedAdditions: {
-      camera: getRandomModifiers(CAMERAS.film, 2),
-      lighting: getRandomModifiers(LIGHTING.natural, 2),
-      imperfections: getRandomModifiers(IMPERFECTIONS.film, 2),
-      composition: getRandomModifiers(COMPOSITION.natural, 2),
+      camera: pick([...(era?.cameras.film || []), ...CAMERAS.film].filter(c => suitsScene(c, scene.scene)), 2),
+      lighting: pick(LIGHTING.natural, 2),
+      imperfections: pick([...(era?.artifacts || []), ...IMPERFECTIONS.film], 2),
+      composition: pick(scene.scene ? SCENE_COMPOSITION[scene.scene] : COMPOSITION.natural, 2),
     },
+    scene: { id: scene.scene, name: scene.name, confidence: scene.confidence, scenes: scene.scenes },
+    era: describeEra(era),
+    seed: rng.seed,
   };
   
-  if (isHuman) {
-    suggestions.recommendedAdditions.humanDetails = getRandomModifiers(HUMAN_DETAILS, 3);
+  if (scene.scene) {
+    suggestions.recommendedAdditions.sceneDetails = pick(SCENE_DETAILS[scene.scene], 3);
+  }
+  if (scene.human) {
+    suggestions.recommendedAdditions.humanDetails = pick(HUMAN_DETAILS, 3);
   }
   
   return suggestions;
 }
 
-export default { transformPrompt, humanize, getSuggestions };
+export default { SECTION_KEYS, VARIANT_ATTEMPTS, transformPrompt, humanize, getSuggestions, generateVariants, buildNegativePrompt };
@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { spawn } from 'child_process';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+const SERVER = fileURLToPath(new URL('../api-server/server.js', import.meta.url));
+const PORT = 3900 + (process.pid % 500);
+const BASE = `http://127.0.0.1:${PORT}`;
+
+// Start the server from an empty directory, so no project config is picked up
+async function startServer(port, env = {}) {
+  const cwd = mkdtempSync(join(tmpdir(), 'humanizer-api-'));
+  const child = spawn(process.execPath, [SERVER], {
+    cwd,
+    env: { ...process.env, PORT: String(port), ...env },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  await new Promise((resolve, reject) => {
+    child.stdout.on('data', chunk => {
+      if (String(chunk).includes('"listening"')) resolve();
+    });
+    child.on('exit', code => reject(new Error(`server exited with ${code}`)));
+  });
+  return {
+    stop() {
+      child.kill();
+      rmSync(cwd, { recursive: true, force: true });
+    },
+  };
+}
+
+let server;
+
+beforeAll(async () => {
+  server = await startServer(PORT, { IMAGE_HUMANIZER_RATE_LIMIT: '0', IMAGE_HUMANIZER_MAX_PROMPT: '200' });
+});
+
+afterAll(() => server?.stop());
+
+function post(path, body) {
+  return fetch(`${BASE}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+  }).then(async res => ({ status: res.status, body: await res.json() }));
+}
+
+describe('request bodies', () => {
+  it.each(['null', '[]', '"a man"', '42', 'true'])('refuses a JSON %s body with 400', async body => {
+    for (const path of ['/api/transform', '/api/analyze', '/api/batch', '/api/compare']) {
+      const res = await post(path, body);
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Request body must be a JSON object');
+    }
+  });
+
+  it('refuses invalid JSON with 400', async () => {
+    expect(await post('/api/transform', '{"prompt":')).toMatchObject({ status: 400, body: { error: 'Invalid JSON' } });
+  });
+
+  it('reports schema problems with 400', async () => {
+    const res = await post('/api/transform', { prompt: 'a man', style: 'sepia' });
+    expect(res.status).toBe(400);
+    expect(res.body.problems).toEqual([expect.stringContaining('style')]);
+  });
+
+  it('refuses prompts over the configured length, wherever they are', async () => {
+    const long = 'a man '.repeat(50);
+    expect((await post('/api/transform', { prompt: long })).body.error).toBe('prompt must be at most 200 characters');
+    expect((await post('/api/batch', { items: [{ prompt: 'a man' }, { prompt: long }] })).body.error).toBe('items[1].prompt must be at most 200 characters');
+    expect((await post('/api/compare', { prompts: ['a man', long] })).body.error).toBe('prompts[1] must be at most 200 characters');
+  });
+});
+
+describe('batch limits', () => {
+  it('refuses a batch over the work cap with 400', async () => {
+    const items = Array.from({ length: 13 }, () => ({ prompt: 'a man' }));
+    const res = await post('/api/batch', { defaults: { variants: 10 }, items });
+    expect(res.status).toBe(400);
+    expect(res.body.problems).toEqual([expect.stringMatching(/^items must add up to at most 500 transform runs/)]);
+  });
+
+  it('runs a batch and compares prompts', async () => {
+    const batch = await post('/api/batch', { operation: 'analyze', items: [{ id: 'a', prompt: 'beautiful woman, 8k' }, { prompt: '' }] });
+    expect(batch.status).toBe(200);
+    expect(batch.body.summary).toEqual({ total: 2, succeeded: 1, failed: 1 });
+    const compare = await post('/api/compare', { prompts: ['beautiful woman, 8k', 'a woman in her 60s, shot on Kodak Portra 400, film grain'] });
+    expect(compare.body.best).toBe(1);
+  });
+});
+
+describe('routes', () => {
+  it('transforms a prompt reproducibly', async () => {
+    const first = await post('/api/transform', { prompt: 'a woman in a coffee shop', seed: 7 });
+    const again = await post('/api/transform', { prompt: 'a woman in a coffee shop', seed: 7 });
+    expect(first.status).toBe(200);
+    expect(again.body.transformed).toBe(first.body.transformed);
+  });
+
+  it('serves health and the OpenAPI spec', async () => {
+    expect(await (await fetch(`${BASE}/health`)).json()).toMatchObject({ status: 'ok' });
+    const spec = await (await fetch(`${BASE}/api/openapi`)).json();
+    expect(Object.keys(spec.paths)).toEqual(expect.arrayContaining(['/api/transform', '/api/batch', '/api/compare']));
+  });
+
+  it('returns 404 for unknown paths', async () => {
+    expect((await fetch(`${BASE}/api/nope`)).status).toBe(404);
+  });
+});
+
+describe('auth', () => {
+  const port = PORT + 500;
+  let keyed;
+
+  beforeAll(async () => {
+    keyed = await startServer(port, { IMAGE_HUMANIZER_API_KEYS: 'right-key', IMAGE_HUMANIZER_RATE_LIMIT: '3' });
+  });
+
+  afterAll(() => keyed?.stop());
+
+  it('charges rejected keys to the address, so guessing gets 429', async () => {
+    const attempt = key => fetch(`http://127.0.0.1:${port}/api/analyze`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${key}` },
+      body: JSON.stringify({ prompt: 'a man' }),
+    }).then(res => res.status);
+
+    const statuses = [];
+    for (let i = 0; i < 5; i++) statuses.push(await attempt(`guess-${i}`));
+    expect(statuses).toEqual([401, 401, 401, 429, 429]);
+    // The right key has its own bucket
+    expect(await attempt('right-key')).toBe(200);
+  });
+});
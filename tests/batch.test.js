@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { parseCsv, parsePromptRecords, summarizeBatch, formatBatchResults } from '../src/batch.js';
+
+describe('parseCsv', () => {
+  it('handles quotes, escaped quotes and CRLF', () => {
+    expect(parseCsv('a,b\r\n"x, y","say ""hi"""\r\n').map(row => row.fields)).toEqual([['a', 'b'], ['x, y', 'say "hi"']]);
+  });
+
+  it('records the line each row starts on', () => {
+    const text = 'id,prompt\n1,"a man\nwalking"\n\n2,a dog\r\n3,"x\r\ny"\n4,z';
+    expect(parseCsv(text).map(row => row.line)).toEqual([1, 2, 5, 6, 8]);
+  });
+});
+
+describe('parsePromptRecords', () => {
+  it('gives CSV records their source line, past multi-line fields and blank rows', () => {
+    const text = 'id,prompt\na,"a man\nwalking"\n\n,\nb,a dog';
+    expect(parsePromptRecords(text, { format: 'csv', source: 'x.csv' })).toEqual([
+      { id: 'a', prompt: 'a man\nwalking', source: 'x.csv', line: 2 },
+      { id: 'b', prompt: 'a dog', source: 'x.csv', line: 6 },
+    ]);
+  });
+
+  it('rejects a CSV without the prompt column', () => {
+    expect(() => parsePromptRecords('id,text\n1,a', { format: 'csv', source: 'x.csv' })).toThrow('x.csv: no "prompt" column (found: id, text)');
+  });
+
+  it('reports JSONL lines that are not objects, or not JSON', () => {
+    const records = parsePromptRecords('null\n[1]\n"a man"\n{"id":7,"prompt":" a dog "}\n{bad', { format: 'jsonl' });
+    expect(records.map(r => [r.line, r.id, r.prompt, r.error?.replace(/:.*/, '')])).toEqual([
+      [1, '1', '', 'not an object'],
+      [2, '2', '', 'not an object'],
+      [3, '3', '', 'not an object'],
+      [4, '7', 'a dog', undefined],
+      [5, '5', '', 'invalid JSON'],
+    ]);
+  });
+
+  it('numbers text lines and skips blank ones', () => {
+    expect(parsePromptRecords('a man\n\n  a dog  ').map(r => [r.id, r.prompt, r.line])).toEqual([['1', 'a man', 1], ['3', 'a dog', 3]]);
+  });
+});
+
+describe('batch output', () => {
+  const results = [
+    { id: '1', source: 'x', line: 1, prompt: 'a, "b"', score: 40, issues: ['Generic subject', 'Resolution spam'] },
+    { id: '2', source: 'x', line: 2, prompt: '', error: 'empty prompt' },
+  ];
+
+  it('summarizes counts and common issues', () => {
+    expect(summarizeBatch(results)).toEqual({
+      total: 2,
+      succeeded: 1,
+      failed: 1,
+      topIssues: [{ name: 'Generic subject', count: 1 }, { name: 'Resolution spam', count: 1 }],
+      meanScore: 40,
+    });
+  });
+
+  it('quotes CSV fields and joins lists', () => {
+    expect(formatBatchResults('analyze', results, 'csv').split('\n')).toEqual([
+      'id,source,line,prompt,score,issues,error',
+      '1,x,1,"a, ""b""",40,Generic subject; Resolution spam,',
+      '2,x,2,,,,empty prompt',
+    ]);
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { tagText, findConflicts, createCoherenceContext } from '../src/coherence.js';
+import { analyzePrompt, transformPrompt } from '../src/index.js';
+
+const INDOOR = [{ dimension: 'setting', value: 'indoor' }];
+
+describe('tagText', () => {
+  it('tags terms with their dimension, value and position', () => {
+    expect(tagText('Ilford HP5, color shift')).toEqual([
+      { dimension: 'color', value: 'bw', text: 'Ilford', index: 0 },
+      { dimension: 'color', value: 'bw', text: 'HP5', index: 7 },
+      { dimension: 'color', value: 'color', text: 'color shift', index: 12 },
+      { dimension: 'capture', value: 'film', text: 'HP5', index: 7 },
+    ]);
+  });
+});
+
+describe('findConflicts', () => {
+  it('reports incompatible values in a dimension', () => {
+    const [conflict] = findConflicts('rain-slicked street at dusk, harsh midday sun');
+    expect(conflict).toMatchObject({ dimension: 'time', values: ['midday', 'dusk'] });
+  });
+
+  it('allows compatible pairs', () => {
+    expect(findConflicts('early morning golden hour light, overcast with drizzle')).toEqual([]);
+  });
+
+  it('is reported by analysis with spans', () => {
+    const issue = analyzePrompt('shot on Ilford HP5, faded colors').issues.find(i => i.id === 'contradictory-modifiers');
+    expect(issue.spans.map(span => span.text)).toEqual(['Ilford', 'HP5', 'faded colors']);
+  });
+});
+
+describe('createCoherenceContext', () => {
+  it('rejects picks that contradict what was committed', () => {
+    const coherence = createCoherenceContext('a woman, black and white');
+    expect(coherence.allows('color shift')).toBe(false);
+    expect(coherence.filter(['film grain', 'faded colors', 'halation'])).toEqual(['film grain', 'halation']);
+    coherence.add('shot on iPhone');
+    expect(coherence.allows('85mm portrait lens')).toBe(false);
+  });
+
+  it('keeps sun and sky light out of indoor settings', () => {
+    const coherence = createCoherenceContext();
+    coherence.add('', INDOOR);
+    for (const light of ['harsh midday sun', 'overcast soft light', 'cloudy day diffused light', 'dappled sunlight through trees']) {
+      expect(coherence.allows(light), light).toBe(false);
+    }
+    for (const light of ['window light', 'natural ambient light', 'golden hour light', 'tungsten warm light']) {
+      expect(coherence.allows(light), light).toBe(true);
+    }
+  });
+
+  it('gives indoor locations indoor light', () => {
+    expect(transformPrompt('a woman in a coffee shop', { seed: 42 }).transformed).not.toMatch(/midday sun/);
+    for (let seed = 0; seed < 50; seed++) {
+      const { transformed } = transformPrompt('a man in a kitchen', { seed });
+      expect(transformed, `seed ${seed}`).not.toMatch(/midday sun|overcast soft light|cloudy day/);
+    }
+  });
+});
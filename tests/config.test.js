@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ConfigError, findConfigFile, validateConfig, readConfigFile, resolveConfig } from '../src/config.js';
+
+let root;
+
+beforeEach(() => {
+  root = mkdtempSync(join(tmpdir(), 'humanizer-config-'));
+});
+
+afterEach(() => {
+  rmSync(root, { recursive: true, force: true });
+});
+
+function problemsOf(fn) {
+  try {
+    fn();
+  } catch (err) {
+    expect(err).toBeInstanceOf(ConfigError);
+    return err.problems;
+  }
+  return [];
+}
+
+describe('findConfigFile', () => {
+  it('walks up to the nearest config file', () => {
+    const nested = join(root, 'a', 'b');
+    mkdirSync(nested, { recursive: true });
+    writeFileSync(join(root, '.imagehumanizerrc'), '{}');
+    expect(findConfigFile(nested)).toBe(join(root, '.imagehumanizerrc'));
+
+    writeFileSync(join(root, 'a', 'image-humanizer.config.js'), 'export default {};');
+    expect(findConfigFile(nested)).toBe(join(root, 'a', 'image-humanizer.config.js'));
+  });
+
+  it('prefers .imagehumanizerrc over the other names in the same directory', () => {
+    writeFileSync(join(root, '.imagehumanizerrc.json'), '{}');
+    writeFileSync(join(root, '.imagehumanizerrc'), '{}');
+    expect(findConfigFile(root)).toBe(join(root, '.imagehumanizerrc'));
+  });
+});
+
+describe('validateConfig', () => {
+  it('returns only the settings it sets, with rule paths resolved', () => {
+    expect(validateConfig({ style: 'phone', rules: ['packs/house.json'] }, 'rc', root)).toEqual({
+      style: 'phone',
+      rules: [join(root, 'packs', 'house.json')],
+    });
+  });
+
+  it('lists every problem', () => {
+    expect(problemsOf(() => validateConfig({ colour: 'red', style: 'vhs', target: 'nope', seed: true, disabledRules: 'x' }))).toEqual([
+      expect.stringMatching(/^unknown setting "colour" \(expected one of: style, mood, /),
+      'style must be one of: film, digital, phone',
+      expect.stringMatching(/^target must be one of: generic, /),
+      'seed must be a number or string',
+      'disabledRules must be an array of strings',
+    ]);
+  });
+
+  it('rejects anything but an object', () => {
+    expect(problemsOf(() => validateConfig(['film']))).toEqual(['config must be an object']);
+  });
+});
+
+describe('readConfigFile', () => {
+  it('reads JSON and ES module configs', async () => {
+    writeFileSync(join(root, '.imagehumanizerrc'), '{"mood":"moody"}');
+    writeFileSync(join(root, 'image-humanizer.config.mjs'), 'export default { mood: "harsh" };');
+    expect(await readConfigFile(join(root, '.imagehumanizerrc'))).toEqual({ mood: 'moody' });
+    expect(await readConfigFile(join(root, 'image-humanizer.config.mjs'))).toEqual({ mood: 'harsh' });
+  });
+
+  it('names the file when it fails to parse', async () => {
+    const path = join(root, '.imagehumanizerrc');
+    writeFileSync(path, '{ mood: moody }');
+    await expect(readConfigFile(path)).rejects.toMatchObject({ name: 'ConfigError', source: path, problems: [expect.stringMatching(/^could not load: /)] });
+  });
+});
+
+describe('resolveConfig', () => {
+  it('layers defaults, the file and overrides, recording each source', async () => {
+    const path = join(root, '.imagehumanizerrc');
+    writeFileSync(path, '{"style":"digital","mood":"moody"}');
+    const { settings, sources } = await resolveConfig({ cwd: root, overrides: { mood: 'harsh', seed: undefined }, overrideSource: 'request' });
+    expect(settings).toMatchObject({ style: 'digital', mood: 'harsh', imperfectionLevel: 'medium', seed: undefined });
+    expect(sources).toMatchObject({ style: path, mood: 'request', imperfectionLevel: 'default', seed: 'default' });
+  });
+
+  it('fails when an explicit path is missing', async () => {
+    await expect(resolveConfig({ cwd: root, path: 'missing.json' })).rejects.toMatchObject({ source: 'missing.json', problems: ['file not found'] });
+  });
+
+  it('uses the defaults when no file is found', async () => {
+    const { path, sources } = await resolveConfig({ cwd: root });
+    expect(path).toBeNull();
+    expect(Object.values(sources).every(source => source === 'default')).toBe(true);
+  });
+});
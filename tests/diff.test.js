@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { diffWords } from '../src/diff.js';
+import { transformPrompt } from '../src/index.js';
+
+const CLI = fileURLToPath(new URL('../src/cli.js', import.meta.url));
+const PROMPT = 'a beautiful woman in a coffee shop, 8k, trending on artstation';
+
+// Rebuild one side of a diff from its segments
+const side = (segments, type) => segments.filter(s => s.type === 'equal' || s.type === type).map(s => s.text).join('');
+
+describe('diffWords', () => {
+  it('marks removed and added words', () => {
+    expect(diffWords('a woman, 8k', 'a woman in her 30s, film grain')).toEqual([
+      { type: 'equal', text: 'a woman' },
+      { type: 'add', text: ' in her 30s' },
+      { type: 'equal', text: ', ' },
+      { type: 'remove', text: '8k' },
+      { type: 'add', text: 'film grain' },
+    ]);
+  });
+
+  it('folds a lone space between changes into them', () => {
+    expect(diffWords('a red car', 'a blue old car')).toEqual([
+      { type: 'equal', text: 'a ' },
+      { type: 'remove', text: 'red ' },
+      { type: 'add', text: 'blue old ' },
+      { type: 'equal', text: 'car' },
+    ]);
+  });
+
+  it('rebuilds both texts', () => {
+    const before = 'a beautiful woman,  8k, trending on artstation';
+    const after = transformPrompt(before, { seed: 4 }).transformed;
+    const segments = diffWords(before, after);
+    expect(side(segments, 'remove')).toBe(before);
+    expect(side(segments, 'add')).toBe(after);
+  });
+
+  it('handles empty texts', () => {
+    expect(diffWords('', '')).toEqual([]);
+    expect(diffWords('', 'a man')).toEqual([{ type: 'add', text: 'a man' }]);
+  });
+});
+
+describe('transform operations', () => {
+  it('log removals, rewrites and additions in order', () => {
+    const { operations } = transformPrompt(PROMPT, { seed: 1 });
+    const types = operations.map(op => op.type);
+    expect(types.lastIndexOf('remove')).toBeLessThan(types.indexOf('rewrite'));
+    expect(types.lastIndexOf('rewrite')).toBeLessThan(types.indexOf('add'));
+    expect(operations.filter(op => op.type === 'remove')).toEqual([
+      { type: 'remove', rule: 'beautiful-modifier', text: 'beautiful' },
+      { type: 'remove', rule: '8k-4k', text: '8k' },
+      { type: 'remove', rule: 'trending-artstation', text: 'trending on artstation' },
+    ]);
+    expect(operations.filter(op => op.type === 'rewrite').map(op => [op.rule, op.original])).toEqual([
+      ['generic-subject', 'a woman'],
+      ['generic-location', 'in a coffee shop'],
+    ]);
+  });
+
+  it('list every added modifier with its section', () => {
+    for (const seed of [1, 2, 3, 4, 5]) {
+      const { operations, modifiersAdded, sections } = transformPrompt(PROMPT, { seed });
+      const adds = operations.filter(op => op.type === 'add');
+      expect(adds.map(op => op.text), `seed ${seed}`).toEqual(modifiersAdded);
+      for (const { category, text } of adds) expect(sections[category], `seed ${seed}`).toContain(text);
+    }
+  });
+
+  it('replay the rewrites into the transformed prompt', () => {
+    const { operations, transformed } = transformPrompt(PROMPT, { seed: 2 });
+    for (const op of operations.filter(o => o.type === 'rewrite')) expect(transformed).toContain(op.replacement);
+  });
+});
+
+describe('--diff on the command line', () => {
+  it('marks changes with word-diff markers when piped', () => {
+    const result = spawnSync(process.execPath, [CLI, 'transform', 'a beautiful woman, 8k', '--seed=1', '--diff'], { encoding: 'utf-8', timeout: 20000 });
+    expect(result.status).toBe(0);
+    expect(result.stdout).toMatch(/\[-beautiful -\]/);
+    expect(result.stdout).toMatch(/\[-8k-\]\{\+/);
+  });
+});
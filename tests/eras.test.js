@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { parseEra, normalizeEra, inferEra, resolveEra, existedIn } from '../src/eras.js';
+import { transformPrompt } from '../src/index.js';
+
+const SEEDS = Array.from({ length: 20 }, (_, i) => i);
+const span = era => era && [era.id, era.from, era.to];
+
+describe('parseEra', () => {
+  it.each([
+    ['1970s', ['1970s', 1970, 1979]],
+    ["'70s", ['1970s', 1970, 1979]],
+    ['’90s', ['1990s', 1990, 1999]],
+    ['10s', ['2010s', 2010, 2019]],
+    ['Seventies', ['1970s', 1970, 1979]],
+    [1994, ['1990s', 1994, 1994]],
+    ['2023', ['2020s', 2023, 2023]],
+  ])('reads %s', (value, expected) => {
+    expect(span(parseEra(value))).toEqual(expected);
+  });
+
+  it('returns null outside the supported decades', () => {
+    for (const value of ['1940s', '30s', 1899, '2030', 'retro', '', undefined]) expect(parseEra(value), String(value)).toBeNull();
+  });
+});
+
+describe('normalizeEra', () => {
+  it('throws on a value that names no era', () => {
+    expect(() => normalizeEra('1920s')).toThrow('Unknown era: 1920s. Use a decade from 1950s to 2020s or a year like 1994');
+    expect(normalizeEra(undefined)).toBeNull();
+  });
+});
+
+describe('inferEra', () => {
+  it.each([
+    ['a 1980s mall', '1980s'],
+    ["a diner in the '50s", '1950s'],
+    ['a kitchen in the seventies', '1970s'],
+    ['summer of 1983, a beach', '1980s'],
+    ['1994, a kitchen', '1990s'],
+    ['a kitchen, 2003', '2000s'],
+  ])('finds the era in "%s"', (prompt, id) => {
+    expect(inferEra(prompt)?.id).toBe(id);
+  });
+
+  it('ignores numbers that are not years', () => {
+    expect(inferEra('2000 people in a stadium')).toBeNull();
+    expect(inferEra('a crowd, 2000 people')).toBeNull();
+    expect(inferEra('a man with 1970 coins')).toBeNull();
+  });
+});
+
+describe('resolveEra', () => {
+  it('prefers the option over the prompt and records the source', () => {
+    expect(resolveEra('2010s', 'a 1980s mall')).toMatchObject({ id: '2010s', source: 'option' });
+    expect(resolveEra(undefined, 'a 1980s mall')).toMatchObject({ id: '1980s', source: 'prompt' });
+    expect(resolveEra(undefined, 'a mall')).toBeNull();
+  });
+});
+
+describe('existedIn', () => {
+  it('keeps gear out of eras before it appeared', () => {
+    const seventies = parseEra('1970s');
+    expect(existedIn('shot on iPhone 13', seventies)).toBe(false);
+    expect(existedIn('ring light', seventies)).toBe(false);
+    expect(existedIn('Polaroid print', seventies)).toBe(true);
+    expect(existedIn('shot on iPhone 13', null)).toBe(true);
+    expect(existedIn('shot on iPhone 13', parseEra(2007))).toBe(true);
+  });
+});
+
+describe('eras in transforms', () => {
+  it('report the era and where it came from', () => {
+    expect(transformPrompt('a kitchen in 1994', { seed: 1 }).era).toEqual({ id: '1990s', from: 1994, to: 1994, source: 'prompt' });
+    expect(transformPrompt('a man', { seed: 1 }).era).toBeNull();
+  });
+
+  it('keep modern gear out, falling back to film for phones', () => {
+    for (const seed of SEEDS) {
+      const { transformed } = transformPrompt('a man in a kitchen', { seed, era: '1970s', style: 'phone' });
+      expect(transformed, `seed ${seed}`).not.toMatch(/iPhone|smartphone|Pixel|ring light|digital/i);
+    }
+  });
+
+  it('reject an unknown era', () => {
+    expect(() => transformPrompt('a man', { era: '1920s' })).toThrow(/^Unknown era: 1920s/);
+  });
+});
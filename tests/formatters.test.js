@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { formatPrompt, getFormatter } from '../src/formatters.js';
+import { transformPrompt } from '../src/index.js';
+
+const sections = { camera: ['shot on Kodak Portra 400'], imperfections: ['film grain'] };
+
+describe('sentence-style targets', () => {
+  it.each(['dalle', 'flux'])('%s unwraps weights and emphasis', target => {
+    const text = formatPrompt(target, { subject: 'a woman in a (red dress:1.3), ((smiling)), [blurry]', sections });
+    expect(text).toMatch(/\b[Aa] woman in a red dress, smiling, blurry\./);
+    expect(text).not.toMatch(/[()[\]]|:1\.3/);
+  });
+
+  it('keeps escaped brackets as literal text', () => {
+    const text = formatPrompt('flux', { subject: 'a sign reading \\(open\\)', sections });
+    expect(text).toMatch(/^A sign reading \(open\)\./);
+  });
+
+  it('drops the bracket of an unclosed group', () => {
+    expect(formatPrompt('dalle', { subject: 'a man (smiling', sections })).toMatch(/^A photograph of a man smiling\./);
+  });
+});
+
+describe('stable-diffusion', () => {
+  it('weights realism cues and escapes their brackets', () => {
+    const text = formatPrompt('sd', { subject: 'a man', sections: { imperfections: ['grain (heavy)'] } });
+    expect(text).toBe('a man, (grain \\(heavy\\):1.1)');
+  });
+});
+
+describe('--params', () => {
+  it('are kept by targets that read them', () => {
+    expect(getFormatter('midjourney').keepsParams).toBe(true);
+    const result = transformPrompt('a man on a beach --ar 16:9', { seed: 1, target: 'mj' });
+    expect(result.transformed).toMatch(/--ar 16:9/);
+    expect(result.transformed).not.toMatch(/--ar 3:2/);
+  });
+
+  it.each(['sd', 'dalle', 'flux'])('are reported as dropped by %s', target => {
+    const result = transformPrompt('a man on a beach --ar 16:9 --v 6', { seed: 1, target });
+    expect(result.transformed).not.toContain('--');
+    const dropped = result.operations.filter(op => op.rule === 'unsupported-parameter').map(op => op.text);
+    expect(dropped).toEqual(['--ar 16:9', '--v 6']);
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import { spawnSync } from 'child_process';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { readLintRecords, lintRecords, formatLintReport } from '../src/lint.js';
+
+const CLI = fileURLToPath(new URL('../src/cli.js', import.meta.url));
+
+const lint = (text, options = {}) => lintRecords(readLintRecords(text, { source: 'prompts.txt', ...options }), options);
+const ruleIds = result => result.findings.map(f => f.ruleId);
+
+describe('suppressions', () => {
+  it('disable a rule for the rest of the file until enabled', () => {
+    const report = lint([
+      'a stunning woman on a beach',
+      '# humanizer-disable beautiful-modifier',
+      'a stunning man on a beach',
+      '# humanizer-enable',
+      'a stunning dog on a beach',
+    ].join('\n'));
+    expect(report.results.map(r => ruleIds(r).includes('beautiful-modifier'))).toEqual([true, false, true]);
+  });
+
+  it('disable rules for just the next prompt', () => {
+    const report = lint('# humanizer-disable-next-line beautiful-modifier\na stunning woman\na stunning man');
+    expect(report.results.map(r => ruleIds(r).includes('beautiful-modifier'))).toEqual([false, true]);
+  });
+
+  it('skip a prompt whole with an inline directive and no rule ids', () => {
+    const report = lint('beautiful woman, 8k, trending on artstation  # humanizer-disable\na stunning man');
+    expect(report.results[0]).toMatchObject({ suppressed: true, findings: [] });
+    expect(report.summary.suppressed).toBe(1);
+  });
+
+  it('suppress inline in CSV prompts, and keep CSV source lines', () => {
+    const text = 'id,prompt\n1,"a stunning\nwoman  # humanizer-disable beautiful-modifier"\n\n2,a stunning man';
+    const report = lint(text, { format: 'csv', source: 'prompts.csv' });
+    expect(report.results.map(r => [r.line, ruleIds(r).includes('beautiful-modifier')])).toEqual([[2, false], [5, true]]);
+  });
+});
+
+describe('findings', () => {
+  it('point at the line and column of each match', () => {
+    const report = lint('\n  a stunning woman', { severity: { 'beautiful-modifier': 'error' } });
+    expect(report.findings.find(f => f.ruleId === 'beautiful-modifier')).toMatchObject({
+      severity: 'error', line: 2, column: 5, endColumn: 13,
+    });
+    expect(report.summary.passed).toBe(false);
+  });
+
+  it('fail a prompt over the maximum score', () => {
+    const report = lint('beautiful woman, 8k, trending on artstation, cinematic lighting', { maxScore: 10 });
+    expect(report.findings[0]).toMatchObject({ ruleId: 'max-score', severity: 'error' });
+    expect(lint('beautiful woman', { maxScore: 100 }).summary.passed).toBe(true);
+  });
+
+  it('report JSONL lines that are not objects as parse errors on their line', () => {
+    const report = lint('{"prompt":"a man"}\nnull', { format: 'jsonl', source: 'prompts.jsonl' });
+    expect(report.findings.find(f => f.ruleId === 'parse-error')).toMatchObject({ line: 2, message: 'not an object' });
+  });
+
+  it('carry source lines into SARIF and JUnit', () => {
+    const report = lint('id,prompt\n1,"a stunning\nwoman"\n\n2,beautiful woman, 8k', { format: 'csv', source: 'p.csv', maxScore: 0 });
+    const sarif = JSON.parse(formatLintReport(report, 'sarif'));
+    const lines = new Set(sarif.runs[0].results.map(r => r.locations[0].physicalLocation.region.startLine));
+    expect([...lines].sort()).toEqual([2, 5]);
+    expect(formatLintReport(report, 'junit')).toMatch(/line="5"/);
+  });
+});
+
+describe('image-humanizer lint exit codes', () => {
+  const run = (args, input) => {
+    const cwd = mkdtempSync(join(tmpdir(), 'humanizer-lint-'));
+    try {
+      writeFileSync(join(cwd, 'clean.txt'), 'a woman in her 60s laughing at a kitchen table, shot on Kodak Portra 400, film grain\n');
+      writeFileSync(join(cwd, 'bad.txt'), 'beautiful woman, 8k, trending on artstation, cinematic lighting\n');
+      return spawnSync(process.execPath, [CLI, 'lint', ...args], { cwd, input, encoding: 'utf-8', timeout: 20000 });
+    } finally {
+      rmSync(cwd, { recursive: true, force: true });
+    }
+  };
+
+  it('exits 0 when every prompt passes', () => {
+    expect(run(['clean.txt']).status).toBe(0);
+  });
+
+  it('exits 1 on error-level findings', () => {
+    const result = run(['bad.txt', '--format=json']);
+    expect(result.status).toBe(1);
+    expect(JSON.parse(result.stdout).summary).toMatchObject({ passed: false, failed: 1 });
+  });
+
+  it('exits 0 when the failing prompt is suppressed', () => {
+    expect(run(['-'], 'beautiful woman, 8k, trending on artstation  # humanizer-disable\n').status).toBe(0);
+  });
+
+  it('exits 2 on usage and input problems', () => {
+    expect(run([]).status).toBe(2);
+    expect(run(['clean.txt', '--format=xml']).status).toBe(2);
+    expect(run(['missing.txt']).status).toBe(2);
+    expect(run(['clean.txt', '--max-score=200']).status).toBe(2);
+  });
+});
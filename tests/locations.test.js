@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { buildLocationIndex, enrichLocations, commitSettings } from '../src/locations.js';
+import { LOCATIONS } from '../src/modifiers.js';
+import { createRandom } from '../src/random.js';
+import { createCoherenceContext } from '../src/coherence.js';
+import { transformPrompt } from '../src/index.js';
+
+const SEEDS = Array.from({ length: 20 }, (_, i) => i);
+
+// The transformer's context starts from the prompt itself
+function enrich(text, seed = 1, context = text) {
+  const log = [];
+  const settings = new Set();
+  const result = enrichLocations(text, { rng: createRandom(seed), coherence: createCoherenceContext(context), log, settings });
+  return { result, log, settings };
+}
+
+describe('location library', () => {
+  it('tags every location with a setting and gives it variants', () => {
+    for (const [name, entry] of Object.entries(LOCATIONS)) {
+      expect(['indoor', 'outdoor'], name).toContain(entry.setting);
+      expect(entry.variants.length, name).toBeGreaterThan(0);
+      for (const variant of entry.variants) expect(variant.text, name).toMatch(/^(a|an|the) /);
+    }
+  });
+
+  it('rewrites every location and alias', () => {
+    for (const key of buildLocationIndex().keys()) {
+      expect(enrich(`a man at the ${key}`).result, key).not.toBe(`a man at the ${key}`);
+    }
+  });
+});
+
+describe('enrichLocations', () => {
+  it('swaps in a variant with its own preposition and logs the rewrite', () => {
+    const { result, log, settings } = enrich('a woman in a coffee shop');
+    expect(result).toBe('a woman at a formica counter at a 24-hour diner');
+    expect(log).toEqual([{
+      type: 'rewrite',
+      rule: 'generic-location',
+      original: 'in a coffee shop',
+      replacement: 'at a formica counter at a 24-hour diner',
+    }]);
+    expect([...settings]).toEqual(['indoor']);
+  });
+
+  it('keeps directional prepositions and rewrites bare locations', () => {
+    const { result, settings } = enrich('beach, walking from the office');
+    expect(result).toBe('an empty beach at low tide in the early morning, walking from a fluorescent-lit cubicle with papers everywhere');
+    expect([...settings].sort()).toEqual(['indoor', 'outdoor']);
+  });
+
+  it('leaves nouns that qualify another, or are already specific, alone', () => {
+    expect(enrich('a park bench, a park with a fountain').result).toBe('a park bench, a park with a fountain');
+  });
+
+  it('uses a different variant for each mention', () => {
+    for (const seed of SEEDS) {
+      const { log } = enrich('a man in a park and a dog in a park', seed);
+      expect(log[0].replacement, `seed ${seed}`).not.toBe(log[1].replacement);
+    }
+  });
+
+  it('only picks variants that fit the time of day', () => {
+    for (const seed of SEEDS) {
+      expect(enrich('on a street', seed, 'a man at night').result, `seed ${seed}`).toBe('on a narrow side street with laundry strung between buildings');
+    }
+  });
+
+  it('leaves a location that contradicts the setting as written', () => {
+    expect(enrich('in a coffee shop', 1, 'outdoors').result).toBe('in a coffee shop');
+  });
+});
+
+describe('commitSettings', () => {
+  it('commits a setting the locations agree on', () => {
+    const coherence = createCoherenceContext();
+    commitSettings(coherence, new Set(['indoor']));
+    expect(coherence.allows('dappled sunlight through trees')).toBe(false);
+    expect(coherence.allows('window light')).toBe(true);
+  });
+
+  it('commits nothing for mixed settings', () => {
+    const coherence = createCoherenceContext();
+    commitSettings(coherence, new Set(['indoor', 'outdoor']));
+    expect(coherence.allows('dappled sunlight through trees')).toBe(true);
+  });
+});
+
+describe('locations in transforms', () => {
+  it('keep outdoor light out of indoor-only prompts', () => {
+    for (const seed of SEEDS) {
+      const { transformed } = transformPrompt('a man reading in an office', { seed });
+      expect(transformed, `seed ${seed}`).not.toMatch(/dappled sunlight through trees|streetlights?/);
+    }
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { listResources, readResource, ruleCatalog } from '../mcp-server/resources.js';
+import { listPrompts, getPrompt } from '../mcp-server/prompts.js';
+import { AI_PRONE_PATTERNS, runOperation, transformPrompt } from '../src/index.js';
+
+const HOUSE_PACK = { name: 'house', rules: [{ id: 'drone-shot', keywords: ['drone shot'], weight: 2 }], realism: [{ id: 'kitchen', keywords: ['kitchen'] }] };
+
+describe('resources', () => {
+  it('list one JSON resource per modifier library, plus all of them and the rules', () => {
+    const uris = listResources().map(resource => resource.uri);
+    expect(uris).toContain('image-humanizer://modifiers/cameras');
+    expect(uris).toContain('image-humanizer://modifiers/human-details');
+    expect(uris.slice(-2)).toEqual(['image-humanizer://modifiers', 'image-humanizer://rules']);
+    for (const resource of listResources()) {
+      expect(Object.keys(resource)).toEqual(['uri', 'name', 'description', 'mimeType']);
+      expect(resource.mimeType).toBe('application/json');
+    }
+  });
+
+  it('read as the modifiers operation returns them', () => {
+    const [content] = readResource('image-humanizer://modifiers/lenses', {});
+    expect(content).toMatchObject({ uri: 'image-humanizer://modifiers/lenses', mimeType: 'application/json' });
+    expect(JSON.parse(content.text)).toEqual(runOperation('modifiers', {}).lenses);
+  });
+
+  it('return null for an unknown URI', () => {
+    expect(readResource('image-humanizer://nope', {})).toBeNull();
+  });
+});
+
+describe('ruleCatalog', () => {
+  it('describes every built-in rule, marking disabled ones', () => {
+    const { rules } = ruleCatalog({ settings: { disabledRules: ['8k-4k'] } });
+    expect(rules.map(rule => rule.id)).toEqual(AI_PRONE_PATTERNS.map(rule => rule.id));
+    expect(rules.find(rule => rule.id === '8k-4k')).toMatchObject({
+      category: 'cliche',
+      weight: 3,
+      regex: '\\b(8k|4k|hd|uhd|high resolution|highly detailed)\\b',
+      enabled: false,
+    });
+    expect(rules.filter(rule => !rule.enabled)).toHaveLength(1);
+  });
+
+  it('adds rules and realism cues from packs', () => {
+    const { rules, realism } = ruleCatalog({ rules: [HOUSE_PACK] });
+    expect(rules.find(rule => rule.id === 'drone-shot')).toMatchObject({ pack: 'house', weight: 2, enabled: true });
+    expect(realism.find(cue => cue.id === 'kitchen')).toMatchObject({ pack: 'house', category: 'technical' });
+  });
+});
+
+describe('prompts', () => {
+  it('list their arguments', () => {
+    const prompts = listPrompts();
+    expect(prompts.map(prompt => prompt.name)).toEqual(['humanize-for-midjourney', 'humanize-for-stable-diffusion', 'critique-my-prompt']);
+    for (const prompt of prompts) expect(prompt.arguments[0]).toMatchObject({ name: 'prompt', required: true });
+  });
+
+  it('hand the transform to the assistant with its changes', () => {
+    const { messages } = getPrompt('humanize-for-stable-diffusion', { prompt: 'a beautiful woman, 8k' }, { settings: { seed: 1 } });
+    const result = transformPrompt('a beautiful woman, 8k', { seed: 1, target: 'stable-diffusion' });
+    expect(messages).toHaveLength(1);
+    expect(messages[0]).toMatchObject({ role: 'user', content: { type: 'text' } });
+    const { text } = messages[0].content;
+    expect(text).toContain(`seed 1):\n\n${result.transformed}\n`);
+    expect(text).toContain(`Negative prompt:\n\n${result.negativePrompt}\n`);
+    expect(text).toContain('- removed "beautiful" (beautiful-modifier)\n- removed "8k" (8k-4k)\n');
+  });
+
+  it('critique a prompt issue by issue', () => {
+    const { text } = getPrompt('critique-my-prompt', { prompt: 'a beautiful woman, 8k' }).messages[0].content;
+    expect(text).toMatch(/^- 8K\/4K resolution spam \(\+[\d.]+\): .+ Triggered by "8k"\. Fix: Remove\./m);
+  });
+
+  it('reject an unknown prompt or a missing argument', () => {
+    expect(() => getPrompt('nope')).toThrow('Unknown prompt: nope');
+    expect(() => getPrompt('critique-my-prompt', {})).toThrow('Missing required argument: prompt');
+  });
+});
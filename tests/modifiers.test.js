@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { CAMERAS, LENSES, IMPERFECTIONS, fitsGear, pickGearBundle, getRandomModifiers } from '../src/modifiers.js';
+import { createRandom } from '../src/random.js';
+import { transformPrompt } from '../src/index.js';
+
+const SEEDS = Array.from({ length: 20 }, (_, i) => i + 1);
+const CAMERA_RECORDS = Object.values(CAMERAS).flat();
+
+// The picker pickGearBundle expects, without exclusions or coherence
+const plainPick = rng => (items, count) => getRandomModifiers(items, count, rng);
+
+describe('gear records', () => {
+  it('have every field, and only lenses from LENSES', () => {
+    const lensTexts = LENSES.map(lens => lens.text);
+    for (const record of CAMERA_RECORDS) {
+      expect(record, record.text).toMatchObject({ text: expect.any(String), kind: expect.stringMatching(/^(stock|body|camera)$/) });
+      expect(['color', 'bw', 'either'], record.text).toContain(record.color);
+      for (const lens of record.lenses) expect(lensTexts, record.text).toContain(lens);
+    }
+  });
+
+  it('fit imperfections to the gear format and color', () => {
+    const bw = { format: ['35mm'], color: 'bw' };
+    expect(fitsGear('film grain', bw)).toBe(true);
+    expect(fitsGear({ text: 'color shift', color: 'color' }, bw)).toBe(false);
+    expect(fitsGear({ text: 'sensor noise', format: ['digital'] }, bw)).toBe(false);
+    expect(fitsGear({ text: 'color shift', color: 'color' }, null)).toBe(true);
+    expect(IMPERFECTIONS.film.filter(item => fitsGear(item, { format: ['phone'], color: 'color' })).length).toBeGreaterThan(0);
+  });
+});
+
+describe('pickGearBundle', () => {
+  it('pairs a camera with a lens it takes, in a shared format', () => {
+    for (const seed of SEEDS) {
+      const rng = createRandom(seed);
+      const bundle = pickGearBundle(plainPick(rng), { style: 'film', rng });
+      const { camera, body, lens } = bundle.records;
+      if (body) expect(body.format.some(f => camera.format.includes(f)), `seed ${seed}`).toBe(true);
+      if (lens) expect((body || camera).lenses, `seed ${seed}`).toContain(lens.text);
+      expect(bundle.format.length, `seed ${seed}`).toBeGreaterThan(0);
+    }
+  });
+
+  it('keeps phone cameras lens-free', () => {
+    for (const seed of SEEDS) {
+      const rng = createRandom(seed);
+      expect(pickGearBundle(plainPick(rng), { style: 'phone', rng }).lens, `seed ${seed}`).toEqual([]);
+    }
+  });
+});
+
+describe('gear in transforms', () => {
+  it('never adds an excluded artifact', () => {
+    const artifacts = [...new Set(CAMERA_RECORDS.flatMap(record => record.artifacts))];
+    for (const seed of SEEDS) {
+      const { transformed } = transformPrompt('a woman in a park', { seed, style: 'film', excludedModifiers: artifacts });
+      for (const artifact of artifacts) expect(transformed, `seed ${seed}`).not.toContain(artifact);
+    }
+  });
+
+  it('keeps color flaws away from black-and-white stock', () => {
+    for (const seed of SEEDS) {
+      const { transformed } = transformPrompt('a man on a street, black and white', { seed, style: 'film', imperfectionLevel: 'high' });
+      expect(transformed, `seed ${seed}`).not.toMatch(/color shift|faded colors/);
+    }
+  });
+});
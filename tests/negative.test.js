@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { buildNegativePrompt } from '../src/transformer.js';
+import { NEGATIVES } from '../src/modifiers.js';
+import { transformPrompt } from '../src/index.js';
+
+const issues = (...ids) => ({ issues: ids.map(id => ({ id })) });
+
+describe('buildNegativePrompt', () => {
+  it('always includes the baseline terms', () => {
+    expect(buildNegativePrompt(issues())).toBe(NEGATIVES.baseline.join(', '));
+  });
+
+  it('adds the categories each issue calls for, once each', () => {
+    expect(buildNegativePrompt(issues('trending-artstation', 'beautiful-modifier'))).toBe([
+      'airbrushed', 'plastic skin', 'oversaturated', 'overprocessed',
+      '3d render', 'cgi', 'octane', 'unreal engine', 'digital painting', 'illustration', 'concept art',
+      'porcelain skin', 'overly smooth skin', 'heavy retouching',
+    ].join(', '));
+  });
+
+  it('ignores issues without negatives', () => {
+    expect(buildNegativePrompt(issues('not-a-rule'))).toBe(buildNegativePrompt(issues()));
+  });
+
+  it('drops terms that overlap a positive modifier', () => {
+    const negative = buildNegativePrompt(issues('cinematic-lighting'), ['rim light', 'Studio lighting']);
+    expect(negative).not.toMatch(/rim light|studio lighting/);
+    expect(negative).toMatch(/perfect lighting/);
+  });
+});
+
+describe('negative prompts in transforms', () => {
+  it('are built from the issues in the original prompt', () => {
+    const { negativePrompt } = transformPrompt('beautiful woman, trending on artstation', { seed: 3 });
+    expect(negativePrompt).toMatch(/^airbrushed, plastic skin/);
+    expect(negativePrompt).toMatch(/3d render, cgi, octane/);
+  });
+
+  it('never contradict the modifiers added', () => {
+    for (let seed = 0; seed < 20; seed++) {
+      const result = transformPrompt('a man, cinematic lighting, 8k', { seed });
+      const negatives = result.negativePrompt.split(', ');
+      for (const added of result.modifiersAdded.map(m => m.toLowerCase())) {
+        expect(negatives.some(term => added.includes(term) || term.includes(added)), `seed ${seed}: ${added}`).toBe(false);
+      }
+    }
+  });
+});
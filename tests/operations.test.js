@@ -0,0 +1,151 @@
+import { describe, it, expect } from 'vitest';
+import { OPERATIONS, MAX_BATCH_ITEMS, MAX_BATCH_WORK, batchItemWork, getOperation, runOperation } from '../src/operations.js';
+import { VARIANT_ATTEMPTS } from '../src/transformer.js';
+import { SchemaError } from '../src/schema.js';
+import { buildOpenApiSpec } from '../src/openapi.js';
+import { runBatch } from '../src/batch.js';
+import { transformPrompt } from '../src/index.js';
+
+describe('operation registry', () => {
+  it('has a unique name and HTTP binding per operation', () => {
+    const names = OPERATIONS.map(op => op.name);
+    expect(new Set(names).size).toBe(names.length);
+    const routes = OPERATIONS.filter(op => op.http).map(op => `${op.http.method} ${op.http.path}`);
+    expect(new Set(routes).size).toBe(routes.length);
+    expect(getOperation('nope')).toBeNull();
+  });
+
+  it('documents every HTTP operation in the OpenAPI spec', () => {
+    const spec = buildOpenApiSpec();
+    for (const op of OPERATIONS.filter(o => o.http)) {
+      expect(spec.paths[op.http.path][op.http.method.toLowerCase()].operationId).toBe(op.http.operationId);
+    }
+  });
+
+  it('rejects bad input with every problem listed', () => {
+    let error;
+    try {
+      runOperation('transform', { prompt: '', style: 'sepia', extra: 1 });
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toBeInstanceOf(SchemaError);
+    expect(error.where).toBe('input');
+    expect(error.problems).toHaveLength(3);
+  });
+
+  it('throws on an unknown operation', () => {
+    expect(() => runOperation('nope', {})).toThrow('Unknown operation: nope');
+  });
+
+  it('gives the same transform as the library', () => {
+    const output = runOperation('transform', { prompt: 'a woman in a coffee shop', seed: 11, target: 'flux' });
+    expect(output.transformed).toBe(transformPrompt('a woman in a coffee shop', { seed: 11, target: 'flux' }).transformed);
+  });
+
+  it('takes defaults from settings, with input winning', () => {
+    const context = { settings: { style: 'phone', seed: 3 } };
+    const fromSettings = runOperation('transform', { prompt: 'a man on a beach' }, context);
+    expect(fromSettings.seed).toBe(3);
+    expect(fromSettings.transformed).toBe(transformPrompt('a man on a beach', { style: 'phone', seed: 3 }).transformed);
+    expect(runOperation('transform', { prompt: 'a man on a beach', seed: 4 }, context).seed).toBe(4);
+  });
+
+  it('refuses an unknown preset as bad input', () => {
+    expect(() => runOperation('transform', { prompt: 'a man', preset: 'nope' })).toThrow(/preset must be one of/);
+  });
+});
+
+describe('batch operation', () => {
+  it('runs every item in order and isolates failures', async () => {
+    const output = await runOperation('batch', {
+      operation: 'analyze',
+      items: [{ id: 'a', prompt: 'beautiful woman, 8k' }, { id: 2, prompt: '' }, { prompt: 'a man' }],
+    });
+    expect(output.results.map(r => [r.index, r.id, r.ok])).toEqual([[0, 'a', true], [1, 2, false], [2, undefined, true]]);
+    expect(output.results[1].problems).toEqual([expect.stringContaining('prompt')]);
+    expect(output.summary).toEqual({ total: 3, succeeded: 2, failed: 1 });
+  });
+
+  it('applies defaults under each item\'s own fields', async () => {
+    const output = await runOperation('batch', {
+      defaults: { target: 'midjourney', seed: 1 },
+      items: [{ prompt: 'a man' }, { prompt: 'a man', target: 'generic' }],
+    });
+    expect(output.results[0].result.target).toBe('midjourney');
+    expect(output.results[1].result.target).toBe('generic');
+  });
+
+  it('caps the items in one batch', async () => {
+    const items = Array.from({ length: MAX_BATCH_ITEMS + 1 }, () => ({ prompt: 'a man' }));
+    expect(() => runOperation('batch', { operation: 'analyze', items })).toThrow(`items must have at most ${MAX_BATCH_ITEMS} items`);
+  });
+
+  it('counts the most runs each transform variant can take toward the work cap', async () => {
+    const items = count => Array.from({ length: count }, () => ({ prompt: 'a man' }));
+    expect(batchItemWork('transform', { variants: 10 }, {})).toBe(10 * VARIANT_ATTEMPTS);
+    expect(batchItemWork('transform', { variants: 10 }, { variants: 1 })).toBe(1);
+    const perItem = Math.floor(MAX_BATCH_WORK / (10 * VARIANT_ATTEMPTS));
+    await expect(runOperation('batch', { defaults: { variants: 10 }, items: items(perItem + 1) })).rejects.toMatchObject({
+      where: 'input',
+      problems: [`items must add up to at most ${MAX_BATCH_WORK} transform runs, each variant counting as ${VARIANT_ATTEMPTS} (got ${(perItem + 1) * 10 * VARIANT_ATTEMPTS})`],
+    });
+    await expect(runOperation('batch', { items: [...items(MAX_BATCH_WORK - 10 * VARIANT_ATTEMPTS), { prompt: 'a man', variants: 10 }, { prompt: 'a man' }] }))
+      .rejects.toBeInstanceOf(SchemaError);
+    // Variants only cost extra for transforms
+    const analyzed = await runOperation('batch', { operation: 'analyze', defaults: { variants: 10 }, items: items(perItem + 1) });
+    expect(analyzed.summary.total).toBe(perItem + 1);
+  });
+
+  it('reports progress and stops when cancelled', async () => {
+    const controller = new AbortController();
+    const seen = [];
+    const progress = done => {
+      seen.push(done);
+      if (done === 2) controller.abort();
+    };
+    const items = Array.from({ length: 5 }, () => ({ prompt: 'a man' }));
+    await expect(runOperation('batch', { operation: 'analyze', items }, { signal: controller.signal, progress })).rejects.toThrow();
+    expect(seen).toEqual([1, 2]);
+  });
+});
+
+describe('compare operation', () => {
+  it('ranks prompts and shows which rules fired where', () => {
+    const output = runOperation('compare', { prompts: ['beautiful woman, 8k', 'a woman in her 60s, shot on Kodak Portra 400, film grain'] });
+    expect(output.best).toBe(1);
+    const beauty = output.rules.find(rule => rule.id === 'beautiful-modifier');
+    expect(beauty.firedIn).toEqual([0]);
+    expect(beauty.points[1]).toBeNull();
+  });
+});
+
+describe('runBatch', () => {
+  it('runs records through the batch operation and keeps their ids and lines', async () => {
+    const records = [
+      { id: 'x', prompt: 'beautiful woman, 8k', source: 'p.csv', line: 2 },
+      { id: 'y', prompt: '', source: 'p.csv', line: 4 },
+      { id: 'z', prompt: '', source: 'p.csv', line: 5, error: 'not an object' },
+    ];
+    const rows = await runBatch('transform', records, { seed: 9 });
+    expect(rows.map(r => [r.id, r.line, r.error])).toEqual([['x', 2, undefined], ['y', 4, 'empty prompt'], ['z', 5, 'not an object']]);
+    expect(rows[0]).toMatchObject({
+      transformed: transformPrompt('beautiful woman, 8k', { seed: 9 }).transformed,
+      seed: 9,
+      issues: expect.arrayContaining(['Overused beauty modifiers']),
+    });
+  });
+
+  it('splits large runs into batches the registry accepts', async () => {
+    const perChunk = Math.floor(MAX_BATCH_WORK / (10 * VARIANT_ATTEMPTS));
+    const records = Array.from({ length: perChunk * 2 + 3 }, (_, i) => ({ id: String(i), prompt: `a man number ${i}` }));
+    const rows = await runBatch('transform', records, { seed: 1, variants: 10 });
+    expect(rows).toHaveLength(records.length);
+    expect(rows.every(row => row.transformed && !row.error)).toBe(true);
+  }, 60000);
+
+  it('reports an invalid setting on each item', async () => {
+    const rows = await runBatch('transform', [{ id: '1', prompt: 'a man' }], { preset: 'nope' });
+    expect(rows[0].error).toMatch(/preset must be one of/);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { parsePrompt, stringifyPrompt } from '../src/parser.js';
+import { transformPrompt } from '../src/index.js';
+
+const ROUND_TRIPS = [
+  'a woman in a coffee shop',
+  'a man, (8k:1.4), ((sharp focus)), [blurry] --ar 16:9 --v 6',
+  'portrait, {red|blue} dress BREAK city street, night',
+  '(film grain:1.2), \\(literal\\) brackets --style raw',
+  'a man (smiling, 8k',
+  'a man smiling), 8k',
+  'a (b [c) d], e',
+  '',
+];
+
+describe('parsePrompt', () => {
+  it.each(ROUND_TRIPS)('rebuilds %j without loss', prompt => {
+    expect(stringifyPrompt(parsePrompt(prompt))).toBe(prompt);
+  });
+
+  it('splits weights, BREAK and params', () => {
+    const parsed = parsePrompt('a man, (8k:1.4), ((sharp)) BREAK night --ar 16:9 --v 6');
+    expect(parsed.clauses.map(c => [c.type, c.text, c.weight])).toEqual([
+      ['text', 'a man', undefined],
+      ['weighted', '8k', 1.4],
+      ['weighted', 'sharp', 1.21],
+      ['break', '', undefined],
+      ['text', 'night', undefined],
+    ]);
+    expect(parsed.params.map(p => [p.name, p.value])).toEqual([['ar', '16:9'], ['v', '6']]);
+  });
+
+  it('keeps offsets into the original prompt', () => {
+    const prompt = 'a man, (8k:1.4) --ar 16:9';
+    const parsed = parsePrompt(prompt);
+    for (const clause of parsed.clauses) {
+      expect(prompt.slice(clause.start, clause.end)).toBe(clause.raw);
+      expect(prompt.slice(clause.textStart).startsWith(clause.text)).toBe(true);
+    }
+    expect(prompt.slice(parsed.params[0].start, parsed.params[0].end)).toBe('--ar 16:9');
+  });
+
+  it('treats an unclosed bracket as text so later clauses still split', () => {
+    const parsed = parsePrompt('a man (smiling, 8k --ar 16:9');
+    expect(parsed.clauses.map(c => c.text)).toEqual(['a man (smiling', '8k']);
+    expect(parsed.params.map(p => p.raw)).toEqual(['--ar 16:9']);
+  });
+});
+
+describe('transform round trip', () => {
+  it('keeps syntax it does not change', () => {
+    const result = transformPrompt('a man, {red|blue} jacket BREAK (city street:1.2), 8k --ar 16:9', { seed: 3 });
+    expect(result.subject).toMatch(/\{red\|blue\} jacket BREAK \(city street:1\.2\)$/);
+    expect(result.transformed).toMatch(/ --ar 16:9$/);
+    expect(result.transformed).not.toContain('8k');
+  });
+
+  it('removes a weighted group whole when it is emptied', () => {
+    expect(transformPrompt('a man, (8k:1.4), ((hyperrealistic))', { seed: 3 }).subject).not.toMatch(/[()]/);
+  });
+
+  it.each([
+    ['a man (smiling, 8k', /\(smiling$/],
+    ['a man (smiling, 8k, film', /\(smiling, film$/],
+    ['(smiling, 8k), a man', /^\(smiling\), /],
+  ])('keeps an unbalanced or emptied group tidy: %j', (prompt, expected) => {
+    const { subject, transformed } = transformPrompt(prompt, { seed: 3 });
+    expect(subject).toMatch(expected);
+    expect(transformed).not.toMatch(/,\s*,/);
+  });
+});
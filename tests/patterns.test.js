@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { analyzePrompt, transformPrompt, PRESETS } from '../src/index.js';
+
+const missing = prompt => analyzePrompt(prompt).issues.map(issue => issue.id).filter(id => id.startsWith('missing-'));
+const spans = (prompt, id) => analyzePrompt(prompt).issues.find(issue => issue.id === id).spans;
+
+describe('issue spans', () => {
+  it('give offsets into the original prompt and the clause they fall in', () => {
+    expect(spans('beautiful woman, 8k, trending on artstation', 'trending-artstation')).toEqual([
+      { text: 'trending on artstation', start: 21, end: 43, clause: 2, clauseText: 'trending on artstation' },
+    ]);
+  });
+
+  it('list every match, with its original case', () => {
+    expect(spans('a man, 8k 8k', '8k-4k').map(span => [span.start, span.end])).toEqual([[7, 9], [10, 12]]);
+    const prompt = '(stunning:1.3) portrait, BREAK a Beautiful man --ar 16:9';
+    expect(spans(prompt, 'beautiful-modifier')).toEqual([
+      { text: 'stunning', start: 1, end: 9, clause: 0, clauseText: '(stunning:1.3) portrait' },
+      { text: 'Beautiful', start: 33, end: 42, clause: 2, clauseText: 'a Beautiful man' },
+    ]);
+    expect(prompt.slice(33, 42)).toBe('Beautiful');
+  });
+
+  it('are empty for issues about something missing', () => {
+    expect(spans('a man on a beach', 'missing-camera')).toEqual([]);
+  });
+});
+
+describe('missing-camera and missing-imperfection', () => {
+  it('flag a prompt with neither', () => {
+    expect(missing('a man on a beach')).toEqual(expect.arrayContaining(['missing-camera', 'missing-imperfection']));
+  });
+
+  it.each([
+    'a man, instant film photograph, creamy instant film tones',
+    'a man, vintage Polaroid, washed-out instant film colors',
+    'a man, smartphone photo, noise in the shadows',
+    'a man, disposable camera photo, soft plastic lens',
+    'a man, captured on a VHS camcorder, film grain',
+    'a man, Kodak Instamatic snapshot, slight magenta shift',
+  ])('recognise gear and flaws the transformer writes: %j', prompt => {
+    expect(missing(prompt)).toEqual([]);
+  });
+
+  it('never fire on a transformed prompt', () => {
+    for (let seed = 0; seed < 30; seed++) {
+      for (const style of ['film', 'digital', 'phone']) {
+        for (const era of [undefined, '1960s', '1990s']) {
+          expect(missing(transformPrompt('a woman on a beach', { seed, style, era }).transformed)).toEqual([]);
+        }
+      }
+    }
+  });
+
+  it('never fire on a preset transform', () => {
+    for (const preset of PRESETS) {
+      for (let seed = 0; seed < 10; seed++) {
+        const result = transformPrompt('a woman on a beach', { seed, preset: preset.id, imperfections: 'low' });
+        expect(missing(result.transformed)).toEqual([]);
+      }
+    }
+  });
+});
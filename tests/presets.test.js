@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import { spawnSync } from 'child_process';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { PRESETS, validatePresets, listPresets } from '../src/presets.js';
+import { runOperation } from '../src/operations.js';
+import { transformPrompt } from '../src/index.js';
+
+const CLI = fileURLToPath(new URL('../src/cli.js', import.meta.url));
+const SEEDS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+describe('preset pools', () => {
+  it('keep modern gear out of earlier eras', () => {
+    const modern = /X100V|iPhone|Portra|Nikon D3|DSLR|kit zoom lens/i;
+    for (const preset of ['candid-photography', 'photojournalism', 'passport-photo', 'amateur-photography']) {
+      for (const seed of SEEDS) {
+        const { transformed } = transformPrompt('a man in a kitchen', { preset, era: '1960s', seed });
+        expect(transformed, `${preset} seed ${seed}`).not.toMatch(modern);
+      }
+    }
+  });
+
+  it('keep color film out of black-and-white prompts', () => {
+    for (const seed of SEEDS) {
+      const { transformed } = transformPrompt('a woman on a beach, black and white', { preset: 'family-album-photo', seed });
+      expect(transformed, `seed ${seed}`).not.toMatch(/Kodak Gold|faded colors|color shift/i);
+    }
+  });
+
+  it('pick lenses the camera takes', () => {
+    for (const seed of SEEDS) {
+      const { transformed } = transformPrompt('a man in a kitchen', { preset: 'candid-photography', seed });
+      if (/iPhone|X100V/.test(transformed)) expect(transformed, `seed ${seed}`).not.toMatch(/35mm lens|50mm f\/1\.8/);
+    }
+  });
+
+  it('fall back to the usual picks when an era rules out every camera', () => {
+    const { transformed } = transformPrompt('a man on a street', { preset: 'paparazzi-shot', era: '1950s', seed: 1 });
+    expect(transformed).toMatch(/paparazzi shot/);
+    expect(transformed).not.toMatch(/EOS-1D|Nikon D5|Nikon F3/);
+  });
+});
+
+describe('custom record pools', () => {
+  const ektachrome = { text: 'shot on Kodak Ektachrome', color: 'color', era: { from: 1946, to: 2012 } };
+
+  it('fill in the fields a camera record leaves out', () => {
+    const presets = { mine: { camera: [ektachrome], lens: ['50mm f/1.8'] } };
+    expect(validatePresets(presets)).toEqual([]);
+    const [record] = listPresets(presets).find(p => p.id === 'mine').camera;
+    expect(record).toMatchObject({ ...ektachrome, kind: 'camera', format: [], artifacts: [], lenses: ['50mm f/1.8'] });
+    expect(transformPrompt('a man on a street', { seed: 1, preset: 'mine', presets }).transformed)
+      .toMatch(/shot on Kodak Ektachrome, 50mm f\/1\.8,/);
+  });
+
+  it('work without a lens pool', () => {
+    const { transformed } = transformPrompt('a man on a street', { seed: 1, preset: 'mine', presets: { mine: { camera: [ektachrome] } } });
+    expect(transformed).toMatch(/shot on Kodak Ektachrome/);
+  });
+
+  it('pick camera artifacts through the exclusions', () => {
+    const presets = { mine: { camera: [{ ...ektachrome, artifacts: ['light leaks'] }] } };
+    expect(transformPrompt('a man on a street', { seed: 1, preset: 'mine', presets }).transformed).toMatch(/light leaks/);
+    const excluded = transformPrompt('a man on a street', { seed: 1, preset: 'mine', presets, excludedModifiers: ['light leak'] });
+    expect(excluded.transformed).not.toMatch(/light leak/);
+  });
+
+  it('are filtered by era and color', () => {
+    const presets = { mine: { camera: [{ ...ektachrome, era: { from: 1946, to: 2002 } }] } };
+    expect(transformPrompt('a man on a street', { seed: 1, preset: 'mine', presets, era: '2010s' }).transformed).not.toMatch(/Ektachrome/);
+    expect(transformPrompt('a man on a street, black and white', { seed: 1, preset: 'mine', presets }).transformed).not.toMatch(/Ektachrome/);
+  });
+});
+
+describe('validatePresets', () => {
+  it('accepts strings and records in pools', () => {
+    expect(validatePresets({
+      catalog: {
+        camera: ['shot on Canon EOS R5', { text: 'shot on Kodak Ektachrome', color: 'color', era: { from: 1946, to: 2012 } }],
+        imperfections: [{ text: 'digital noise', format: ['digital'] }],
+        exclude: ['film'],
+      },
+    })).toEqual([]);
+  });
+
+  it('lists bad pool entries', () => {
+    expect(validatePresets({
+      catalog: {
+        camera: [{ name: 'no text' }, { text: 'x', color: 'sepia' }, { text: 'y', era: { from: '1950' } }],
+        exclude: [{ text: 'film' }],
+      },
+    })).toEqual([
+      'presets.catalog.camera[0] must be a string or an object with a string "text"',
+      'presets.catalog.camera[1].color must be one of: color, bw, either',
+      'presets.catalog.camera[2].era must be { from, to } years (to optional)',
+      'presets.catalog.exclude must be an array of strings',
+    ]);
+  });
+});
+
+describe('listPresets', () => {
+  it('merges a preset over the one it extends, without the extends field', () => {
+    const preset = listPresets({ 'night-paparazzi': { extends: 'paparazzi-shot', lighting: ['harsh camera flash'] } })
+      .find(p => p.id === 'night-paparazzi');
+    const base = PRESETS.find(p => p.id === 'paparazzi-shot');
+    expect(preset).toMatchObject({ style: base.style, camera: base.camera, lighting: ['harsh camera flash'], custom: true });
+    expect(preset).not.toHaveProperty('extends');
+  });
+
+  it('match the modifiers output schema', () => {
+    expect(runOperation('modifiers', {}).presets.length).toBe(PRESETS.length);
+  });
+});
+
+describe('--preset on the command line', () => {
+  it('names the command line as the source of an unknown preset', () => {
+    const cwd = mkdtempSync(join(tmpdir(), 'humanizer-preset-'));
+    try {
+      const result = spawnSync(process.execPath, [CLI, 'transform', 'a man', '--preset=nope'], { cwd, encoding: 'utf-8', timeout: 20000 });
+      expect(result.status).not.toBe(0);
+      expect(result.stderr).toMatch(/\(command line\)/);
+      expect(result.stderr).not.toMatch(/config cli/);
+    } finally {
+      rmSync(cwd, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { createRandom, normalizeSeed } from '../src/random.js';
+import { transformPrompt, getSuggestions, getBalancedModifiers } from '../src/index.js';
+
+describe('createRandom', () => {
+  it('produces the same sequence for the same seed', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    expect(Array.from({ length: 10 }, () => a.next())).toEqual(Array.from({ length: 10 }, () => b.next()));
+  });
+
+  it('treats numeric strings like their numbers and hashes other strings', () => {
+    expect(normalizeSeed('42')).toBe(42);
+    expect(normalizeSeed('-5')).toBe(normalizeSeed(-5));
+    expect(normalizeSeed('beach-shoot')).toBe(normalizeSeed('beach-shoot'));
+    expect(normalizeSeed('beach-shoot')).not.toBe(normalizeSeed('city-shoot'));
+  });
+
+  it('keeps negative seeds apart from their positive counterparts', () => {
+    expect(normalizeSeed(-5)).not.toBe(normalizeSeed(5));
+    expect(createRandom(-5).next()).not.toBe(createRandom(5).next());
+  });
+
+  it('never reorders the array it shuffles', () => {
+    const items = [1, 2, 3, 4, 5];
+    createRandom(7).shuffle(items);
+    expect(items).toEqual([1, 2, 3, 4, 5]);
+  });
+});
+
+describe('seeded transforms', () => {
+  const prompts = ['a woman in a coffee shop', 'city street at night', 'beautiful portrait, 8k, trending on artstation'];
+
+  it('gives the same prompt for the same seed and options', () => {
+    for (const prompt of prompts) {
+      for (const style of ['film', 'digital', 'phone']) {
+        const a = transformPrompt(prompt, { seed: 1234, style });
+        const b = transformPrompt(prompt, { seed: 1234, style });
+        expect(b.transformed).toBe(a.transformed);
+        expect(b.negativePrompt).toBe(a.negativePrompt);
+      }
+    }
+  });
+
+  it('reproduces an unseeded transform from its returned seed', () => {
+    const first = transformPrompt('a man on a beach', { target: 'midjourney' });
+    const again = transformPrompt('a man on a beach', { target: 'midjourney', seed: first.seed });
+    expect(again.transformed).toBe(first.transformed);
+  });
+
+  it('varies with the seed', () => {
+    const outputs = new Set(Array.from({ length: 8 }, (_, seed) => transformPrompt('a woman in a coffee shop', { seed }).transformed));
+    expect(outputs.size).toBeGreaterThan(1);
+  });
+
+  it('reproduces variants, suggestions and balanced modifiers', () => {
+    const variants = seed => transformPrompt('a woman reading on a train', { seed, variants: 3 }).variants.map(v => v.transformed);
+    expect(variants('train')).toEqual(variants('train'));
+    expect(getSuggestions('a man walking down the street', { seed: 5 })).toEqual(getSuggestions('a man walking down the street', { seed: 5 }));
+    expect(getBalancedModifiers({ seed: 9, humanSubject: true })).toEqual(getBalancedModifiers({ seed: 9, humanSubject: true }));
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createSession } from '../src/session.js';
+import { formatSession, runCommand } from '../src/repl.js';
+import { transformPrompt } from '../src/index.js';
+
+const PROMPT = 'a beautiful woman on a street, 8k';
+
+describe('createSession', () => {
+  it('transforms the prompt with the session seed', () => {
+    const session = createSession(PROMPT, { seed: 5 });
+    expect(session.result.transformed).toBe(transformPrompt(PROMPT, { seed: 5 }).transformed);
+    expect(session.canUndo).toBe(false);
+  });
+
+  it('rerolls one section and keeps the rest', () => {
+    const session = createSession(PROMPT, { seed: 5 });
+    const before = session.result;
+    session.reroll('lighting');
+    expect(session.result.sections.lighting).not.toEqual(before.sections.lighting);
+    for (const key of ['camera', 'lens', 'imperfections', 'composition']) {
+      expect(session.result.sections[key], key).toEqual(before.sections[key]);
+    }
+    expect(session.result.subject).toBe(before.subject);
+  });
+
+  it('keeps locked sections through rerolls and setting changes', () => {
+    const session = createSession(PROMPT, { seed: 5 });
+    session.lock('camera');
+    const camera = session.result.sections.camera;
+    session.reroll();
+    session.set('style', 'phone');
+    expect(session.result.sections.camera).toEqual(camera);
+    expect(() => session.reroll('camera')).toThrow('camera is locked; unlock it first');
+    session.unlock('all');
+    expect(session.locks).toEqual([]);
+  });
+
+  it('switches an issue off and back on', () => {
+    const session = createSession(PROMPT, { seed: 5 });
+    const eightK = session.issues().findIndex(issue => issue.id === '8k-4k') + 1;
+    session.toggleIssue(String(eightK));
+    expect(session.disabledRules).toEqual(['8k-4k']);
+    expect(session.result.transformed).toMatch(/\b8k\b/);
+    session.toggleIssue('8k-4k');
+    expect(session.result.transformed).not.toMatch(/\b8k\b/);
+    expect(() => session.toggleIssue('nope')).toThrow('No issue "nope" in this prompt');
+  });
+
+  it('undoes one step at a time', () => {
+    const session = createSession(PROMPT, { seed: 5 });
+    const first = session.result.transformed;
+    session.set('mood', 'moody');
+    session.reroll();
+    session.undo();
+    session.undo();
+    expect(session.result.transformed).toBe(first);
+    expect(() => session.undo()).toThrow('Nothing to undo');
+  });
+
+  it('validates settings', () => {
+    const session = createSession(PROMPT, { seed: 5 });
+    expect(() => session.set('style', 'vhs')).toThrow(/style must be one of: film, digital, phone/);
+    expect(() => session.set('color', 'red')).toThrow(/^Unknown setting "color"/);
+  });
+
+  it('saves what it takes to reproduce the prompt', () => {
+    const session = createSession(PROMPT, { seed: 5 });
+    session.reroll('lighting');
+    const saved = session.toJSON();
+    expect(transformPrompt(saved.prompt, { ...saved.options, seed: saved.seed }).transformed).toBe(saved.transformed);
+  });
+});
+
+describe('runCommand', () => {
+  it('sets the prompt from a plain line and renders the session', () => {
+    const session = createSession('', { seed: 5 });
+    expect(formatSession(session)).toBe('No prompt yet. Type one to start.');
+    const output = runCommand(session, 'a man on a street');
+    expect(output).toContain(`"${session.result.transformed}"`);
+    expect(output).toMatch(/Score: \d+ → \d+/);
+  });
+
+  it('marks locked sections', () => {
+    const session = createSession(PROMPT, { seed: 5 });
+    expect(runCommand(session, '/lock camera')).toMatch(/camera +.+ \[locked\]/);
+  });
+
+  it('maps /imperfections to its setting', () => {
+    const session = createSession(PROMPT, { seed: 5 });
+    runCommand(session, '/imperfections high');
+    expect(session.settings.imperfectionLevel).toBe('high');
+  });
+
+  it('lists issues with their state', () => {
+    const session = createSession(PROMPT, { seed: 5 });
+    runCommand(session, '/toggle 8k-4k');
+    expect(runCommand(session, '/issues')).toMatch(/\[off\] .+ \(8k-4k\)/);
+  });
+
+  it('saves to a file', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'humanizer-repl-'));
+    try {
+      const session = createSession(PROMPT, { seed: 5 });
+      const file = join(dir, 'prompt.json');
+      expect(runCommand(session, `/save ${file}`)).toBe(`Saved to ${file}`);
+      expect(JSON.parse(readFileSync(file, 'utf-8'))).toEqual(session.toJSON());
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('returns null to quit and rejects unknown commands', () => {
+    const session = createSession(PROMPT, { seed: 5 });
+    expect(runCommand(session, '/quit')).toBeNull();
+    expect(runCommand(session, '   ')).toBe('');
+    expect(() => runCommand(session, '/dance')).toThrow('Unknown command /dance. Type /help for commands');
+    expect(() => runCommand(session, '/lock')).toThrow('Usage: /lock <section>');
+  });
+});
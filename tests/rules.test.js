@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { RulePackError, compileRulePack, resolveRulePacks, mergePatterns } from '../src/rules.js';
+import { analyzePrompt, transformPrompt } from '../src/index.js';
+
+const GORGEOUS_ONLY = { name: 'house', rules: [{ id: 'beautiful-modifier', keywords: ['gorgeous'], replacement: '' }] };
+
+describe('compileRulePack', () => {
+  it('compiles keyword rules to whole-word, case-insensitive regexes', () => {
+    const { rules } = compileRulePack({ name: 'house', rules: [{ id: 'quality-tags', keywords: ['best quality', 'masterpiece'] }] });
+    expect(rules[0]).toMatchObject({ id: 'quality-tags', name: 'quality-tags', weight: 3, category: 'cliche', pack: 'house' });
+    expect(rules[0].regex.test('Masterpiece, a man')).toBe(true);
+    expect(rules[0].regex.test('masterpieces')).toBe(false);
+  });
+
+  it('accepts "/source/flags" regex strings', () => {
+    const { rules } = compileRulePack([{ id: 'drone', regex: '/drone shot/g' }]);
+    expect(rules[0].regex.flags).toBe('g');
+  });
+
+  it('lists every problem in one error', () => {
+    let error;
+    try {
+      compileRulePack({ rules: [{ id: 'a' }, { id: 'b', keywords: ['x'], regex: 'x' }, { id: 'a', keywords: ['y'], weight: -1 }] }, 'pack.json');
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toBeInstanceOf(RulePackError);
+    expect(error.source).toBe('pack.json');
+    expect(error.problems).toEqual([
+      'rules[0] (a): needs exactly one of regex, keywords or detect (found none)',
+      'rules[1] (b): needs exactly one of regex, keywords or detect (found regex, keywords)',
+      'rules[2] (a): weight must be a non-negative number',
+      'duplicate rule id "a"',
+    ]);
+  });
+
+  it('resolves a bare rule array, a pack or a list of packs', () => {
+    expect(resolveRulePacks([{ id: 'x', keywords: ['x'] }])).toHaveLength(1);
+    expect(resolveRulePacks(GORGEOUS_ONLY)[0].name).toBe('house');
+    expect(resolveRulePacks([GORGEOUS_ONLY, { rules: [] }])).toHaveLength(2);
+    expect(resolveRulePacks(undefined)).toEqual([]);
+  });
+});
+
+describe('rule ids matching built-in patterns', () => {
+  it('replace the pattern in the merged list', () => {
+    const merged = mergePatterns([{ id: 'a', weight: 1 }, { id: 'b', weight: 1 }], [{ rules: [{ id: 'b', weight: 5 }] }]);
+    expect(merged).toEqual([{ id: 'a', weight: 1 }, { id: 'b', weight: 5 }]);
+  });
+
+  it('replace the pattern in analysis', () => {
+    const ids = prompt => analyzePrompt(prompt, { rules: GORGEOUS_ONLY }).issues.map(issue => issue.id);
+    expect(ids('a beautiful woman')).not.toContain('beautiful-modifier');
+    expect(ids('a gorgeous woman')).toContain('beautiful-modifier');
+  });
+
+  it('replace the built-in cleanup in transforms', () => {
+    const result = transformPrompt('a beautiful gorgeous woman', { seed: 1, rules: GORGEOUS_ONLY });
+    expect(result.transformed).toMatch(/^a beautiful woman,/);
+    expect(result.operations.filter(op => op.type === 'remove')).toEqual([
+      { type: 'remove', rule: 'beautiful-modifier', text: 'gorgeous' },
+    ]);
+  });
+
+  it('leave matches in place when the pack rule has no replacement', () => {
+    const rules = { rules: [{ id: 'beautiful-modifier', keywords: ['gorgeous'] }] };
+    expect(transformPrompt('a beautiful gorgeous woman', { seed: 1, rules }).transformed).toMatch(/^a beautiful gorgeous woman,/);
+  });
+
+  it('are skipped when disabled', () => {
+    const result = transformPrompt('a gorgeous woman', { seed: 1, rules: GORGEOUS_ONLY, disabledRules: ['beautiful-modifier'] });
+    expect(result.transformed).toMatch(/^a gorgeous woman,/);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { SCENE_TYPES, classifyScene } from '../src/scenes.js';
+import { SCENE_DETAILS } from '../src/modifiers.js';
+import { transformPrompt } from '../src/index.js';
+
+const SEEDS = [1, 2, 3, 4, 5];
+const textOf = item => (typeof item === 'string' ? item : item.text);
+
+describe('classifyScene', () => {
+  it.each([
+    ['a woman smiling', 'portrait'],
+    ['a plate of pasta', 'food'],
+    ['a mountain lake at dawn', 'landscape'],
+    ['a red sports car', 'vehicle'],
+    ['a bottle of perfume on a white background', 'product'],
+    ['a cat sleeping', 'animal'],
+    ['a living room interior', 'architecture'],
+  ])('classifies "%s" as %s', (prompt, scene) => {
+    expect(classifyScene(prompt)).toMatchObject({ scene, confidence: 1 });
+  });
+
+  it('lists every matching scene with its share of the cue weight', () => {
+    expect(classifyScene('a group of friends on a street')).toEqual({
+      scene: 'group',
+      name: 'Group',
+      confidence: 0.57,
+      human: true,
+      scenes: [
+        { id: 'group', name: 'Group', confidence: 0.57 },
+        { id: 'street', name: 'Street', confidence: 0.43 },
+      ],
+    });
+  });
+
+  it('flags people even when another scene wins', () => {
+    expect(classifyScene('a man washing his car')).toMatchObject({ scene: 'vehicle', human: true });
+  });
+
+  it('returns no scene when nothing matches', () => {
+    expect(classifyScene('a stone on the floor')).toEqual({ scene: null, name: null, confidence: 0, human: false, scenes: [] });
+  });
+
+  it('has details for every scene type', () => {
+    for (const type of SCENE_TYPES) expect(SCENE_DETAILS[type.id]?.length, type.id).toBeGreaterThan(0);
+  });
+});
+
+describe('scene details in transforms', () => {
+  it('draws from the scene, not the portrait libraries', () => {
+    const food = SCENE_DETAILS.food.map(textOf);
+    for (const seed of SEEDS) {
+      const { scene, sections } = transformPrompt('a plate of pasta on a table', { seed });
+      expect(scene.id).toBe('food');
+      expect(sections.humanDetails, `seed ${seed}`).toEqual([]);
+      expect(sections.sceneDetails.length, `seed ${seed}`).toBe(2);
+      for (const detail of sections.sceneDetails) expect(food, `seed ${seed}`).toContain(detail);
+    }
+  });
+
+  it('adds human details when people are in frame', () => {
+    for (const seed of SEEDS) {
+      const { sections } = transformPrompt('a man washing his car', { seed });
+      expect(sections.humanDetails.length, `seed ${seed}`).toBeGreaterThan(0);
+    }
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { scoreMatches, validateWeights, scoreBadge, SCORE_CATEGORIES } from '../src/scoring.js';
+import { analyzePrompt } from '../src/index.js';
+
+const issue = (id, weight, category) => ({ id, name: id, weight, category });
+
+describe('scoreMatches', () => {
+  it('scores nothing found as 0', () => {
+    const result = scoreMatches([], []);
+    expect(result.score).toBe(0);
+    expect(result.explanation).toMatch(/No AI-prone patterns found/);
+  });
+
+  it('saturates instead of clipping, so more issues always score worse', () => {
+    const scores = [3, 6, 10].map(n => scoreMatches(Array.from({ length: n }, (_, i) => issue(`r${i}`, 4, 'cliche')), []).score);
+    expect(scores[0]).toBeLessThan(scores[1]);
+    expect(scores[1]).toBeLessThan(scores[2]);
+    expect(scores[2]).toBeLessThan(100);
+  });
+
+  it('has breakdown points that add up to the score', () => {
+    const result = scoreMatches(
+      [issue('a', 4, 'cliche'), issue('b', 3, 'technical'), issue('c', 2, 'subject')],
+      [issue('r', 3, 'technical')]
+    );
+    const total = result.breakdown.reduce((sum, b) => sum + b.points, 0);
+    expect(Math.abs(total - result.score)).toBeLessThanOrEqual(1);
+  });
+
+  it('lets realism offset at most half of its own category', () => {
+    const realism = [issue('r1', 5, 'technical'), issue('r2', 5, 'technical'), issue('r3', 5, 'technical')];
+    const result = scoreMatches([issue('a', 4, 'technical'), issue('b', 4, 'cliche')], realism);
+    expect(result.subScores.technical.offset).toBe(2);
+    expect(result.subScores.cliche.offset).toBe(0);
+    expect(result.score).toBeGreaterThan(scoreMatches([issue('b', 4, 'cliche')], []).score);
+  });
+
+  it('applies category multipliers and rule weight overrides', () => {
+    const issues = [issue('a', 4, 'cliche')];
+    const base = scoreMatches(issues, []).score;
+    expect(scoreMatches(issues, [], { weights: { cliche: 2 } }).score).toBeGreaterThan(base);
+    expect(scoreMatches(issues, [], { weights: { a: 0 } }).score).toBe(0);
+  });
+
+  it('reports a sub-score for every category', () => {
+    expect(Object.keys(scoreMatches([], []).subScores)).toEqual(SCORE_CATEGORIES.map(c => c.id));
+  });
+});
+
+describe('validateWeights', () => {
+  it('accepts non-negative numbers and names every bad key', () => {
+    expect(validateWeights({ cliche: 2, 'missing-camera': 0 })).toEqual([]);
+    expect(validateWeights({ cliche: -1, subject: 'x' })).toEqual([
+      'weights.cliche must be a non-negative number',
+      'weights.subject must be a non-negative number',
+    ]);
+    expect(validateWeights([])).toHaveLength(1);
+  });
+});
+
+describe('scoreBadge', () => {
+  it('bands scores into traffic lights', () => {
+    expect([0, 20, 21, 40, 41, 60, 61, 100].map(scoreBadge)).toEqual(['🟢', '🟢', '🟡', '🟡', '🟠', '🟠', '🔴', '🔴']);
+  });
+});
+
+describe('analyzePrompt scoring', () => {
+  it('scores a cliché prompt worse than a grounded one', () => {
+    const cliche = analyzePrompt('beautiful woman, 8k, trending on artstation, cinematic lighting');
+    const grounded = analyzePrompt('a woman in her 60s laughing at a kitchen table, shot on Kodak Portra 400, film grain, window light');
+    expect(cliche.score).toBeGreaterThan(grounded.score);
+    expect(cliche.score).toBeGreaterThan(50);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { PERSON_TYPES, createSubjectEnhancer, enhanceSubjects } from '../src/subjects.js';
+import { createRandom } from '../src/random.js';
+
+const SEEDS = Array.from({ length: 30 }, (_, i) => i);
+
+function enhanceAll(prompt, context) {
+  return SEEDS.map(seed => enhanceSubjects(prompt, createRandom(seed), context));
+}
+
+describe('enhanceSubjects', () => {
+  it('describes a single person, closing the description before a verb', () => {
+    expect(enhanceSubjects('a woman reading', createRandom(3))).toBe('a middle-aged woman with visible laugh lines, reading');
+    expect(enhanceSubjects('a girl playing', createRandom(3))).toBe('a girl maybe four years old with scraped knees, playing');
+  });
+
+  it('matches pronouns to the noun', () => {
+    for (const text of enhanceAll('a woman')) expect(text).not.toMatch(/\b(his|their)\b/);
+    for (const text of enhanceAll('a man')) expect(text).not.toMatch(/\b(her|their)\b/);
+    for (const text of enhanceAll('a couple')) expect(text).not.toMatch(/\b(his|her)\b/);
+  });
+
+  it('matches ages to the noun', () => {
+    for (const text of [...enhanceAll('a girl'), ...enhanceAll('a boy'), ...enhanceAll('a teenager')]) {
+      expect(text).not.toMatch(/\d0s|middle-aged|elderly|laugh lines|stubble/);
+    }
+  });
+
+  it('skips details the prompt contradicts', () => {
+    for (const text of enhanceAll('a man, clean-shaven and crying')) expect(text).not.toMatch(/stubble|smile/);
+  });
+
+  it('adds no age when the prompt already settles it', () => {
+    for (const text of [...enhanceAll('a young woman'), ...enhanceAll('a retired man')]) {
+      expect(text).not.toMatch(/\d0s|middle-aged|elderly/);
+    }
+  });
+
+  it('leaves already-specific subjects alone', () => {
+    expect(enhanceSubjects('a man in his 40s', createRandom(1))).toBe('a man in his 40s');
+    expect(enhanceSubjects('a man with a beard, laughing', createRandom(1))).toBe('a man with a beard, laughing');
+  });
+
+  it('turns "a person" into someone in particular', () => {
+    for (const seed of SEEDS) {
+      const [type] = enhanceSubjects('a person, waiting', createRandom(seed)).split(',');
+      expect(PERSON_TYPES).toContain(type);
+    }
+  });
+});
+
+describe('groups', () => {
+  it('describe each person differently', () => {
+    expect(enhanceSubjects('two men talking', createRandom(3))).toBe(
+      'two men, one in his 50s with visible laugh lines and the other in his 30s with weathered hands, talking'
+    );
+  });
+
+  it('pick two people out of an unknown count', () => {
+    expect(enhanceSubjects('some kids', createRandom(3))).toBe(
+      'some kids, one maybe four years old with scraped knees and the other around nine with a gap-toothed grin'
+    );
+  });
+
+  it('split a family into roles with ages to match', () => {
+    for (const text of enhanceAll('a family at dinner')) {
+      expect(text).toMatch(/^a family: /);
+      expect(text).not.toMatch(/(son|daughter) in (his|her) \d0s/);
+      expect(text).not.toMatch(/(father|mother) (about|around|maybe)/);
+      expect(text).not.toMatch(/(grandmother|mother|daughter) in his|(grandfather|father|son) in her/);
+    }
+  });
+});
+
+describe('createSubjectEnhancer', () => {
+  it('keeps ages and details distinct across clauses', () => {
+    for (const seed of SEEDS) {
+      const enhance = createSubjectEnhancer(createRandom(seed), 'a man, a man');
+      const [first, second] = [enhance('a man'), enhance('a man')];
+      const phrases = text => text.replace(/^a (middle-aged |elderly )?man ?/, '').split(/ (?=with)/).filter(Boolean);
+      for (const phrase of phrases(first)) expect(phrases(second), `seed ${seed}`).not.toContain(phrase);
+    }
+  });
+});
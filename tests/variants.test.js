@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { generateVariants, transformPrompt } from '../src/index.js';
+
+const PROMPT = 'a woman walking her dog in a park';
+
+// Fraction of modifiers two variants share, as the transformer measures it
+function overlap(a, b) {
+  const setB = new Set(b.modifiersAdded);
+  const shared = a.modifiersAdded.filter(m => setB.has(m)).length;
+  return shared / new Set([...a.modifiersAdded, ...b.modifiersAdded]).size;
+}
+
+describe('generateVariants', () => {
+  it('returns the same variants for the same seed', () => {
+    const first = generateVariants(PROMPT, { seed: 7, variants: 3 });
+    const second = generateVariants(PROMPT, { seed: 7, variants: 3 });
+    expect(first.seed).toBe(7);
+    expect(second.variants.map(v => v.transformed)).toEqual(first.variants.map(v => v.transformed));
+  });
+
+  it('gives each variant its own seed and text', () => {
+    const { variants } = generateVariants(PROMPT, { seed: 7, variants: 4 });
+    expect(variants).toHaveLength(4);
+    expect(new Set(variants.map(v => v.seed)).size).toBe(4);
+    expect(new Set(variants.map(v => v.transformed)).size).toBe(4);
+  });
+
+  it('skips candidates that share most of their modifiers with another', () => {
+    for (const seed of [1, 2, 3, 4, 5]) {
+      const { variants } = generateVariants(PROMPT, { seed, variants: 3 });
+      for (const a of variants) {
+        for (const b of variants) {
+          if (a !== b) expect(overlap(a, b), `seed ${seed}`).toBeLessThanOrEqual(0.5);
+        }
+      }
+    }
+  });
+
+  it('ranks variants by score, lowest first', () => {
+    const { variants } = generateVariants(PROMPT, { seed: 11, variants: 5 });
+    expect(variants.map(v => v.rank)).toEqual([1, 2, 3, 4, 5]);
+    const scores = variants.map(v => v.newScore);
+    expect(scores).toEqual([...scores].sort((a, b) => a - b));
+  });
+
+  it('labels each variant by what sets it apart', () => {
+    const { variants } = generateVariants(PROMPT, { seed: 11, variants: 3 });
+    for (const variant of variants) {
+      expect(variant.label).not.toBe('');
+      const others = variants.filter(v => v !== variant).flatMap(v => v.modifiersAdded);
+      for (const modifier of variant.distinctModifiers) expect(others).not.toContain(modifier);
+    }
+  });
+});
+
+describe('transformPrompt with variants', () => {
+  it('returns the best-ranked variant with the base seed', () => {
+    const result = transformPrompt(PROMPT, { seed: 3, variants: 3 });
+    expect(result.seed).toBe(3);
+    expect(result.variants).toHaveLength(3);
+    expect(result.transformed).toBe(result.variants[0].transformed);
+    expect(result.rank).toBe(1);
+  });
+
+  it('returns a single transform for one variant', () => {
+    const result = transformPrompt(PROMPT, { seed: 3, variants: 1 });
+    expect(result).not.toHaveProperty('variants');
+    expect(result.transformed).toBe(transformPrompt(PROMPT, { seed: 3 }).transformed);
+  });
+});